@@ -0,0 +1,335 @@
+/**
+ * Active Tiles - sparse stepping for mostly empty worlds
+ *
+ * A few gliders on a 1024² grid leave nearly every cell empty, yet a dense
+ * step convolves, differentiates and transports all of them. ActiveTiles
+ * splits the world into square tiles and works out, once per step, where
+ * anything can happen:
+ * - occupied : tiles holding any mass
+ * - computed : occupied tiles grown by `margin` cells (kernel radius plus
+ *              the few cells a step can move mass), rounded up to tiles
+ * Mass only reads the potential within R of itself, so outside the
+ * computed tiles the potential, affinity and flow can't affect the next
+ * state and are skipped.
+ *
+ * Tiles come from a scan of the mass field rather than from
+ * CreatureTracker.findCreatures: the tracker ignores mass below its
+ * threshold and blobs too small to be creatures, and that mass still has
+ * to move. The scan is one comparison per cell, far cheaper than the work
+ * it saves.
+ *
+ * convolve() groups computed tiles into connected regions and convolves
+ * each region's bounding box, padded by the kernel radius, with a small
+ * FFT. Cells beyond the world's edge are read through the boundary's
+ * padding, so every boundary mode gives the dense result, up to rounding
+ * (smaller FFTs round differently). A region that spans a periodic axis
+ * uses the whole axis, with no padding.
+ *
+ * Loops walk cells as spans: [y, xStart, xEnd] triples, row by row in
+ * grid order. fullSpans() covers the whole grid, so a loop written over
+ * spans runs the dense step unchanged.
+ */
+
+class ActiveTiles {
+    // Above this fraction of computed tiles a dense step is as cheap
+    static DENSE_FRACTION = 0.5;
+
+    // Most region convolvers kept; block sizes change as creatures move
+    static MAX_CONVOLVERS = 24;
+
+    /**
+     * @param {number} width - Grid width in cells
+     * @param {number} height - Grid height in cells
+     * @param {number} tileSize - Cells per tile side
+     */
+    constructor(width, height, tileSize = 32) {
+        this.width = width;
+        this.height = height;
+        this.tileSize = tileSize;
+        this.tilesX = Math.ceil(width / tileSize);
+        this.tilesY = Math.ceil(height / tileSize);
+
+        this.occupied = new Uint8Array(this.tilesX * this.tilesY);
+        this.computed = new Uint8Array(this.tilesX * this.tilesY);
+        this.occupiedSpans = new Int32Array(0);
+        this.computedSpans = new Int32Array(0);
+        this.regions = [];          // Computed cell rectangles { x, y, width, height }; may cross a periodic edge
+        this.reach = 0;             // Cells from any occupied cell to the edge of the computed tiles
+        this.dense = true;          // Set by update(): too much is active to gain from tiles
+
+        this.convolvers = new Map();  // 'w×h' -> FFT convolver for region blocks
+        this.block = null;            // Scratch block input and output
+        this.blockOut = null;
+    }
+
+    /**
+     * [y, 0, width] for every row
+     */
+    static fullSpans(width, height) {
+        const spans = new Int32Array(height * 3);
+        for (let y = 0; y < height; y++) {
+            spans[y * 3] = y;
+            spans[y * 3 + 2] = width;
+        }
+        return spans;
+    }
+
+    get count() {
+        return this.occupied.reduce((sum, tile) => sum + tile, 0);
+    }
+
+    get computedCount() {
+        return this.computed.reduce((sum, tile) => sum + tile, 0);
+    }
+
+    /**
+     * Find the occupied tiles of a field and the regions around them
+     * @param {Float32Array} field - Mass per cell (never negative)
+     * @param {number} margin - Cells of context each occupied cell needs
+     * @param {boolean} wrap - Periodic world: tiles and regions wrap around
+     * @returns {boolean} True if the step can be sparse (see `dense`)
+     */
+    update(field, margin, wrap) {
+        const { width, height, tileSize, tilesX, tilesY, occupied, computed } = this;
+
+        occupied.fill(0);
+        for (let y = 0; y < height; y++) {
+            const tileRow = Math.floor(y / tileSize) * tilesX;
+            const row = y * width;
+            for (let x = 0; x < width; x++) {
+                if (field[row + x] > 0) {
+                    occupied[tileRow + Math.floor(x / tileSize)] = 1;
+                    x = (Math.floor(x / tileSize) + 1) * tileSize - 1;  // Rest of this tile's row is known
+                }
+            }
+        }
+
+        // Grow by whole tiles until the margin is covered. Growing across a
+        // periodic edge may pass the short last tile, which takes one more
+        const shortTile = wrap && (width % tileSize !== 0 || height % tileSize !== 0);
+        const grow = Math.ceil(margin / tileSize) + (shortTile ? 1 : 0);
+        this.reach = (grow - (shortTile ? 1 : 0)) * tileSize;
+        computed.fill(0);
+        let count = 0;
+        for (let ty = 0; ty < tilesY; ty++) {
+            for (let tx = 0; tx < tilesX; tx++) {
+                if (!occupied[ty * tilesX + tx]) continue;
+                for (let dy = -grow; dy <= grow; dy++) {
+                    const y = ActiveTiles.wrapIndex(ty + dy, tilesY, wrap);
+                    if (y < 0) continue;
+                    for (let dx = -grow; dx <= grow; dx++) {
+                        const x = ActiveTiles.wrapIndex(tx + dx, tilesX, wrap);
+                        if (x < 0 || computed[y * tilesX + x]) continue;
+                        computed[y * tilesX + x] = 1;
+                        count++;
+                    }
+                }
+            }
+        }
+
+        this.dense = count > tilesX * tilesY * ActiveTiles.DENSE_FRACTION;
+        if (this.dense) return false;
+
+        this.occupiedSpans = this.spans(occupied);
+        this.computedSpans = this.spans(computed);
+        this.regions = this.findRegions(wrap);
+        return true;
+    }
+
+    /**
+     * Tile index along an axis, wrapped when periodic, or -1 off the edge
+     */
+    static wrapIndex(i, size, wrap) {
+        if (i >= 0 && i < size) return i;
+        return wrap ? ((i % size) + size) % size : -1;
+    }
+
+    /**
+     * Cell spans covering a set of tiles, adjacent tiles merged
+     */
+    spans(tiles) {
+        const { width, height, tileSize, tilesX } = this;
+        const out = [];
+        for (let y = 0; y < height; y++) {
+            const tileRow = Math.floor(y / tileSize) * tilesX;
+            let tx = 0;
+            while (tx < tilesX) {
+                if (!tiles[tileRow + tx]) {
+                    tx++;
+                    continue;
+                }
+                const start = tx;
+                while (tx < tilesX && tiles[tileRow + tx]) tx++;
+                out.push(y, start * tileSize, Math.min(width, tx * tileSize));
+            }
+        }
+        return Int32Array.from(out);
+    }
+
+    /**
+     * Connected groups of computed tiles (8-neighbors, across periodic
+     * edges) as bounding cell rectangles
+     */
+    findRegions(wrap) {
+        const { tilesX, tilesY, computed } = this;
+        const seen = new Uint8Array(computed.length);
+        const regions = [];
+
+        for (let start = 0; start < computed.length; start++) {
+            if (!computed[start] || seen[start]) continue;
+
+            const columns = new Uint8Array(tilesX);
+            const rows = new Uint8Array(tilesY);
+            const stack = [start];
+            seen[start] = 1;
+            while (stack.length > 0) {
+                const tile = stack.pop();
+                const tx = tile % tilesX;
+                const ty = Math.floor(tile / tilesX);
+                columns[tx] = 1;
+                rows[ty] = 1;
+                for (let dy = -1; dy <= 1; dy++) {
+                    const y = ActiveTiles.wrapIndex(ty + dy, tilesY, wrap);
+                    if (y < 0) continue;
+                    for (let dx = -1; dx <= 1; dx++) {
+                        const x = ActiveTiles.wrapIndex(tx + dx, tilesX, wrap);
+                        const next = y * tilesX + x;
+                        if (x < 0 || !computed[next] || seen[next]) continue;
+                        seen[next] = 1;
+                        stack.push(next);
+                    }
+                }
+            }
+
+            const [x, w] = this.cellRange(ActiveTiles.coverSpan(columns, wrap), this.width);
+            const [y, h] = this.cellRange(ActiveTiles.coverSpan(rows, wrap), this.height);
+            regions.push({ x, y, width: w, height: h });
+        }
+        return regions;
+    }
+
+    /**
+     * Shortest run of tiles [start, length] covering every marked tile
+     * Around a periodic axis the run starts after the longest gap
+     */
+    static coverSpan(marked, wrap) {
+        const n = marked.length;
+        if (!wrap) {
+            const first = marked.indexOf(1);
+            return [first, marked.lastIndexOf(1) - first + 1];
+        }
+
+        let bestGap = 0;
+        let bestEnd = 0;
+        for (let i = 0; i < n; i++) {
+            if (marked[i]) continue;
+            let gap = 0;
+            while (gap < n && !marked[(i + gap) % n]) gap++;
+            if (gap > bestGap) {
+                bestGap = gap;
+                bestEnd = (i + gap) % n;
+            }
+            if (gap === n) break;
+        }
+        return bestGap === 0 ? [0, n] : [bestEnd, n - bestGap];
+    }
+
+    /**
+     * Cells [start, length] of a run of tiles; the last tile may be short
+     */
+    cellRange([start, length], size) {
+        const tiles = Math.ceil(size / this.tileSize);
+        if (length >= tiles) return [0, size];
+
+        const cellsBefore = (tile) => Math.min(size, tile * this.tileSize);
+        const end = start + length;
+        const cellEnd = end <= tiles ? cellsBefore(end) : size + cellsBefore(end - tiles);
+        return [cellsBefore(start), cellEnd - cellsBefore(start)];
+    }
+
+    /**
+     * Potential of the computed regions: output = kernel * input there
+     * Other cells of output are left as they were
+     * @param {string} padding - 'wrap', 'zero' or 'mirror' (see Boundary.padding)
+     */
+    convolve(input, output, kernel, padding) {
+        const { width, height } = this;
+        const radius = kernel.radius;
+
+        for (const region of this.regions) {
+            // A region whose padded block would cover a periodic axis
+            // convolves the whole axis circularly instead
+            const fullX = padding === 'wrap' && region.width + 2 * radius >= width;
+            const fullY = padding === 'wrap' && region.height + 2 * radius >= height;
+            const bx = fullX ? 0 : region.x - radius;
+            const by = fullY ? 0 : region.y - radius;
+            const bw = fullX ? width : FFT.nextFastLength(region.width + 2 * radius);
+            const bh = fullY ? height : FFT.nextFastLength(region.height + 2 * radius);
+
+            const conv = this.convolver(bw, bh, kernel);
+            const block = this.scratch(bw * bh);
+            for (let j = 0; j < bh; j++) {
+                const y = ActiveTiles.readIndex(by + j, height, padding);
+                for (let i = 0; i < bw; i++) {
+                    const x = ActiveTiles.readIndex(bx + i, width, padding);
+                    block[j * bw + i] = x < 0 || y < 0 ? 0 : input[y * width + x];
+                }
+            }
+
+            conv.convolve(block, this.blockOut);
+
+            // Block coordinates wrap only on a whole periodic axis
+            for (let j = 0; j < region.height; j++) {
+                const y = (region.y + j) % height;
+                const row = ((region.y - by + j) % bh) * bw;
+                for (let i = 0; i < region.width; i++) {
+                    const x = (region.x + i) % width;
+                    output[y * width + x] = this.blockOut[row + (region.x - bx + i) % bw];
+                }
+            }
+        }
+        return output;
+    }
+
+    /**
+     * Coordinate a block reads for a cell index, following the padding:
+     * -1 for the zeros beyond a 'zero' edge
+     */
+    static readIndex(i, size, padding) {
+        if (i >= 0 && i < size) return i;
+        if (padding === 'wrap') return ((i % size) + size) % size;
+        if (padding === 'mirror') return Boundary.mirror(i, size);
+        return -1;
+    }
+
+    /**
+     * Periodic convolver for a block size, holding the kernel's spectrum
+     */
+    convolver(blockWidth, blockHeight, kernel) {
+        const key = `${blockWidth}×${blockHeight}`;
+        let conv = this.convolvers.get(key);
+        if (!conv) {
+            if (this.convolvers.size >= ActiveTiles.MAX_CONVOLVERS) {
+                this.convolvers.delete(this.convolvers.keys().next().value);
+            }
+            conv = FFT.createConvolver(blockWidth, blockHeight);
+            this.convolvers.set(key, conv);
+        }
+        if (conv.kernel !== kernel) {
+            conv.setKernel(kernel);
+            conv.kernel = kernel;
+        }
+        return conv;
+    }
+
+    /**
+     * Scratch input block of at least `cells` cells, with a matching output
+     */
+    scratch(cells) {
+        if (!this.block || this.block.length < cells) {
+            this.block = new Float32Array(cells);
+            this.blockOut = new Float32Array(cells);
+        }
+        return this.block;
+    }
+}
@@ -0,0 +1,113 @@
+/**
+ * Boundary - what happens at the edges of the world
+ *
+ * Every simulation has a `boundary` mode:
+ * - 'periodic'   : toroidal wrap-around (the classic Lenia world)
+ * - 'absorbing'  : the outside is empty; mass that leaves is lost
+ * - 'reflective' : the outside mirrors the inside; mass bounces back
+ * - 'walls'      : the outside is empty, but closed walls stop mass from
+ *                  leaving (Flow-Lenia mass stays conserved)
+ *
+ * The FFT convolver pads the grid to match (see FFT.createConvolver), and
+ * neighbor lookups, mass transport and creature distances go through the
+ * helpers below instead of wrapping with `%` directly.
+ */
+
+const Boundary = {
+    MODES: ['periodic', 'absorbing', 'reflective', 'walls'],
+
+    /**
+     * Check a mode name, so a typo fails loudly instead of wrapping silently
+     */
+    validate(mode) {
+        if (!Boundary.MODES.includes(mode)) {
+            throw new Error(`Unknown boundary mode: ${mode}`);
+        }
+        return mode;
+    },
+
+    /**
+     * How convolution sees cells beyond the edge: 'wrap', 'zero' or 'mirror'
+     */
+    padding(mode) {
+        if (mode === 'periodic') return 'wrap';
+        if (mode === 'reflective') return 'mirror';
+        return 'zero';
+    },
+
+    /**
+     * Reflect an integer coordinate into [0, size), repeating the edge cell
+     * (-1 -> 0, size -> size - 1)
+     */
+    mirror(i, size) {
+        const period = 2 * size;
+        const m = ((i % period) + period) % period;
+        return m < size ? m : period - 1 - m;
+    },
+
+    /**
+     * Map an integer cell coordinate onto the grid
+     * Walls clamp to the edge cell; absorbing edges have nothing beyond them
+     * @returns {number} Coordinate in [0, size), or -1 if the cell is outside and empty
+     */
+    cell(i, size, mode) {
+        if (i >= 0 && i < size) return i;
+
+        switch (mode) {
+            case 'periodic':
+                return ((i % size) + size) % size;
+            case 'reflective':
+                return Boundary.mirror(i, size);
+            case 'walls':
+                return i < 0 ? 0 : size - 1;
+            default:
+                return -1;
+        }
+    },
+
+    /**
+     * Map a continuous position (creature centers, sample points) into [0, size)
+     */
+    position(x, size, mode) {
+        if (x >= 0 && x < size) return x;
+
+        if (mode === 'periodic') {
+            return ((x % size) + size) % size;
+        }
+        if (mode === 'reflective') {
+            const period = 2 * size;
+            const m = ((x % period) + period) % period;
+            return Math.min(m < size ? m : period - m, size - 1e-6);
+        }
+        return Math.min(Math.max(x, 0), size - 1e-6);
+    },
+
+    /**
+     * Mode for reading neighbors (gradients, diffusion, sampling): absorbing
+     * edges read as the edge cell, so nothing is pulled across them
+     */
+    readMode(mode) {
+        return mode === 'absorbing' ? 'walls' : mode;
+    },
+
+    /**
+     * Mode for painting blobs, creature influence and flood fills: wrap
+     * around periodic worlds, stop at any other edge (Boundary.cell gives -1)
+     */
+    drawMode(mode) {
+        return mode === 'periodic' ? 'periodic' : 'absorbing';
+    },
+
+    /**
+     * Signed offset from one coordinate to another
+     * Periodic worlds take the shortest way around; bounded ones go straight
+     */
+    delta(to, from, size, mode) {
+        let d = to - from;
+        if (mode === 'periodic') {
+            if (d > size / 2) d -= size;
+            if (d < -size / 2) d += size;
+        }
+        return d;
+    }
+};
@@ -0,0 +1,163 @@
+/**
+ * Camera - pan and zoom over the world
+ *
+ * The canvas shows a window onto the world. The window's position and size
+ * are kept as fractions of the world, so one camera serves every mode: a
+ * 256-cell Lenia grid, a 64-cell volume slice and Particle Lenia's
+ * continuous plane all map through the same numbers.
+ * - zoom : canvas widths per world width, from 1 (whole world) to MAX_ZOOM
+ * - x, y : world fraction at the canvas's top-left corner
+ *
+ * In a periodic world the window wraps around the edges, so a creature
+ * crossing an edge can be followed without a jump. Other boundaries keep
+ * the window inside the world.
+ *
+ * Screen coordinates are canvas pixels; world coordinates are in the units
+ * of whatever grid is passed (cells for grids, world units for particles).
+ */
+
+class Camera {
+    static MAX_ZOOM = 32;
+
+    constructor() {
+        this.zoom = 1;
+        this.x = 0;
+        this.y = 0;
+        this.wrap = true;           // Periodic world: the window wraps
+        this.canvasWidth = 1;
+        this.canvasHeight = 1;
+    }
+
+    /**
+     * Match the canvas size and the active world's boundary
+     * Called every frame, so the window is clamped again after a boundary change
+     */
+    setView(canvasWidth, canvasHeight, wrap) {
+        this.canvasWidth = canvasWidth;
+        this.canvasHeight = canvasHeight;
+        this.wrap = wrap;
+        this.constrain();
+    }
+
+    /**
+     * Canvas pixels per world unit along x, for a world `worldWidth` wide
+     * Cells are square (see fitCanvasToWorld), so this holds for y too
+     */
+    scale(worldWidth) {
+        return this.canvasWidth * this.zoom / worldWidth;
+    }
+
+    /**
+     * World point under a canvas pixel, wrapped into the world when periodic
+     * @returns {number[]} [x, y]
+     */
+    toWorld(sx, sy, worldWidth, worldHeight) {
+        let u = this.x + sx / this.canvasWidth / this.zoom;
+        let v = this.y + sy / this.canvasHeight / this.zoom;
+        if (this.wrap) {
+            u = Camera.wrapUnit(u);
+            v = Camera.wrapUnit(v);
+        }
+        return [u * worldWidth, v * worldHeight];
+    }
+
+    /**
+     * Canvas position of a world point. In a periodic world this is the
+     * copy of the point nearest the middle of the window
+     * @returns {number[]} [x, y]
+     */
+    toScreen(wx, wy, worldWidth, worldHeight) {
+        return [
+            this.axisToScreen(wx / worldWidth, this.x, this.canvasWidth),
+            this.axisToScreen(wy / worldHeight, this.y, this.canvasHeight)
+        ];
+    }
+
+    axisToScreen(u, start, canvasSize) {
+        let offset = u - start;
+        if (this.wrap) {
+            const span = 1 / this.zoom;
+            offset = Camera.wrapUnit(offset - span / 2 + 0.5) - 0.5 + span / 2;
+        }
+        return offset * this.zoom * canvasSize;
+    }
+
+    /**
+     * Zoom by `factor`, keeping the world point under (sx, sy) in place
+     */
+    zoomAt(sx, sy, factor) {
+        const u = this.x + sx / this.canvasWidth / this.zoom;
+        const v = this.y + sy / this.canvasHeight / this.zoom;
+        this.zoom = Math.min(Camera.MAX_ZOOM, Math.max(1, this.zoom * factor));
+        this.x = u - sx / this.canvasWidth / this.zoom;
+        this.y = v - sy / this.canvasHeight / this.zoom;
+        this.constrain();
+    }
+
+    /**
+     * Move the window with a drag of (dx, dy) canvas pixels
+     */
+    pan(dx, dy) {
+        this.x -= dx / this.canvasWidth / this.zoom;
+        this.y -= dy / this.canvasHeight / this.zoom;
+        this.constrain();
+    }
+
+    /**
+     * Center the window on a world fraction (u, v)
+     */
+    centerOn(u, v) {
+        this.x = u - 0.5 / this.zoom;
+        this.y = v - 0.5 / this.zoom;
+        this.constrain();
+    }
+
+    /**
+     * Window rectangles as world fractions [x, y, w, h]: one, or up to four
+     * when a periodic window crosses the world's edges
+     */
+    windowRects() {
+        const span = 1 / this.zoom;
+        const xs = [[this.x, Math.min(span, 1 - this.x)]];
+        const ys = [[this.y, Math.min(span, 1 - this.y)]];
+        if (this.x + span > 1) xs.push([0, this.x + span - 1]);
+        if (this.y + span > 1) ys.push([0, this.y + span - 1]);
+
+        const rects = [];
+        for (const [x, w] of xs) {
+            for (const [y, h] of ys) {
+                rects.push([x, y, w, h]);
+            }
+        }
+        return rects;
+    }
+
+    /**
+     * Wrap the window's corner into the world, or clamp the window inside it
+     */
+    constrain() {
+        if (this.wrap) {
+            this.x = Camera.wrapUnit(this.x);
+            this.y = Camera.wrapUnit(this.y);
+        } else {
+            const max = 1 - 1 / this.zoom;
+            this.x = Math.min(max, Math.max(0, this.x));
+            this.y = Math.min(max, Math.max(0, this.y));
+        }
+    }
+
+    reset() {
+        this.zoom = 1;
+        this.x = 0;
+        this.y = 0;
+    }
+
+    /**
+     * u wrapped into [0, 1). Rounding can land a tiny negative u on 1,
+     * which is wrapped again
+     */
+    static wrapUnit(u) {
+        const wrapped = u - Math.floor(u);
+        return wrapped < 1 ? wrapped : 0;
+    }
+}
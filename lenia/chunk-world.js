@@ -0,0 +1,388 @@
+/**
+ * Chunk World - an unbounded plane streamed through the simulation grid
+ *
+ * The periodic world is a torus: a glider that leaves one edge comes back
+ * at the other. A ChunkWorld instead treats the grid as a window onto an
+ * endless plane made of square chunks:
+ * - The grid keeps its size and steps as usual, with absorbing edges, so
+ *   everything beyond the window reads as empty plane
+ * - When mass comes within a chunk of an edge, follow() moves the window
+ *   by whole chunks toward it. Chunks leaving the window are cut out and
+ *   kept; chunks entering it are restored, or start empty
+ * - Chunks more than one chunk away from the window are idle. They are
+ *   written to IndexedDB (ChunkStore) and dropped from memory, and read
+ *   back when the window comes near them again
+ *
+ * Only the window steps: what is left in idle chunks is frozen until the
+ * window returns. The world position of grid cell (x, y) is
+ * (originX·chunkSize + x, originY·chunkSize + y); the creature tracker and
+ * environment are moved along with the cells (translate()), so homes,
+ * trails and zones stay where they were on the plane.
+ *
+ * A chunk holds the active mode's fields (SimState.fieldEntries) as typed
+ * arrays of chunkSize² cells. Chunks holding nothing but blank cells (no
+ * mass, parameters at their global values) aren't kept at all.
+ */
+
+class ChunkStore {
+    static DB_NAME = 'lenia-chunks';
+    static STORE = 'chunks';
+
+    /**
+     * Whether chunks can be saved here (IndexedDB exists in browsers,
+     * not in Node, where idle chunks simply stay in memory)
+     */
+    static isSupported() {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    constructor() {
+        this.db = new Promise((resolve, reject) => {
+            const request = indexedDB.open(ChunkStore.DB_NAME, 1);
+            request.onupgradeneeded = () => request.result.createObjectStore(ChunkStore.STORE);
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Run one request against the chunk store
+     * @returns {Promise} The request's result
+     */
+    async request(mode, makeRequest) {
+        const db = await this.db;
+        return new Promise((resolve, reject) => {
+            const request = makeRequest(db.transaction(ChunkStore.STORE, mode).objectStore(ChunkStore.STORE));
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    put(key, chunk) {
+        return this.request('readwrite', store => store.put(chunk, key));
+    }
+
+    get(key) {
+        return this.request('readonly', store => store.get(key));
+    }
+
+    delete(key) {
+        return this.request('readwrite', store => store.delete(key));
+    }
+
+    clear() {
+        return this.request('readwrite', store => store.clear());
+    }
+}
+
+class ChunkWorld {
+    // Chunks kept in memory around the window, so a shift never waits
+    static KEEP_RING = 1;
+
+    /**
+     * @param {number} chunkSize - Cells per chunk side; must divide the grid's width and height
+     * @param {ChunkStore} store - Where idle chunks go; null keeps them in memory
+     */
+    constructor(chunkSize = 32, store = null) {
+        this.chunkSize = chunkSize;
+        this.store = store;
+        this.originX = 0;           // World chunk at the window's top-left corner
+        this.originY = 0;
+
+        this.chunks = new Map();    // 'cx,cy' -> { fieldName: typed array } for chunks in memory
+        this.stored = new Set();    // Keys written to the store and not in memory
+        this.loading = new Map();   // Key -> promise of a chunk being read back
+        this.shifts = 0;            // Window moves so far
+
+        // Called with (dx, dy) in cells after the window moves
+        this.onShift = null;
+
+        if (store) store.clear().catch(ChunkWorld.logError);
+    }
+
+    static key(cx, cy) {
+        return `${cx},${cy}`;
+    }
+
+    /**
+     * Whether a mode's grid can be streamed in chunks of `chunkSize`
+     */
+    static supports(sims, chunkSize) {
+        if (sims.mode === '3d' || sims.mode === 'particle') return false;
+        const sim = SimState.activeSim(sims);
+        return sim.width % chunkSize === 0 && sim.height % chunkSize === 0;
+    }
+
+    /**
+     * World cell of a grid cell
+     * @returns {number[]} [x, y]
+     */
+    toWorld(x, y) {
+        return [x + this.originX * this.chunkSize, y + this.originY * this.chunkSize];
+    }
+
+    get chunkCount() {
+        return this.chunks.size + this.stored.size;
+    }
+
+    /**
+     * Fields holding mass, whose extent the window follows
+     */
+    static massFields(sims) {
+        if (sims.mode === 'ecosystem') return sims.multiChannel.channels;
+        if (sims.mode === 'flow') return [sims.flowLenia.A];
+        return [sims.lenia.grid];
+    }
+
+    /**
+     * Smallest cell rectangle holding every cell above `threshold`
+     * @returns {Object|null} { x0, y0, x1, y1 } (inclusive), or null if empty
+     */
+    static massBounds(fields, width, height, threshold = 0.01) {
+        let x0 = width, y0 = height, x1 = -1, y1 = -1;
+        for (const field of fields) {
+            for (let y = 0; y < height; y++) {
+                const row = y * width;
+                for (let x = 0; x < width; x++) {
+                    if (field[row + x] <= threshold) continue;
+                    if (x < x0) x0 = x;
+                    if (x > x1) x1 = x;
+                    if (y < y0) y0 = y;
+                    if (y > y1) y1 = y;
+                }
+            }
+        }
+        return x1 < 0 ? null : { x0, y0, x1, y1 };
+    }
+
+    /**
+     * Chunks to move the window along one axis: none while the mass keeps
+     * a chunk away from both edges, otherwise toward centering it, as far
+     * as possible without pushing any of it out of the window
+     */
+    axisShift(lo, hi, size) {
+        const chunk = this.chunkSize;
+        if (lo >= chunk && hi < size - chunk) return 0;
+
+        const least = Math.ceil((hi + 1 - size) / chunk);
+        const most = Math.floor(lo / chunk);
+        const centered = Math.round(((lo + hi + 1) / 2 - size / 2) / chunk);
+        if (least > most) return 0;
+        return Math.min(most, Math.max(least, centered));
+    }
+
+    /**
+     * Move the window to keep the mass away from its edges, if needed
+     * @param {Object} sims - Simulation bundle (see sim-state.js)
+     * @returns {boolean} True if the window moved
+     */
+    follow(sims) {
+        const sim = SimState.activeSim(sims);
+        const bounds = ChunkWorld.massBounds(ChunkWorld.massFields(sims), sim.width, sim.height);
+        if (!bounds) return false;
+
+        const dx = this.axisShift(bounds.x0, bounds.x1, sim.width);
+        const dy = this.axisShift(bounds.y0, bounds.y1, sim.height);
+        if (dx === 0 && dy === 0) return false;
+
+        // Chunks entering the window must be in memory first
+        const tilesX = sim.width / this.chunkSize;
+        const tilesY = sim.height / this.chunkSize;
+        let ready = true;
+        for (let j = 0; j < tilesY; j++) {
+            for (let i = 0; i < tilesX; i++) {
+                const key = ChunkWorld.key(this.originX + dx + i, this.originY + dy + j);
+                if (this.stored.has(key)) {
+                    this.fetch(key);
+                    ready = false;
+                }
+            }
+        }
+        if (!ready) return false;
+
+        this.shift(sims, dx, dy);
+        return true;
+    }
+
+    /**
+     * Move the window by (dx, dy) chunks: save the chunks leaving it and
+     * fill the ones entering it
+     */
+    shift(sims, dx, dy) {
+        const sim = SimState.activeSim(sims);
+        const { chunkSize } = this;
+        const width = sim.width;
+        const tilesX = width / chunkSize;
+        const tilesY = sim.height / chunkSize;
+        const entries = SimState.fieldEntries(sims);
+
+        const inWindow = (i, j) => i >= 0 && i < tilesX && j >= 0 && j < tilesY;
+
+        // Cut out the chunks the window leaves
+        for (let j = 0; j < tilesY; j++) {
+            for (let i = 0; i < tilesX; i++) {
+                if (inWindow(i - dx, j - dy)) continue;
+                const chunk = {};
+                let blank = true;
+                for (const [name, owner, key] of entries) {
+                    chunk[name] = ChunkWorld.readChunk(owner[key], width, i, j, chunkSize);
+                    if (!ChunkWorld.isBlank(chunk[name], ChunkWorld.blankValue(owner, key))) blank = false;
+                }
+                const worldKey = ChunkWorld.key(this.originX + i, this.originY + j);
+                if (blank) {
+                    this.chunks.delete(worldKey);
+                } else {
+                    this.chunks.set(worldKey, chunk);
+                }
+            }
+        }
+
+        // Move the cells that stay and fill in the rest, field by field
+        for (const [name, owner, key] of entries) {
+            const field = owner[key];
+            const moved = new field.constructor(field.length);
+            for (let j = 0; j < tilesY; j++) {
+                for (let i = 0; i < tilesX; i++) {
+                    if (inWindow(i + dx, j + dy)) {
+                        const block = ChunkWorld.readChunk(field, width, i + dx, j + dy, chunkSize);
+                        ChunkWorld.writeChunk(moved, width, i, j, chunkSize, block);
+                        continue;
+                    }
+                    const chunk = this.chunks.get(ChunkWorld.key(this.originX + dx + i, this.originY + dy + j));
+                    if (chunk && chunk[name]) {
+                        ChunkWorld.writeChunk(moved, width, i, j, chunkSize, chunk[name]);
+                    } else {
+                        ChunkWorld.fillChunk(moved, width, i, j, chunkSize, ChunkWorld.blankValue(owner, key));
+                    }
+                }
+            }
+            field.set(moved);
+        }
+
+        // Restored chunks live in the window now
+        for (let j = 0; j < tilesY; j++) {
+            for (let i = 0; i < tilesX; i++) {
+                if (!inWindow(i + dx, j + dy)) {
+                    this.chunks.delete(ChunkWorld.key(this.originX + dx + i, this.originY + dy + j));
+                }
+            }
+        }
+
+        this.originX += dx;
+        this.originY += dy;
+        this.shifts++;
+
+        const cellsX = -dx * chunkSize;
+        const cellsY = -dy * chunkSize;
+        if (sims.mode === 'flow') {
+            sims.creatureTracker.translate(cellsX, cellsY);
+            sims.environment.translate(cellsX, cellsY);
+            MassBudget.translate(sims.flowLenia.massBudget, cellsX, cellsY);
+        }
+        const environment = sims.mode === 'flow' ? sims.environment : sim.environment;
+        if (environment) environment.computeObstacleGradient();
+
+        this.evict(tilesX, tilesY);
+        if (this.onShift) this.onShift(cellsX, cellsY);
+    }
+
+    /**
+     * Send chunks more than KEEP_RING chunks from the window to the store,
+     * and start reading back stored chunks within it
+     */
+    evict(tilesX, tilesY) {
+        if (!this.store) return;
+        const ring = ChunkWorld.KEEP_RING;
+        const near = (key) => {
+            const [cx, cy] = key.split(',').map(Number);
+            return cx >= this.originX - ring && cx < this.originX + tilesX + ring &&
+                cy >= this.originY - ring && cy < this.originY + tilesY + ring;
+        };
+
+        for (const [key, chunk] of this.chunks) {
+            if (near(key)) continue;
+            this.chunks.delete(key);
+            this.stored.add(key);
+            this.store.put(key, chunk).catch(ChunkWorld.logError);
+        }
+        for (const key of this.stored) {
+            if (near(key)) this.fetch(key);
+        }
+    }
+
+    /**
+     * Read a stored chunk back into memory (once; later calls wait on the same read)
+     */
+    fetch(key) {
+        if (!this.loading.has(key)) {
+            // A chunk that can't be read back is lost, and the plane is empty there
+            const load = this.store.get(key).catch(ChunkWorld.logError).then(chunk => {
+                // The plane may have been reset meanwhile
+                if (this.loading.get(key) !== load) return;
+                this.loading.delete(key);
+                this.stored.delete(key);
+                if (chunk) this.chunks.set(key, chunk);
+                this.store.delete(key).catch(ChunkWorld.logError);
+            });
+            this.loading.set(key, load);
+        }
+        return this.loading.get(key);
+    }
+
+    /**
+     * Forget every chunk and put the window back at the origin
+     */
+    reset() {
+        this.chunks.clear();
+        this.stored.clear();
+        this.loading.clear();
+        this.originX = 0;
+        this.originY = 0;
+        this.shifts = 0;
+        if (this.store) this.store.clear().catch(ChunkWorld.logError);
+    }
+
+    static logError(e) {
+        console.error('Chunk store failed:', e);
+    }
+
+    /**
+     * Value a field holds where nothing has happened: the global value for
+     * parameter maps and Flow-Lenia's per-cell parameters and traits, 0 otherwise
+     */
+    static blankValue(owner, key) {
+        if (key === 'P_mu') return owner.mu;
+        if (key === 'P_sigma') return owner.sigma;
+        if (typeof key === 'string' && key.startsWith('P_')) return LocalGenome.values(owner)[key.slice(2)];
+        if (typeof key === 'string' && key.endsWith('Map')) return owner[key.slice(0, -3)];
+        return 0;
+    }
+
+    static isBlank(block, value) {
+        // Compare through the block's own type, so a float map's global value matches exactly
+        const blank = new block.constructor([value])[0];
+        return block.every(v => v === blank);
+    }
+
+    static readChunk(field, width, i, j, size) {
+        const block = new field.constructor(size * size);
+        for (let y = 0; y < size; y++) {
+            const start = (j * size + y) * width + i * size;
+            block.set(field.subarray(start, start + size), y * size);
+        }
+        return block;
+    }
+
+    static writeChunk(field, width, i, j, size, block) {
+        for (let y = 0; y < size; y++) {
+            field.set(block.subarray(y * size, (y + 1) * size), (j * size + y) * width + i * size);
+        }
+    }
+
+    static fillChunk(field, width, i, j, size, value) {
+        for (let y = 0; y < size; y++) {
+            const start = (j * size + y) * width + i * size;
+            field.fill(value, start, start + size);
+        }
+    }
+}
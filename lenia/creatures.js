@@ -37,25 +37,25 @@ class CreatureMemory {
     /**
      * Convert world coordinates to memory grid index
      */
-    worldToMemory(x, y, worldSize) {
-        const mx = Math.floor((x / worldSize) * this.resolution) % this.resolution;
-        const my = Math.floor((y / worldSize) * this.resolution) % this.resolution;
+    worldToMemory(x, y, worldWidth, worldHeight = worldWidth) {
+        const mx = Math.floor((x / worldWidth) * this.resolution) % this.resolution;
+        const my = Math.floor((y / worldHeight) * this.resolution) % this.resolution;
         return my * this.resolution + mx;
     }
 
     /**
      * Record a positive food memory at location
      */
-    recordFood(x, y, worldSize, intensity = 0.3) {
-        const idx = this.worldToMemory(x, y, worldSize);
+    recordFood(x, y, worldWidth, worldHeight, intensity = 0.3) {
+        const idx = this.worldToMemory(x, y, worldWidth, worldHeight);
         this.food[idx] = Math.min(1, this.food[idx] + intensity);
     }
 
     /**
      * Record a negative danger memory at location
      */
-    recordDanger(x, y, worldSize, intensity = 0.5) {
-        const idx = this.worldToMemory(x, y, worldSize);
+    recordDanger(x, y, worldWidth, worldHeight, intensity = 0.5) {
+        const idx = this.worldToMemory(x, y, worldWidth, worldHeight);
         this.danger[idx] = Math.min(1, this.danger[idx] + intensity);
     }
 
@@ -72,28 +72,53 @@ class CreatureMemory {
     /**
      * Get net memory value at location (food - danger)
      */
-    getValue(x, y, worldSize) {
-        const idx = this.worldToMemory(x, y, worldSize);
+    getValue(x, y, worldWidth, worldHeight = worldWidth) {
+        const idx = this.worldToMemory(x, y, worldWidth, worldHeight);
         return this.food[idx] - this.danger[idx];
     }
 
     /**
      * Compute gradient pointing toward positive memories / away from negative
      */
-    getGradient(creatureX, creatureY, worldSize) {
-        const step = worldSize / this.resolution;
+    getGradient(creatureX, creatureY, worldWidth, worldHeight = worldWidth) {
+        const stepX = worldWidth / this.resolution;
+        const stepY = worldHeight / this.resolution;
         let gradX = 0, gradY = 0;
         const dirs = [[1, 0], [-1, 0], [0, 1], [0, -1]];
         for (const [dx, dy] of dirs) {
-            const nx = (creatureX + dx * step + worldSize) % worldSize;
-            const ny = (creatureY + dy * step + worldSize) % worldSize;
-            const value = this.getValue(nx, ny, worldSize);
+            const nx = (creatureX + dx * stepX + worldWidth) % worldWidth;
+            const ny = (creatureY + dy * stepY + worldHeight) % worldHeight;
+            const value = this.getValue(nx, ny, worldWidth, worldHeight);
             gradX += dx * value;
             gradY += dy * value;
         }
         return { x: gradX, y: gradY };
     }
 
+    /**
+     * Move the memories by (dx, dy) world cells, to the nearest memory
+     * cell; what moves off the grid is forgotten
+     */
+    translate(dx, dy, worldWidth, worldHeight = worldWidth) {
+        const res = this.resolution;
+        const sx = Math.round(dx / worldWidth * res);
+        const sy = Math.round(dy / worldHeight * res);
+        if (sx === 0 && sy === 0) return;
+
+        for (const grid of [this.food, this.danger]) {
+            const old = new Float32Array(grid);
+            grid.fill(0);
+            for (let y = 0; y < res; y++) {
+                const ty = y + sy;
+                if (ty < 0 || ty >= res) continue;
+                for (let x = 0; x < res; x++) {
+                    const tx = x + sx;
+                    if (tx >= 0 && tx < res) grid[ty * res + tx] = old[y * res + x];
+                }
+            }
+        }
+    }
+
     /**
      * Clone memory for offspring (optional - offspring may inherit partial memory)
      */
@@ -181,6 +206,9 @@ class Genome {
         // Phase 16: Locomotion parameters
         // Kernel offset creates asymmetric growth - pattern grows at front, dies at back
         this.locomotionSpeed = defaults.locomotionSpeed ?? 0.5;            // Kernel offset magnitude (0-3 pixels)
+
+        // Obstacle sensing: how strongly the creature steers away from nearby walls
+        this.obstacleWeight = defaults.obstacleWeight ?? 1.0;              // Negative values hug walls (-0.5-2)
     }
 
     /**
@@ -193,7 +221,7 @@ class Genome {
 
         // Add Gaussian noise to each parameter
         const mutate = (value, min, max) => {
-            const noise = (Math.random() - 0.5) * 2 * mutationRate * (max - min);
+            const noise = (Random.random() - 0.5) * 2 * mutationRate * (max - min);
             return Math.max(min, Math.min(max, value + noise));
         };
 
@@ -282,8 +310,11 @@ class Genome {
         // Locomotion speed - kernel offset for self-propulsion
         child.locomotionSpeed = mutate(child.locomotionSpeed, 0, 3.0);
 
+        // Mutate obstacle sensing
+        child.obstacleWeight = mutate(child.obstacleWeight, -0.5, 2.0);
+
         // Small chance to flip predator status
-        if (Math.random() < mutationRate * 0.1) {
+        if (Random.random() < mutationRate * 0.1) {
             child.isPredator = !child.isPredator;
         }
 
@@ -336,7 +367,9 @@ class Genome {
             wanderlust: this.wanderlust,
             seasonalAdaptation: this.seasonalAdaptation,
             // Phase 16: Locomotion parameters
-            locomotionSpeed: this.locomotionSpeed
+            locomotionSpeed: this.locomotionSpeed,
+            // Obstacle sensing
+            obstacleWeight: this.obstacleWeight
         });
     }
 
@@ -382,19 +415,28 @@ class Genome {
             wanderlust: sensory.wanderlust ?? 0.3,
             seasonalAdaptation: sensory.seasonalAdaptation ?? 0.3,
             // Phase 16: Locomotion defaults
-            locomotionSpeed: sensory.locomotionSpeed ?? 0.5
+            locomotionSpeed: sensory.locomotionSpeed ?? 0.5,
+            // Obstacle sensing defaults
+            obstacleWeight: sensory.obstacleWeight ?? 1.0
         });
     }
 }
 
 class CreatureTracker {
-    constructor(size) {
-        this.size = size;
+    /**
+     * @param {number} width - Grid width in cells
+     * @param {number} height - Grid height in cells (defaults to width)
+     */
+    constructor(width, height = width) {
+        this.width = width;
+        this.height = height;
 
         // Creature data
         this.creatures = [];         // Array of Creature objects
         this.nextId = 1;             // Next creature ID to assign
-        this.labels = new Int32Array(size * size);  // Cell labels
+        this.labels = new Int32Array(width * height);  // Cell labels
+        this.boundary = 'periodic';  // Edge behavior, set by FlowLenia.setBoundary (see boundary.js)
+        this.headingRandom = Random.main;  // Source of new creatures' starting headings
 
         // Tracking parameters
         this.params = {
@@ -413,7 +455,8 @@ class CreatureTracker {
             socialWeight: 0.3,        // Attraction to other creatures (can be negative)
             socialDistance: 70,       // Distance at which social forces apply (increased for better detection)
             turnRate: 0.15,           // How fast creatures can turn (0-1)
-            isPredator: false         // If true, attracted to smaller creatures
+            isPredator: false,        // If true, attracted to smaller creatures
+            obstacleWeight: 1.0       // Repulsion from nearby walls (negative = wall-hugging)
         };
 
         // Phase 5: Evolution parameters
@@ -455,7 +498,7 @@ class CreatureTracker {
         this.baseGenome = null;
 
         // Working buffers
-        this.visited = new Uint8Array(size * size);
+        this.visited = new Uint8Array(width * height);
 
         // Phase 12: Environment reference for signal emission
         this.environment = null;
@@ -480,6 +523,7 @@ class CreatureTracker {
             this.cells = [];          // Array of {x, y, value} in creature
             this.age = 0;             // Frames since creation
             this.lastSeen = 0;        // Frame when last detected
+            this.channel = null;      // Multi-channel worlds: channel the creature lives in
 
             // Phase 5: Evolution fields
             this.energy = 25;         // Current energy level (starts at 25)
@@ -502,7 +546,7 @@ class CreatureTracker {
          * Phase 15: Get smoothed velocity from position history
          * More reliable than frame-to-frame delta for prediction
          */
-        getSmoothedVelocity(size) {
+        getSmoothedVelocity(width, height = width, boundary = 'periodic') {
             if (this.positionHistory.length < 2) {
                 return { vx: this.vx, vy: this.vy };
             }
@@ -516,15 +560,9 @@ class CreatureTracker {
                 return { vx: this.vx, vy: this.vy };
             }
 
-            // Calculate toroidal delta
-            let dx = newest.x - oldest.x;
-            let dy = newest.y - oldest.y;
-
-            // Handle wraparound
-            if (dx > size / 2) dx -= size;
-            if (dx < -size / 2) dx += size;
-            if (dy > size / 2) dy -= size;
-            if (dy < -size / 2) dy += size;
+            // Calculate delta (handles wraparound in periodic worlds)
+            const dx = Boundary.delta(newest.x, oldest.x, width, boundary);
+            const dy = Boundary.delta(newest.y, oldest.y, height, boundary);
 
             return {
                 vx: dx / frameDelta,
@@ -578,11 +616,33 @@ class CreatureTracker {
         this.updateCreatureProperties(frameNumber);
     }
 
+    /**
+     * Detect and track creatures in a multi-channel world (see
+     * MultiChannelLenia.flowStep)
+     * Each channel is searched on its own, so a predator touching its prey
+     * stays two creatures, and creatures only match within their channel.
+     * Labels are left holding the last channel's components
+     * @param {Float32Array[]} channels - Mass field of each channel
+     * @param {number} frameNumber - Current frame for tracking
+     */
+    updateChannels(channels, frameNumber = 0) {
+        const found = [];
+        channels.forEach((channel, c) => {
+            for (const creature of this.findCreatures(channel)) {
+                creature.channel = c;
+                found.push(creature);
+            }
+        });
+
+        this.matchCreatures(found, frameNumber);
+        this.updateCreatureProperties(frameNumber);
+    }
+
     /**
      * Find connected components (creatures) in the mass field
      */
     findCreatures(massField) {
-        const { size, params } = this;
+        const { width, height, params } = this;
         const creatures = [];
 
         this.labels.fill(0);
@@ -590,9 +650,9 @@ class CreatureTracker {
 
         let labelId = 0;
 
-        for (let y = 0; y < size; y++) {
-            for (let x = 0; x < size; x++) {
-                const idx = y * size + x;
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const idx = y * width + x;
 
                 if (this.visited[idx] || massField[idx] < params.massThreshold) {
                     continue;
@@ -632,13 +692,15 @@ class CreatureTracker {
      * Flood fill to find connected component
      */
     floodFill(massField, startX, startY, labelId) {
-        const { size, params } = this;
+        const { width, height, params } = this;
+        // Components only join across the edge of a periodic world
+        const edge = Boundary.drawMode(this.boundary);
         const cells = [];
         const stack = [{ x: startX, y: startY }];
 
         while (stack.length > 0) {
             const { x, y } = stack.pop();
-            const idx = y * size + x;
+            const idx = y * width + x;
 
             if (this.visited[idx]) continue;
             if (massField[idx] < params.massThreshold) continue;
@@ -649,16 +711,17 @@ class CreatureTracker {
             const value = massField[idx];
             cells.push({ x, y, value });
 
-            // Check 4 neighbors (toroidal)
+            // Check 4 neighbors
             const neighbors = [
-                { x: (x - 1 + size) % size, y },
-                { x: (x + 1) % size, y },
-                { x, y: (y - 1 + size) % size },
-                { x, y: (y + 1) % size }
+                { x: Boundary.cell(x - 1, width, edge), y },
+                { x: Boundary.cell(x + 1, width, edge), y },
+                { x, y: Boundary.cell(y - 1, height, edge) },
+                { x, y: Boundary.cell(y + 1, height, edge) }
             ];
 
             for (const n of neighbors) {
-                const nIdx = n.y * size + n.x;
+                if (n.x < 0 || n.y < 0) continue;
+                const nIdx = n.y * width + n.x;
                 if (!this.visited[nIdx] && massField[nIdx] >= params.massThreshold) {
                     stack.push(n);
                 }
@@ -682,7 +745,7 @@ class CreatureTracker {
             let bestDist = params.matchDistance;
 
             for (const existing of this.creatures) {
-                if (matched.has(existing.id)) continue;
+                if (matched.has(existing.id) || existing.channel !== newCreature.channel) continue;
 
                 const dist = this.toroidalDistance(
                     newCreature.x, newCreature.y,
@@ -710,8 +773,8 @@ class CreatureTracker {
                 bestMatch.age++;
 
                 // Calculate velocity (with toroidal wrapping)
-                const dx = this.toroidalDelta(newCreature.x, oldX, this.size);
-                const dy = this.toroidalDelta(newCreature.y, oldY, this.size);
+                const dx = this.toroidalDelta(newCreature.x, oldX, this.width);
+                const dy = this.toroidalDelta(newCreature.y, oldY, this.height);
 
                 bestMatch.vx = bestMatch.vx * (1 - params.velocitySmoothing) +
                                dx * params.velocitySmoothing;
@@ -747,7 +810,7 @@ class CreatureTracker {
                 // Create new creature
                 newCreature.id = this.nextId++;
                 newCreature.lastSeen = frameNumber;
-                newCreature.heading = Math.random() * Math.PI * 2;
+                newCreature.heading = this.headingRandom.random() * Math.PI * 2;
                 // Phase 11: Initialize memory for new creature
                 newCreature.memory = new CreatureMemory(8);
                 // Phase 13: Set home location to birth position
@@ -788,22 +851,20 @@ class CreatureTracker {
     }
 
     /**
-     * Compute toroidal distance
+     * Compute distance (shortest way around in periodic worlds, straight
+     * line in bounded ones)
      */
     toroidalDistance(x1, y1, x2, y2) {
-        const dx = Math.min(Math.abs(x2 - x1), this.size - Math.abs(x2 - x1));
-        const dy = Math.min(Math.abs(y2 - y1), this.size - Math.abs(y2 - y1));
+        const dx = Boundary.delta(x2, x1, this.width, this.boundary);
+        const dy = Boundary.delta(y2, y1, this.height, this.boundary);
         return Math.sqrt(dx * dx + dy * dy);
     }
 
     /**
-     * Compute toroidal delta (shortest path direction)
+     * Compute delta along one axis (shortest path direction in periodic worlds)
      */
     toroidalDelta(to, from, size) {
-        let delta = to - from;
-        if (delta > size / 2) delta -= size;
-        if (delta < -size / 2) delta += size;
-        return delta;
+        return Boundary.delta(to, from, size, this.boundary);
     }
 
     /**
@@ -851,6 +912,15 @@ class CreatureTracker {
             senseY += weighted.y * sensory.socialWeight;
         }
 
+        // Wall sensing with directional weighting - the proximity gradient points
+        // toward walls, so a positive weight steers away from them
+        if (sensory.obstacleWeight && environment) {
+            const wallGrad = environment.getObstacleGradient(creature.x, creature.y);
+            const weighted = this.applyDirectionalWeight(wallGrad, preferredDir, sensorFocus);
+            senseX -= weighted.x * sensory.obstacleWeight * 20;
+            senseY -= weighted.y * sensory.obstacleWeight * 20;
+        }
+
         // Add current (environmental flow) - no directional weighting for currents
         if (environment && environment.current) {
             senseX += environment.current.x;
@@ -860,7 +930,7 @@ class CreatureTracker {
         // Phase 11: Memory gradient influence
         if (creature.memory) {
             creature.memory.decay();  // Decay memories each frame
-            const memGrad = creature.memory.getGradient(creature.x, creature.y, this.size);
+            const memGrad = creature.memory.getGradient(creature.x, creature.y, this.width, this.height);
             const memWeight = genome ? genome.memoryWeight : 0.3;
             // Scale memory gradient to be comparable to other sensory inputs
             senseX += memGrad.x * memWeight * 10;
@@ -908,8 +978,8 @@ class CreatureTracker {
         // Phase 13: Homing behavior - attraction to birthplace when outside territory
         // Phase 14: Homing is reduced when wanderlust is high and food is scarce
         if (genome && genome.homingStrength > 0 && creature.homeX !== null) {
-            const homeDistX = this.toroidalDelta(creature.homeX, creature.x, this.size);
-            const homeDistY = this.toroidalDelta(creature.homeY, creature.y, this.size);
+            const homeDistX = this.toroidalDelta(creature.homeX, creature.x, this.width);
+            const homeDistY = this.toroidalDelta(creature.homeY, creature.y, this.height);
             const homeDist = Math.sqrt(homeDistX * homeDistX + homeDistY * homeDistY);
 
             if (homeDist > genome.territoryRadius && homeDist > 1) {
@@ -968,8 +1038,8 @@ class CreatureTracker {
             for (const other of this.creatures) {
                 if (other.id === creature.id) continue;
 
-                const dx = this.toroidalDelta(other.x, creature.x, this.size);
-                const dy = this.toroidalDelta(other.y, creature.y, this.size);
+                const dx = this.toroidalDelta(other.x, creature.x, this.width);
+                const dy = this.toroidalDelta(other.y, creature.y, this.height);
                 const dist = Math.sqrt(dx * dx + dy * dy);
                 const otherRadius = other.radius || 5;
                 const minSeparation = (myRadius + otherRadius) * 2.0;
@@ -996,8 +1066,8 @@ class CreatureTracker {
                 if (other.id === creature.id) continue;
                 if (other.genome && other.genome.isPredator) continue;  // Only align with fellow prey
 
-                const dx = this.toroidalDelta(other.x, creature.x, this.size);
-                const dy = this.toroidalDelta(other.y, creature.y, this.size);
+                const dx = this.toroidalDelta(other.x, creature.x, this.width);
+                const dy = this.toroidalDelta(other.y, creature.y, this.height);
                 const dist = Math.sqrt(dx * dx + dy * dy);
 
                 if (dist < genome.flockingRadius && dist > 5) {
@@ -1026,8 +1096,8 @@ class CreatureTracker {
 
             for (const other of this.creatures) {
                 if (other.genome && other.genome.isPredator) continue;  // Skip other hunters
-                const dx = this.toroidalDelta(other.x, creature.x, this.size);
-                const dy = this.toroidalDelta(other.y, creature.y, this.size);
+                const dx = this.toroidalDelta(other.x, creature.x, this.width);
+                const dy = this.toroidalDelta(other.y, creature.y, this.height);
                 const dist = Math.sqrt(dx * dx + dy * dy);
                 if (dist < nearestDist) {
                     nearestDist = dist;
@@ -1042,8 +1112,8 @@ class CreatureTracker {
 
                 for (const other of this.creatures) {
                     if (!other.genome || !other.genome.isPredator || other.id === creature.id) continue;
-                    const otherToPreyX = this.toroidalDelta(nearestPrey.x, other.x, this.size);
-                    const otherToPreyY = this.toroidalDelta(nearestPrey.y, other.y, this.size);
+                    const otherToPreyX = this.toroidalDelta(nearestPrey.x, other.x, this.width);
+                    const otherToPreyY = this.toroidalDelta(nearestPrey.y, other.y, this.height);
                     const otherToPrey = Math.sqrt(otherToPreyX * otherToPreyX + otherToPreyY * otherToPreyY);
                     if (otherToPrey < 80) {
                         otherHuntersNearby++;
@@ -1053,8 +1123,8 @@ class CreatureTracker {
 
                 if (otherHuntersNearby > 0) {
                     // Flank: approach from perpendicular angle
-                    const directDx = this.toroidalDelta(nearestPrey.x, creature.x, this.size);
-                    const directDy = this.toroidalDelta(nearestPrey.y, creature.y, this.size);
+                    const directDx = this.toroidalDelta(nearestPrey.x, creature.x, this.width);
+                    const directDy = this.toroidalDelta(nearestPrey.y, creature.y, this.height);
                     const directAngle = Math.atan2(directDy, directDx);
                     avgHunterAngle /= otherHuntersNearby;
 
@@ -1130,7 +1200,7 @@ class CreatureTracker {
      * @param {Object} sensory - Sensory parameters to use
      */
     computeSocialForceForCreature(creature, sensory) {
-        const { size } = this;
+        const { width, height } = this;
         let forceX = 0;
         let forceY = 0;
 
@@ -1144,8 +1214,8 @@ class CreatureTracker {
 
             if (dist < sensory.socialDistance && dist > 0) {
                 // Direction toward other creature
-                const dx = this.toroidalDelta(other.x, creature.x, size);
-                const dy = this.toroidalDelta(other.y, creature.y, size);
+                const dx = this.toroidalDelta(other.x, creature.x, width);
+                const dy = this.toroidalDelta(other.y, creature.y, height);
                 const len = Math.sqrt(dx * dx + dy * dy);
 
                 if (len > 0) {
@@ -1166,7 +1236,7 @@ class CreatureTracker {
 
                             // Get SMOOTHED prey velocity from position history (more reliable than frame-to-frame)
                             const smoothedVel = other.getSmoothedVelocity ?
-                                other.getSmoothedVelocity(size) : { vx: other.vx || 0, vy: other.vy || 0 };
+                                other.getSmoothedVelocity(width, height, this.boundary) : { vx: other.vx || 0, vy: other.vy || 0 };
                             const preyVx = smoothedVel.vx;
                             const preyVy = smoothedVel.vy;
                             const preySpeed = Math.sqrt(preyVx * preyVx + preyVy * preyVy);
@@ -1183,13 +1253,13 @@ class CreatureTracker {
                             let predictedX = other.x + preyVx * lookAheadTime;
                             let predictedY = other.y + preyVy * lookAheadTime;
 
-                            // Wrap predicted position to toroidal space
-                            predictedX = ((predictedX % size) + size) % size;
-                            predictedY = ((predictedY % size) + size) % size;
+                            // Map predicted position back into the world
+                            predictedX = Boundary.position(predictedX, width, this.boundary);
+                            predictedY = Boundary.position(predictedY, height, this.boundary);
 
                             // Calculate direction to predicted position (not current position!)
-                            const predDx = this.toroidalDelta(predictedX, creature.x, size);
-                            const predDy = this.toroidalDelta(predictedY, creature.y, size);
+                            const predDx = this.toroidalDelta(predictedX, creature.x, width);
+                            const predDy = this.toroidalDelta(predictedY, creature.y, height);
                             const predLen = Math.sqrt(predDx * predDx + predDy * predDy);
 
                             if (predLen > 0.1) {
@@ -1280,7 +1350,7 @@ class CreatureTracker {
      * Phase 15: Now uses per-creature turn rate and boosts hunters for better pursuit
      */
     getSteeringForce(x, y) {
-        const idx = Math.floor(y) * this.size + Math.floor(x);
+        const idx = Math.floor(y) * this.width + Math.floor(x);
         const label = this.labels[idx];
 
         if (label === 0) return { x: 0, y: 0 };
@@ -1380,7 +1450,7 @@ class CreatureTracker {
             if (environment) {
                 let foodConsumed = 0;
                 for (const cell of creature.cells) {
-                    const idx = Math.floor(cell.y) * this.size + Math.floor(cell.x);
+                    const idx = Math.floor(cell.y) * this.width + Math.floor(cell.x);
                     if (idx >= 0 && idx < environment.food.length) {
                         const foodHere = environment.food[idx];
                         const consumed = Math.min(foodHere, cell.value * 0.1);
@@ -1392,7 +1462,7 @@ class CreatureTracker {
 
                 // Phase 11: Record food memory when food is consumed
                 if (foodConsumed > 0 && creature.memory) {
-                    creature.memory.recordFood(creature.x, creature.y, this.size, foodConsumed * 0.1);
+                    creature.memory.recordFood(creature.x, creature.y, this.width, this.height, foodConsumed * 0.1);
                 }
             }
 
@@ -1450,8 +1520,8 @@ class CreatureTracker {
 
                 // Phase 13: Emit territory signal when inside core territory
                 if (creature.homeX !== null && creature.genome.territoryRadius > 0) {
-                    const homeDistX = this.toroidalDelta(creature.homeX, creature.x, this.size);
-                    const homeDistY = this.toroidalDelta(creature.homeY, creature.y, this.size);
+                    const homeDistX = this.toroidalDelta(creature.homeX, creature.x, this.width);
+                    const homeDistY = this.toroidalDelta(creature.homeY, creature.y, this.height);
                     const homeDist = Math.sqrt(homeDistX * homeDistX + homeDistY * homeDistY);
 
                     // Inside core territory (80% of territory radius) - emit territory signal
@@ -1551,7 +1621,8 @@ class CreatureTracker {
                 pheromoneWeight: this.sensory.pheromoneWeight,
                 socialWeight: this.sensory.socialWeight,
                 turnRate: this.sensory.turnRate,
-                isPredator: this.sensory.isPredator
+                isPredator: this.sensory.isPredator,
+                obstacleWeight: this.sensory.obstacleWeight
             });
         }
 
@@ -1636,7 +1707,9 @@ class CreatureTracker {
             // Phase 14: Migration behavior traits
             migrationSensitivity: 0,
             wanderlust: 0,
-            seasonalAdaptation: 0
+            seasonalAdaptation: 0,
+            // Obstacle sensing
+            obstacleWeight: 0
         };
 
         for (const creature of this.creatures) {
@@ -1667,6 +1740,8 @@ class CreatureTracker {
                 traits.migrationSensitivity += creature.genome.migrationSensitivity;
                 traits.wanderlust += creature.genome.wanderlust;
                 traits.seasonalAdaptation += creature.genome.seasonalAdaptation;
+                // Obstacle sensing
+                traits.obstacleWeight += creature.genome.obstacleWeight;
             }
         }
 
@@ -1698,6 +1773,7 @@ class CreatureTracker {
                 socialWeight: creature.genome.socialWeight,
                 turnRate: creature.genome.turnRate,
                 isPredator: creature.genome.isPredator,
+                obstacleWeight: creature.genome.obstacleWeight,
                 socialDistance: this.sensory.socialDistance  // Keep global
             };
         }
@@ -1802,15 +1878,18 @@ class CreatureTracker {
     /**
      * Process predation - hunters eat prey on contact
      * @param {Float32Array} grid - The Lenia mass field (for removing prey mass)
-     * @param {number} size - Grid size
+     * @param {number} width - Grid width
+     * @param {number} height - Grid height
+     * @returns {number} - Prey mass removed from the grid
      */
-    processPredation(grid, size) {
-        if (!this.ecosystemMode) return;
+    processPredation(grid, width, height) {
+        if (!this.ecosystemMode) return 0;
 
         const hunters = this.creatures.filter(c => c.genome?.isPredator);
         const prey = this.creatures.filter(c => c.genome && !c.genome.isPredator);
         const eaten = new Set();
         const alarmedPrey = new Set();  // Phase 12: Track prey that have already emitted alarm
+        let massEaten = 0;
 
         for (const hunter of hunters) {
             for (const preyCreature of prey) {
@@ -1831,7 +1910,7 @@ class CreatureTracker {
                 const dangerRadius = catchRadius * 2;
                 if (dist < dangerRadius && preyCreature.memory && !eaten.has(preyCreature.id)) {
                     const intensity = 0.3 * (1 - dist / dangerRadius);
-                    preyCreature.memory.recordDanger(hunter.x, hunter.y, size, intensity);
+                    preyCreature.memory.recordDanger(hunter.x, hunter.y, width, height, intensity);
                 }
 
                 // Phase 12: Prey emit alarm signal when hunter is nearby (within 1.5x catch radius)
@@ -1853,8 +1932,9 @@ class CreatureTracker {
 
                     // Remove prey mass from the grid
                     for (const cell of preyCreature.cells) {
-                        const idx = Math.floor(cell.y) * size + Math.floor(cell.x);
+                        const idx = Math.floor(cell.y) * width + Math.floor(cell.x);
                         if (idx >= 0 && idx < grid.length) {
+                            massEaten += grid[idx];
                             grid[idx] = 0;
                         }
                     }
@@ -1867,6 +1947,7 @@ class CreatureTracker {
             this.creatures = this.creatures.filter(c => !eaten.has(c.id));
             this.stats.totalDeaths += eaten.size;
         }
+        return massEaten;
     }
 
     /**
@@ -1876,7 +1957,7 @@ class CreatureTracker {
      * @param {number} numPrey - Number of prey to spawn (default 6)
      */
     spawnEcosystem(flowLenia, numHunters = 2, numPrey = 6) {
-        const size = flowLenia.size;
+        const { width, height } = flowLenia;
 
         // Create base genomes from species presets
         this.hunterGenome = new Genome(Species.hunter.params.genome);
@@ -1891,8 +1972,8 @@ class CreatureTracker {
 
         const getSpawnPosition = (minDist = 40) => {
             for (let attempts = 0; attempts < 50; attempts++) {
-                const x = Math.random() * size;
-                const y = Math.random() * size;
+                const x = Random.random() * width;
+                const y = Random.random() * height;
                 let valid = true;
 
                 for (const pos of positions) {
@@ -1908,8 +1989,8 @@ class CreatureTracker {
                 }
             }
             // Fallback if can't find good position
-            const x = Math.random() * size;
-            const y = Math.random() * size;
+            const x = Random.random() * width;
+            const y = Random.random() * height;
             positions.push({ x, y });
             return { x, y };
         };
@@ -1924,13 +2005,13 @@ class CreatureTracker {
         // Spawn hunters (larger blobs) - Phase 15: Pass species-specific parameters
         for (let i = 0; i < numHunters; i++) {
             const pos = getSpawnPosition(80);
-            flowLenia.drawBlob(pos.x, pos.y, 14, 0.9, hunterMu, hunterSigma);
+            flowLenia.drawBlob(pos.x, pos.y, 14, 0.9, hunterMu, hunterSigma, this.hunterGenome);
         }
 
         // Spawn prey (smaller blobs) - Phase 15: Pass species-specific parameters
         for (let i = 0; i < numPrey; i++) {
             const pos = getSpawnPosition(60);
-            flowLenia.drawBlob(pos.x, pos.y, 10, 0.85, preyMu, preySigma);
+            flowLenia.drawBlob(pos.x, pos.y, 10, 0.85, preyMu, preySigma, this.preyGenome);
         }
 
         // Store expected counts for genome assignment
@@ -1943,7 +2024,7 @@ class CreatureTracker {
      * Creates a relaxing, meditative viewing experience
      */
     spawnZenEcosystem(flowLenia, count = 8) {
-        const size = flowLenia.size;
+        const { width, height } = flowLenia;
 
         // Use peaceful species: grazers and schoolers (no hunters)
         this.grazerGenome = new Genome(Species.grazer.params.genome);
@@ -1958,8 +2039,8 @@ class CreatureTracker {
 
         const getSpawnPosition = (minDist = 50) => {
             for (let attempts = 0; attempts < 50; attempts++) {
-                const x = Math.random() * size;
-                const y = Math.random() * size;
+                const x = Random.random() * width;
+                const y = Random.random() * height;
                 let valid = true;
 
                 for (const pos of positions) {
@@ -1975,8 +2056,8 @@ class CreatureTracker {
                 }
             }
             // Fallback
-            const x = Math.random() * size;
-            const y = Math.random() * size;
+            const x = Random.random() * width;
+            const y = Random.random() * height;
             positions.push({ x, y });
             return { x, y };
         };
@@ -1994,13 +2075,13 @@ class CreatureTracker {
         // Spawn grazers
         for (let i = 0; i < numGrazers; i++) {
             const pos = getSpawnPosition(60);
-            flowLenia.drawBlob(pos.x, pos.y, 12, 0.85, grazerMu, grazerSigma);
+            flowLenia.drawBlob(pos.x, pos.y, 12, 0.85, grazerMu, grazerSigma, this.grazerGenome);
         }
 
         // Spawn schoolers
         for (let i = 0; i < numSchoolers; i++) {
             const pos = getSpawnPosition(55);
-            flowLenia.drawBlob(pos.x, pos.y, 10, 0.85, schoolerMu, schoolerSigma);
+            flowLenia.drawBlob(pos.x, pos.y, 10, 0.85, schoolerMu, schoolerSigma, this.schoolerGenome);
         }
 
         // Store expected counts
@@ -2091,6 +2172,8 @@ class CreatureTracker {
         // Disabled - automatic respawning breaks mass conservation by adding
         // mass via drawBlob(). Let the ecosystem find natural balance instead.
         // If a species goes extinct, the test reveals parameter imbalance.
+        // To sustain a population, open the system with a mass budget
+        // (emitters or food conversion, see mass-budget.js) instead.
         return;
     }
 
@@ -2103,13 +2186,36 @@ class CreatureTracker {
         this.resetStats();
     }
 
+    /**
+     * Move every creature's position, cells, home, history and memory by (dx, dy)
+     * cells, after the cells under them moved (see chunk-world.js)
+     */
+    translate(dx, dy) {
+        for (const creature of this.creatures) {
+            creature.x += dx;
+            creature.y += dy;
+            if (creature.homeX !== null) {
+                creature.homeX += dx;
+                creature.homeY += dy;
+            }
+            for (const point of [...creature.cells, ...creature.positionHistory]) {
+                point.x += dx;
+                point.y += dy;
+            }
+            if (creature.memory) {
+                creature.memory.translate(dx, dy, this.width, this.height);
+            }
+        }
+    }
+
     /**
      * Resize the tracker
      */
-    resize(newSize) {
-        this.size = newSize;
-        this.labels = new Int32Array(newSize * newSize);
-        this.visited = new Uint8Array(newSize * newSize);
+    resize(newWidth, newHeight = newWidth) {
+        this.width = newWidth;
+        this.height = newHeight;
+        this.labels = new Int32Array(newWidth * newHeight);
+        this.visited = new Uint8Array(newWidth * newHeight);
         this.creatures = [];
     }
 }
@@ -0,0 +1,343 @@
+/**
+ * Edit History - undo and redo for edits made on the page
+ *
+ * An edit is anything the user does to the simulation objects: a brush
+ * stroke, a slider move, a preset load, a clear. record() snapshots the
+ * active mode (see sim-state.js) around the edit and keeps only what the
+ * edit changed:
+ * - fields  : the changed cells, with their values before and after
+ * - scalars : the changed keys of each scalar section (sim, channel
+ *             params, kernel rules, environment, tracker, genomes)
+ * - creatures: the creature list, if creatures were added or removed
+ * Undo writes the "before" values into the current state and redo the
+ * "after" values; everything else (other cells, the generation count,
+ * the random state) stays as it is. A stroke painted into a running
+ * simulation can therefore be undone without rewinding the simulation.
+ *
+ * Edits recorded under the same `group` merge into one command until
+ * endGroup(): a stroke is one command however many mouse events it took,
+ * and so is a slider drag.
+ *
+ * An edit that changes the shape of the world (mode, size, channel count;
+ * see SimulationHistory.shape) can't be expressed as a diff. It clears the
+ * history instead of being recorded.
+ */
+
+class EditHistory {
+    // Above this fraction of changed cells, a field is stored whole
+    static DENSE_FRACTION = 0.5;
+
+    constructor(limit = 100) {
+        this.limit = limit;         // Most commands kept
+        this.undoStack = [];        // Oldest first
+        this.redoStack = [];
+        this.group = null;          // Group the newest command is still open to
+    }
+
+    /**
+     * Changed cells of one field: { indices, before, after }, with indices
+     * null when the field is stored whole. A field only one side has is
+     * stored whole, with null for the missing side
+     */
+    static diffField(before, after) {
+        if (!before || !after || before.length !== after.length) {
+            return {
+                indices: null,
+                before: before ? new Float32Array(before) : null,
+                after: after ? new Float32Array(after) : null
+            };
+        }
+
+        const changed = [];
+        for (let i = 0; i < after.length; i++) {
+            if (before[i] !== after[i]) changed.push(i);
+        }
+        if (changed.length === 0) return null;
+        if (changed.length > after.length * EditHistory.DENSE_FRACTION) {
+            return { indices: null, before: new Float32Array(before), after: new Float32Array(after) };
+        }
+
+        const indices = Uint32Array.from(changed);
+        return {
+            indices,
+            before: Float32Array.from(indices, i => before[i]),
+            after: Float32Array.from(indices, i => after[i])
+        };
+    }
+
+    /**
+     * Changed scalar keys as [section, index, key, before, after] entries
+     * Array sections (channels, kernels) are compared entry by entry while
+     * their length holds, and replaced whole (index and key null) otherwise
+     */
+    static diffScalars(before, after) {
+        const changes = [];
+        const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+        const diffObject = (section, index, a = {}, b = {}) => {
+            for (const key of new Set([...Object.keys(a), ...Object.keys(b)])) {
+                if (!same(a[key], b[key])) {
+                    changes.push([section, index, key, a[key], b[key]]);
+                }
+            }
+        };
+
+        for (const section of new Set([...Object.keys(before), ...Object.keys(after)])) {
+            const a = before[section];
+            const b = after[section];
+            if (Array.isArray(a) || Array.isArray(b)) {
+                if (!Array.isArray(a) || !Array.isArray(b) || a.length !== b.length) {
+                    changes.push([section, null, null, a, b]);
+                } else {
+                    a.forEach((entry, i) => diffObject(section, i, entry, b[i]));
+                }
+            } else {
+                diffObject(section, null, a, b);
+            }
+        }
+        return changes;
+    }
+
+    /**
+     * What an edit changed between two snapshots of the same shape, or
+     * null if nothing did
+     */
+    static diff(before, after) {
+        const fields = {};
+        for (const name of new Set([...Object.keys(before.fields), ...Object.keys(after.fields)])) {
+            const change = EditHistory.diffField(before.fields[name], after.fields[name]);
+            if (change) fields[name] = change;
+        }
+
+        const scalars = EditHistory.diffScalars(before.scalars, after.scalars);
+
+        // Creatures move every step; only additions and removals are edits
+        const ids = state => state.creatures.map(c => c.id).join(',');
+        const creatures = ids(before) !== ids(after)
+            ? { before: before.creatures, after: after.creatures }
+            : null;
+
+        if (Object.keys(fields).length === 0 && scalars.length === 0 && !creatures) {
+            return null;
+        }
+        return structuredClone({ fields, scalars, creatures });
+    }
+
+    /**
+     * Fold a later change into a command: first "before", last "after"
+     */
+    static merge(command, change) {
+        for (const [name, next] of Object.entries(change.fields)) {
+            const prev = command.fields[name];
+            if (!prev) {
+                command.fields[name] = next;
+            } else if (prev.indices && next.indices) {
+                const cells = new Map();
+                prev.indices.forEach((cell, k) => cells.set(cell, [prev.before[k], prev.after[k]]));
+                next.indices.forEach((cell, k) => {
+                    const old = cells.get(cell);
+                    cells.set(cell, [old ? old[0] : next.before[k], next.after[k]]);
+                });
+                const indices = Uint32Array.from([...cells.keys()].sort((a, b) => a - b));
+                command.fields[name] = {
+                    indices,
+                    before: Float32Array.from(indices, i => cells.get(i)[0]),
+                    after: Float32Array.from(indices, i => cells.get(i)[1])
+                };
+            } else {
+                // One side is whole: rebuild the whole field on both sides
+                const before = EditHistory.wholeField(prev, 'before', next);
+                const after = EditHistory.wholeField(next, 'after', prev);
+                command.fields[name] = { indices: null, before, after };
+            }
+        }
+
+        for (const entry of change.scalars) {
+            const [section, index, key] = entry;
+            const prev = command.scalars.find(e => e[0] === section && e[1] === index && e[2] === key);
+            if (prev) {
+                prev[4] = entry[4];
+            } else {
+                command.scalars.push(entry);
+            }
+        }
+
+        if (change.creatures) {
+            command.creatures = {
+                before: command.creatures ? command.creatures.before : change.creatures.before,
+                after: change.creatures.after
+            };
+        }
+    }
+
+    /**
+     * One side of a field change as a whole field. A sparse change only has
+     * the cells it touched; the rest come from the same side of the other
+     * change, which is whole
+     */
+    static wholeField(change, side, other) {
+        if (!change.indices) return change[side];
+        if (!other[side]) return null;
+        const whole = new Float32Array(other[side]);
+        change.indices.forEach((cell, k) => { whole[cell] = change[side][k]; });
+        return whole;
+    }
+
+    /**
+     * Snapshot whose scalars and creatures are copies: SimState shares
+     * them with the live objects, and an edit may change them in place
+     */
+    static capture(sims) {
+        const state = SimState.capture(sims);
+        state.scalars = structuredClone(state.scalars);
+        state.creatures = structuredClone(state.creatures);
+        return state;
+    }
+
+    /**
+     * Run an edit and record what it changed
+     * @param {Object} sims - Simulation bundle (see sim-state.js)
+     * @param {string} label - Shown on the undo/redo buttons
+     * @param {Function} edit - Changes the simulation objects
+     * @param {string} group - Edits with the same group merge until endGroup()
+     */
+    record(sims, label, edit, group = null) {
+        const before = EditHistory.capture(sims);
+        const result = edit();
+        const after = EditHistory.capture(sims);
+
+        if (SimulationHistory.shape(before) !== SimulationHistory.shape(after)) {
+            this.clear();
+            return result;
+        }
+
+        const change = EditHistory.diff(before, after);
+        if (!change) return result;
+
+        const top = this.undoStack[this.undoStack.length - 1];
+        if (group !== null && group === this.group && top) {
+            EditHistory.merge(top, change);
+        } else {
+            this.undoStack.push({ label, shape: SimulationHistory.shape(after), ...change });
+            if (this.undoStack.length > this.limit) this.undoStack.shift();
+            this.group = group;
+        }
+        this.redoStack = [];
+        return result;
+    }
+
+    /**
+     * Close the open group, so the next edit starts a new command
+     */
+    endGroup() {
+        this.group = null;
+    }
+
+    /**
+     * Write one side of a command into the simulation objects
+     * @returns {boolean} False if the world changed shape since (the history is cleared)
+     */
+    apply(sims, command, side) {
+        const state = SimState.capture(sims);
+        if (SimulationHistory.shape(state) !== command.shape) {
+            this.clear();
+            return false;
+        }
+
+        for (const [name, change] of Object.entries(command.fields)) {
+            const values = change[side];
+            if (!change.indices) {
+                if (values) {
+                    state.fields[name] = new Float32Array(values);
+                } else {
+                    delete state.fields[name];
+                }
+            } else if (state.fields[name]) {
+                change.indices.forEach((cell, k) => { state.fields[name][cell] = values[k]; });
+            }
+        }
+
+        for (const entry of command.scalars) {
+            const [section, index, key] = entry;
+            const value = structuredClone(side === 'before' ? entry[3] : entry[4]);
+            if (key === null) {
+                state.scalars[section] = value;
+                continue;
+            }
+            const target = index === null ? state.scalars[section] : state.scalars[section][index];
+            if (value === undefined) {
+                delete target[key];
+            } else {
+                target[key] = value;
+            }
+        }
+
+        if (command.creatures) {
+            state.creatures = structuredClone(command.creatures[side]);
+        }
+
+        SimState.restore(sims, state);
+        EditHistory.clearUndefined(sims, command, side);
+        SimState.rebuildKernels(sims);
+        return true;
+    }
+
+    /**
+     * Object holding a scalar section entry, if it has one
+     */
+    static scalarOwner(sims, section, index) {
+        const sim = SimState.activeSim(sims);
+        if (section === 'sim') return sim;
+        if (section === 'channels') return sim.channelParams[index];
+        if (section === 'kernels') return sim.kernels[index];
+        if (section === 'environment') return sims.environment;
+        if (section === 'tracker') return sims.creatureTracker;
+        return null;
+    }
+
+    /**
+     * Snapshots leave out undefined keys, so restore() can't set them;
+     * unset the plain keys that were undefined on this side. Keys holding
+     * typed arrays (parameter maps) are missing for that reason and kept
+     */
+    static clearUndefined(sims, command, side) {
+        for (const [section, index, key, before, after] of command.scalars) {
+            if (key === null || (side === 'before' ? before : after) !== undefined) continue;
+            const owner = EditHistory.scalarOwner(sims, section, index);
+            if (owner && SimState.isPlain(owner[key])) {
+                owner[key] = undefined;
+            }
+        }
+    }
+
+    /**
+     * Undo the newest command
+     * @returns {Object|null} The command undone
+     */
+    undo(sims) {
+        const command = this.undoStack.pop();
+        if (!command) return null;
+        this.group = null;
+        if (!this.apply(sims, command, 'before')) return null;
+        this.redoStack.push(command);
+        return command;
+    }
+
+    /**
+     * Redo the newest undone command
+     * @returns {Object|null} The command redone
+     */
+    redo(sims) {
+        const command = this.redoStack.pop();
+        if (!command) return null;
+        this.group = null;
+        if (!this.apply(sims, command, 'after')) return null;
+        this.undoStack.push(command);
+        return command;
+    }
+
+    clear() {
+        this.undoStack = [];
+        this.redoStack = [];
+        this.group = null;
+    }
+}
@@ -0,0 +1,611 @@
+/**
+ * Simulation Engine - headless entry point for every Lenia mode
+ *
+ * Builds and steps a simulation from a plain config object, without p5.js,
+ * the DOM, or the globals shared between lenia.js and ui.js. The page keeps
+ * its own globals; scripts, workers and Node runs (see headless.js) use this.
+ *
+ * Supported modes:
+ * - 'standard'  : classic Lenia (Lenia)
+ * - 'flow'      : mass-conservative Flow-Lenia (FlowLenia), optionally with
+ *                 sensory creatures and evolution
+ * - 'ecosystem' : multi-channel Lenia (MultiChannelLenia), or multi-channel
+ *                 Flow-Lenia with params.flow, with creatures tracked per channel
+ * - '3d'        : volumetric Lenia (Lenia3D) on a size3D³ periodic grid
+ * - 'particle'  : Particle Lenia (ParticleLenia), point particles in a
+ *                 periodic plane of width × height units
+ *
+ * Example config:
+ *   {
+ *       mode: 'flow',
+ *       width: 384,
+ *       height: 128,
+ *       boundary: 'walls',
+ *       obstacles: [{ x0: 192, y0: 0, x1: 192, y1: 96, radius: 3 }],
+ *       seed: 1234,
+ *       species: 'grazer',
+ *       params: { flowStrength: 0.8 },
+ *       sensory: true,
+ *       evolution: { mutationRate: 0.1 },
+ *       environment: { foodSpawnRate: 0.003 },
+ *       massBudget: { evaporation: 0.01, emitters: [{ x: 192, y: 64, radius: 10, rate: 2 }] },
+ *       spawn: { hunters: 2, prey: 6 }
+ *   }
+ */
+
+class SimulationEngine {
+    /**
+     * Default configuration; anything passed to the constructor overrides it
+     */
+    static defaults = {
+        mode: 'standard',       // 'standard', 'flow', 'ecosystem', '3d' or 'particle'
+        size: 256,              // Grid size for square worlds (cells per side)
+        width: null,            // Grid width; overrides size
+        height: null,           // Grid height; overrides size
+        size3D: 64,             // Cells per side in 3d mode (width/height are ignored there)
+        boundary: 'periodic',   // 'periodic', 'absorbing', 'reflective' or 'walls' (see boundary.js)
+        plane: null,            // { chunkSize } (or true) for an unbounded plane streamed in chunks (standard/flow/ecosystem; see chunk-world.js)
+        obstacles: [],          // Walls to paint: { x, y, radius } discs or { x0, y0, x1, y1, radius } segments
+        integrator: 'euler',    // 'euler', 'rk2', 'rk4' or 'asymptotic' (standard/ecosystem; see integrators.js)
+        adaptiveDt: false,      // Size each step from an error estimate (params.dt is the largest step)
+        tolerance: 0.01,        // Adaptive: largest per-cell error per step
+        noise: null,            // { state, potential, dropout } amplitudes (all but particle; see noise.js)
+        massBudget: null,       // { evaporation, foodConversion, emitters } sources and sinks (flow; see mass-budget.js)
+        seed: null,             // Random seed; null picks a fresh one (see getStats().seed)
+        species: 'orbium',      // Species preset for standard/flow modes
+        ecosystem: 'predatorPrey',  // Ecosystems preset for ecosystem mode
+        species3D: 'sphaerium', // Species3D preset for 3d mode
+        particleSpecies: 'cell', // ParticleSpecies preset for particle mode
+        params: {},             // Overrides applied after the preset (R, mu, sigma, dt, growthType, ...)
+        sensory: false,         // true or an object of CreatureTracker.sensory overrides
+        evolution: false,       // true or an object of CreatureTracker.evolution overrides
+        environment: {},        // Environment.params overrides
+        spawn: null             // { hunters, prey } or { zen: count } to spawn an ecosystem
+    };
+
+    /**
+     * @param {Object} config - See SimulationEngine.defaults
+     */
+    constructor(config = {}) {
+        this.config = {
+            ...SimulationEngine.defaults,
+            ...config,
+            params: { ...(config.params || {}) },
+            environment: { ...(config.environment || {}) }
+        };
+
+        this.sim = null;
+        this.environment = null;
+        this.creatureTracker = null;
+        this.generation = 0;
+        this.initialMass = 0;
+        this.seed = null;
+        this.plane = null;
+
+        this.reset();
+    }
+
+    /**
+     * Rebuild the simulation from the current config
+     * The random streams restart from the seed first, so the same config
+     * always produces the same run
+     */
+    reset() {
+        const { mode } = this.config;
+        const width = this.config.width ?? this.config.size;
+        const height = this.config.height ?? this.config.size;
+
+        if (this.seed === null) {
+            this.seed = this.config.seed ?? Random.newSeed();
+        }
+        Random.setSeed(this.seed);
+
+        this.environment = null;
+        this.creatureTracker = null;
+
+        if (mode === 'ecosystem') {
+            this.sim = new MultiChannelLenia(width, 2, height);
+            this.creatureTracker = new CreatureTracker(width, height);
+            this.sim.loadEcosystem(this.config.ecosystem);
+        } else if (mode === 'flow') {
+            this.sim = new FlowLenia(width, height);
+            this.environment = new Environment(width, height);
+            this.creatureTracker = new CreatureTracker(width, height);
+            this.sim.setEnvironment(this.environment);
+            this.sim.setCreatureTracker(this.creatureTracker);
+            this.loadSpecies(this.config.species);
+        } else if (mode === '3d') {
+            this.sim = new Lenia3D(this.config.size3D);
+            this.loadSpecies(this.config.species3D);
+        } else if (mode === 'particle') {
+            this.sim = new ParticleLenia(width, height);
+            this.loadSpecies(this.config.particleSpecies);
+        } else if (mode === 'standard') {
+            this.sim = new Lenia(width, height);
+            if (this.config.obstacles.length > 0) {
+                this.environment = new Environment(width, height);
+                this.sim.setEnvironment(this.environment);
+            }
+            this.loadSpecies(this.config.species);
+        } else {
+            throw new Error(`Unknown simulation mode: ${mode}`);
+        }
+
+        this.plane = null;
+        if (this.config.plane) {
+            const chunkSize = this.config.plane.chunkSize ?? 32;
+            if (!ChunkWorld.supports(this.sims(), chunkSize)) {
+                throw new Error(`An unbounded plane needs a 2D grid divisible by chunkSize (${chunkSize})`);
+            }
+            this.plane = new ChunkWorld(chunkSize);
+            if (mode === 'ecosystem') {
+                // Flow ecosystems' creatures ride along with their cells
+                this.plane.onShift = (dx, dy) => this.creatureTracker.translate(dx, dy);
+            }
+        }
+
+        // The plane's window has empty space beyond its edges
+        this.sim.setBoundary(this.plane ? 'absorbing' : this.config.boundary);
+        if (mode === 'ecosystem') {
+            this.creatureTracker.boundary = this.sim.boundary;
+        }
+        if (mode !== 'flow' && mode !== 'particle') {
+            this.sim.setIntegrator(this.config.integrator);
+            this.sim.adaptiveDt = this.config.adaptiveDt;
+            this.sim.tolerance = this.config.tolerance;
+        }
+        if (this.config.noise && mode !== 'particle') {
+            this.sim.setNoise(this.config.noise);
+        }
+        if (this.config.massBudget && mode === 'flow') {
+            this.sim.setMassBudget(this.config.massBudget);
+        }
+        this.applyParams(this.config.params);
+        this.applyObstacles(this.config.obstacles);
+
+        if (mode === 'flow') {
+            this.sim.ensureTraits();  // Local genome fields, before anything is spawned
+            Object.assign(this.environment.params, this.config.environment);
+            this.environment.baseFoodSpawnRate = this.environment.params.foodSpawnRate;
+
+            if (this.config.sensory) this.setSensoryMode(true);
+            if (this.config.evolution) this.setEvolutionMode(true);
+            if (this.config.spawn) this.spawn(this.config.spawn);
+        }
+
+        this.generation = 0;
+        this.initialMass = this.sim.totalMass();
+    }
+
+    /**
+     * Load a species preset, including the sensory, environment and genome
+     * settings that sensory species carry (mirrors the species select in ui.js)
+     */
+    loadSpecies(speciesKey) {
+        if (this.config.mode === '3d') {
+            if (!Species3D[speciesKey]) {
+                throw new Error(`Unknown 3D species: ${speciesKey}`);
+            }
+            this.sim.loadSpecies(speciesKey);
+            return;
+        }
+        if (this.config.mode === 'particle') {
+            if (!ParticleSpecies[speciesKey]) {
+                throw new Error(`Unknown particle species: ${speciesKey}`);
+            }
+            this.sim.loadSpecies(speciesKey);
+            return;
+        }
+
+        const species = Species[speciesKey];
+        if (!species) {
+            throw new Error(`Unknown species: ${speciesKey}`);
+        }
+        if (this.config.mode === 'ecosystem') return;
+
+        this.sim.loadSpecies(speciesKey);
+
+        if (this.config.mode === 'flow' && species.params.isSensorySpecies) {
+            if (species.params.sensory) {
+                Object.assign(this.creatureTracker.sensory, species.params.sensory);
+            }
+            if (species.params.environment) {
+                Object.assign(this.environment.params, species.params.environment);
+            }
+            if (species.params.genome) {
+                this.creatureTracker.baseGenome = new Genome(species.params.genome);
+            }
+        }
+    }
+
+    /**
+     * Apply parameter overrides to the active simulation
+     * Kernel-related changes rebuild the kernel (and its cached FFT)
+     */
+    applyParams(params = {}) {
+        const sim = this.sim;
+
+        if (this.config.mode === 'ecosystem') {
+            for (const key of ['dt', 'flow', 'flowStrength', 'diffusion', 'crowding']) {
+                if (params[key] !== undefined) sim[key] = params[key];
+            }
+            if (params.interactions) {
+                sim.interactions = params.interactions.map(row => [...row]);
+            }
+            if (params.channels) {
+                params.channels.forEach((channel, i) => {
+                    if (!channel || !sim.channelParams[i]) return;
+                    Object.assign(sim.channelParams[i], channel);
+                    sim.setChannelGrowth(i, sim.channelParams[i].growthType, sim.channelParams[i].growthPoints);
+                    sim.updateChannelKernel(i);
+                });
+            }
+            if (params.kernels) {
+                sim.setKernels(params.kernels);
+            }
+            return;
+        }
+
+        const kernelKeys = ['R', 'peaks', 'kernelType', 'kernelParams'];
+        const growthKeys = ['growthType', 'growthPoints'];
+        let kernelChanged = false;
+
+        for (const [key, value] of Object.entries(params)) {
+            if (key === 'kernelParams') {
+                Object.assign(sim.kernelParams, value);
+            } else if (!growthKeys.includes(key)) {
+                sim[key] = value;
+            }
+            if (kernelKeys.includes(key)) kernelChanged = true;
+        }
+
+        if (params.growthType !== undefined || params.growthPoints !== undefined) {
+            sim.setGrowth(params.growthType ?? sim.growthType, params.growthPoints ?? sim.growthPoints);
+        }
+
+        if (kernelChanged) {
+            sim.updateKernel();
+        }
+    }
+
+    /**
+     * Paint walls into the environment and clear whatever mass they cover
+     * Ecosystem, 3d and particle modes have no environment, so obstacles are ignored there
+     * @param {Object[]} obstacles - { x, y, radius } discs or { x0, y0, x1, y1, radius } segments
+     */
+    applyObstacles(obstacles = []) {
+        const env = this.environment;
+        if (!env || obstacles.length === 0) return;
+
+        env.boundary = this.sim.boundary;
+        for (const wall of obstacles) {
+            if (wall.x0 !== undefined) {
+                env.paintObstacleLine(wall.x0, wall.y0, wall.x1, wall.y1, wall.radius ?? 2);
+            } else {
+                env.paintObstacle(wall.x, wall.y, wall.radius ?? 2);
+            }
+        }
+
+        const grid = this.config.mode === 'flow' ? this.sim.A : this.sim.grid;
+        for (let i = 0; i < grid.length; i++) {
+            if (env.obstacles[i]) grid[i] = 0;
+        }
+        env.computeObstacleGradient();
+    }
+
+    /**
+     * Enable/disable sensory creatures (Flow-Lenia only)
+     * Mirrors setSensoryMode() in ui.js without touching the DOM
+     */
+    setSensoryMode(enabled) {
+        if (this.config.mode !== 'flow') return;
+
+        this.sim.setSensoryMode(enabled);
+
+        if (enabled) {
+            if (typeof this.config.sensory === 'object') {
+                Object.assign(this.creatureTracker.sensory, this.config.sensory);
+            }
+            this.creatureTracker.setEnvironment(this.environment);
+
+            if (this.environment.food[0] === 0) {
+                this.environment.initializeFood();
+            }
+        } else {
+            this.setEvolutionMode(false);
+        }
+    }
+
+    /**
+     * Enable/disable evolution (Flow-Lenia with sensory creatures only)
+     * Mirrors setEvolutionMode() in ui.js without touching the DOM
+     */
+    setEvolutionMode(enabled) {
+        if (this.config.mode !== 'flow') return;
+
+        const tracker = this.creatureTracker;
+        tracker.evolution.enabled = enabled;
+
+        if (enabled) {
+            if (typeof this.config.evolution === 'object') {
+                Object.assign(tracker.evolution, this.config.evolution);
+                tracker.evolution.enabled = true;
+            }
+            tracker.resetStats();
+
+            for (const creature of tracker.creatures) {
+                if (!creature.genome) {
+                    tracker.assignDefaultGenome(creature);
+                }
+            }
+        }
+    }
+
+    /**
+     * Spawn a hunter/prey ecosystem or a peaceful Zen ecosystem
+     * @param {Object} spawn - { hunters, prey } or { zen: count }
+     */
+    spawn(spawn) {
+        if (this.config.mode !== 'flow') return;
+
+        this.sim.clear();
+        this.environment.initializeFood();
+
+        if (spawn.zen !== undefined) {
+            this.creatureTracker.spawnZenEcosystem(this.sim, spawn.zen);
+        } else {
+            this.creatureTracker.spawnEcosystem(this.sim, spawn.hunters ?? 2, spawn.prey ?? 6);
+        }
+
+        this.generation = 0;
+        this.initialMass = this.sim.totalMass();
+    }
+
+    /**
+     * Advance the simulation
+     * @param {number} steps - Number of steps to run (default 1)
+     */
+    step(steps = 1) {
+        for (let i = 0; i < steps; i++) {
+            this.sim.step();
+            this.generation++;
+            if (this.config.mode === 'ecosystem' && this.sim.flow) {
+                this.creatureTracker.updateChannels(this.sim.channels, this.generation);
+            }
+            if (this.plane) this.plane.follow(this.sims());
+        }
+        return this;
+    }
+
+    /**
+     * The simulation objects as a sims bundle (see sim-state.js)
+     */
+    sims() {
+        const { mode } = this.config;
+        return {
+            mode,
+            generation: this.generation,
+            lenia: mode === 'standard' ? this.sim : null,
+            flowLenia: mode === 'flow' ? this.sim : null,
+            multiChannel: mode === 'ecosystem' ? this.sim : null,
+            lenia3d: mode === '3d' ? this.sim : null,
+            particleLenia: mode === 'particle' ? this.sim : null,
+            environment: this.environment,
+            creatureTracker: this.creatureTracker
+        };
+    }
+
+    /**
+     * Summary statistics for the current state
+     */
+    getStats() {
+        const mass = this.sim.totalMass();
+        const stats = {
+            mode: this.config.mode,
+            width: this.sim.width,
+            height: this.sim.height,
+            boundary: this.sim.boundary,
+            seed: this.seed,
+            generation: this.generation,
+            mass
+        };
+
+        if (this.config.mode === '3d') {
+            stats.depth = this.sim.depth;
+        }
+
+        if (this.sim.noise && Noise.isActive(this.sim.noise)) {
+            stats.noise = { ...this.sim.noise };
+        }
+
+        if (this.plane) {
+            stats.plane = {
+                origin: this.plane.toWorld(0, 0),
+                chunks: this.plane.chunkCount,
+                shifts: this.plane.shifts
+            };
+        }
+
+        if (this.config.mode === 'particle') {
+            stats.particles = this.sim.count;
+            stats.energy = this.sim.meanEnergy;
+            stats.time = this.sim.time;
+        } else if (this.config.mode !== 'flow') {
+            stats.integrator = this.sim.integrator;
+            stats.time = this.sim.time;
+            stats.stepDt = this.sim.stepDt;
+        }
+
+        if (this.config.mode === 'ecosystem') {
+            stats.channelMass = [];
+            for (let c = 0; c < this.sim.numChannels; c++) {
+                stats.channelMass.push(this.sim.channelMass(c));
+            }
+
+            if (this.sim.flow) {
+                const creatures = this.creatureTracker.creatures;
+                stats.creatures = creatures.length;
+                stats.channelCreatures = this.sim.channels.map((_, c) => creatures.filter(cr => cr.channel === c).length);
+            }
+        }
+
+        if (this.config.mode === 'flow') {
+            stats.initialMass = this.initialMass;
+            stats.massDelta = this.initialMass > 0
+                ? (mass - this.initialMass) / this.initialMass
+                : 0;
+            stats.massLedger = {
+                step: { ...this.sim.massLedger.step },
+                total: { ...this.sim.massLedger.total }
+            };
+
+            if (this.sim.sensoryEnabled) {
+                const tracker = this.creatureTracker;
+                let totalFood = 0;
+                for (let i = 0; i < this.environment.food.length; i++) {
+                    totalFood += this.environment.food[i];
+                }
+
+                stats.creatures = tracker.count;
+                stats.food = totalFood;
+
+                if (tracker.evolution.enabled) {
+                    stats.hunters = tracker.creatures.filter(c => c.genome?.isPredator).length;
+                    stats.prey = tracker.creatures.filter(c => c.genome && !c.genome.isPredator).length;
+                    stats.evolution = {
+                        totalBirths: tracker.stats.totalBirths,
+                        totalDeaths: tracker.stats.totalDeaths,
+                        highestGeneration: tracker.stats.highestGeneration,
+                        averageGeneration: tracker.stats.averageGeneration,
+                        averageEnergy: tracker.stats.averageEnergy,
+                        predationEvents: tracker.stats.predationEvents || 0,
+                        traitAverages: { ...tracker.stats.traitAverages }
+                    };
+                }
+            }
+        }
+
+        return stats;
+    }
+
+    /**
+     * Snapshot of the simulation state
+     * Grids are copied so the caller can keep them across steps
+     *
+     * @param {Object} options - { fields: include environment layers and obstacles (default false) }
+     */
+    getState(options = {}) {
+        const state = {
+            mode: this.config.mode,
+            width: this.sim.width,
+            height: this.sim.height,
+            boundary: this.sim.boundary,
+            seed: this.seed,
+            generation: this.generation
+        };
+
+        if (this.config.mode !== 'flow' && this.config.mode !== 'particle') {
+            state.integrator = this.sim.integrator;
+            state.time = this.sim.time;
+        }
+
+        if (this.config.mode === '3d') {
+            state.depth = this.sim.depth;
+        }
+
+        if (this.config.mode === 'particle') {
+            const sim = this.sim;
+            state.time = sim.time;
+            state.positions = new Float32Array(sim.positions);
+            state.params = {
+                R: sim.R,
+                mu: sim.mu,
+                sigma: sim.sigma,
+                dt: sim.dt,
+                repulsion: sim.repulsion,
+                repulsionRadius: sim.repulsionRadius,
+                growthType: sim.growthType,
+                growthPoints: sim.growthPoints.map(point => [...point]),
+                kernelType: sim.kernelType,
+                kernelParams: { ...sim.kernelParams }
+            };
+            return state;
+        }
+
+        if (this.config.mode === 'ecosystem') {
+            state.channels = this.sim.channels.map(ch => new Float32Array(ch));
+            state.params = {
+                dt: this.sim.dt,
+                flow: this.sim.flow,
+                flowStrength: this.sim.flowStrength,
+                diffusion: this.sim.diffusion,
+                crowding: this.sim.crowding,
+                interactions: this.sim.interactions.map(row => [...row]),
+                channels: this.sim.channelParams.map(p => ({
+                    R: p.R, peaks: p.peaks, mu: p.mu, sigma: p.sigma,
+                    growthType: p.growthType, growthPoints: p.growthPoints.map(point => [...point]),
+                    kernelType: p.kernelType, kernelParams: { ...p.kernelParams }
+                })),
+                kernels: this.sim.kernels.map(({ kernel, kernelSpectrum, ...rule }) => JSON.parse(JSON.stringify(rule)))
+            };
+            return state;
+        }
+
+        const sim = this.sim;
+        state.grid = new Float32Array(sim.grid);
+        state.params = {
+            R: sim.R,
+            peaks: sim.peaks,
+            mu: sim.mu,
+            sigma: sim.sigma,
+            dt: sim.dt,
+            growthType: sim.growthType,
+            growthPoints: sim.growthPoints.map(point => [...point]),
+            kernelType: sim.kernelType,
+            kernelParams: { ...sim.kernelParams }
+        };
+
+        if (this.config.mode === 'flow') {
+            state.params.flowStrength = sim.flowStrength;
+            state.params.diffusion = sim.diffusion;
+            state.params.steeringStrength = sim.steeringStrength;
+            state.P_mu = new Float32Array(sim.P_mu);
+            state.P_sigma = new Float32Array(sim.P_sigma);
+            state.params.transport = sim.transport;
+            state.params.distributionSize = sim.distributionSize;
+            state.params.mixing = sim.mixing;
+            state.params.localGenome = sim.localGenome;
+            if (sim.traitNames.length > 0) {
+                state.traits = {};
+                for (const name of sim.traitNames) {
+                    state.traits[name] = new Float32Array(sim[LocalGenome.key(name)]);
+                }
+            }
+
+            if (sim.sensoryEnabled) {
+                state.creatures = this.creatureTracker.getCreatures().map(c => ({
+                    id: c.id,
+                    x: c.x,
+                    y: c.y,
+                    mass: c.mass,
+                    heading: c.heading,
+                    energy: c.energy,
+                    generation: c.generation,
+                    parentId: c.parentId,
+                    isPredator: c.genome ? !!c.genome.isPredator : false
+                }));
+            }
+
+            if (options.fields) {
+                state.food = new Float32Array(this.environment.food);
+                state.pheromone = new Float32Array(this.environment.pheromone);
+            }
+        }
+
+        if (options.fields && this.environment) {
+            state.obstacles = new Float32Array(this.environment.obstacles);
+        }
+
+        return state;
+    }
+}
@@ -5,40 +5,58 @@
  * - Food field: Regenerating resource that creatures consume
  * - Pheromone trails: Creatures leave traces that attract/repel others
  * - Flow currents: Global directional forces (like wind/water)
+ * - Obstacles: Painted solid terrain that blocks mass, diffusion and sensing
  *
  * These layers enable emergent behaviors like hunting, fleeing,
  * schooling, and territorial dynamics.
  */
 
 class Environment {
-    constructor(size) {
-        this.size = size;
+    /**
+     * @param {number} width - Grid width in cells
+     * @param {number} height - Grid height in cells (defaults to width)
+     */
+    constructor(width, height = width) {
+        this.width = width;
+        this.height = height;
+
+        // Edge behavior, set by FlowLenia.setBoundary (see boundary.js)
+        this.boundary = 'periodic';
 
         // Environmental layers
-        this.food = new Float32Array(size * size);
-        this.pheromone = new Float32Array(size * size);
+        this.food = new Float32Array(width * height);
+        this.pheromone = new Float32Array(width * height);
 
         // Phase 12: Visual signal channels (bioluminescence)
-        this.alarmSignal = new Float32Array(size * size);      // Red/orange - prey danger warning
-        this.huntingSignal = new Float32Array(size * size);    // Magenta - hunter activity
-        this.matingSignal = new Float32Array(size * size);     // Cyan/blue - reproduction readiness
-        this.territorySignal = new Float32Array(size * size);  // Green - territorial marking
+        this.alarmSignal = new Float32Array(width * height);      // Red/orange - prey danger warning
+        this.huntingSignal = new Float32Array(width * height);    // Magenta - hunter activity
+        this.matingSignal = new Float32Array(width * height);     // Cyan/blue - reproduction readiness
+        this.territorySignal = new Float32Array(width * height);  // Green - territorial marking
+
+        // Solid terrain mask (1 = wall, 0 = open); walls hold no mass, food or signals
+        this.obstacles = new Float32Array(width * height);
+        // Blurred wall mask, so creatures feel walls before touching them
+        this.obstacleProximity = new Float32Array(width * height);
 
         // Working buffers for gradient computation
-        this.foodGradX = new Float32Array(size * size);
-        this.foodGradY = new Float32Array(size * size);
-        this.pheromoneGradX = new Float32Array(size * size);
-        this.pheromoneGradY = new Float32Array(size * size);
+        this.foodGradX = new Float32Array(width * height);
+        this.foodGradY = new Float32Array(width * height);
+        this.pheromoneGradX = new Float32Array(width * height);
+        this.pheromoneGradY = new Float32Array(width * height);
 
         // Phase 12: Signal gradient buffers
-        this.alarmGradX = new Float32Array(size * size);
-        this.alarmGradY = new Float32Array(size * size);
-        this.huntingGradX = new Float32Array(size * size);
-        this.huntingGradY = new Float32Array(size * size);
-        this.matingGradX = new Float32Array(size * size);
-        this.matingGradY = new Float32Array(size * size);
-        this.territoryGradX = new Float32Array(size * size);
-        this.territoryGradY = new Float32Array(size * size);
+        this.alarmGradX = new Float32Array(width * height);
+        this.alarmGradY = new Float32Array(width * height);
+        this.huntingGradX = new Float32Array(width * height);
+        this.huntingGradY = new Float32Array(width * height);
+        this.matingGradX = new Float32Array(width * height);
+        this.matingGradY = new Float32Array(width * height);
+        this.territoryGradX = new Float32Array(width * height);
+        this.territoryGradY = new Float32Array(width * height);
+
+        // Wall proximity gradient buffers
+        this.obstacleGradX = new Float32Array(width * height);
+        this.obstacleGradY = new Float32Array(width * height);
 
         // Global current (wind/water flow)
         this.current = { x: 0, y: 0 };
@@ -68,6 +86,9 @@ class Environment {
             signalDiffusionRate: 0.3,  // Faster spread than pheromones
             signalMaxDensity: 1.0,     // Maximum signal intensity
 
+            // Obstacle parameters
+            obstacleSenseRadius: 6,    // How far creatures feel walls (cells)
+
             // Phase 14: Seasonal cycle parameters
             seasonalCycleEnabled: false,
             seasonSpeed: 0.002,        // 0.001-0.01 (controls how fast seasons change)
@@ -93,7 +114,7 @@ class Environment {
         this.migrationZones = [];
 
         // Phase 14: Migration trails (for visualization)
-        this.migrationTrails = new Float32Array(size * size);
+        this.migrationTrails = new Float32Array(width * height);
 
         // Food cluster positions (for 'clusters' mode)
         this.foodClusters = [];
@@ -119,13 +140,13 @@ class Environment {
             case 'clusters':
                 // Create random food clusters
                 this.foodClusters = [];
-                const numClusters = 5 + Math.floor(Math.random() * 5);
+                const numClusters = 5 + Math.floor(Random.random() * 5);
                 for (let c = 0; c < numClusters; c++) {
                     this.foodClusters.push({
-                        x: Math.random() * this.size,
-                        y: Math.random() * this.size,
-                        radius: 15 + Math.random() * 25,
-                        strength: 0.5 + Math.random() * 0.5
+                        x: Random.random() * this.width,
+                        y: Random.random() * this.height,
+                        radius: 15 + Random.random() * 25,
+                        strength: 0.5 + Random.random() * 0.5
                     });
                 }
                 this.applyFoodClusters();
@@ -136,6 +157,11 @@ class Environment {
                 this.createFoodPatches();
                 break;
         }
+
+        // No food inside walls
+        for (let i = 0; i < this.food.length; i++) {
+            if (this.obstacles[i]) this.food[i] = 0;
+        }
     }
 
     /**
@@ -143,8 +169,8 @@ class Environment {
      */
     applyFoodClusters() {
         for (const cluster of this.foodClusters) {
-            for (let y = 0; y < this.size; y++) {
-                for (let x = 0; x < this.size; x++) {
+            for (let y = 0; y < this.height; y++) {
+                for (let x = 0; x < this.width; x++) {
                     const dx = x - cluster.x;
                     const dy = y - cluster.y;
                     const dist = Math.sqrt(dx * dx + dy * dy);
@@ -152,7 +178,7 @@ class Environment {
                     if (dist < cluster.radius) {
                         const t = dist / cluster.radius;
                         const value = cluster.strength * (1 - t * t);
-                        const idx = y * this.size + x;
+                        const idx = y * this.width + x;
                         this.food[idx] = Math.min(this.params.foodMaxDensity,
                             this.food[idx] + value);
                     }
@@ -167,16 +193,17 @@ class Environment {
     createFoodPatches() {
         const patchSize = 30;
         const spacing = 60;
+        const edge = Boundary.drawMode(this.boundary);
 
-        for (let py = patchSize; py < this.size - patchSize; py += spacing) {
-            for (let px = patchSize; px < this.size - patchSize; px += spacing) {
+        for (let py = patchSize; py < this.height - patchSize; py += spacing) {
+            for (let px = patchSize; px < this.width - patchSize; px += spacing) {
                 for (let dy = -patchSize/2; dy < patchSize/2; dy++) {
                     for (let dx = -patchSize/2; dx < patchSize/2; dx++) {
-                        const x = (Math.floor(px + dx) + this.size) % this.size;
-                        const y = (Math.floor(py + dy) + this.size) % this.size;
+                        const x = Boundary.cell(Math.floor(px + dx), this.width, edge);
+                        const y = Boundary.cell(Math.floor(py + dy), this.height, edge);
                         const dist = Math.sqrt(dx*dx + dy*dy) / (patchSize/2);
-                        if (dist < 1) {
-                            this.food[y * this.size + x] = 0.8 * (1 - dist * dist);
+                        if (dist < 1 && x >= 0 && y >= 0) {
+                            this.food[y * this.width + x] = 0.8 * (1 - dist * dist);
                         }
                     }
                 }
@@ -221,8 +248,15 @@ class Environment {
      */
     updateFood(creatureMass) {
         const { foodSpawnRate, foodMaxDensity, foodConsumptionRate } = this.params;
+        const solid = this.obstacles;
+
+        for (let i = 0; i < this.width * this.height; i++) {
+            // Nothing grows inside walls
+            if (solid[i]) {
+                this.food[i] = 0;
+                continue;
+            }
 
-        for (let i = 0; i < this.size * this.size; i++) {
             // Regrowth
             if (this.food[i] < foodMaxDensity) {
                 this.food[i] += foodSpawnRate;
@@ -241,7 +275,8 @@ class Environment {
             for (const cluster of this.foodClusters) {
                 const cx = Math.floor(cluster.x);
                 const cy = Math.floor(cluster.y);
-                const idx = cy * this.size + cx;
+                const idx = cy * this.width + cx;
+                if (solid[idx]) continue;
                 this.food[idx] = Math.min(this.params.foodMaxDensity,
                     this.food[idx] + foodSpawnRate * 5);
             }
@@ -254,31 +289,35 @@ class Environment {
     updatePheromones(creatureMass) {
         const { pheromoneDecayRate, pheromoneEmissionRate,
                 pheromoneMaxDensity, pheromoneDiffusion } = this.params;
-        const size = this.size;
+        const { width, height, pheromone } = this;
+        const edge = Boundary.readMode(this.boundary);
+        const solid = this.obstacles;
 
         // Create temporary buffer for diffusion
-        const newPheromone = new Float32Array(this.pheromone.length);
+        const newPheromone = new Float32Array(pheromone.length);
 
-        for (let y = 0; y < size; y++) {
-            for (let x = 0; x < size; x++) {
-                const idx = y * size + x;
-                let value = this.pheromone[idx];
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const idx = y * width + x;
+                if (solid[idx]) continue;  // Walls stay empty
+                const center = pheromone[idx];
+                let value = center;
 
                 // Decay
                 value *= (1 - pheromoneDecayRate);
 
-                // Diffusion (average with neighbors)
+                // Diffusion (average with neighbors; walls reflect, so nothing crosses them)
                 if (pheromoneDiffusion > 0) {
-                    const xm = (x - 1 + size) % size;
-                    const xp = (x + 1) % size;
-                    const ym = (y - 1 + size) % size;
-                    const yp = (y + 1) % size;
+                    const l = y * width + Boundary.cell(x - 1, width, edge);
+                    const r = y * width + Boundary.cell(x + 1, width, edge);
+                    const u = Boundary.cell(y - 1, height, edge) * width + x;
+                    const d = Boundary.cell(y + 1, height, edge) * width + x;
 
                     const neighbors = (
-                        this.pheromone[y * size + xm] +
-                        this.pheromone[y * size + xp] +
-                        this.pheromone[ym * size + x] +
-                        this.pheromone[yp * size + x]
+                        (solid[l] ? center : pheromone[l]) +
+                        (solid[r] ? center : pheromone[r]) +
+                        (solid[u] ? center : pheromone[u]) +
+                        (solid[d] ? center : pheromone[d])
                     ) / 4;
 
                     value = value * (1 - pheromoneDiffusion) + neighbors * pheromoneDiffusion;
@@ -314,29 +353,33 @@ class Environment {
      * Phase 12: Update a single signal field with decay and diffusion
      */
     updateSignalField(field, decayRate, diffusionRate, maxDensity) {
-        const size = this.size;
+        const { width, height } = this;
+        const edge = Boundary.readMode(this.boundary);
+        const solid = this.obstacles;
         const newField = new Float32Array(field.length);
 
-        for (let y = 0; y < size; y++) {
-            for (let x = 0; x < size; x++) {
-                const idx = y * size + x;
-                let value = field[idx];
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const idx = y * width + x;
+                if (solid[idx]) continue;  // Signals don't pass through walls
+                const center = field[idx];
+                let value = center;
 
                 // Decay
                 value *= (1 - decayRate);
 
                 // Diffusion (average with neighbors) - creates expanding ring effect
                 if (diffusionRate > 0) {
-                    const xm = (x - 1 + size) % size;
-                    const xp = (x + 1) % size;
-                    const ym = (y - 1 + size) % size;
-                    const yp = (y + 1) % size;
+                    const l = y * width + Boundary.cell(x - 1, width, edge);
+                    const r = y * width + Boundary.cell(x + 1, width, edge);
+                    const u = Boundary.cell(y - 1, height, edge) * width + x;
+                    const d = Boundary.cell(y + 1, height, edge) * width + x;
 
                     const neighbors = (
-                        field[y * size + xm] +
-                        field[y * size + xp] +
-                        field[ym * size + x] +
-                        field[yp * size + x]
+                        (solid[l] ? center : field[l]) +
+                        (solid[r] ? center : field[r]) +
+                        (solid[u] ? center : field[u]) +
+                        (solid[d] ? center : field[d])
                     ) / 4;
 
                     value = value * (1 - diffusionRate) + neighbors * diffusionRate;
@@ -378,16 +421,18 @@ class Environment {
         }
 
         // Emit signal in a circular area
+        const edge = Boundary.drawMode(this.boundary);
         for (let dy = -radius; dy <= radius; dy++) {
             for (let dx = -radius; dx <= radius; dx++) {
                 const dist = Math.sqrt(dx * dx + dy * dy) / radius;
                 if (dist <= 1) {
-                    const ix = ((Math.floor(x + dx) % this.size) + this.size) % this.size;
-                    const iy = ((Math.floor(y + dy) % this.size) + this.size) % this.size;
+                    const ix = Boundary.cell(Math.floor(x + dx), this.width, edge);
+                    const iy = Boundary.cell(Math.floor(y + dy), this.height, edge);
+                    if (ix < 0 || iy < 0 || this.obstacles[iy * this.width + ix]) continue;
                     const value = intensity * (1 - dist * dist);  // Smooth falloff
-                    field[iy * this.size + ix] = Math.min(
+                    field[iy * this.width + ix] = Math.min(
                         this.params.signalMaxDensity,
-                        field[iy * this.size + ix] + value
+                        field[iy * this.width + ix] + value
                     );
                 }
             }
@@ -447,9 +492,9 @@ class Environment {
             default:
                 return 0;
         }
-        const ix = ((Math.floor(x) % this.size) + this.size) % this.size;
-        const iy = ((Math.floor(y) % this.size) + this.size) % this.size;
-        return field[iy * this.size + ix];
+        const ix = Boundary.cell(Math.floor(x), this.width, Boundary.readMode(this.boundary));
+        const iy = Boundary.cell(Math.floor(y), this.height, Boundary.readMode(this.boundary));
+        return field[iy * this.width + ix];
     }
 
     /**
@@ -518,18 +563,18 @@ class Environment {
 
         for (let i = 0; i < numZones; i++) {
             const zone = {
-                x: Math.random() * this.size,
-                y: Math.random() * this.size,
+                x: Random.random() * this.width,
+                y: Random.random() * this.height,
                 // For circular orbit pattern
-                orbitCenterX: this.size / 2,
-                orbitCenterY: this.size / 2,
-                orbitRadius: 30 + Math.random() * 60,
+                orbitCenterX: this.width / 2,
+                orbitCenterY: this.height / 2,
+                orbitRadius: 30 + Random.random() * 60,
                 orbitPhase: (i / numZones) * Math.PI * 2,  // Evenly distributed around orbit
-                orbitSpeed: 0.5 + Math.random() * 0.5,     // Slight variation in speed
+                orbitSpeed: 0.5 + Random.random() * 0.5,     // Slight variation in speed
                 // For linear drift pattern
-                driftAngle: Math.random() * Math.PI * 2,
+                driftAngle: Random.random() * Math.PI * 2,
                 // For random walk pattern
-                wanderAngle: Math.random() * Math.PI * 2
+                wanderAngle: Random.random() * Math.PI * 2
             };
             this.migrationZones.push(zone);
         }
@@ -557,27 +602,39 @@ class Environment {
                     break;
 
                 case 'linear':
-                    // Drift in a straight line (with toroidal wrapping)
+                    // Drift in a straight line (wrapping, or bouncing off bounded edges)
                     zone.x += Math.cos(zone.driftAngle) * speed;
                     zone.y += Math.sin(zone.driftAngle) * speed;
-                    // Wrap around
-                    zone.x = ((zone.x % this.size) + this.size) % this.size;
-                    zone.y = ((zone.y % this.size) + this.size) % this.size;
+                    zone.driftAngle = this.bounceZone(zone, zone.driftAngle);
                     break;
 
                 case 'random':
                     // Random walk with some persistence
-                    zone.wanderAngle += (Math.random() - 0.5) * 0.3;
+                    zone.wanderAngle += (Random.random() - 0.5) * 0.3;
                     zone.x += Math.cos(zone.wanderAngle) * speed;
                     zone.y += Math.sin(zone.wanderAngle) * speed;
-                    // Wrap around
-                    zone.x = ((zone.x % this.size) + this.size) % this.size;
-                    zone.y = ((zone.y % this.size) + this.size) % this.size;
+                    zone.wanderAngle = this.bounceZone(zone, zone.wanderAngle);
                     break;
             }
         }
     }
 
+    /**
+     * Phase 14: Keep a moving zone inside the world
+     * Periodic worlds wrap it around; bounded ones bounce it off the edge
+     * @returns {number} The zone's heading after any bounce
+     */
+    bounceZone(zone, angle) {
+        if (this.boundary !== 'periodic') {
+            if (zone.x < 0 || zone.x >= this.width) angle = Math.PI - angle;
+            if (zone.y < 0 || zone.y >= this.height) angle = -angle;
+        }
+        const edge = Boundary.readMode(this.boundary);
+        zone.x = Boundary.position(zone.x, this.width, edge);
+        zone.y = Boundary.position(zone.y, this.height, edge);
+        return angle;
+    }
+
     /**
      * Phase 14: Apply concentrated food at migration zone centers
      * Only processes cells within zone radius for performance
@@ -586,6 +643,7 @@ class Environment {
         const radius = this.params.zoneRadius;
         const multiplier = this.params.zoneFoodMultiplier;
         const baseRate = this.params.foodSpawnRate;
+        const edge = Boundary.drawMode(this.boundary);
 
         for (const zone of this.migrationZones) {
             const cx = Math.floor(zone.x);
@@ -597,9 +655,10 @@ class Environment {
                     const dist = Math.sqrt(dx * dx + dy * dy);
                     if (dist > radius) continue;
 
-                    const x = ((cx + dx) % this.size + this.size) % this.size;
-                    const y = ((cy + dy) % this.size + this.size) % this.size;
-                    const idx = y * this.size + x;
+                    const x = Boundary.cell(cx + dx, this.width, edge);
+                    const y = Boundary.cell(cy + dy, this.height, edge);
+                    if (x < 0 || y < 0) continue;
+                    const idx = y * this.width + x;
 
                     // Smooth falloff from center
                     const t = dist / radius;
@@ -629,7 +688,7 @@ class Environment {
     updateMigrationTrails(creatureMass) {
         const decayRate = 0.995;  // Slow decay for persistent trails
 
-        for (let i = 0; i < this.size * this.size; i++) {
+        for (let i = 0; i < this.width * this.height; i++) {
             // Decay existing trails
             this.migrationTrails[i] *= decayRate;
 
@@ -644,9 +703,9 @@ class Environment {
      * Phase 14: Get migration trail value at position
      */
     getMigrationTrailAt(x, y) {
-        const ix = ((Math.floor(x) % this.size) + this.size) % this.size;
-        const iy = ((Math.floor(y) % this.size) + this.size) % this.size;
-        return this.migrationTrails[iy * this.size + ix];
+        const ix = Boundary.cell(Math.floor(x), this.width, Boundary.readMode(this.boundary));
+        const iy = Boundary.cell(Math.floor(y), this.height, Boundary.readMode(this.boundary));
+        return this.migrationTrails[iy * this.width + ix];
     }
 
     /**
@@ -661,42 +720,93 @@ class Environment {
         this.computeFieldGradient(this.huntingSignal, this.huntingGradX, this.huntingGradY);
         this.computeFieldGradient(this.matingSignal, this.matingGradX, this.matingGradY);
         this.computeFieldGradient(this.territorySignal, this.territoryGradX, this.territoryGradY);
+
+        this.computeObstacleGradient();
     }
 
     /**
      * Compute gradient of a field using Sobel filter
+     * Wall cells read as the center value, so fields are not sensed through walls
+     * @param {boolean} blockWalls - False to read every cell as is (for the wall mask itself)
      */
-    computeFieldGradient(field, gradX, gradY) {
-        const size = this.size;
-
-        for (let y = 0; y < size; y++) {
-            for (let x = 0; x < size; x++) {
-                const xm = (x - 1 + size) % size;
-                const xp = (x + 1) % size;
-                const ym = (y - 1 + size) % size;
-                const yp = (y + 1) % size;
+    computeFieldGradient(field, gradX, gradY, blockWalls = true) {
+        const { width, height } = this;
+        const edge = Boundary.readMode(this.boundary);
+        const solid = this.obstacles;
+        const read = blockWalls
+            ? (i, center) => (solid[i] ? center : field[i])
+            : (i) => field[i];
+
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const xm = Boundary.cell(x - 1, width, edge);
+                const xp = Boundary.cell(x + 1, width, edge);
+                const ym = Boundary.cell(y - 1, height, edge);
+                const yp = Boundary.cell(y + 1, height, edge);
 
                 // Sample 3x3 neighborhood
-                const a_tl = field[ym * size + xm];
-                const a_tc = field[ym * size + x];
-                const a_tr = field[ym * size + xp];
-                const a_ml = field[y * size + xm];
-                const a_mr = field[y * size + xp];
-                const a_bl = field[yp * size + xm];
-                const a_bc = field[yp * size + x];
-                const a_br = field[yp * size + xp];
+                const c = field[y * width + x];
+                const a_tl = read(ym * width + xm, c);
+                const a_tc = read(ym * width + x, c);
+                const a_tr = read(ym * width + xp, c);
+                const a_ml = read(y * width + xm, c);
+                const a_mr = read(y * width + xp, c);
+                const a_bl = read(yp * width + xm, c);
+                const a_bc = read(yp * width + x, c);
+                const a_br = read(yp * width + xp, c);
 
                 // Sobel gradient
                 const gx = (-a_tl + a_tr - 2*a_ml + 2*a_mr - a_bl + a_br) / 8;
                 const gy = (-a_tl - 2*a_tc - a_tr + a_bl + 2*a_bc + a_br) / 8;
 
-                const idx = y * size + x;
+                const idx = y * width + x;
                 gradX[idx] = gx;
                 gradY[idx] = gy;
             }
         }
     }
 
+    /**
+     * Blur the wall mask into a proximity field and take its gradient
+     * The gradient points toward nearby walls; it stays zero while there are none
+     */
+    computeObstacleGradient() {
+        if (!this.hasObstacles()) {
+            this.obstacleProximity.fill(0);
+            this.obstacleGradX.fill(0);
+            this.obstacleGradY.fill(0);
+            return;
+        }
+
+        const { width, height, obstacles, obstacleProximity } = this;
+        const edge = Boundary.readMode(this.boundary);
+        const radius = Math.max(1, Math.round(this.params.obstacleSenseRadius));
+        const taps = 2 * radius + 1;
+        const rows = new Float32Array(width * height);
+
+        // Separable box blur: horizontal pass, then vertical
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                let sum = 0;
+                for (let k = -radius; k <= radius; k++) {
+                    sum += obstacles[y * width + Boundary.cell(x + k, width, edge)];
+                }
+                rows[y * width + x] = sum / taps;
+            }
+        }
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                let sum = 0;
+                for (let k = -radius; k <= radius; k++) {
+                    sum += rows[Boundary.cell(y + k, height, edge) * width + x];
+                }
+                obstacleProximity[y * width + x] = sum / taps;
+            }
+        }
+
+        this.computeFieldGradient(obstacleProximity, this.obstacleGradX, this.obstacleGradY, false);
+    }
+
     /**
      * Get food gradient at a position (bilinear interpolation)
      */
@@ -711,34 +821,42 @@ class Environment {
         return this.sampleGradient(x, y, this.pheromoneGradX, this.pheromoneGradY);
     }
 
+    /**
+     * Get wall proximity gradient at a position (points toward walls)
+     */
+    getObstacleGradient(x, y) {
+        return this.sampleGradient(x, y, this.obstacleGradX, this.obstacleGradY);
+    }
+
     /**
      * Sample gradient with bilinear interpolation
      */
     sampleGradient(x, y, gradX, gradY) {
-        const size = this.size;
+        const { width, height } = this;
+        const edge = Boundary.readMode(this.boundary);
 
-        // Wrap coordinates
-        x = ((x % size) + size) % size;
-        y = ((y % size) + size) % size;
+        // Map coordinates into the world
+        x = Boundary.position(x, width, edge);
+        y = Boundary.position(y, height, edge);
 
         const x0 = Math.floor(x);
         const y0 = Math.floor(y);
-        const x1 = (x0 + 1) % size;
-        const y1 = (y0 + 1) % size;
+        const x1 = Boundary.cell(x0 + 1, width, edge);
+        const y1 = Boundary.cell(y0 + 1, height, edge);
 
         const fx = x - x0;
         const fy = y - y0;
 
         // Bilinear interpolation
-        const gx00 = gradX[y0 * size + x0];
-        const gx10 = gradX[y0 * size + x1];
-        const gx01 = gradX[y1 * size + x0];
-        const gx11 = gradX[y1 * size + x1];
+        const gx00 = gradX[y0 * width + x0];
+        const gx10 = gradX[y0 * width + x1];
+        const gx01 = gradX[y1 * width + x0];
+        const gx11 = gradX[y1 * width + x1];
 
-        const gy00 = gradY[y0 * size + x0];
-        const gy10 = gradY[y0 * size + x1];
-        const gy01 = gradY[y1 * size + x0];
-        const gy11 = gradY[y1 * size + x1];
+        const gy00 = gradY[y0 * width + x0];
+        const gy10 = gradY[y0 * width + x1];
+        const gy01 = gradY[y1 * width + x0];
+        const gy11 = gradY[y1 * width + x1];
 
         const gx = gx00 * (1-fx) * (1-fy) + gx10 * fx * (1-fy) +
                    gx01 * (1-fx) * fy + gx11 * fx * fy;
@@ -752,34 +870,36 @@ class Environment {
      * Get food value at a position
      */
     getFoodAt(x, y) {
-        const ix = ((Math.floor(x) % this.size) + this.size) % this.size;
-        const iy = ((Math.floor(y) % this.size) + this.size) % this.size;
-        return this.food[iy * this.size + ix];
+        const ix = Boundary.cell(Math.floor(x), this.width, Boundary.readMode(this.boundary));
+        const iy = Boundary.cell(Math.floor(y), this.height, Boundary.readMode(this.boundary));
+        return this.food[iy * this.width + ix];
     }
 
     /**
      * Get pheromone value at a position
      */
     getPheromoneAt(x, y) {
-        const ix = ((Math.floor(x) % this.size) + this.size) % this.size;
-        const iy = ((Math.floor(y) % this.size) + this.size) % this.size;
-        return this.pheromone[iy * this.size + ix];
+        const ix = Boundary.cell(Math.floor(x), this.width, Boundary.readMode(this.boundary));
+        const iy = Boundary.cell(Math.floor(y), this.height, Boundary.readMode(this.boundary));
+        return this.pheromone[iy * this.width + ix];
     }
 
     /**
      * Add food at a position (for manual placement)
      */
     addFood(x, y, amount, radius = 10) {
+        const edge = Boundary.drawMode(this.boundary);
         for (let dy = -radius; dy <= radius; dy++) {
             for (let dx = -radius; dx <= radius; dx++) {
                 const dist = Math.sqrt(dx * dx + dy * dy) / radius;
                 if (dist <= 1) {
-                    const ix = ((Math.floor(x + dx) % this.size) + this.size) % this.size;
-                    const iy = ((Math.floor(y + dy) % this.size) + this.size) % this.size;
+                    const ix = Boundary.cell(Math.floor(x + dx), this.width, edge);
+                    const iy = Boundary.cell(Math.floor(y + dy), this.height, edge);
+                    if (ix < 0 || iy < 0 || this.obstacles[iy * this.width + ix]) continue;
                     const value = amount * (1 - dist * dist);
-                    this.food[iy * this.size + ix] = Math.min(
+                    this.food[iy * this.width + ix] = Math.min(
                         this.params.foodMaxDensity,
-                        this.food[iy * this.size + ix] + value
+                        this.food[iy * this.width + ix] + value
                     );
                 }
             }
@@ -790,24 +910,100 @@ class Environment {
      * Add pheromone at a position
      */
     addPheromone(x, y, amount, radius = 5) {
+        const edge = Boundary.drawMode(this.boundary);
         for (let dy = -radius; dy <= radius; dy++) {
             for (let dx = -radius; dx <= radius; dx++) {
                 const dist = Math.sqrt(dx * dx + dy * dy) / radius;
                 if (dist <= 1) {
-                    const ix = ((Math.floor(x + dx) % this.size) + this.size) % this.size;
-                    const iy = ((Math.floor(y + dy) % this.size) + this.size) % this.size;
+                    const ix = Boundary.cell(Math.floor(x + dx), this.width, edge);
+                    const iy = Boundary.cell(Math.floor(y + dy), this.height, edge);
+                    if (ix < 0 || iy < 0 || this.obstacles[iy * this.width + ix]) continue;
                     const value = amount * (1 - dist * dist);
-                    this.pheromone[iy * this.size + ix] = Math.min(
+                    this.pheromone[iy * this.width + ix] = Math.min(
                         this.params.pheromoneMaxDensity,
-                        this.pheromone[iy * this.size + ix] + value
+                        this.pheromone[iy * this.width + ix] + value
                     );
                 }
             }
         }
     }
 
+    // ==================== Obstacles ====================
+
+    /**
+     * True if the cell under a position is a wall
+     */
+    isObstacle(x, y) {
+        const ix = Boundary.cell(Math.floor(x), this.width, Boundary.readMode(this.boundary));
+        const iy = Boundary.cell(Math.floor(y), this.height, Boundary.readMode(this.boundary));
+        return this.obstacles[iy * this.width + ix] > 0;
+    }
+
+    /**
+     * True if any cell is a wall
+     */
+    hasObstacles() {
+        const solid = this.obstacles;
+        for (let i = 0; i < solid.length; i++) {
+            if (solid[i]) return true;
+        }
+        return false;
+    }
+
+    /**
+     * Paint (or erase) a solid disc of wall
+     * Painted cells lose their food, pheromone and signals
+     * @param {number} x - Center X
+     * @param {number} y - Center Y
+     * @param {number} radius - Brush radius in cells
+     * @param {boolean} solid - True to build walls, false to erase them
+     */
+    paintObstacle(x, y, radius, solid = true) {
+        const edge = Boundary.drawMode(this.boundary);
+        const fields = [
+            this.food, this.pheromone,
+            this.alarmSignal, this.huntingSignal, this.matingSignal, this.territorySignal
+        ];
+
+        for (let dy = -radius; dy <= radius; dy++) {
+            for (let dx = -radius; dx <= radius; dx++) {
+                if (dx * dx + dy * dy > radius * radius) continue;
+                const ix = Boundary.cell(Math.floor(x + dx), this.width, edge);
+                const iy = Boundary.cell(Math.floor(y + dy), this.height, edge);
+                if (ix < 0 || iy < 0) continue;
+                const idx = iy * this.width + ix;
+                this.obstacles[idx] = solid ? 1 : 0;
+                if (solid) {
+                    for (const field of fields) field[idx] = 0;
+                }
+            }
+        }
+    }
+
+    /**
+     * Paint (or erase) a wall segment, for corridors and mazes
+     * @param {number} radius - Half the wall thickness in cells
+     */
+    paintObstacleLine(x0, y0, x1, y1, radius, solid = true) {
+        const length = Math.hypot(x1 - x0, y1 - y0);
+        const steps = Math.max(1, Math.ceil(length / Math.max(1, radius * 0.5)));
+        for (let i = 0; i <= steps; i++) {
+            const t = i / steps;
+            this.paintObstacle(x0 + (x1 - x0) * t, y0 + (y1 - y0) * t, radius, solid);
+        }
+    }
+
+    /**
+     * Remove every wall
+     */
+    clearObstacles() {
+        this.obstacles.fill(0);
+        this.computeObstacleGradient();
+    }
+
     /**
      * Clear all environmental fields
+     * Walls are terrain rather than a field, so they stay (see clearObstacles)
      */
     clear() {
         this.food.fill(0);
@@ -856,39 +1052,70 @@ class Environment {
 
     /**
      * Resize the environment
+     * @param {number} newWidth - New width in cells
+     * @param {number} newHeight - New height in cells (defaults to newWidth)
      */
-    resize(newSize) {
-        if (newSize === this.size) return;
-
-        this.size = newSize;
-        this.food = new Float32Array(newSize * newSize);
-        this.pheromone = new Float32Array(newSize * newSize);
-        this.foodGradX = new Float32Array(newSize * newSize);
-        this.foodGradY = new Float32Array(newSize * newSize);
-        this.pheromoneGradX = new Float32Array(newSize * newSize);
-        this.pheromoneGradY = new Float32Array(newSize * newSize);
+    resize(newWidth, newHeight = newWidth) {
+        if (newWidth === this.width && newHeight === this.height) return;
+
+        const oldWidth = this.width;
+        const oldHeight = this.height;
+        this.width = newWidth;
+        this.height = newHeight;
+        this.food = new Float32Array(newWidth * newHeight);
+        this.pheromone = new Float32Array(newWidth * newHeight);
+        this.foodGradX = new Float32Array(newWidth * newHeight);
+        this.foodGradY = new Float32Array(newWidth * newHeight);
+        this.pheromoneGradX = new Float32Array(newWidth * newHeight);
+        this.pheromoneGradY = new Float32Array(newWidth * newHeight);
 
         // Phase 12: Resize signal fields
-        this.alarmSignal = new Float32Array(newSize * newSize);
-        this.huntingSignal = new Float32Array(newSize * newSize);
-        this.matingSignal = new Float32Array(newSize * newSize);
-        this.territorySignal = new Float32Array(newSize * newSize);
-        this.alarmGradX = new Float32Array(newSize * newSize);
-        this.alarmGradY = new Float32Array(newSize * newSize);
-        this.huntingGradX = new Float32Array(newSize * newSize);
-        this.huntingGradY = new Float32Array(newSize * newSize);
-        this.matingGradX = new Float32Array(newSize * newSize);
-        this.matingGradY = new Float32Array(newSize * newSize);
-        this.territoryGradX = new Float32Array(newSize * newSize);
-        this.territoryGradY = new Float32Array(newSize * newSize);
+        this.alarmSignal = new Float32Array(newWidth * newHeight);
+        this.huntingSignal = new Float32Array(newWidth * newHeight);
+        this.matingSignal = new Float32Array(newWidth * newHeight);
+        this.territorySignal = new Float32Array(newWidth * newHeight);
+        this.alarmGradX = new Float32Array(newWidth * newHeight);
+        this.alarmGradY = new Float32Array(newWidth * newHeight);
+        this.huntingGradX = new Float32Array(newWidth * newHeight);
+        this.huntingGradY = new Float32Array(newWidth * newHeight);
+        this.matingGradX = new Float32Array(newWidth * newHeight);
+        this.matingGradY = new Float32Array(newWidth * newHeight);
+        this.territoryGradX = new Float32Array(newWidth * newHeight);
+        this.territoryGradY = new Float32Array(newWidth * newHeight);
 
         // Phase 14: Resize migration trails
-        this.migrationTrails = new Float32Array(newSize * newSize);
+        this.migrationTrails = new Float32Array(newWidth * newHeight);
         this.initializeMigrationZones();
 
+        // Walls keep their layout, rescaled to the new grid
+        const oldObstacles = this.obstacles;
+        this.obstacles = new Float32Array(newWidth * newHeight);
+        Lenia.resample(oldObstacles, oldWidth, oldHeight, this.obstacles, newWidth, newHeight);
+        this.obstacleProximity = new Float32Array(newWidth * newHeight);
+        this.obstacleGradX = new Float32Array(newWidth * newHeight);
+        this.obstacleGradY = new Float32Array(newWidth * newHeight);
+        this.computeObstacleGradient();
+
         this.initializeFood();
     }
 
+    /**
+     * Move the zones and food clusters by (dx, dy) cells, after the cells
+     * under them moved (see chunk-world.js). The fields move with the cells
+     */
+    translate(dx, dy) {
+        for (const zone of this.migrationZones) {
+            zone.x += dx;
+            zone.y += dy;
+            zone.orbitCenterX += dx;
+            zone.orbitCenterY += dy;
+        }
+        for (const cluster of this.foodClusters) {
+            cluster.x += dx;
+            cluster.y += dy;
+        }
+    }
+
     /**
      * Get visualization color for food (green tint)
      */
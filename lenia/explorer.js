@@ -3,7 +3,7 @@
  *
  * Tools for discovering new stable creatures through:
  * 1. Grid search over parameter space
- * 2. Stability evaluation
+ * 2. Stability evaluation, optionally under noise (see noise.js)
  * 3. Heatmap visualization
  */
 
@@ -14,17 +14,36 @@ class ParameterExplorer {
         this.currentSearch = null;
         this.onProgress = null;
         this.onComplete = null;
+
+        // Noise every evaluation runs under, unless params.noise overrides it
+        // (see noise.js). Robust creatures keep their score when it is raised
+        this.noise = Noise.create();
+    }
+
+    /**
+     * Give an evaluation run its noise settings and a fresh noise stream
+     * Every run replays the same draws, so scores stay comparable across
+     * candidates and don't depend on the order they are evaluated in
+     */
+    applyNoise(sim, params) {
+        sim.setNoise(params.noise || this.noise);
+        sim.noiseRandom = new SeededRandom(Random.streamSeed('explorer-noise'));
     }
 
     /**
      * Evaluate stability of a parameter set
      * Returns a score: higher = more stable and interesting
      *
-     * @param {Object} params - {R, mu, sigma, dt, kernelType}
+     * @param {Object} params - {R, mu, sigma, dt, kernelType, growthType, noise}, plus
+     *                          dims: 3 to evaluate a Lenia3D volume instead
      * @param {number} steps - Number of simulation steps
      * @returns {Object} - {stability, complexity, score, finalMass}
      */
     evaluateParams(params, steps = 200) {
+        if (params.dims === 3) {
+            return this.evaluateVolume(params, steps);
+        }
+
         // Create a small test simulation
         const size = 64;
         const lenia = new Lenia(size);
@@ -35,7 +54,9 @@ class ParameterExplorer {
         lenia.dt = params.dt || 0.1;
         lenia.peaks = params.peaks || 1;
         lenia.kernelType = params.kernelType || 'ring';
+        lenia.setGrowth(params.growthType || 'gaussian', params.growthPoints || Growth.DEFAULT_POINTS);
         lenia.updateKernel();
+        this.applyNoise(lenia, params);
 
         // Initialize with a standard blob
         const cx = size / 2;
@@ -51,6 +72,41 @@ class ParameterExplorer {
             }
         }
 
+        return this.scoreRun(lenia, steps, params);
+    }
+
+    /**
+     * Evaluate a parameter set in 3D: a Lenia3D volume (params.size per side,
+     * default 32) seeded by Lenia3D.seedBall(), scored like the 2D runs
+     *
+     * @param {Object} params - {R, mu, sigma, dt, kernelType, kernelParams, growthType, noise, size}
+     * @param {number} steps - Number of simulation steps
+     */
+    evaluateVolume(params, steps = 200) {
+        const size = params.size || 32;
+        const lenia = new Lenia3D(size);
+
+        lenia.R = params.R;
+        lenia.mu = params.mu;
+        lenia.sigma = params.sigma;
+        lenia.dt = params.dt || 0.1;
+        lenia.kernelType = params.kernelType || 'bump4';
+        Object.assign(lenia.kernelParams, params.kernelParams || {});
+        lenia.setGrowth(params.growthType || 'gaussian', params.growthPoints || Growth.DEFAULT_POINTS);
+        lenia.updateKernel();
+        this.applyNoise(lenia, params);
+
+        lenia.seedBall();
+
+        return this.scoreRun(lenia, steps, params);
+    }
+
+    /**
+     * Step a seeded simulation and score it: mass stability over the second
+     * half of the run × entropy of the final grid × mass
+     * Works for anything with step(), totalMass() and a grid of values in [0, 1]
+     */
+    scoreRun(lenia, steps, params) {
         // Track mass over time
         const masses = [];
         for (let i = 0; i < steps; i++) {
@@ -97,6 +153,7 @@ class ParameterExplorer {
             score,
             finalMass: avgMass,
             survived,
+            noise: { ...lenia.noise },
             params: { ...params }
         };
     }
@@ -253,6 +310,13 @@ class EvolutionarySearch {
         this.onGeneration = null;
         this.onNewBest = null;
 
+        // Own random stream so a search is reproducible from the seed
+        // without disturbing the running simulation
+        this.rng = Random.stream('evolution-search');
+
+        // Noise candidates are scored under (see ParameterExplorer.noise)
+        this.noise = Noise.create();
+
         // Parameter bounds
         this.bounds = {
             R: [5, 25],
@@ -278,7 +342,7 @@ class EvolutionarySearch {
     }
 
     randInRange([min, max]) {
-        return min + Math.random() * (max - min);
+        return min + this.rng.random() * (max - min);
     }
 
     /**
@@ -287,25 +351,25 @@ class EvolutionarySearch {
     mutate(genome, rate = 0.3) {
         const mutated = { ...genome };
 
-        if (Math.random() < rate) {
+        if (this.rng.random() < rate) {
             mutated.R = Math.max(this.bounds.R[0],
                 Math.min(this.bounds.R[1],
-                    mutated.R + (Math.random() - 0.5) * 6));
+                    mutated.R + (this.rng.random() - 0.5) * 6));
         }
-        if (Math.random() < rate) {
+        if (this.rng.random() < rate) {
             mutated.mu = Math.max(this.bounds.mu[0],
                 Math.min(this.bounds.mu[1],
-                    mutated.mu + (Math.random() - 0.5) * 0.1));
+                    mutated.mu + (this.rng.random() - 0.5) * 0.1));
         }
-        if (Math.random() < rate) {
+        if (this.rng.random() < rate) {
             mutated.sigma = Math.max(this.bounds.sigma[0],
                 Math.min(this.bounds.sigma[1],
-                    mutated.sigma + (Math.random() - 0.5) * 0.02));
+                    mutated.sigma + (this.rng.random() - 0.5) * 0.02));
         }
-        if (Math.random() < rate * 0.5) {
+        if (this.rng.random() < rate * 0.5) {
             mutated.peaks = Math.max(this.bounds.peaks[0],
                 Math.min(this.bounds.peaks[1],
-                    mutated.peaks + Math.round(Math.random() * 2 - 1)));
+                    mutated.peaks + Math.round(this.rng.random() * 2 - 1)));
         }
 
         return mutated;
@@ -316,11 +380,11 @@ class EvolutionarySearch {
      */
     crossover(a, b) {
         return {
-            R: Math.random() < 0.5 ? a.R : b.R,
-            mu: Math.random() < 0.5 ? a.mu : b.mu,
-            sigma: Math.random() < 0.5 ? a.sigma : b.sigma,
-            peaks: Math.random() < 0.5 ? a.peaks : b.peaks,
-            dt: Math.random() < 0.5 ? a.dt : b.dt,
+            R: this.rng.random() < 0.5 ? a.R : b.R,
+            mu: this.rng.random() < 0.5 ? a.mu : b.mu,
+            sigma: this.rng.random() < 0.5 ? a.sigma : b.sigma,
+            peaks: this.rng.random() < 0.5 ? a.peaks : b.peaks,
+            dt: this.rng.random() < 0.5 ? a.dt : b.dt,
             kernelType: 'ring'
         };
     }
@@ -334,6 +398,7 @@ class EvolutionarySearch {
         this.history = [];
 
         const explorer = new ParameterExplorer();
+        explorer.noise = this.noise;
 
         for (let i = 0; i < this.populationSize; i++) {
             const genome = this.randomGenome();
@@ -354,6 +419,7 @@ class EvolutionarySearch {
      */
     async runGeneration() {
         const explorer = new ParameterExplorer();
+        explorer.noise = this.noise;
 
         // Selection: keep top 50%
         const survivors = this.population.slice(0, Math.floor(this.populationSize / 2));
@@ -361,8 +427,8 @@ class EvolutionarySearch {
         // Create offspring through crossover and mutation
         const offspring = [];
         while (offspring.length < this.populationSize - survivors.length) {
-            const parent1 = survivors[Math.floor(Math.random() * survivors.length)];
-            const parent2 = survivors[Math.floor(Math.random() * survivors.length)];
+            const parent1 = survivors[Math.floor(this.rng.random() * survivors.length)];
+            const parent2 = survivors[Math.floor(this.rng.random() * survivors.length)];
 
             let childGenome = this.crossover(parent1.genome, parent2.genome);
             childGenome = this.mutate(childGenome);
@@ -0,0 +1,746 @@
+/**
+ * FFT - Fast Fourier Transforms and cached-kernel convolution for Lenia
+ *
+ * Lenia's potential U = K * A is a toroidal convolution. Done directly it
+ * costs O(N² × K²); in frequency space it is a pointwise product, so with
+ * FFTs the cost drops to O(N² log N) regardless of kernel radius.
+ *
+ * Provides:
+ * - 1D complex transforms for any length: iterative radix-2 for powers of
+ *   two, recursive mixed-radix for lengths with small prime factors, and
+ *   Bluestein's chirp-z algorithm for everything else
+ * - Real-valued 2D transforms that only store the non-redundant half
+ *   spectrum (width/2 + 1 columns) and pack two real rows per complex FFT
+ * - A convolver that caches the kernel spectrum, so each step costs one
+ *   forward and one inverse transform
+ * - Real-valued 3D transforms and a periodic 3D convolver for volumes
+ *
+ * Convolver API:
+ *   const conv = FFT.createConvolver(width, height);  // height defaults to width
+ *   conv.setKernel(kernel);          // {data, size, radius}, e.g. from Kernels.ring()
+ *   conv.convolve(grid, potential);  // potential[i] = sum of kernel × neighborhood
+ *   conv.setPadding('mirror');       // 'wrap' (default), 'zero' or 'mirror'
+ *
+ * The result matches the direct toroidal loop used elsewhere in the code:
+ *   U(x, y) = Σ K[ky][kx] · A(x + kx - R, y + ky - R)
+ * with A read through the padding for cells beyond the edge.
+ */
+
+const FFT = {
+    // Complex 1D plans are cached by length; they hold only read-only tables
+    plans: new Map(),
+
+    isPowerOfTwo(n) {
+        return n > 0 && (n & (n - 1)) === 0;
+    },
+
+    nextPowerOfTwo(n) {
+        let p = 1;
+        while (p < n) p <<= 1;
+        return p;
+    },
+
+    /**
+     * Get a 1D complex transform plan for length n
+     * plan.forward(re, im) / plan.inverse(re, im) work in place and are
+     * unnormalized (inverse(forward(x)) = n · x)
+     *
+     * @param {number} n - Transform length (any positive integer)
+     */
+    createPlan(n) {
+        if (!Number.isInteger(n) || n < 1) {
+            throw new Error(`FFT length must be a positive integer, got ${n}`);
+        }
+
+        let plan = this.plans.get(n);
+        if (!plan) {
+            if (this.isPowerOfTwo(n)) {
+                plan = this.createRadix2Plan(n);
+            } else if (this.factorize(n).every(p => p <= this.MAX_MIXED_RADIX)) {
+                plan = this.createMixedRadixPlan(n);
+            } else {
+                plan = this.createBluesteinPlan(n);
+            }
+            this.plans.set(n, plan);
+        }
+        return plan;
+    },
+
+    // Largest prime factor handled by the mixed-radix path; lengths with a
+    // bigger prime factor use Bluestein instead
+    MAX_MIXED_RADIX: 13,
+
+    /**
+     * Prime factors of n in ascending order (with repetition)
+     */
+    factorize(n) {
+        const factors = [];
+        let rest = n;
+        for (let p = 2; p * p <= rest; p++) {
+            while (rest % p === 0) {
+                factors.push(p);
+                rest /= p;
+            }
+        }
+        if (rest > 1) factors.push(rest);
+        return factors;
+    },
+
+    /**
+     * Iterative radix-2 Cooley-Tukey transform (n must be a power of two)
+     */
+    createRadix2Plan(n) {
+        const levels = Math.round(Math.log2(n));
+
+        // Bit-reversal permutation
+        const rev = new Uint32Array(n);
+        for (let i = 0; i < n; i++) {
+            let r = 0;
+            for (let b = 0; b < levels; b++) {
+                r |= ((i >> b) & 1) << (levels - 1 - b);
+            }
+            rev[i] = r;
+        }
+
+        // Twiddle factors e^(-2πik/n) for k < n/2
+        const half = n >> 1;
+        const cosTable = new Float64Array(half);
+        const sinTable = new Float64Array(half);
+        for (let k = 0; k < half; k++) {
+            cosTable[k] = Math.cos(2 * Math.PI * k / n);
+            sinTable[k] = Math.sin(2 * Math.PI * k / n);
+        }
+
+        const transform = (re, im, inverse) => {
+            for (let i = 0; i < n; i++) {
+                const j = rev[i];
+                if (j > i) {
+                    let t = re[i]; re[i] = re[j]; re[j] = t;
+                    t = im[i]; im[i] = im[j]; im[j] = t;
+                }
+            }
+
+            const sign = inverse ? 1 : -1;
+            for (let len = 2; len <= n; len <<= 1) {
+                const halfLen = len >> 1;
+                const step = n / len;
+                for (let start = 0; start < n; start += len) {
+                    for (let k = 0; k < halfLen; k++) {
+                        const wr = cosTable[k * step];
+                        const wi = sign * sinTable[k * step];
+                        const a = start + k;
+                        const b = a + halfLen;
+                        const tr = re[b] * wr - im[b] * wi;
+                        const ti = re[b] * wi + im[b] * wr;
+                        re[b] = re[a] - tr;
+                        im[b] = im[a] - ti;
+                        re[a] += tr;
+                        im[a] += ti;
+                    }
+                }
+            }
+        };
+
+        return {
+            n,
+            forward: (re, im) => transform(re, im, false),
+            inverse: (re, im) => transform(re, im, true)
+        };
+    },
+
+    /**
+     * Recursive mixed-radix Cooley-Tukey transform for lengths whose prime
+     * factors are all small (e.g. the grid-size slider's 192 = 2^6·3,
+     * 320 = 2^6·5, 448 = 2^6·7)
+     */
+    createMixedRadixPlan(n) {
+        const factors = this.factorize(n).reverse();
+
+        // Twiddle factors e^(-2πik/n) for the full length
+        const cosTable = new Float64Array(n);
+        const sinTable = new Float64Array(n);
+        for (let k = 0; k < n; k++) {
+            cosTable[k] = Math.cos(2 * Math.PI * k / n);
+            sinTable[k] = Math.sin(2 * Math.PI * k / n);
+        }
+
+        const maxRadix = Math.max(...factors);
+        const tempRe = new Float64Array(maxRadix);
+        const tempIm = new Float64Array(maxRadix);
+        const inRe = new Float64Array(n);
+        const inIm = new Float64Array(n);
+        let sign = -1;
+
+        // Transform len elements of (inRe, inIm) read at the given stride into
+        // (outRe, outIm) starting at outOff, splitting by factors[depth]
+        const recurse = (outRe, outIm, outOff, inOff, stride, len, depth) => {
+            if (len === 1) {
+                outRe[outOff] = inRe[inOff];
+                outIm[outOff] = inIm[inOff];
+                return;
+            }
+
+            const p = factors[depth];
+            const m = len / p;
+
+            // p interleaved sub-transforms of length m, stored back to back
+            if (m === 1) {
+                for (let q = 0; q < p; q++) {
+                    outRe[outOff + q] = inRe[inOff + q * stride];
+                    outIm[outOff + q] = inIm[inOff + q * stride];
+                }
+            } else {
+                for (let q = 0; q < p; q++) {
+                    recurse(outRe, outIm, outOff + q * m, inOff + q * stride, stride * p, m, depth + 1);
+                }
+            }
+
+            // Butterflies: X[k + s·m] = Σ_q W_len^(q(k + s·m)) · Sub_q[k]
+            const twiddleStep = n / len;
+
+            if (p === 2) {
+                // Radix-2 fast path: X[k] = a + w·b, X[k + m] = a - w·b
+                for (let k = 0; k < m; k++) {
+                    const a = outOff + k;
+                    const b = a + m;
+                    const wr = cosTable[k * twiddleStep];
+                    const wi = sign * sinTable[k * twiddleStep];
+                    const tr = outRe[b] * wr - outIm[b] * wi;
+                    const ti = outRe[b] * wi + outIm[b] * wr;
+                    outRe[b] = outRe[a] - tr;
+                    outIm[b] = outIm[a] - ti;
+                    outRe[a] += tr;
+                    outIm[a] += ti;
+                }
+                return;
+            }
+
+            for (let k = 0; k < m; k++) {
+                for (let q = 0; q < p; q++) {
+                    tempRe[q] = outRe[outOff + q * m + k];
+                    tempIm[q] = outIm[outOff + q * m + k];
+                }
+                for (let s = 0; s < p; s++) {
+                    const out = k + s * m;
+                    let sumRe = tempRe[0];
+                    let sumIm = tempIm[0];
+                    for (let q = 1; q < p; q++) {
+                        const t = ((q * out) % len) * twiddleStep;
+                        const wr = cosTable[t];
+                        const wi = sign * sinTable[t];
+                        sumRe += tempRe[q] * wr - tempIm[q] * wi;
+                        sumIm += tempRe[q] * wi + tempIm[q] * wr;
+                    }
+                    outRe[outOff + out] = sumRe;
+                    outIm[outOff + out] = sumIm;
+                }
+            }
+        };
+
+        const transform = (re, im, inverse) => {
+            inRe.set(re);
+            inIm.set(im);
+            sign = inverse ? 1 : -1;
+            recurse(re, im, 0, 0, 1, n, 0);
+        };
+
+        return {
+            n,
+            forward: (re, im) => transform(re, im, false),
+            inverse: (re, im) => transform(re, im, true)
+        };
+    },
+
+    /**
+     * Bluestein (chirp-z) transform for arbitrary n
+     * Rewrites the length-n DFT as a convolution, evaluated with a
+     * power-of-two FFT of length m >= 2n - 1
+     */
+    createBluesteinPlan(n) {
+        const m = this.nextPowerOfTwo(2 * n - 1);
+        const inner = this.createPlan(m);
+
+        // Chirp w[k] = e^(-iπk²/n); k² is reduced mod 2n to keep the angle exact
+        const chirpRe = new Float64Array(n);
+        const chirpIm = new Float64Array(n);
+        for (let k = 0; k < n; k++) {
+            const angle = Math.PI * ((k * k) % (2 * n)) / n;
+            chirpRe[k] = Math.cos(angle);
+            chirpIm[k] = -Math.sin(angle);
+        }
+
+        // Spectrum of the conjugate chirp, wrapped for circular convolution
+        const filterRe = new Float64Array(m);
+        const filterIm = new Float64Array(m);
+        filterRe[0] = chirpRe[0];
+        filterIm[0] = -chirpIm[0];
+        for (let k = 1; k < n; k++) {
+            filterRe[k] = filterRe[m - k] = chirpRe[k];
+            filterIm[k] = filterIm[m - k] = -chirpIm[k];
+        }
+        inner.forward(filterRe, filterIm);
+
+        const workRe = new Float64Array(m);
+        const workIm = new Float64Array(m);
+
+        const forward = (re, im) => {
+            workRe.fill(0);
+            workIm.fill(0);
+            for (let k = 0; k < n; k++) {
+                workRe[k] = re[k] * chirpRe[k] - im[k] * chirpIm[k];
+                workIm[k] = re[k] * chirpIm[k] + im[k] * chirpRe[k];
+            }
+
+            inner.forward(workRe, workIm);
+            for (let k = 0; k < m; k++) {
+                const r = workRe[k] * filterRe[k] - workIm[k] * filterIm[k];
+                workIm[k] = workRe[k] * filterIm[k] + workIm[k] * filterRe[k];
+                workRe[k] = r;
+            }
+            inner.inverse(workRe, workIm);
+
+            for (let k = 0; k < n; k++) {
+                const r = workRe[k] / m;
+                const i = workIm[k] / m;
+                re[k] = r * chirpRe[k] - i * chirpIm[k];
+                im[k] = r * chirpIm[k] + i * chirpRe[k];
+            }
+        };
+
+        // Inverse DFT via conjugation: IDFT(x) = conj(DFT(conj(x)))
+        const inverse = (re, im) => {
+            for (let k = 0; k < n; k++) im[k] = -im[k];
+            forward(re, im);
+            for (let k = 0; k < n; k++) im[k] = -im[k];
+        };
+
+        return { n, forward, inverse };
+    },
+
+    /**
+     * Real-valued 2D transform of a width × height row-major grid
+     *
+     * The spectrum of real input is Hermitian, so only columns 0..width/2 are
+     * kept: spectra are {re, im} Float64Arrays of specWidth × height.
+     * forward() is unnormalized; inverse() divides by width × height so that
+     * inverse(forward(a)) = a.
+     */
+    createRealPlan2D(width, height = width) {
+        const rowPlan = this.createPlan(width);
+        const colPlan = this.createPlan(height);
+        const specWidth = Math.floor(width / 2) + 1;
+
+        const rowRe = new Float64Array(width);
+        const rowIm = new Float64Array(width);
+        const colRe = new Float64Array(height);
+        const colIm = new Float64Array(height);
+
+        const createSpectrum = () => ({
+            re: new Float64Array(specWidth * height),
+            im: new Float64Array(specWidth * height)
+        });
+
+        const forward = (input, spectrum = createSpectrum()) => {
+            const { re, im } = spectrum;
+
+            // Rows: transform two real rows at once as one complex row a + ib
+            for (let y = 0; y < height; y += 2) {
+                const pair = y + 1 < height;
+                const offA = y * width;
+                const offB = offA + width;
+                for (let x = 0; x < width; x++) {
+                    rowRe[x] = input[offA + x];
+                    rowIm[x] = pair ? input[offB + x] : 0;
+                }
+                rowPlan.forward(rowRe, rowIm);
+
+                // Separate: A[k] = (Z[k] + conj(Z[-k])) / 2, B[k] = (Z[k] - conj(Z[-k])) / 2i
+                for (let k = 0; k < specWidth; k++) {
+                    const nk = (width - k) % width;
+                    const zr = rowRe[k], zi = rowIm[k];
+                    const cr = rowRe[nk], ci = -rowIm[nk];
+                    re[y * specWidth + k] = (zr + cr) / 2;
+                    im[y * specWidth + k] = (zi + ci) / 2;
+                    if (pair) {
+                        re[(y + 1) * specWidth + k] = (zi - ci) / 2;
+                        im[(y + 1) * specWidth + k] = -(zr - cr) / 2;
+                    }
+                }
+            }
+
+            // Columns: complex transform over each kept column
+            for (let k = 0; k < specWidth; k++) {
+                for (let y = 0; y < height; y++) {
+                    colRe[y] = re[y * specWidth + k];
+                    colIm[y] = im[y * specWidth + k];
+                }
+                colPlan.forward(colRe, colIm);
+                for (let y = 0; y < height; y++) {
+                    re[y * specWidth + k] = colRe[y];
+                    im[y * specWidth + k] = colIm[y];
+                }
+            }
+
+            return spectrum;
+        };
+
+        // Note: overwrites the spectrum (columns are inverted in place)
+        const inverse = (spectrum, output) => {
+            const { re, im } = spectrum;
+            const scale = 1 / (width * height);
+
+            for (let k = 0; k < specWidth; k++) {
+                for (let y = 0; y < height; y++) {
+                    colRe[y] = re[y * specWidth + k];
+                    colIm[y] = im[y * specWidth + k];
+                }
+                colPlan.inverse(colRe, colIm);
+                for (let y = 0; y < height; y++) {
+                    re[y * specWidth + k] = colRe[y];
+                    im[y * specWidth + k] = colIm[y];
+                }
+            }
+
+            // Rows: rebuild full spectra of two rows as Z = A + iB, invert once
+            for (let y = 0; y < height; y += 2) {
+                const pair = y + 1 < height;
+                const offA = y * specWidth;
+                const offB = offA + specWidth;
+
+                for (let k = 0; k < width; k++) {
+                    // Hermitian symmetry: X[width - k] = conj(X[k])
+                    const mirrored = k >= specWidth;
+                    const src = mirrored ? width - k : k;
+                    const conjSign = mirrored ? -1 : 1;
+
+                    const ar = re[offA + src];
+                    const ai = conjSign * im[offA + src];
+                    const br = pair ? re[offB + src] : 0;
+                    const bi = pair ? conjSign * im[offB + src] : 0;
+
+                    rowRe[k] = ar - bi;
+                    rowIm[k] = ai + br;
+                }
+                rowPlan.inverse(rowRe, rowIm);
+
+                const outA = y * width;
+                for (let x = 0; x < width; x++) {
+                    output[outA + x] = rowRe[x] * scale;
+                    if (pair) output[outA + width + x] = rowIm[x] * scale;
+                }
+            }
+
+            return output;
+        };
+
+        return { width, height, specWidth, createSpectrum, forward, inverse };
+    },
+
+    /**
+     * Real-valued 3D transform of a width × height × depth volume
+     * (x fastest, then y, then z)
+     *
+     * Each z slice goes through a 2D real plan, then every kept (k, y) line
+     * is transformed along z. Spectra are {re, im} of specWidth × height × depth.
+     * inverse() divides by the cell count so inverse(forward(a)) = a.
+     */
+    createRealPlan3D(width, height = width, depth = width) {
+        const slicePlan = this.createRealPlan2D(width, height);
+        const depthPlan = this.createPlan(depth);
+        const { specWidth } = slicePlan;
+        const sliceCells = width * height;
+        const sliceSpec = specWidth * height;
+
+        const lineRe = new Float64Array(depth);
+        const lineIm = new Float64Array(depth);
+
+        const createSpectrum = () => ({
+            re: new Float64Array(sliceSpec * depth),
+            im: new Float64Array(sliceSpec * depth)
+        });
+
+        const sliceOf = (spectrum, z) => ({
+            re: spectrum.re.subarray(z * sliceSpec, (z + 1) * sliceSpec),
+            im: spectrum.im.subarray(z * sliceSpec, (z + 1) * sliceSpec)
+        });
+
+        // Complex transform along z of every kept (k, y) line, in place
+        // The inverse also divides by depth (the 2D inverse handles width × height)
+        const transformDepth = (spectrum, inverse) => {
+            const { re, im } = spectrum;
+            const scale = inverse ? 1 / depth : 1;
+            for (let i = 0; i < sliceSpec; i++) {
+                for (let z = 0; z < depth; z++) {
+                    lineRe[z] = re[z * sliceSpec + i];
+                    lineIm[z] = im[z * sliceSpec + i];
+                }
+                if (inverse) {
+                    depthPlan.inverse(lineRe, lineIm);
+                } else {
+                    depthPlan.forward(lineRe, lineIm);
+                }
+                for (let z = 0; z < depth; z++) {
+                    re[z * sliceSpec + i] = lineRe[z] * scale;
+                    im[z * sliceSpec + i] = lineIm[z] * scale;
+                }
+            }
+        };
+
+        const forward = (input, spectrum = createSpectrum()) => {
+            for (let z = 0; z < depth; z++) {
+                slicePlan.forward(input.subarray(z * sliceCells, (z + 1) * sliceCells), sliceOf(spectrum, z));
+            }
+            transformDepth(spectrum, false);
+            return spectrum;
+        };
+
+        // Note: overwrites the spectrum
+        const inverse = (spectrum, output) => {
+            transformDepth(spectrum, true);
+            for (let z = 0; z < depth; z++) {
+                slicePlan.inverse(sliceOf(spectrum, z), output.subarray(z * sliceCells, (z + 1) * sliceCells));
+            }
+            return output;
+        };
+
+        return { width, height, depth, specWidth, createSpectrum, forward, inverse };
+    },
+
+    /**
+     * Periodic (toroidal) convolver for a width × height × depth volume
+     * Same API as createConvolver: setKernel(), kernelSpectrum() and convolve(),
+     * with size³ kernels such as Kernels.spherical()
+     */
+    createConvolver3D(width, height = width, depth = width) {
+        const plan = this.createRealPlan3D(width, height, depth);
+        const padded = new Float64Array(width * height * depth);
+        const work = plan.createSpectrum();
+        let defaultSpectrum = null;
+
+        const wrap = (v, n) => ((v % n) + n) % n;
+
+        // Kernel flipped about its center and wrapped onto the volume
+        const kernelSpectrum = (kernel, spectrum = undefined) => {
+            const { data, size, radius } = kernel;
+
+            padded.fill(0);
+            for (let kz = 0; kz < size; kz++) {
+                const z = wrap(radius - kz, depth);
+                for (let ky = 0; ky < size; ky++) {
+                    const y = wrap(radius - ky, height);
+                    for (let kx = 0; kx < size; kx++) {
+                        const value = data[(kz * size + ky) * size + kx];
+                        if (value === 0) continue;
+                        const x = wrap(radius - kx, width);
+                        padded[(z * height + y) * width + x] += value;
+                    }
+                }
+            }
+
+            spectrum = plan.forward(padded, spectrum);
+            spectrum.kernel = kernel;
+            return spectrum;
+        };
+
+        const setKernel = (kernel) => {
+            defaultSpectrum = kernelSpectrum(kernel);
+            return defaultSpectrum;
+        };
+
+        const convolve = (input, output, spectrum = defaultSpectrum) => {
+            if (!spectrum) {
+                throw new Error('FFT convolver has no kernel; call setKernel() first');
+            }
+
+            plan.forward(input, work);
+            const { re, im } = work;
+            const kr = spectrum.re;
+            const ki = spectrum.im;
+            for (let i = 0; i < re.length; i++) {
+                const r = re[i] * kr[i] - im[i] * ki[i];
+                im[i] = re[i] * ki[i] + im[i] * kr[i];
+                re[i] = r;
+            }
+            plan.inverse(work, output);
+            return output;
+        };
+
+        return { width, height, depth, plan, kernelSpectrum, setKernel, convolve };
+    },
+
+    /**
+     * Smallest length >= n whose prime factors are all 2, 3 or 5, so padded
+     * grids stay on the fast mixed-radix path
+     */
+    nextFastLength(n) {
+        for (let m = n; ; m++) {
+            let rest = m;
+            for (const p of [2, 3, 5]) {
+                while (rest % p === 0) rest /= p;
+            }
+            if (rest === 1) return m;
+        }
+    },
+
+    /**
+     * Create a convolver for a width × height grid
+     *
+     * With 'wrap' padding (the default) the convolution is toroidal. With
+     * 'zero' or 'mirror' padding the grid is embedded in a larger one whose
+     * margin holds zeros or the mirrored edge, so nothing wraps around.
+     * The margin grows to fit the largest kernel given to it; spectra made
+     * for a smaller margin are recomputed on their next use.
+     *
+     * @param {number} width - Grid width
+     * @param {number} height - Grid height (defaults to width)
+     * @param {string} padding - 'wrap', 'zero' or 'mirror' (see Boundary.padding)
+     * @returns {Object} convolver with setKernel(), kernelSpectrum(), setPadding() and convolve()
+     */
+    createConvolver(width, height = width, padding = 'wrap') {
+        let margin = 0;
+        let planWidth, planHeight, plan, padded, paddedOutput, work;
+        let defaultSpectrum = null;
+
+        const build = () => {
+            planWidth = padding === 'wrap' ? width : this.nextFastLength(width + 2 * margin);
+            planHeight = padding === 'wrap' ? height : this.nextFastLength(height + 2 * margin);
+            plan = this.createRealPlan2D(planWidth, planHeight);
+            padded = new Float64Array(planWidth * planHeight);
+            paddedOutput = padding === 'wrap' ? null : new Float64Array(planWidth * planHeight);
+            work = plan.createSpectrum();
+        };
+        build();
+
+        /**
+         * Spectrum of a kernel wrapped onto the (padded) grid
+         * The kernel is flipped about its center so the product computes the
+         * same correlation as the direct loop (matters for asymmetric kernels).
+         * Kernels larger than a periodic grid wrap around and overlap, as they
+         * would in the direct toroidal loop.
+         */
+        const kernelSpectrum = (kernel, spectrum = undefined) => {
+            const { data, size, radius } = kernel;
+
+            if (padding !== 'wrap' && radius > margin) {
+                margin = radius;
+                build();
+            }
+
+            padded.fill(0);
+            for (let ky = 0; ky < size; ky++) {
+                const y = (((radius - ky) % planHeight) + planHeight) % planHeight;
+                for (let kx = 0; kx < size; kx++) {
+                    const value = data[ky * size + kx];
+                    if (value === 0) continue;
+                    const x = (((radius - kx) % planWidth) + planWidth) % planWidth;
+                    padded[y * planWidth + x] += value;
+                }
+            }
+
+            if (spectrum && spectrum.re.length !== work.re.length) {
+                spectrum.re = new Float64Array(work.re.length);
+                spectrum.im = new Float64Array(work.im.length);
+            }
+            spectrum = plan.forward(padded, spectrum);
+            spectrum.kernel = kernel;
+            spectrum.margin = margin;
+            return spectrum;
+        };
+
+        const setKernel = (kernel) => {
+            defaultSpectrum = kernelSpectrum(kernel);
+            return defaultSpectrum;
+        };
+
+        /**
+         * Switch padding; cached spectra are recomputed on their next use
+         */
+        const setPadding = (newPadding) => {
+            if (newPadding === padding) return;
+            padding = newPadding;
+            margin = 0;
+            build();
+        };
+
+        /**
+         * Copy the grid into the middle of the padded buffer and fill the margin
+         */
+        const fillPadded = (input) => {
+            const mirror = padding === 'mirror';
+            for (let py = 0; py < planHeight; py++) {
+                let y = py - margin;
+                if (y < 0 || y >= height) {
+                    if (!mirror) {
+                        padded.fill(0, py * planWidth, (py + 1) * planWidth);
+                        continue;
+                    }
+                    y = Boundary.mirror(y, height);
+                }
+                const row = py * planWidth;
+                const src = y * width;
+                for (let px = 0; px < planWidth; px++) {
+                    const x = px - margin;
+                    if (x >= 0 && x < width) {
+                        padded[row + px] = input[src + x];
+                    } else {
+                        padded[row + px] = mirror ? input[src + Boundary.mirror(x, width)] : 0;
+                    }
+                }
+            }
+        };
+
+        /**
+         * Convolve input with a cached kernel spectrum (default: the one set
+         * by setKernel) and write the real result into output
+         */
+        const convolve = (input, output, spectrum = defaultSpectrum) => {
+            if (!spectrum) {
+                throw new Error('FFT convolver has no kernel; call setKernel() first');
+            }
+            if (spectrum.margin !== margin || spectrum.re.length !== work.re.length) {
+                kernelSpectrum(spectrum.kernel, spectrum);
+            }
+
+            const wrap = padding === 'wrap';
+            if (wrap) {
+                plan.forward(input, work);
+            } else {
+                fillPadded(input);
+                plan.forward(padded, work);
+            }
+
+            const { re, im } = work;
+            const kr = spectrum.re;
+            const ki = spectrum.im;
+            for (let i = 0; i < re.length; i++) {
+                const r = re[i] * kr[i] - im[i] * ki[i];
+                im[i] = re[i] * ki[i] + im[i] * kr[i];
+                re[i] = r;
+            }
+
+            if (wrap) {
+                plan.inverse(work, output);
+            } else {
+                plan.inverse(work, paddedOutput);
+                for (let y = 0; y < height; y++) {
+                    const row = (y + margin) * planWidth + margin;
+                    for (let x = 0; x < width; x++) {
+                        output[y * width + x] = paddedOutput[row + x];
+                    }
+                }
+            }
+            return output;
+        };
+
+        return {
+            width,
+            height,
+            get padding() { return padding; },
+            get plan() { return plan; },
+            kernelSpectrum,
+            setKernel,
+            setPadding,
+            convolve
+        };
+    }
+};
@@ -34,31 +34,86 @@
  * 8. Compute flow field F = ∇(affinity) + steering
  * 9. Transport mass using reintegration tracking (mass-conservative)
  *
+ * `transport` chooses how mass moves: 'bilinear' splats each cell's mass,
+ * as a point, onto the 4 cells around its destination; 'reintegration' is
+ * the paper's reintegration tracking, spreading it over a square of side
+ * `distributionSize` (s) and giving each cell the part that overlaps it.
+ * s = 1 moves mass as bilinear does; larger s smooths out checkerboards
+ * and pile-ups. Reintegration also keeps trace mass that bilinear drops.
+ *
+ * Where masses meet, `mixing` decides the parameters of the merged cell:
+ * 'average' (the mass-weighted mean), 'stochastic' (one incoming share's
+ * parameters, picked with probability proportional to its mass, as in the
+ * Flow-Lenia paper) or 'dominant' (the largest share's parameters).
+ * The last two keep species distinct instead of blending them.
+ *
+ * With localGenome on (see local-genome.js), the whole rule travels with
+ * the mass: kernel radius, shell weights, dt, a drift and every Genome
+ * trait are per-cell fields that mix like P_mu and P_sigma, and creatures
+ * take their genomes from the matter they are made of.
+ *
+ * A mass budget (see mass-budget.js) opens the system: emitters, food
+ * conversion and evaporation add and remove mass after transport, and
+ * `massLedger` accounts for every change of total mass in a step.
+ *
+ * Optional noise (see noise.js) keeps mass conserved: potential noise
+ * perturbs U, dropped-out cells hold their mass still for a step, and state
+ * noise jitters mass in proportion to itself, then restores the total.
+ *
  * References:
  * - Flow-Lenia Paper: https://direct.mit.edu/artl/article/31/2/228/130572/
  * - arXiv: https://arxiv.org/abs/2212.07906
  */
 
 class FlowLenia {
-    constructor(size) {
-        this.size = size;
+    // Ways parameters mix where transported masses meet (see transportMass)
+    static MIXING_RULES = ['average', 'stochastic', 'dominant'];
+
+    // Ways mass moves to its destination (see transportMass)
+    static TRANSPORT_MODES = ['bilinear', 'reintegration'];
+
+    /**
+     * @param {number} width - Grid width in cells
+     * @param {number} height - Grid height in cells (defaults to width)
+     */
+    constructor(width, height = width) {
+        this.width = width;
+        this.height = height;
+        const cells = width * height;
 
         // Main state: activation/mass grid
-        this.A = new Float32Array(size * size);
+        this.A = new Float32Array(cells);
 
         // Phase 15: Parameter localization - store mu, sigma per cell
         // These flow with mass, enabling multi-species in the same grid
-        this.P_mu = new Float32Array(size * size);     // Local growth center per cell
-        this.P_sigma = new Float32Array(size * size);  // Local growth width per cell
-        this.newP_mu = new Float32Array(size * size);  // Buffer for transport
-        this.newP_sigma = new Float32Array(size * size);
+        this.P_mu = new Float32Array(cells);     // Local growth center per cell
+        this.P_sigma = new Float32Array(cells);  // Local growth width per cell
+        this.newP_mu = new Float32Array(cells);  // Buffer for transport
+        this.newP_sigma = new Float32Array(cells);
+
+        // Mass transport: 'bilinear' or 'reintegration' over an s × s square
+        this.transport = 'bilinear';
+        this.distributionSize = 1.0;  // s, in cells (0.5 - 3.0)
+
+        // Parameter mixing where masses meet: 'average', 'stochastic' or 'dominant'
+        this.mixing = 'average';
+        this.mixingRandom = Random.main;  // Source of stochastic picks
+        this.mixWork = null;              // Mass arrived so far (stochastic) or largest share (dominant)
+
+        // Local genome (see local-genome.js): the rest of the rule per cell,
+        // as P_<trait> fields allocated by ensureTraits()
+        this.localGenome = false;
+        this.traitNames = [];         // Traits with a field, in LocalGenome.names() order
+        this.traitWork = null;        // Transport buffers, one per trait
+        this.localKernels = null;     // Shell spectra per radius
+        this.localPotentials = null;  // Convolutions per radius and shell
 
         // Working buffers
-        this.potential = new Float32Array(size * size);   // K * A (convolution result)
-        this.affinity = new Float32Array(size * size);    // G(potential) - where mass wants to be
-        this.Fx = new Float32Array(size * size);          // Flow field X component
-        this.Fy = new Float32Array(size * size);          // Flow field Y component
-        this.newA = new Float32Array(size * size);        // Buffer for mass after transport
+        this.potential = new Float32Array(cells);   // K * A (convolution result)
+        this.affinity = new Float32Array(cells);    // G(potential) - where mass wants to be
+        this.Fx = new Float32Array(cells);          // Flow field X component
+        this.Fy = new Float32Array(cells);          // Flow field Y component
+        this.newA = new Float32Array(cells);        // Buffer for mass after transport
 
         // Parameters (same as standard Lenia)
         this.R = 13;           // Kernel radius
@@ -75,6 +130,18 @@ class FlowLenia {
         this.sensoryEnabled = false;  // Enable sensory creature mode
         this.steeringStrength = 0.5;  // How much steering affects flow (0-1)
 
+        // Growth function family (see growth.js)
+        this.growthType = 'gaussian';
+        this.growthPoints = Growth.DEFAULT_POINTS.map(point => [...point]);  // 'piecewise' curve
+
+        // Stochastic updates (see noise.js); all zero is the deterministic rule
+        this.noise = Noise.create();
+        this.noiseRandom = Random.main;   // Source of noise draws
+
+        // Open system (see mass-budget.js); all zero is the closed system
+        this.massBudget = MassBudget.create();
+        this.massLedger = MassBudget.ledger();  // Where each step's mass came from and went
+
         // Kernel configuration
         this.kernelType = 'ring';
         this.kernelParams = {
@@ -92,13 +159,23 @@ class FlowLenia {
         this.kernel = null;
         this.colorMap = 'viridis';
 
+        // Edge behavior: 'periodic', 'absorbing', 'reflective' or 'walls' (see boundary.js)
+        // Shared with the environment and creature tracker
+        this.boundary = 'periodic';
+
         // Phase 4: Environment and creature tracking (initialized externally)
         this.environment = null;
         this.creatureTracker = null;
         this.frameNumber = 0;
 
         // FFT convolution for O(N² log N) performance
-        this.fftConvolver = FFT.createConvolver(size);
+        this.fftConvolver = FFT.createConvolver(width, height, Boundary.padding(this.boundary));
+
+        // Sparse stepping (see active-tiles.js): only work near mass
+        this.sparse = false;
+        this.tileSize = 32;
+        this.activeTiles = null;    // Built on the first sparse step
+        this.fullSpans = null;      // Whole-grid spans for dense steps
 
         this.updateKernel();
     }
@@ -146,20 +223,34 @@ class FlowLenia {
                 this.kernel = Kernels.ring(this.R, this.peaks);
         }
 
+        // Per-cell kernels are rebuilt on demand
+        this.localKernels = null;
+
         // Update FFT convolver with new kernel
         if (this.fftConvolver) {
+            this.fftConvolver.setPadding(Boundary.padding(this.boundary));
             this.fftConvolver.setKernel(this.kernel);
         }
     }
 
+    /**
+     * Set the boundary mode (see boundary.js) for the simulation, its
+     * environment and its creature tracker
+     */
+    setBoundary(mode) {
+        this.boundary = Boundary.validate(mode);
+        if (this.environment) this.environment.boundary = mode;
+        if (this.creatureTracker) this.creatureTracker.boundary = mode;
+        this.updateKernel();
+    }
+
     /**
      * Growth function G(u) - same as standard Lenia
      * In Flow-Lenia, this determines the "affinity" - where mass wants to flow
      * Returns value in [-1, 1]: 1 = high affinity, -1 = low affinity
      */
     growth(u) {
-        const d = (u - this.mu) / this.sigma;
-        let g = 2 * Math.exp(-d * d / 2) - 1;
+        let g = Growth.evaluate(this.growthType, u, this.mu, this.sigma, this.growthPoints);
 
         // Phase 15: Crowding penalty - dampen growth at high densities
         // When u > 0.7, reduce positive growth to prevent merging
@@ -179,8 +270,29 @@ class FlowLenia {
      * @param {number} localSigma - Blended sigma value for this location
      */
     growthWithMorphology(u, localMu, localSigma) {
-        const d = (u - localMu) / localSigma;
-        return 2 * Math.exp(-d * d / 2) - 1;
+        return Growth.evaluate(this.growthType, u, localMu, localSigma, this.growthPoints);
+    }
+
+    /**
+     * Set the growth function family, and the curve for 'piecewise' (see growth.js)
+     */
+    setGrowth(type, points = this.growthPoints) {
+        this.growthType = Growth.validate(type);
+        this.growthPoints = Growth.validatePoints(points);
+    }
+
+    /**
+     * Set the noise amplitudes: { state, potential, dropout } (see noise.js)
+     */
+    setNoise(settings) {
+        this.noise = Noise.create(settings);
+    }
+
+    /**
+     * Set the mass sources and sinks (see mass-budget.js)
+     */
+    setMassBudget(settings) {
+        this.massBudget = MassBudget.create(settings);
     }
 
     /**
@@ -189,11 +301,72 @@ class FlowLenia {
      * Uses FFT for O(N² log N) performance instead of O(N² × K²) naive convolution
      */
     computePotential() {
+        if (this.localGenome) {
+            // Each cell's own radius and shell weights
+            LocalGenome.potential(this, this.potential);
+            return;
+        }
+
+        if (this.isSparseStep()) {
+            // Small FFTs over the regions around mass
+            this.activeTiles.convolve(this.A, this.potential, this.kernel, Boundary.padding(this.boundary));
+            return;
+        }
+
         // FFT convolution: IFFT(FFT(A) × FFT(kernel))
         // The kernel FFT is cached and only recomputed when parameters change
         this.fftConvolver.convolve(this.A, this.potential);
     }
 
+    /**
+     * Find the active tiles for this step, when sparse stepping is on
+     * A step that changes mu or sigma is dense, because it refills the
+     * parameters of every empty cell, and so is every local genome step
+     */
+    updateActiveTiles() {
+        if (!this.sparse) return;
+
+        let tiles = this.activeTiles;
+        if (!tiles || tiles.width !== this.width || tiles.height !== this.height || tiles.tileSize !== this.tileSize) {
+            tiles = this.activeTiles = new ActiveTiles(this.width, this.height, this.tileSize);
+        }
+
+        // Mass reads the potential within R, and the gradient and transport reach two cells further
+        tiles.update(this.A, this.R + 2, this.boundary === 'periodic');
+
+        const emptyParams = `${this.mu} ${this.sigma}`;
+        if (tiles.emptyParams !== emptyParams) {
+            tiles.emptyParams = emptyParams;
+            tiles.dense = true;
+        }
+        if (this.localGenome) {
+            tiles.dense = true;
+        }
+    }
+
+    /**
+     * True while the current step only covers the active tiles
+     */
+    isSparseStep() {
+        return this.sparse && this.activeTiles !== null && !this.activeTiles.dense;
+    }
+
+    /**
+     * Cell spans ([y, xStart, xEnd] triples, see active-tiles.js) that this
+     * step's loops cover: the 'computed' or 'occupied' tiles of a sparse
+     * step, or the whole grid
+     */
+    stepSpans(kind) {
+        if (this.isSparseStep()) {
+            return kind === 'occupied' ? this.activeTiles.occupiedSpans : this.activeTiles.computedSpans;
+        }
+        const spans = this.fullSpans;
+        if (!spans || spans.length !== this.height * 3 || spans[2] !== this.width) {
+            this.fullSpans = ActiveTiles.fullSpans(this.width, this.height);
+        }
+        return this.fullSpans;
+    }
+
     /**
      * Compute affinity map from potential using growth function
      * Affinity = G(U) - this tells us where mass "wants" to be
@@ -202,13 +375,13 @@ class FlowLenia {
      * Phase 15: Now uses localized parameters (P_mu, P_sigma) for multi-species
      */
     computeAffinity() {
-        const { size, potential, affinity, A, P_mu, P_sigma } = this;
+        const { width, potential, affinity, P_mu, P_sigma } = this;
 
         // Phase 15: Check if parameter localization is in use
-        // In ecosystem mode, always use localized parameters
-        const useLocalizedParams = this.sensoryEnabled &&
+        // In ecosystem mode and with a local genome, always use localized parameters
+        const useLocalizedParams = this.localGenome || (this.sensoryEnabled &&
                                    this.creatureTracker &&
-                                   this.creatureTracker.ecosystemMode;
+                                   this.creatureTracker.ecosystemMode);
 
         // Phase 6: Check if morphology evolution is active (legacy system)
         const useMorphology = this.sensoryEnabled &&
@@ -217,12 +390,17 @@ class FlowLenia {
                               this.creatureTracker.creatures.length > 0 &&
                               !useLocalizedParams; // Don't use old system if using new localization
 
+        const spans = this.stepSpans('computed');
+
         if (useLocalizedParams) {
             // Phase 15: Use per-cell localized parameters for true multi-species
-            for (let i = 0; i < size * size; i++) {
-                const localMu = P_mu[i];
-                const localSigma = P_sigma[i];
-                affinity[i] = this.growthWithMorphology(potential[i], localMu, localSigma);
+            for (let s = 0; s < spans.length; s += 3) {
+                const row = spans[s] * width;
+                for (let i = row + spans[s + 1]; i < row + spans[s + 2]; i++) {
+                    const localMu = P_mu[i];
+                    const localSigma = P_sigma[i];
+                    affinity[i] = this.growthWithMorphology(potential[i], localMu, localSigma);
+                }
             }
             this.morphInfluenceCache = null;
             return;
@@ -230,8 +408,11 @@ class FlowLenia {
 
         if (!useMorphology) {
             // Standard computation without morphology
-            for (let i = 0; i < size * size; i++) {
-                affinity[i] = this.growth(potential[i]);
+            for (let s = 0; s < spans.length; s += 3) {
+                const row = spans[s] * width;
+                for (let i = row + spans[s + 1]; i < row + spans[s + 2]; i++) {
+                    affinity[i] = this.growth(potential[i]);
+                }
             }
             // Clear morphology influence cache
             this.morphInfluenceCache = null;
@@ -244,19 +425,22 @@ class FlowLenia {
         // Cache for use in flow field computation (Phase 7)
         this.morphInfluenceCache = morphInfluence;
 
-        for (let i = 0; i < size * size; i++) {
-            const influence = morphInfluence[i];
+        for (let s = 0; s < spans.length; s += 3) {
+            const row = spans[s] * width;
+            for (let i = row + spans[s + 1]; i < row + spans[s + 2]; i++) {
+                const influence = morphInfluence[i];
 
-            if (influence.weight > 0.01) {
-                // Blend global and local morphology based on influence weight
-                // Higher local mass = stronger creature influence
-                const blendFactor = Math.min(1, influence.weight * 2);
-                const localMu = this.mu * (1 - blendFactor) + influence.mu * blendFactor;
-                const localSigma = this.sigma * (1 - blendFactor) + influence.sigma * blendFactor;
+                if (influence.weight > 0.01) {
+                    // Blend global and local morphology based on influence weight
+                    // Higher local mass = stronger creature influence
+                    const blendFactor = Math.min(1, influence.weight * 2);
+                    const localMu = this.mu * (1 - blendFactor) + influence.mu * blendFactor;
+                    const localSigma = this.sigma * (1 - blendFactor) + influence.sigma * blendFactor;
 
-                affinity[i] = this.growthWithMorphology(potential[i], localMu, localSigma);
-            } else {
-                affinity[i] = this.growth(potential[i]);
+                    affinity[i] = this.growthWithMorphology(potential[i], localMu, localSigma);
+                } else {
+                    affinity[i] = this.growth(potential[i]);
+                }
             }
         }
     }
@@ -268,11 +452,12 @@ class FlowLenia {
      * Phase 7 adds biasX/biasY for directional asymmetry based on creature heading
      */
     computeMorphologyInfluence() {
-        const { size, A, creatureTracker } = this;
-        const influence = new Array(size * size);
+        const { width, height, A, creatureTracker } = this;
+        const edge = Boundary.drawMode(this.boundary);
+        const influence = new Array(width * height);
 
         // Initialize with zeros
-        for (let i = 0; i < size * size; i++) {
+        for (let i = 0; i < width * height; i++) {
             influence[i] = { mu: this.mu, sigma: this.sigma, weight: 0, biasX: 0, biasY: 0 };
         }
 
@@ -300,10 +485,10 @@ class FlowLenia {
                     const dist = Math.sqrt(dx * dx + dy * dy);
                     if (dist > radius) continue;
 
-                    // Toroidal wrapping
-                    const x = (cx + dx + size) % size;
-                    const y = (cy + dy + size) % size;
-                    const idx = y * size + x;
+                    const x = Boundary.cell(cx + dx, width, edge);
+                    const y = Boundary.cell(cy + dy, height, edge);
+                    if (x < 0 || y < 0) continue;
+                    const idx = y * width + x;
 
                     // Weight based on distance and local mass
                     const distFactor = 1 - dist / radius;
@@ -335,35 +520,38 @@ class FlowLenia {
      * Phase 7: Adds directional bias from creature genomes
      */
     computeGradient() {
-        const { size, affinity, Fx, Fy, flowStrength, A } = this;
+        const { width, height, affinity, Fx, Fy, flowStrength, A } = this;
+        const edge = Boundary.readMode(this.boundary);
 
         // Sobel kernels for gradient estimation
         // Sobel X: [-1, 0, 1; -2, 0, 2; -1, 0, 1] / 8
         // Sobel Y: [-1, -2, -1; 0, 0, 0; 1, 2, 1] / 8
 
-        for (let y = 0; y < size; y++) {
-            for (let x = 0; x < size; x++) {
-                // Sample 3x3 neighborhood with toroidal wrapping
-                const xm = (x - 1 + size) % size;
-                const xp = (x + 1) % size;
-                const ym = (y - 1 + size) % size;
-                const yp = (y + 1) % size;
+        const spans = this.stepSpans('computed');
+        for (let s = 0; s < spans.length; s += 3) {
+            const y = spans[s];
+            for (let x = spans[s + 1]; x < spans[s + 2]; x++) {
+                // Sample 3x3 neighborhood through the boundary
+                const xm = Boundary.cell(x - 1, width, edge);
+                const xp = Boundary.cell(x + 1, width, edge);
+                const ym = Boundary.cell(y - 1, height, edge);
+                const yp = Boundary.cell(y + 1, height, edge);
 
                 // Get affinity values at 8 neighbors + center
-                const a_tl = affinity[ym * size + xm];  // top-left
-                const a_tc = affinity[ym * size + x];   // top-center
-                const a_tr = affinity[ym * size + xp];  // top-right
-                const a_ml = affinity[y * size + xm];   // middle-left
-                const a_mr = affinity[y * size + xp];   // middle-right
-                const a_bl = affinity[yp * size + xm];  // bottom-left
-                const a_bc = affinity[yp * size + x];   // bottom-center
-                const a_br = affinity[yp * size + xp];  // bottom-right
+                const a_tl = affinity[ym * width + xm];  // top-left
+                const a_tc = affinity[ym * width + x];   // top-center
+                const a_tr = affinity[ym * width + xp];  // top-right
+                const a_ml = affinity[y * width + xm];   // middle-left
+                const a_mr = affinity[y * width + xp];   // middle-right
+                const a_bl = affinity[yp * width + xm];  // bottom-left
+                const a_bc = affinity[yp * width + x];   // bottom-center
+                const a_br = affinity[yp * width + xp];  // bottom-right
 
                 // Sobel gradient (note: we want gradient ascent, so positive toward higher values)
                 let gx = (-a_tl + a_tr - 2*a_ml + 2*a_mr - a_bl + a_br) / 8;
                 let gy = (-a_tl - 2*a_tc - a_tr + a_bl + 2*a_bc + a_br) / 8;
 
-                const idx = y * size + x;
+                const idx = y * width + x;
 
                 // Phase 7: Add directional bias from creature morphology
                 // Only apply where there's significant mass and morphology influence
@@ -392,25 +580,26 @@ class FlowLenia {
      * @returns {number} - Interpolated value
      */
     sampleBilinear(field, x, y) {
-        const { size } = this;
+        const { width, height } = this;
+        const edge = Boundary.readMode(this.boundary);
 
-        // Handle wrapping
-        x = ((x % size) + size) % size;
-        y = ((y % size) + size) % size;
+        // Map the sample point into the world
+        x = Boundary.position(x, width, edge);
+        y = Boundary.position(y, height, edge);
 
         const x0 = Math.floor(x);
         const y0 = Math.floor(y);
-        const x1 = (x0 + 1) % size;
-        const y1 = (y0 + 1) % size;
+        const x1 = Boundary.cell(x0 + 1, width, edge);
+        const y1 = Boundary.cell(y0 + 1, height, edge);
 
         const fx = x - x0;
         const fy = y - y0;
 
         // Get four corner values
-        const v00 = field[y0 * size + x0];
-        const v10 = field[y0 * size + x1];
-        const v01 = field[y1 * size + x0];
-        const v11 = field[y1 * size + x1];
+        const v00 = field[y0 * width + x0];
+        const v10 = field[y0 * width + x1];
+        const v01 = field[y1 * width + x0];
+        const v11 = field[y1 * width + x1];
 
         // Bilinear interpolation
         const v0 = v00 * (1 - fx) + v10 * fx;
@@ -451,7 +640,7 @@ class FlowLenia {
     applyPotentialOffsets() {
         if (!this.creatureTracker) return;
 
-        const { size, potential } = this;
+        const { width, height, potential } = this;
         const tracker = this.creatureTracker;
         const labels = tracker.labels;
 
@@ -469,9 +658,9 @@ class FlowLenia {
         // Only modify cells that belong to creatures with offsets
         const offsetPotential = new Float32Array(potential);
 
-        for (let y = 0; y < size; y++) {
-            for (let x = 0; x < size; x++) {
-                const idx = y * size + x;
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const idx = y * width + x;
                 const label = labels[idx];
 
                 if (label === 0) continue;
@@ -495,7 +684,7 @@ class FlowLenia {
         }
 
         // Copy offset potential back to main potential array
-        for (let i = 0; i < size * size; i++) {
+        for (let i = 0; i < width * height; i++) {
             potential[i] = offsetPotential[i];
         }
     }
@@ -506,22 +695,29 @@ class FlowLenia {
      * We ensure no cell goes negative by limiting how much mass can leave
      */
     applyDiffusion() {
-        const { size, A, newA, diffusion } = this;
+        const { width, height, A, newA, diffusion, boundary } = this;
 
         if (diffusion <= 0) return;
 
+        // Transport may have carried mass out of the occupied tiles, but not
+        // out of the computed ones
+        const spans = this.stepSpans('computed');
+
         // Copy current state
-        for (let i = 0; i < size * size; i++) {
-            newA[i] = A[i];
+        for (let s = 0; s < spans.length; s += 3) {
+            const row = spans[s] * width;
+            newA.set(A.subarray(row + spans[s + 1], row + spans[s + 2]), row + spans[s + 1]);
         }
 
         // Each cell shares a small fraction of its mass with its 4 neighbors
         // This is guaranteed mass-conservative: mass only moves, never created/destroyed
         const shareRate = diffusion * 0.1; // Fraction of mass to share with each neighbor
+        const solid = this.obstacleMask();
 
-        for (let y = 0; y < size; y++) {
-            for (let x = 0; x < size; x++) {
-                const idx = y * size + x;
+        for (let s = 0; s < spans.length; s += 3) {
+            const y = spans[s];
+            for (let x = spans[s + 1]; x < spans[s + 2]; x++) {
+                const idx = y * width + x;
                 const mass = A[idx];
 
                 if (mass < 0.0001) continue;
@@ -530,26 +726,31 @@ class FlowLenia {
                 const shareAmount = mass * shareRate;
                 const totalShared = shareAmount * 4;
 
-                // Get neighbor indices with toroidal wrapping
-                const xm = (x - 1 + size) % size;
-                const xp = (x + 1) % size;
-                const ym = (y - 1 + size) % size;
-                const yp = (y + 1) % size;
+                // Get neighbor indices through the boundary (walls and
+                // mirrors hand the share back to this cell)
+                const xm = Boundary.cell(x - 1, width, boundary);
+                const xp = Boundary.cell(x + 1, width, boundary);
+                const ym = Boundary.cell(y - 1, height, boundary);
+                const yp = Boundary.cell(y + 1, height, boundary);
 
                 // Remove mass from this cell
                 newA[idx] -= totalShared;
 
-                // Add mass to neighbors
-                newA[y * size + xm] += shareAmount;
-                newA[y * size + xp] += shareAmount;
-                newA[ym * size + x] += shareAmount;
-                newA[yp * size + x] += shareAmount;
+                // Add mass to neighbors; shares sent across an absorbing edge are lost,
+                // shares sent into an obstacle stay here
+                if (xm >= 0) newA[this.openTarget(y * width + xm, idx, solid)] += shareAmount;
+                if (xp >= 0) newA[this.openTarget(y * width + xp, idx, solid)] += shareAmount;
+                if (ym >= 0) newA[this.openTarget(ym * width + x, idx, solid)] += shareAmount;
+                if (yp >= 0) newA[this.openTarget(yp * width + x, idx, solid)] += shareAmount;
             }
         }
 
         // Copy back - values should never be negative with this approach
-        for (let i = 0; i < size * size; i++) {
-            A[i] = Math.max(0, newA[i]);
+        for (let s = 0; s < spans.length; s += 3) {
+            const row = spans[s] * width;
+            for (let i = row + spans[s + 1]; i < row + spans[s + 2]; i++) {
+                A[i] = Math.max(0, newA[i]);
+            }
         }
     }
 
@@ -560,23 +761,59 @@ class FlowLenia {
      *
      * For each cell:
      * 1. Compute destination = position + flow * dt
-     * 2. Distribute mass bilinearly to the 4 neighboring target cells
+     * 2. Distribute mass bilinearly to the 4 neighboring target cells, or
+     *    with 'reintegration' transport over an s × s square (spreadMass)
      * 3. Sum all incoming mass
      */
     transportMass() {
-        const { size, A, newA, Fx, Fy, dt, P_mu, P_sigma, newP_mu, newP_sigma } = this;
+        const { width, height, A, newA, Fx, Fy, dt, P_mu, P_sigma, newP_mu, newP_sigma, boundary } = this;
+        const solid = this.obstacleMask();
+
+        // Local genome: each cell moves by its own dt and carries all its traits
+        const P_dt = this.localGenome ? this.P_dt : null;
+        const traits = this.localGenome ? this.traitTransport() : [];
+        const picking = this.mixing !== 'average';
+        if (picking && (!this.mixWork || this.mixWork.length !== A.length)) {
+            this.mixWork = new Float64Array(A.length);
+        }
+
+        // A sparse step needs every move (and its spread) to land inside the computed tiles
+        const reintegration = this.transport === 'reintegration';
+        const spread = reintegration ? Math.ceil(this.distributionSize / 2) : 0;
+        if (this.isSparseStep() && this.maxShift() + spread + 2 >= this.activeTiles.reach) {
+            this.activeTiles.dense = true;
+        }
+        const sources = this.stepSpans('occupied');
+        const spans = this.stepSpans('computed');
 
-        newA.fill(0);
         // Phase 15: Also transport parameters - use weighted sum, divide by mass at end
-        newP_mu.fill(0);
-        newP_sigma.fill(0);
+        for (let s = 0; s < spans.length; s += 3) {
+            const row = spans[s] * width;
+            newA.fill(0, row + spans[s + 1], row + spans[s + 2]);
+            newP_mu.fill(0, row + spans[s + 1], row + spans[s + 2]);
+            newP_sigma.fill(0, row + spans[s + 1], row + spans[s + 2]);
+            for (const { sums } of traits) {
+                sums.fill(0, row + spans[s + 1], row + spans[s + 2]);
+            }
+            if (picking) {
+                this.mixWork.fill(0, row + spans[s + 1], row + spans[s + 2]);
+            }
+        }
 
-        for (let y = 0; y < size; y++) {
-            for (let x = 0; x < size; x++) {
-                const idx = y * size + x;
+        for (let s = 0; s < sources.length; s += 3) {
+            const y = sources[s];
+            for (let x = sources[s + 1]; x < sources[s + 2]; x++) {
+                const idx = y * width + x;
                 const mass = A[idx];
 
-                if (mass < 0.0001) continue; // Skip near-zero cells for efficiency
+                if (mass < 0.0001) {
+                    // Skip near-zero cells for efficiency; reintegration spreads
+                    // mass thin, so there trace mass stays put instead of vanishing
+                    if (reintegration && mass > 0) {
+                        this.depositMass(idx, mass, 1, P_mu[idx], P_sigma[idx], idx, traits);
+                    }
+                    continue;
+                }
 
                 // Phase 15: Get local parameters for this cell
                 const sourceMu = P_mu[idx];
@@ -587,8 +824,14 @@ class FlowLenia {
                 const fy = Fy[idx];
 
                 // Flow destination (where mass wants to go)
-                const destX = x + fx * dt;
-                const destY = y + fy * dt;
+                const cellDt = P_dt ? P_dt[idx] : dt;
+                const destX = x + fx * cellDt;
+                const destY = y + fy * cellDt;
+
+                if (reintegration) {
+                    this.spreadMass(idx, mass, destX, destY, sourceMu, sourceSigma, traits, solid);
+                    continue;
+                }
 
                 // Bilinear interpolation coordinates
                 const x0 = Math.floor(destX);
@@ -596,11 +839,12 @@ class FlowLenia {
                 const fx_frac = destX - x0;
                 const fy_frac = destY - y0;
 
-                // Toroidal wrapping for all 4 target cells
-                const x0w = ((x0 % size) + size) % size;
-                const x1w = ((x0 + 1) % size + size) % size;
-                const y0w = ((y0 % size) + size) % size;
-                const y1w = ((y0 + 1) % size + size) % size;
+                // Map all 4 target cells through the boundary: periodic edges
+                // wrap, walls and mirrors keep the mass, absorbing edges drop it (-1)
+                const x0w = Boundary.cell(x0, width, boundary);
+                const x1w = Boundary.cell(x0 + 1, width, boundary);
+                const y0w = Boundary.cell(y0, height, boundary);
+                const y1w = Boundary.cell(y0 + 1, height, boundary);
 
                 // Distribute mass bilinearly (exactly conserves total mass)
                 const w00 = (1 - fx_frac) * (1 - fy_frac);
@@ -608,27 +852,17 @@ class FlowLenia {
                 const w01 = (1 - fx_frac) * fy_frac;
                 const w11 = fx_frac * fy_frac;
 
-                const idx00 = y0w * size + x0w;
-                const idx10 = y0w * size + x1w;
-                const idx01 = y1w * size + x0w;
-                const idx11 = y1w * size + x1w;
-
-                // Transport mass
-                newA[idx00] += mass * w00;
-                newA[idx10] += mass * w10;
-                newA[idx01] += mass * w01;
-                newA[idx11] += mass * w11;
-
-                // Phase 15: Transport parameters weighted by mass (for weighted average)
-                newP_mu[idx00] += sourceMu * mass * w00;
-                newP_mu[idx10] += sourceMu * mass * w10;
-                newP_mu[idx01] += sourceMu * mass * w01;
-                newP_mu[idx11] += sourceMu * mass * w11;
-
-                newP_sigma[idx00] += sourceSigma * mass * w00;
-                newP_sigma[idx10] += sourceSigma * mass * w10;
-                newP_sigma[idx01] += sourceSigma * mass * w01;
-                newP_sigma[idx11] += sourceSigma * mass * w11;
+                // Shares bound for an obstacle stay in this cell instead
+                const idx00 = x0w < 0 || y0w < 0 ? -1 : this.openTarget(y0w * width + x0w, idx, solid);
+                const idx10 = x1w < 0 || y0w < 0 ? -1 : this.openTarget(y0w * width + x1w, idx, solid);
+                const idx01 = x0w < 0 || y1w < 0 ? -1 : this.openTarget(y1w * width + x0w, idx, solid);
+                const idx11 = x1w < 0 || y1w < 0 ? -1 : this.openTarget(y1w * width + x1w, idx, solid);
+
+                // Transport mass, and parameters by the mixing rule (Phase 15: weighted average)
+                this.depositMass(idx00, mass, w00, sourceMu, sourceSigma, idx, traits);
+                this.depositMass(idx10, mass, w10, sourceMu, sourceSigma, idx, traits);
+                this.depositMass(idx01, mass, w01, sourceMu, sourceSigma, idx, traits);
+                this.depositMass(idx11, mass, w11, sourceMu, sourceSigma, idx, traits);
             }
         }
 
@@ -636,18 +870,231 @@ class FlowLenia {
         // Only clamp negative values (shouldn't happen, but prevents numerical issues)
         // Do NOT clamp upper bound - mass can concentrate above 1.0 and that's fine
         // The rendering will handle values > 1 by clamping only for display
-        for (let i = 0; i < size * size; i++) {
-            A[i] = Math.max(0, newA[i]);
-
-            // Phase 15: Compute weighted average parameters
-            // This is the "weighted average" mixing rule from Flow Lenia paper
-            if (newA[i] > 0.0001) {
-                P_mu[i] = newP_mu[i] / newA[i];
-                P_sigma[i] = newP_sigma[i] / newA[i];
-            } else {
-                // Empty cells keep global defaults
-                P_mu[i] = this.mu;
-                P_sigma[i] = this.sigma;
+        for (let s = 0; s < spans.length; s += 3) {
+            const row = spans[s] * width;
+            for (let i = row + spans[s + 1]; i < row + spans[s + 2]; i++) {
+                A[i] = Math.max(0, newA[i]);
+
+                // Phase 15: Compute weighted average parameters
+                // This is the "weighted average" mixing rule from Flow Lenia paper;
+                // the picking rules have already chosen one share's parameters
+                if (picking && newA[i] > 0.0001) {
+                    P_mu[i] = newP_mu[i];
+                    P_sigma[i] = newP_sigma[i];
+                    for (const { field, sums } of traits) {
+                        field[i] = sums[i];
+                    }
+                } else if (newA[i] > 0.0001) {
+                    P_mu[i] = newP_mu[i] / newA[i];
+                    P_sigma[i] = newP_sigma[i] / newA[i];
+                    for (const { field, sums } of traits) {
+                        field[i] = sums[i] / newA[i];
+                    }
+                } else {
+                    // Empty cells keep global defaults
+                    P_mu[i] = this.mu;
+                    P_sigma[i] = this.sigma;
+                    for (const { field, blank } of traits) {
+                        field[i] = blank;
+                    }
+                }
+            }
+        }
+    }
+
+    /**
+     * Reintegration tracking: spread a source cell's mass evenly over an
+     * s × s square centred on its destination, and deposit in each cell the
+     * share that overlaps it (cell x covers [x, x + 1), so a cell's own
+     * mass is centred on x + 0.5)
+     */
+    spreadMass(source, mass, destX, destY, mu, sigma, traits, solid) {
+        const { width, height, boundary } = this;
+        const size = this.distributionSize;
+        const left = destX + 0.5 - size / 2;
+        const top = destY + 0.5 - size / 2;
+        const area = size * size;
+
+        for (let gy = Math.floor(top); gy < Math.ceil(top + size); gy++) {
+            const overlapY = Math.min(gy + 1, top + size) - Math.max(gy, top);
+            if (overlapY <= 0) continue;
+            const ty = Boundary.cell(gy, height, boundary);
+
+            for (let gx = Math.floor(left); gx < Math.ceil(left + size); gx++) {
+                const overlapX = Math.min(gx + 1, left + size) - Math.max(gx, left);
+                if (overlapX <= 0) continue;
+                const tx = Boundary.cell(gx, width, boundary);
+
+                // Same edge and obstacle handling as the bilinear splat
+                const target = tx < 0 || ty < 0 ? -1 : this.openTarget(ty * width + tx, source, solid);
+                this.depositMass(target, mass, overlapX * overlapY / area, mu, sigma, source, traits);
+            }
+        }
+    }
+
+    /**
+     * Choose how mass moves (see TRANSPORT_MODES), and for reintegration
+     * tracking the distribution size s
+     */
+    setTransport(mode, distributionSize = this.distributionSize) {
+        if (!FlowLenia.TRANSPORT_MODES.includes(mode)) {
+            throw new Error(`Unknown transport mode: ${mode}`);
+        }
+        this.transport = mode;
+        this.distributionSize = distributionSize;
+    }
+
+    /**
+     * Longest move transport makes this step, in cells along either axis
+     */
+    maxShift() {
+        const { width, A, Fx, Fy, dt } = this;
+        const P_dt = this.localGenome ? this.P_dt : null;
+        const sources = this.stepSpans('occupied');
+        let shift = 0;
+        for (let s = 0; s < sources.length; s += 3) {
+            const row = sources[s] * width;
+            for (let i = row + sources[s + 1]; i < row + sources[s + 2]; i++) {
+                if (A[i] < 0.0001) continue;
+                const cellDt = P_dt ? P_dt[i] : dt;
+                shift = Math.max(shift, Math.abs(Fx[i] * cellDt), Math.abs(Fy[i] * cellDt));
+            }
+        }
+        return shift;
+    }
+
+    /**
+     * Obstacle mask from the environment, or null if there is none
+     */
+    obstacleMask() {
+        return this.environment ? this.environment.obstacles : null;
+    }
+
+    /**
+     * Where mass sent from one cell to another actually lands: the target,
+     * unless it is an obstacle, in which case the mass stays at the source
+     * Mass already inside an obstacle (painted over) is free to leave
+     */
+    openTarget(target, source, solid) {
+        if (solid && solid[target] && !solid[source]) return source;
+        return target;
+    }
+
+    /**
+     * Add a weighted share of transported mass to a target cell, with the
+     * parameters (and local genome traits, see traitTransport) of the source
+     * cell it comes from: weighted by mass for 'average' mixing, or taking
+     * over the target's when the picking rule chooses this share
+     * A target of -1 lies beyond an absorbing edge, so the mass leaves the world
+     */
+    depositMass(idx, mass, weight, mu, sigma, source, traits) {
+        if (idx < 0) return;
+        this.newA[idx] += mass * weight;
+
+        if (this.mixing === 'average') {
+            this.newP_mu[idx] += mu * mass * weight;
+            this.newP_sigma[idx] += sigma * mass * weight;
+            for (const { field, sums } of traits) {
+                sums[idx] += field[source] * mass * weight;
+            }
+            return;
+        }
+
+        if (!this.picksShare(idx, mass * weight)) return;
+        this.newP_mu[idx] = mu;
+        this.newP_sigma[idx] = sigma;
+        for (const { field, sums } of traits) {
+            sums[idx] = field[source];
+        }
+    }
+
+    /**
+     * Picking rules: whether a share arriving at a cell takes over its
+     * parameters. 'stochastic' keeps each share with probability
+     * share / (mass arrived so far), so the cell ends up with one share,
+     * picked with probability proportional to its mass. 'dominant' keeps
+     * the largest share (the first, on a tie)
+     */
+    picksShare(idx, share) {
+        const work = this.mixWork;
+        if (this.mixing === 'dominant') {
+            if (share <= work[idx]) return false;
+            work[idx] = share;
+            return true;
+        }
+        work[idx] += share;
+        return this.mixingRandom.random() * work[idx] < share;
+    }
+
+    /**
+     * Choose how parameters mix where masses meet (see MIXING_RULES)
+     */
+    setMixing(rule) {
+        if (!FlowLenia.MIXING_RULES.includes(rule)) {
+            throw new Error(`Unknown mixing rule: ${rule}`);
+        }
+        this.mixing = rule;
+    }
+
+    /**
+     * Local genome: each trait field with its transport buffer and the
+     * value empty cells take
+     */
+    traitTransport() {
+        const cells = this.width * this.height;
+        const blank = LocalGenome.values(this);
+        if (!this.traitWork) {
+            this.traitWork = new Map();
+        }
+        return this.traitNames.map(name => {
+            let sums = this.traitWork.get(name);
+            if (!sums || sums.length !== cells) {
+                sums = new Float32Array(cells);
+                this.traitWork.set(name, sums);
+            }
+            return { field: this[LocalGenome.key(name)], sums, blank: blank[name] };
+        });
+    }
+
+    /**
+     * Allocate the local genome's trait fields while it is on, filled with
+     * the global rule, and drop them while it is off
+     * Traits that just appeared start fresh even if an old field lingers
+     * (a restored snapshot can leave one behind)
+     */
+    ensureTraits() {
+        const names = this.localGenome ? LocalGenome.names(this) : [];
+        for (const name of this.traitNames) {
+            if (!names.includes(name)) this[LocalGenome.key(name)] = null;
+        }
+        if (names.length === 0) {
+            this.traitNames = [];
+            this.traitWork = null;
+            return;
+        }
+
+        const cells = this.width * this.height;
+        const blank = LocalGenome.values(this);
+        for (const name of names) {
+            const key = LocalGenome.key(name);
+            if (!this.traitNames.includes(name) || !this[key] || this[key].length !== cells) {
+                this[key] = new Float32Array(cells).fill(blank[name]);
+            }
+        }
+        this.traitNames = names;
+    }
+
+    /**
+     * Local genome: add each cell's drift to its flow
+     */
+    applyDrift() {
+        const { width, Fx, Fy, P_driftX, P_driftY } = this;
+        const spans = this.stepSpans('computed');
+        for (let s = 0; s < spans.length; s += 3) {
+            const row = spans[s] * width;
+            for (let i = row + spans[s + 1]; i < row + spans[s + 2]; i++) {
+                Fx[i] += P_driftX[i];
+                Fy[i] += P_driftY[i];
             }
         }
     }
@@ -657,6 +1104,8 @@ class FlowLenia {
      */
     step() {
         this.frameNumber++;
+        this.ensureTraits();
+        MassBudget.begin(this.massLedger, this.totalMass());
 
         // Phase 4: Update environment if enabled
         if (this.sensoryEnabled && this.environment) {
@@ -676,7 +1125,15 @@ class FlowLenia {
             if (this.creatureTracker.evolution.enabled) {
                 // Assign genomes to any creatures that don't have one
                 // Phase 10: In ecosystem mode, use ecosystem genome assignment instead
-                if (this.creatureTracker.ecosystemMode) {
+                // Local genome: every creature's genome is read from its matter
+                if (this.localGenome) {
+                    for (const creature of this.creatureTracker.creatures) {
+                        if (!creature.genome) {
+                            this.creatureTracker.assignDefaultGenome(creature);
+                        }
+                        creature.genome = LocalGenome.readGenome(this, creature);
+                    }
+                } else if (this.creatureTracker.ecosystemMode) {
                     this.creatureTracker.assignEcosystemGenomes();
                 } else {
                     for (const creature of this.creatureTracker.creatures) {
@@ -690,7 +1147,8 @@ class FlowLenia {
                 this.creatureTracker.updateEnergy(this.environment);
 
                 // Phase 10: Process predation (hunters eat prey)
-                this.creatureTracker.processPredation(this.A, this.size);
+                const eaten = this.creatureTracker.processPredation(this.A, this.width, this.height);
+                MassBudget.record(this.massLedger, 'eaten', eaten);
 
                 // Check for reproduction and death
                 const events = this.creatureTracker.checkEvolutionEvents();
@@ -720,6 +1178,7 @@ class FlowLenia {
             this.creatureTracker.updateCreatureHeadings(this.environment);
         }
 
+        this.updateActiveTiles();  // Sparse stepping: where mass is
         this.computePotential();   // U = K * A
 
         // Phase 16: Apply kernel offsets for directed movement
@@ -729,6 +1188,10 @@ class FlowLenia {
             this.applyPotentialOffsets();       // Shift potential field
         }
 
+        if (this.noise.potential > 0) {
+            Noise.perturb(this.potential, this.noise.potential, this.noiseRandom);
+        }
+
         this.computeAffinity();    // affinity = G(U)
         this.computeGradient();    // F = ∇(affinity)
 
@@ -741,8 +1204,69 @@ class FlowLenia {
             this.applyCreatureRepulsion();
         }
 
+        if (this.localGenome) {
+            this.applyDrift();     // Locomotion bias carried by the mass
+        }
+
+        if (this.noise.dropout > 0) {
+            this.applyDropout();   // Dropped-out cells don't move this step
+        }
+
         this.transportMass();      // Mass-conservative transport
         this.applyDiffusion();     // Laplacian diffusion to prevent collapse
+
+        if (MassBudget.isActive(this.massBudget)) {
+            MassBudget.apply(this, this.dt);  // Open system: sources and sinks
+        }
+
+        if (this.noise.state > 0) {
+            this.applyStateNoise();
+        }
+
+        MassBudget.end(this.massLedger, this.totalMass());
+    }
+
+    /**
+     * Asynchronous update: zero the flow of each cell with probability
+     * noise.dropout, so its mass stays where it is for this step
+     */
+    applyDropout() {
+        const { Fx, Fy, noiseRandom } = this;
+        const rate = this.noise.dropout;
+
+        for (let i = 0; i < Fx.length; i++) {
+            if (noiseRandom.random() < rate) {
+                Fx[i] = 0;
+                Fy[i] = 0;
+            }
+        }
+    }
+
+    /**
+     * State noise that conserves mass: scale each cell by (1 + a·√dt·N(0, 1)),
+     * clipped at zero, then rescale so the total is unchanged
+     * Additive noise would scatter mass into empty cells, where nothing
+     * removes it again
+     */
+    applyStateNoise() {
+        const { A, noiseRandom } = this;
+        const amplitude = this.noise.state * Math.sqrt(this.dt);
+
+        let before = 0;
+        let after = 0;
+        for (let i = 0; i < A.length; i++) {
+            if (A[i] === 0) continue;
+            before += A[i];
+            A[i] = Math.max(0, A[i] * (1 + amplitude * Noise.gaussian(noiseRandom)));
+            after += A[i];
+        }
+
+        if (after > 0) {
+            const scale = before / after;
+            for (let i = 0; i < A.length; i++) {
+                A[i] *= scale;
+            }
+        }
     }
 
     /**
@@ -751,11 +1275,11 @@ class FlowLenia {
     applySteeringForces() {
         if (!this.creatureTracker || this.steeringStrength === 0) return;
 
-        const { size, Fx, Fy, steeringStrength } = this;
+        const { width, height, Fx, Fy, steeringStrength } = this;
 
-        for (let y = 0; y < size; y++) {
-            for (let x = 0; x < size; x++) {
-                const idx = y * size + x;
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const idx = y * width + x;
 
                 // Only apply steering where there's mass
                 if (this.A[idx] < 0.1) continue;
@@ -775,7 +1299,7 @@ class FlowLenia {
     applyPursuitBoost() {
         if (!this.creatureTracker || !this.creatureTracker.ecosystemMode) return;
 
-        const { size, Fx, Fy, A } = this;
+        const { width, height, Fx, Fy, A } = this;
         const tracker = this.creatureTracker;
         const pursuitStrength = 5.0;  // Phase 15: Significantly increased for effective hunting
 
@@ -803,18 +1327,18 @@ class FlowLenia {
 
             // Calculate pursuit vector (using predictive position from smoothed velocity)
             const smoothedVel = nearestPrey.getSmoothedVelocity ?
-                nearestPrey.getSmoothedVelocity(size) : { vx: nearestPrey.vx || 0, vy: nearestPrey.vy || 0 };
+                nearestPrey.getSmoothedVelocity(width, height, this.boundary) : { vx: nearestPrey.vx || 0, vy: nearestPrey.vy || 0 };
 
             // Predict where prey will be (shorter lookahead for direct pursuit boost)
             const lookAhead = Math.min(15, nearestDist / 2);
             let targetX = nearestPrey.x + smoothedVel.vx * lookAhead;
             let targetY = nearestPrey.y + smoothedVel.vy * lookAhead;
-            targetX = ((targetX % size) + size) % size;
-            targetY = ((targetY % size) + size) % size;
+            targetX = Boundary.position(targetX, width, this.boundary);
+            targetY = Boundary.position(targetY, height, this.boundary);
 
             // Direction from hunter to predicted prey position
-            const dx = tracker.toroidalDelta(targetX, hunter.x, size);
-            const dy = tracker.toroidalDelta(targetY, hunter.y, size);
+            const dx = tracker.toroidalDelta(targetX, hunter.x, width);
+            const dy = tracker.toroidalDelta(targetY, hunter.y, height);
             const dist = Math.sqrt(dx * dx + dy * dy);
             if (dist < 0.1) continue;
 
@@ -827,8 +1351,8 @@ class FlowLenia {
             const proximityBoost = 1 + Math.pow(1 - nearestDist / 150, 2) * 3;
 
             for (const cell of hunter.cells) {
-                const idx = Math.floor(cell.y) * size + Math.floor(cell.x);
-                if (idx >= 0 && idx < size * size && A[idx] > 0.1) {
+                const idx = Math.floor(cell.y) * width + Math.floor(cell.x);
+                if (idx >= 0 && idx < width * height && A[idx] > 0.1) {
                     // Add pursuit velocity to flow field at this cell
                     Fx[idx] += dirX * pursuitStrength * proximityBoost * cell.value;
                     Fy[idx] += dirY * pursuitStrength * proximityBoost * cell.value;
@@ -845,7 +1369,7 @@ class FlowLenia {
     applyCreatureRepulsion() {
         if (!this.creatureTracker) return;
 
-        const { size, Fx, Fy, A } = this;
+        const { width, height, Fx, Fy, A } = this;
         const tracker = this.creatureTracker;
         const creatures = tracker.creatures;
         const repulsionStrength = 8.0;  // Strong push to prevent merging
@@ -869,8 +1393,8 @@ class FlowLenia {
                 const effectiveMinDist = Math.max(minSeparation, combinedRadius * 1.5);
 
                 // Calculate distance between creatures
-                const dx = tracker.toroidalDelta(c2.x, c1.x, size);
-                const dy = tracker.toroidalDelta(c2.y, c1.y, size);
+                const dx = tracker.toroidalDelta(c2.x, c1.x, width);
+                const dy = tracker.toroidalDelta(c2.y, c1.y, height);
                 const dist = Math.sqrt(dx * dx + dy * dy);
 
                 if (dist >= effectiveMinDist || dist < 0.1) continue;
@@ -885,8 +1409,8 @@ class FlowLenia {
 
                 // Apply repulsion to c1's cells (push away from c2)
                 for (const cell of c1.cells) {
-                    const idx = Math.floor(cell.y) * size + Math.floor(cell.x);
-                    if (idx >= 0 && idx < size * size && A[idx] > 0.1) {
+                    const idx = Math.floor(cell.y) * width + Math.floor(cell.x);
+                    if (idx >= 0 && idx < width * height && A[idx] > 0.1) {
                         Fx[idx] -= dirX * force * cell.value;
                         Fy[idx] -= dirY * force * cell.value;
                     }
@@ -894,8 +1418,8 @@ class FlowLenia {
 
                 // Apply repulsion to c2's cells (push away from c1)
                 for (const cell of c2.cells) {
-                    const idx = Math.floor(cell.y) * size + Math.floor(cell.x);
-                    if (idx >= 0 && idx < size * size && A[idx] > 0.1) {
+                    const idx = Math.floor(cell.y) * width + Math.floor(cell.x);
+                    if (idx >= 0 && idx < width * height && A[idx] > 0.1) {
                         Fx[idx] += dirX * force * cell.value;
                         Fy[idx] += dirY * force * cell.value;
                     }
@@ -917,7 +1441,8 @@ class FlowLenia {
         );
         if (!offspringData) return;
 
-        const { size, A } = this;
+        const { width, height, A } = this;
+        const massBefore = this.totalMass();
 
         // Calculate split direction (perpendicular to heading)
         const splitAngle = parent.heading + Math.PI / 2;
@@ -925,12 +1450,12 @@ class FlowLenia {
 
         // Offspring positions
         const pos1 = {
-            x: (parent.x + Math.cos(splitAngle) * splitDist + size) % size,
-            y: (parent.y + Math.sin(splitAngle) * splitDist + size) % size
+            x: Boundary.position(parent.x + Math.cos(splitAngle) * splitDist, width, this.boundary),
+            y: Boundary.position(parent.y + Math.sin(splitAngle) * splitDist, height, this.boundary)
         };
         const pos2 = {
-            x: (parent.x - Math.cos(splitAngle) * splitDist + size) % size,
-            y: (parent.y - Math.sin(splitAngle) * splitDist + size) % size
+            x: Boundary.position(parent.x - Math.cos(splitAngle) * splitDist, width, this.boundary),
+            y: Boundary.position(parent.y - Math.sin(splitAngle) * splitDist, height, this.boundary)
         };
 
         // Redistribute parent's mass to two locations
@@ -939,15 +1464,19 @@ class FlowLenia {
         const parentCells = [];
 
         for (const cell of parent.cells) {
-            const idx = Math.floor(cell.y) * size + Math.floor(cell.x);
+            const idx = Math.floor(cell.y) * width + Math.floor(cell.x);
             if (idx >= 0 && idx < A.length) {
                 totalMass += A[idx];
                 parentCells.push({ x: cell.x, y: cell.y, idx });
             }
         }
 
+        // Local genome: offspring matter carries the parent's rule and the
+        // offspring's mutated genome
+        const rule = this.localGenome ? LocalGenome.mean(this, parent.cells) : null;
+
         // Split mass ratio (roughly 50/50 with some variation)
-        const ratio1 = 0.45 + Math.random() * 0.1;
+        const ratio1 = 0.45 + Random.random() * 0.1;
         const mass1 = totalMass * ratio1;
         const mass2 = totalMass * (1 - ratio1);
 
@@ -959,6 +1488,7 @@ class FlowLenia {
 
         // Create blob patterns for offspring and calculate normalization
         const offspringRadius = Math.max(parent.radius * 0.75, 6);
+        const edge = Boundary.drawMode(this.boundary);
 
         // Generate blob patterns centered at each offspring position
         const blob1Cells = [];
@@ -972,19 +1502,21 @@ class FlowLenia {
                 if (dist <= 1) {
                     const weight = (1 - dist * dist); // Smooth falloff
 
-                    // Blob 1
-                    const gx1 = (Math.floor(pos1.x) + dx + size) % size;
-                    const gy1 = (Math.floor(pos1.y) + dy + size) % size;
-                    const idx1 = gy1 * size + gx1;
-                    blob1Cells.push({ idx: idx1, weight });
-                    blob1Total += weight;
+                    // Blob 1 (cells beyond a bounded edge are left out)
+                    const gx1 = Boundary.cell(Math.floor(pos1.x) + dx, width, edge);
+                    const gy1 = Boundary.cell(Math.floor(pos1.y) + dy, height, edge);
+                    if (gx1 >= 0 && gy1 >= 0) {
+                        blob1Cells.push({ idx: gy1 * width + gx1, weight });
+                        blob1Total += weight;
+                    }
 
                     // Blob 2
-                    const gx2 = (Math.floor(pos2.x) + dx + size) % size;
-                    const gy2 = (Math.floor(pos2.y) + dy + size) % size;
-                    const idx2 = gy2 * size + gx2;
-                    blob2Cells.push({ idx: idx2, weight });
-                    blob2Total += weight;
+                    const gx2 = Boundary.cell(Math.floor(pos2.x) + dx, width, edge);
+                    const gy2 = Boundary.cell(Math.floor(pos2.y) + dy, height, edge);
+                    if (gx2 >= 0 && gy2 >= 0) {
+                        blob2Cells.push({ idx: gy2 * width + gx2, weight });
+                        blob2Total += weight;
+                    }
                 }
             }
         }
@@ -1011,6 +1543,17 @@ class FlowLenia {
             A[cell.idx] = Math.min(1, cell.weight * scale2);
         }
 
+        if (rule) {
+            [blob1Cells, blob2Cells].forEach((cells, i) => {
+                const values = LocalGenome.inherit(rule, offspringData.offspring[i].genome);
+                for (const cell of cells) {
+                    LocalGenome.write(this, cell.idx, values);
+                    this.P_mu[cell.idx] = values.mu;
+                    this.P_sigma[cell.idx] = values.sigma;
+                }
+            });
+        }
+
         // Note: The actual offspring creatures will be detected and registered
         // by the creature tracker in the next frame when it scans for connected
         // components. The offspring data is stored so we can assign genomes
@@ -1031,16 +1574,17 @@ class FlowLenia {
         this.pendingOffspring = this.pendingOffspring.filter(
             o => this.frameNumber - o.frame < 5
         );
+
+        // Mass ledger: offspring blobs are clipped at 1 and overwrite what they cover
+        MassBudget.record(this.massLedger, 'reproduction', massBefore - this.totalMass());
     }
 
     /**
-     * Helper: compute toroidal delta (shortest path direction)
+     * Helper: compute delta along one axis (shortest path direction in
+     * periodic worlds, straight line otherwise)
      */
     toroidalDelta(to, from, size) {
-        let delta = to - from;
-        if (delta > size / 2) delta -= size;
-        if (delta < -size / 2) delta += size;
-        return delta;
+        return Boundary.delta(to, from, size, this.boundary);
     }
 
     /**
@@ -1068,8 +1612,8 @@ class FlowLenia {
                     // Skip creatures that were around before this reproduction
                     if (creature.birthFrame < pending.frame) continue;
 
-                    const dx = this.toroidalDelta(creature.x, pos.x, this.size);
-                    const dy = this.toroidalDelta(creature.y, pos.y, this.size);
+                    const dx = this.toroidalDelta(creature.x, pos.x, this.width);
+                    const dy = this.toroidalDelta(creature.y, pos.y, this.height);
                     const dist = Math.sqrt(dx * dx + dy * dy);
 
                     if (dist < bestDist) {
@@ -1103,6 +1647,7 @@ class FlowLenia {
      */
     setEnvironment(environment) {
         this.environment = environment;
+        if (environment) environment.boundary = this.boundary;
     }
 
     /**
@@ -1110,6 +1655,7 @@ class FlowLenia {
      */
     setCreatureTracker(tracker) {
         this.creatureTracker = tracker;
+        if (tracker) tracker.boundary = this.boundary;
     }
 
     /**
@@ -1136,10 +1682,17 @@ class FlowLenia {
     clear() {
         this.A.fill(0);
         this.frameNumber = 0;
+        this.massLedger = MassBudget.ledger();
 
         // Phase 15: Initialize parameter arrays with global defaults
         this.P_mu.fill(this.mu);
         this.P_sigma.fill(this.sigma);
+        if (this.traitNames.length > 0) {
+            const blank = LocalGenome.values(this);
+            for (const name of this.traitNames) {
+                this[LocalGenome.key(name)].fill(blank[name]);
+            }
+        }
 
         // Reset environment and creature tracker
         if (this.environment) {
@@ -1154,24 +1707,24 @@ class FlowLenia {
      * Fill with random clumps (similar to standard Lenia)
      */
     randomize(density = 0.3, clumpiness = 0.5) {
-        const numClumps = Math.floor(this.size * this.size * density * 0.001);
+        const numClumps = Math.floor(this.width * this.height * density * 0.001);
 
         this.clear();
 
         for (let c = 0; c < numClumps; c++) {
-            const cx = Math.random() * this.size;
-            const cy = Math.random() * this.size;
-            const radius = 5 + Math.random() * 20;
+            const cx = Random.random() * this.width;
+            const cy = Random.random() * this.height;
+            const radius = 5 + Random.random() * 20;
 
-            for (let y = 0; y < this.size; y++) {
-                for (let x = 0; x < this.size; x++) {
+            for (let y = 0; y < this.height; y++) {
+                for (let x = 0; x < this.width; x++) {
                     const dx = x - cx;
                     const dy = y - cy;
                     const dist = Math.sqrt(dx * dx + dy * dy);
 
                     if (dist < radius) {
-                        const value = (1 - dist / radius) * (0.5 + Math.random() * 0.5);
-                        const idx = y * this.size + x;
+                        const value = (1 - dist / radius) * (0.5 + Random.random() * 0.5);
+                        const idx = y * this.width + x;
                         this.A[idx] = Math.min(1, this.A[idx] + value * clumpiness);
                     }
                 }
@@ -1180,7 +1733,7 @@ class FlowLenia {
 
         // Add some noise
         for (let i = 0; i < this.A.length; i++) {
-            this.A[i] = Math.min(1, this.A[i] + Math.random() * 0.1);
+            this.A[i] = Math.min(1, this.A[i] + Random.random() * 0.1);
         }
     }
 
@@ -1193,19 +1746,25 @@ class FlowLenia {
      * @param {number} value - Mass value (default 1.0)
      * @param {number} localMu - Local growth center (default: global mu)
      * @param {number} localSigma - Local growth width (default: global sigma)
+     * @param {Genome} genome - Genome traits for a local genome (default: the base genome)
      */
-    drawBlob(x, y, radius, value = 1.0, localMu = null, localSigma = null) {
+    drawBlob(x, y, radius, value = 1.0, localMu = null, localSigma = null, genome = null) {
         // Use global parameters if not specified
         const muToUse = localMu !== null ? localMu : this.mu;
         const sigmaToUse = localSigma !== null ? localSigma : this.sigma;
+        const traits = this.traitNames.length > 0 ? LocalGenome.values(this, genome) : null;
+        const edge = Boundary.drawMode(this.boundary);
+        const solid = this.obstacleMask();
 
         for (let dy = -radius; dy <= radius; dy++) {
             for (let dx = -radius; dx <= radius; dx++) {
                 const dist = Math.sqrt(dx * dx + dy * dy) / radius;
                 if (dist <= 1) {
-                    const gx = (Math.floor(x) + dx + this.size) % this.size;
-                    const gy = (Math.floor(y) + dy + this.size) % this.size;
-                    const idx = gy * this.size + gx;
+                    const gx = Boundary.cell(Math.floor(x) + dx, this.width, edge);
+                    const gy = Boundary.cell(Math.floor(y) + dy, this.height, edge);
+                    if (gx < 0 || gy < 0) continue;
+                    const idx = gy * this.width + gx;
+                    if (value > 0 && solid && solid[idx]) continue;  // Mass can't be placed inside walls
                     const brushVal = value * (1 - dist * dist);
 
                     if (value > 0) {
@@ -1213,6 +1772,7 @@ class FlowLenia {
                         // Phase 15: Set local parameters for this cell
                         this.P_mu[idx] = muToUse;
                         this.P_sigma[idx] = sigmaToUse;
+                        if (traits) LocalGenome.write(this, idx, traits);
                     } else {
                         this.A[idx] = Math.max(0, this.A[idx] + brushVal * 0.3);
                     }
@@ -1233,6 +1793,7 @@ class FlowLenia {
         this.mu = species.params.mu;
         this.sigma = species.params.sigma;
         this.dt = species.params.dt;
+        this.setGrowth(species.params.growthType || 'gaussian', species.params.growthPoints || Growth.DEFAULT_POINTS);
 
         // Flow-specific params
         if (species.params.flowStrength !== undefined) {
@@ -1266,8 +1827,8 @@ class FlowLenia {
             this.clear();
             this.placePattern(
                 species.pattern,
-                Math.floor(this.size / 2),
-                Math.floor(this.size / 2)
+                Math.floor(this.width / 2),
+                Math.floor(this.height / 2)
             );
         }
     }
@@ -1285,53 +1846,76 @@ class FlowLenia {
 
         for (let py = 0; py < patternH; py++) {
             for (let px = 0; px < patternW; px++) {
-                const gx = (startX + px + this.size) % this.size;
-                const gy = (startY + py + this.size) % this.size;
-                this.A[gy * this.size + gx] = pattern[py][px];
+                const gx = (startX + px + this.width) % this.width;
+                const gy = (startY + py + this.height) % this.height;
+                this.A[gy * this.width + gx] = pattern[py][px];
             }
         }
     }
 
     /**
      * Resize the simulation grid
+     * @param {number} newWidth - New width in cells
+     * @param {number} newHeight - New height in cells (defaults to newWidth)
      */
-    resize(newSize) {
-        if (newSize === this.size) return;
+    resize(newWidth, newHeight = newWidth) {
+        if (newWidth === this.width && newHeight === this.height) return;
+
+        const oldWidth = this.width;
+        const oldHeight = this.height;
+        const cells = newWidth * newHeight;
+
+        // Simple nearest-neighbor scaling
+        const scaleX = oldWidth / newWidth;
+        const scaleY = oldHeight / newHeight;
+        const rescale = (oldField) => {
+            const field = new Float32Array(cells);
+            for (let y = 0; y < newHeight; y++) {
+                const oy = Math.min(Math.floor(y * scaleY), oldHeight - 1);
+                for (let x = 0; x < newWidth; x++) {
+                    const ox = Math.min(Math.floor(x * scaleX), oldWidth - 1);
+                    field[y * newWidth + x] = oldField[oy * oldWidth + ox];
+                }
+            }
+            return field;
+        };
 
-        const oldA = this.A;
-        const oldSize = this.size;
+        // Mass and its localized parameters are rescaled; working buffers are reallocated
+        this.A = rescale(this.A);
+        this.P_mu = rescale(this.P_mu);
+        this.P_sigma = rescale(this.P_sigma);
+        for (const name of this.traitNames) {
+            const key = LocalGenome.key(name);
+            this[key] = rescale(this[key]);
+        }
 
-        this.size = newSize;
-        this.A = new Float32Array(newSize * newSize);
-        this.potential = new Float32Array(newSize * newSize);
-        this.affinity = new Float32Array(newSize * newSize);
-        this.Fx = new Float32Array(newSize * newSize);
-        this.Fy = new Float32Array(newSize * newSize);
-        this.newA = new Float32Array(newSize * newSize);
+        this.width = newWidth;
+        this.height = newHeight;
+        this.newP_mu = new Float32Array(cells);
+        this.newP_sigma = new Float32Array(cells);
+        this.potential = new Float32Array(cells);
+        this.affinity = new Float32Array(cells);
+        this.Fx = new Float32Array(cells);
+        this.Fy = new Float32Array(cells);
+        this.newA = new Float32Array(cells);
+        this.traitWork = null;
+        this.mixWork = null;
+        this.localKernels = null;
+        this.localPotentials = null;
 
         // Recreate FFT convolver for new size
-        this.fftConvolver = FFT.createConvolver(newSize);
+        this.fftConvolver = FFT.createConvolver(newWidth, newHeight, Boundary.padding(this.boundary));
         // Re-set the kernel FFT for the new convolver
         if (this.kernel) {
             this.fftConvolver.setKernel(this.kernel);
         }
 
-        // Simple nearest-neighbor scaling
-        const scale = oldSize / newSize;
-        for (let y = 0; y < newSize; y++) {
-            for (let x = 0; x < newSize; x++) {
-                const ox = Math.min(Math.floor(x * scale), oldSize - 1);
-                const oy = Math.min(Math.floor(y * scale), oldSize - 1);
-                this.A[y * newSize + x] = oldA[oy * oldSize + ox];
-            }
-        }
-
         // Resize environment and creature tracker if present
         if (this.environment) {
-            this.environment.resize(newSize);
+            this.environment.resize(newWidth, newHeight);
         }
         if (this.creatureTracker) {
-            this.creatureTracker.resize(newSize);
+            this.creatureTracker.resize(newWidth, newHeight);
         }
     }
 
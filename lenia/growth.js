@@ -0,0 +1,117 @@
+/**
+ * Growth - growth function families G(u) for Lenia
+ *
+ * Every simulation (and every ecosystem channel) has a `growthType`:
+ * - 'gaussian'  : 2·exp(-(u - μ)² / 2σ²) - 1 (the "exponential" growth of the
+ *                 Lenia papers, and the only one before growth families existed)
+ * - 'quad4'     : 2·max(0, 1 - (u - μ)² / 9σ²)⁴ - 1, the polynomial growth most
+ *                 published Lenia creatures were found with
+ * - 'step'      : 1 within σ of μ, -1 elsewhere (rectangular growth)
+ * - 'piecewise' : a user-supplied curve through `growthPoints`, [[u, g], ...]
+ *                 sorted by u, linear between points and flat beyond the ends.
+ *                 μ and σ are ignored
+ *
+ * All families map to [-1, 1] and return 1 at u = μ.
+ */
+
+const Growth = {
+    TYPES: ['gaussian', 'quad4', 'step', 'piecewise'],
+
+    // Names used by the Lenia papers and Chakazul's presets
+    ALIASES: { exponential: 'gaussian', polynomial: 'quad4', rectangular: 'step' },
+
+    // Starting curve for 'piecewise': a tent peaking at the default μ = 0.15
+    DEFAULT_POINTS: [[0, -1], [0.1, -1], [0.15, 1], [0.2, -1], [1, -1]],
+
+    /**
+     * Check a type name, so a typo fails loudly instead of falling back to Gaussian
+     * Returns the canonical name (aliases resolved)
+     */
+    validate(type) {
+        const name = Growth.ALIASES[type] || type;
+        if (!Growth.TYPES.includes(name)) {
+            throw new Error(`Unknown growth function: ${type}`);
+        }
+        return name;
+    },
+
+    /**
+     * Check and sort piecewise control points
+     * @param {Array<Array<number>>} points - [[u, g], ...], at least two
+     * @returns {Array<Array<number>>} - A sorted copy
+     */
+    validatePoints(points) {
+        if (!Array.isArray(points) || points.length < 2) {
+            throw new Error('Piecewise growth needs at least two [u, g] points');
+        }
+        for (const point of points) {
+            if (!Array.isArray(point) || point.length !== 2 || !point.every(Number.isFinite)) {
+                throw new Error(`Invalid growth point: ${JSON.stringify(point)}`);
+            }
+        }
+        return points.map(([u, g]) => [u, g]).sort((a, b) => a[0] - b[0]);
+    },
+
+    /**
+     * Parse "u:g, u:g, ..." text from the UI into points
+     */
+    parsePoints(text) {
+        const points = text.split(',')
+            .map(pair => pair.trim())
+            .filter(pair => pair.length > 0)
+            .map(pair => pair.split(':').map(Number));
+        return Growth.validatePoints(points);
+    },
+
+    /**
+     * Format points as "u:g, u:g, ..." text for the UI
+     */
+    formatPoints(points) {
+        return points.map(([u, g]) => `${u}:${g}`).join(', ');
+    },
+
+    gaussian(u, mu, sigma) {
+        const d = (u - mu) / sigma;
+        return 2 * Math.exp(-d * d / 2) - 1;
+    },
+
+    quad4(u, mu, sigma) {
+        const d = (u - mu) / sigma;
+        const base = Math.max(0, 1 - d * d / 9);
+        return 2 * base * base * base * base - 1;
+    },
+
+    step(u, mu, sigma) {
+        return Math.abs(u - mu) <= sigma ? 1 : -1;
+    },
+
+    piecewise(u, points) {
+        const last = points.length - 1;
+        if (u <= points[0][0]) return points[0][1];
+        if (u >= points[last][0]) return points[last][1];
+
+        let i = 1;
+        while (points[i][0] < u) i++;
+        const [u0, g0] = points[i - 1];
+        const [u1, g1] = points[i];
+        return u1 > u0 ? g0 + (g1 - g0) * (u - u0) / (u1 - u0) : g1;
+    },
+
+    /**
+     * Evaluate G(u) for a growth type
+     * @param {string} type - One of Growth.TYPES
+     * @param {number} u - Neighborhood potential
+     * @param {number} mu - Growth center
+     * @param {number} sigma - Growth width
+     * @param {Array<Array<number>>} points - Control points for 'piecewise'
+     */
+    evaluate(type, u, mu, sigma, points) {
+        switch (type) {
+            case 'gaussian': return Growth.gaussian(u, mu, sigma);
+            case 'quad4': return Growth.quad4(u, mu, sigma);
+            case 'step': return Growth.step(u, mu, sigma);
+            case 'piecewise': return Growth.piecewise(u, points);
+            default: return Growth.evaluate(Growth.validate(type), u, mu, sigma, points);
+        }
+    }
+};
@@ -0,0 +1,219 @@
+/**
+ * Simulation History - rewind through compressed snapshots
+ *
+ * Every `interval` generations the page records a SimState snapshot of the
+ * active mode into a ring buffer of `capacity` entries. A snapshot holds the
+ * grid, FlowLenia's P_mu / P_sigma, environment layers, creatures and genomes
+ * (see sim-state.js). When the buffer is full the oldest entry is dropped.
+ *
+ * Fields are run-length encoded: runs of one repeated value (empty space,
+ * untouched parameter maps, walls) are stored once, everything else as is.
+ * Lenia worlds are mostly empty, so a snapshot usually shrinks several
+ * times over. The encoding is lossless, so a restored run continues exactly
+ * as the original did.
+ *
+ * Restoring an entry moves the cursor back to it. Entries after the cursor
+ * are kept while scrubbing, and dropped by the next record(), so resuming
+ * from an old point replaces the recorded future instead of mixing with it.
+ *
+ * Entries only fit objects of the same shape (mode, size, channel count,
+ * Flow-Lenia's sensory and evolution switches).
+ * Recording a snapshot of another shape starts a new history.
+ */
+
+class SimulationHistory {
+    // Shortest run of equal values stored as a repeat
+    static MIN_REPEAT = 4;
+
+    constructor(capacity = 100, interval = 20) {
+        this.capacity = capacity;   // Most entries kept
+        this.interval = interval;   // Generations between entries
+        this.entries = [];          // Oldest first
+        this.cursor = -1;           // Entry last restored; -1 at the live end
+    }
+
+    /**
+     * Encode a field as alternating repeat / literal run lengths. A repeat
+     * run is MIN_REPEAT or more copies of one value, stored once; literal
+     * runs keep their values. Every field starts with a (possibly empty)
+     * repeat run
+     */
+    static compressField(field) {
+        const n = field.length;
+        const runs = new Uint32Array(n + 2);
+        const repeats = new Float32Array(n);
+        const values = new Float32Array(n);
+        let numRuns = 0;
+        let numRepeats = 0;
+        let numValues = 0;
+
+        // Length of the run of equal values starting at i
+        const repeatAt = (i) => {
+            let j = i + 1;
+            while (j < n && field[j] === field[i]) j++;
+            return j - i;
+        };
+
+        let i = 0;
+        while (i < n) {
+            const repeat = repeatAt(i);
+            if (repeat >= SimulationHistory.MIN_REPEAT) {
+                runs[numRuns++] = repeat;
+                repeats[numRepeats++] = field[i];
+                i += repeat;
+            } else {
+                runs[numRuns++] = 0;
+            }
+
+            const literalStart = i;
+            while (i < n && repeatAt(i) < SimulationHistory.MIN_REPEAT) {
+                values[numValues++] = field[i++];
+            }
+            runs[numRuns++] = i - literalStart;
+        }
+
+        return {
+            length: n,
+            runs: runs.slice(0, numRuns),
+            repeats: repeats.slice(0, numRepeats),
+            values: values.slice(0, numValues)
+        };
+    }
+
+    static decompressField(packed) {
+        const field = new Float32Array(packed.length);
+        let i = 0;
+        let r = 0;
+        let v = 0;
+        for (let k = 0; k < packed.runs.length; k += 2) {
+            if (packed.runs[k] > 0) {
+                field.fill(packed.repeats[r++], i, i + packed.runs[k]);
+                i += packed.runs[k];
+            }
+            const end = i + packed.runs[k + 1];
+            while (i < end) {
+                field[i++] = packed.values[v++];
+            }
+        }
+        return field;
+    }
+
+    /**
+     * Identifies the objects a snapshot can be restored into
+     */
+    static shape(state) {
+        let shape = `${state.mode} ${state.width}x${state.height}`;
+        if (state.mode === 'ecosystem') {
+            shape += ` ${state.scalars.sim.numChannels}`;
+        } else if (state.mode === 'flow') {
+            // The page's sensory and evolution switches have side effects a restore can't replay
+            shape += ` ${state.scalars.sim.sensoryEnabled} ${state.scalars.tracker.evolution.enabled}`;
+        }
+        return shape;
+    }
+
+    /**
+     * Change the capacity, dropping the oldest entries that no longer fit
+     */
+    setCapacity(capacity) {
+        this.capacity = capacity;
+        const excess = this.entries.length - capacity;
+        if (excess > 0) {
+            this.entries.splice(0, excess);
+            this.cursor = this.cursor >= 0 ? Math.max(0, this.cursor - excess) : -1;
+        }
+    }
+
+    get length() {
+        return this.entries.length;
+    }
+
+    /**
+     * True if `generation` is due for an entry: `interval` generations past
+     * the current entry, or behind it (the run was reset)
+     */
+    due(generation) {
+        const current = this.current();
+        if (!current) return true;
+        return generation - current.generation >= this.interval || generation < current.generation;
+    }
+
+    /**
+     * Entry at the cursor, or the newest entry
+     */
+    current() {
+        return this.cursor >= 0 ? this.entries[this.cursor] : this.entries[this.entries.length - 1] || null;
+    }
+
+    /**
+     * Snapshot the active mode into the buffer
+     * @param {Object} sims - Simulation bundle (see sim-state.js)
+     */
+    record(sims) {
+        const state = SimState.capture(sims);
+        const shape = SimulationHistory.shape(state);
+
+        if (this.entries.length > 0 && this.entries[0].shape !== shape) {
+            this.entries = [];
+        }
+        // Resuming from a restored entry replaces what came after it
+        if (this.cursor >= 0) {
+            this.entries.length = this.cursor + 1;
+            this.cursor = -1;
+        }
+
+        const fields = {};
+        let bytes = 0;
+        for (const [name, field] of Object.entries(state.fields)) {
+            fields[name] = SimulationHistory.compressField(field);
+            const packed = fields[name];
+            bytes += packed.runs.byteLength + packed.repeats.byteLength + packed.values.byteLength;
+        }
+
+        // Scalars may share objects with the live sims, so the rest is cloned
+        delete state.fields;
+        this.entries.push({ shape, generation: state.generation, bytes, state: structuredClone(state), fields });
+
+        while (this.entries.length > this.capacity) {
+            this.entries.shift();
+        }
+    }
+
+    /**
+     * Full snapshot of an entry
+     */
+    snapshot(index) {
+        const entry = this.entries[index];
+        const state = structuredClone(entry.state);
+        state.fields = {};
+        for (const [name, packed] of Object.entries(entry.fields)) {
+            state.fields[name] = SimulationHistory.decompressField(packed);
+        }
+        return state;
+    }
+
+    /**
+     * Write an entry back into the simulation objects and rebuild kernels
+     * The objects must have the entry's shape (see header)
+     */
+    restore(sims, index) {
+        const state = this.snapshot(index);
+        SimState.restore(sims, state);
+        SimState.rebuildKernels(sims);
+
+        this.cursor = index;
+        return state;
+    }
+
+    /**
+     * Total size of the stored fields in bytes
+     */
+    bytes() {
+        return this.entries.reduce((sum, entry) => sum + entry.bytes, 0);
+    }
+
+    clear() {
+        this.entries = [];
+        this.cursor = -1;
+    }
+}
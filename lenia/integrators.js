@@ -0,0 +1,182 @@
+/**
+ * Integrators - time stepping for Lenia and Multi-Channel Lenia
+ *
+ * The Lenia update is an ODE, dA/dt = G(K * A), and a step advances it by h:
+ * - 'euler'      : A + h·G(U), clipped to [0, 1] (the classic Lenia update)
+ * - 'rk2'        : Heun's method, 2 growth evaluations per step
+ * - 'rk4'        : Classic Runge-Kutta, 4 growth evaluations per step
+ * - 'asymptotic' : Asymptotic Lenia, dA/dt = (G(U) + 1) / 2 - A. Cells relax
+ *                  toward a target in [0, 1] instead of being hard clipped
+ *
+ * Clipped methods clip every intermediate stage as well as the result, so
+ * stages stay in the range the growth functions were tuned for.
+ *
+ * Adaptive stepping (adaptiveStep) compares one step of h against two of h/2
+ * and sizes the next step from the difference. A creature that only survives
+ * at a large fixed dt, but dissolves under RK4 or an adaptive step, is an
+ * artifact of the time step rather than a continuum solution.
+ *
+ * Simulations supply a `rates(fields, out)` callback that writes G(U) for
+ * every field (convolving the fields it is given, not its own grids).
+ * An optional per-cell `scale` multiplies every increment, so each cell
+ * advances by scale·h: this is how dt maps give cells their own time step
+ * (see param-maps.js).
+ */
+
+const Integrators = {
+    METHODS: ['euler', 'rk2', 'rk4', 'asymptotic'],
+
+    // Order of accuracy, used to size adaptive steps
+    ORDER: { euler: 1, rk2: 2, rk4: 4, asymptotic: 1 },
+
+    /**
+     * Check a method name, so a typo fails loudly instead of falling back to Euler
+     */
+    validate(method) {
+        if (!Integrators.METHODS.includes(method)) {
+            throw new Error(`Unknown integrator: ${method}`);
+        }
+        return method;
+    },
+
+    /**
+     * Scratch buffers for `count` fields of `length` cells
+     * Reuses `work` when it already has that shape
+     * Rates are Float64 so the Euler update rounds exactly as A + dt·G(U) always has
+     */
+    ensureWork(work, count, length) {
+        if (work && work.count === count && work.length === length) return work;
+
+        const f64 = () => Array.from({ length: count }, () => new Float64Array(length));
+        const f32 = () => Array.from({ length: count }, () => new Float32Array(length));
+        return {
+            count,
+            length,
+            k1: f64(), k2: f64(), k3: f64(), k4: f64(),
+            stage: f32(),   // Intermediate RK state
+            half: f32(),    // Adaptive: state after the first half step
+            full: f32()     // Adaptive: state after one full step
+        };
+    },
+
+    /**
+     * out = clip(base + scale·Σ weights[j]·ks[j]) for every field
+     * A null scale is 1 everywhere (and rounds exactly as if it weren't there)
+     */
+    combine(out, base, ks, weights, scale = null) {
+        for (let f = 0; f < base.length; f++) {
+            const a = base[f];
+            const o = out[f];
+            for (let i = 0; i < a.length; i++) {
+                let sum = 0;
+                for (let j = 0; j < ks.length; j++) {
+                    sum += weights[j] * ks[j][f][i];
+                }
+                const s = scale ? scale[i] : 1;
+                o[i] = Math.max(0, Math.min(1, a[i] + s * sum));
+            }
+        }
+    },
+
+    /**
+     * Advance `fields` by one step of size h, writing the result to `out`
+     * @param {string} method - One of Integrators.METHODS
+     * @param {Float32Array[]} fields - Current state (not modified)
+     * @param {Float32Array[]} out - Receives the new state
+     * @param {number} h - Step size
+     * @param {Function} rates - rates(fields, out) writes G(U) per cell
+     * @param {Object} work - Buffers from ensureWork
+     * @param {Float32Array} scale - Optional per-cell step multiplier
+     */
+    step(method, fields, out, h, rates, work, scale = null) {
+        const { k1, k2, k3, k4, stage } = work;
+
+        switch (method) {
+            case 'euler':
+                rates(fields, k1);
+                Integrators.combine(out, fields, [k1], [h], scale);
+                break;
+
+            case 'rk2':
+                rates(fields, k1);
+                Integrators.combine(stage, fields, [k1], [h], scale);
+                rates(stage, k2);
+                Integrators.combine(out, fields, [k1, k2], [h / 2, h / 2], scale);
+                break;
+
+            case 'rk4':
+                rates(fields, k1);
+                Integrators.combine(stage, fields, [k1], [h / 2], scale);
+                rates(stage, k2);
+                Integrators.combine(stage, fields, [k2], [h / 2], scale);
+                rates(stage, k3);
+                Integrators.combine(stage, fields, [k3], [h], scale);
+                rates(stage, k4);
+                Integrators.combine(out, fields, [k1, k2, k3, k4], [h / 6, h / 3, h / 3, h / 6], scale);
+                break;
+
+            case 'asymptotic':
+                // Turn growth into relaxation toward the target (G + 1) / 2
+                rates(fields, k1);
+                for (let f = 0; f < fields.length; f++) {
+                    const a = fields[f];
+                    const k = k1[f];
+                    for (let i = 0; i < a.length; i++) {
+                        k[i] = (k[i] + 1) / 2 - a[i];
+                    }
+                }
+                // Stays in [0, 1] for h <= 1; the clip only guards larger steps
+                Integrators.combine(out, fields, [k1], [h], scale);
+                break;
+
+            default:
+                Integrators.validate(method);
+        }
+    },
+
+    /**
+     * Largest per-cell difference between two states
+     */
+    maxDifference(a, b) {
+        let max = 0;
+        for (let f = 0; f < a.length; f++) {
+            const x = a[f];
+            const y = b[f];
+            for (let i = 0; i < x.length; i++) {
+                const d = Math.abs(x[i] - y[i]);
+                if (d > max) max = d;
+            }
+        }
+        return max;
+    },
+
+    /**
+     * Take one step whose error estimate is within tolerance
+     * Tries h, shrinking it until one step of h and two of h/2 agree to
+     * `tolerance` (or h reaches minDt), and keeps the two-half-step result
+     * @param {Object} limits - { tolerance, minDt, maxDt }
+     * @param {Float32Array} scale - Optional per-cell step multiplier
+     * @returns {Object} { dt: step taken, error: estimate, next: suggested next step }
+     */
+    adaptiveStep(method, fields, out, h, rates, work, limits, scale = null) {
+        const { tolerance, minDt, maxDt } = limits;
+        const exponent = 1 / (Integrators.ORDER[method] + 1);
+        h = Math.min(Math.max(h, minDt), maxDt);
+
+        for (;;) {
+            Integrators.step(method, fields, work.full, h, rates, work, scale);
+            Integrators.step(method, fields, work.half, h / 2, rates, work, scale);
+            Integrators.step(method, work.half, out, h / 2, rates, work, scale);
+
+            const error = Integrators.maxDifference(work.full, out);
+            // Standard step-size controller with a 0.9 safety factor
+            const factor = error > 0 ? 0.9 * Math.pow(tolerance / error, exponent) : 2;
+
+            if (error <= tolerance || h <= minDt) {
+                const next = Math.min(maxDt, Math.max(minDt, h * Math.min(2, factor)));
+                return { dt: h, error, next };
+            }
+            h = Math.max(minDt, h * Math.max(0.2, factor));
+        }
+    }
+};
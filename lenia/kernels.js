@@ -10,6 +10,105 @@ const Kernels = {
     // List of available kernel types for UI
     types: ['bump4', 'quad4', 'ring', 'gaussian', 'filled', 'mexicanHat', 'asymmetric', 'spiral', 'star', 'multiScale', 'anisotropic'],
 
+    // Kernel types with a radial profile, available as spherical 3D kernels
+    radialTypes: ['bump4', 'quad4', 'ring', 'gaussian', 'filled', 'mexicanHat'],
+
+    /**
+     * Radial profiles k(r) at normalized distance r = dist / radius
+     * The 2D bump4, quad4, ring and filled kernels are built from these, and
+     * spherical() builds 3D kernels from any of them. The 2D gaussian and
+     * mexicanHat kernels are square; their profiles cut off at r = 1.
+     */
+    profiles: {
+        bump4(r) {
+            return r > 0 && r < 1 ? Math.exp(4 - 1 / (r * (1 - r))) : 0;
+        },
+
+        // B shells of bump4, one per beta, with the beta as amplitude
+        quad4(r, { betas = [1] } = {}) {
+            if (r <= 0 || r >= 1) return 0;
+            const B = betas.length;
+            const Br = B * r;
+            const shellIndex = Math.min(Math.floor(Br), B - 1);
+            const shellPos = Br - shellIndex;
+            if (shellPos <= 0 || shellPos >= 1) return 0;
+            // The bump4 peaks at shellPos = 0.5 (middle of shell)
+            return betas[shellIndex] * Math.exp(4 - 1 / (shellPos * (1 - shellPos)));
+        },
+
+        // Sum of Gaussian bumps at evenly spaced radii
+        ring(r, { peaks = 1 } = {}) {
+            if (r > 1) return 0;
+            let value = 0;
+            for (let p = 1; p <= peaks; p++) {
+                const peakCenter = p / (peaks + 1);
+                const peakWidth = 0.5 / (peaks + 1);
+                value += Kernels.bump(r, peakCenter, peakWidth);
+            }
+            return value;
+        },
+
+        // σ = radius / 3, as in the 2D kernel
+        gaussian(r) {
+            const norm = 9 * r * r;
+            return r <= 1 ? Math.exp(-norm / 2) : 0;
+        },
+
+        // Polynomial bump (1 - d²)² with d = r · falloff
+        filled(r, { falloff = 1.0 } = {}) {
+            if (r > 1) return 0;
+            const d = r * falloff;
+            return Math.max(0, (1 - d * d) * (1 - d * d));
+        },
+
+        mexicanHat(r) {
+            const norm = 9 * r * r;
+            return r <= 1 ? (1 - norm / 2) * Math.exp(-norm / 2) : 0;
+        }
+    },
+
+    /**
+     * Spherical 3D kernel from a radial profile
+     * Normalized to sum to 1 (mexicanHat: absolute sum, as in 2D)
+     *
+     * @param {number} radius - Kernel radius in cells
+     * @param {string} type - One of Kernels.radialTypes
+     * @param {Object} params - Profile parameters ({ betas }, { peaks }, { falloff })
+     * @returns {Object} - Kernel object with a size³ data array (x fastest, then y, then z)
+     */
+    spherical(radius, type = 'bump4', params = {}) {
+        const profile = this.profiles[type];
+        if (!profile) {
+            throw new Error(`Kernel type ${type} has no radial profile for 3D`);
+        }
+
+        const size = radius * 2 + 1;
+        const kernel = new Float32Array(size * size * size);
+        let sum = 0;
+
+        for (let z = 0; z < size; z++) {
+            for (let y = 0; y < size; y++) {
+                for (let x = 0; x < size; x++) {
+                    const dx = x - radius;
+                    const dy = y - radius;
+                    const dz = z - radius;
+                    const dist = Math.sqrt(dx * dx + dy * dy + dz * dz) / radius;
+                    const value = profile(dist, params);
+                    kernel[(z * size + y) * size + x] = value;
+                    sum += type === 'mexicanHat' ? Math.abs(value) : value;
+                }
+            }
+        }
+
+        if (sum > 0) {
+            for (let i = 0; i < kernel.length; i++) {
+                kernel[i] /= sum;
+            }
+        }
+
+        return { data: kernel, size, radius, type, dims: 3 };
+    },
+
     /**
      * Official Lenia bump4 kernel - the authentic Chakazul implementation
      * This is the kernel that creates stable, moving Orbium creatures
@@ -34,8 +133,7 @@ const Kernels = {
 
                 if (dist > 0 && dist < 1) {
                     // Official Lenia bump4 formula: exp(4 - 1/(r*(1-r)))
-                    const r = dist;
-                    const value = Math.exp(4 - 1 / (r * (1 - r)));
+                    const value = this.profiles.bump4(dist);
                     kernel[y * size + x] = value;
                     sum += value;
                 }
@@ -75,8 +173,6 @@ const Kernels = {
         const center = radius;
         let sum = 0;
 
-        const B = betas.length; // Number of shells
-
         for (let y = 0; y < size; y++) {
             for (let x = 0; x < size; x++) {
                 const dx = x - center;
@@ -84,25 +180,7 @@ const Kernels = {
                 const r = Math.sqrt(dx * dx + dy * dy) / radius; // Normalized radius [0,1]
 
                 if (r > 0 && r < 1) {
-                    // Scale radius into shell space: Br ranges from 0 to B
-                    const Br = B * r;
-
-                    // Determine which shell we're in (0 to B-1)
-                    const shellIndex = Math.min(Math.floor(Br), B - 1);
-
-                    // Get the fractional position within this shell [0,1]
-                    const shellPos = Br - shellIndex;
-
-                    // Get the beta (amplitude) for this shell
-                    const beta = betas[shellIndex];
-
-                    // Apply bump4 formula to position within shell
-                    // The bump4 peaks at shellPos = 0.5 (middle of shell)
-                    let value = 0;
-                    if (shellPos > 0 && shellPos < 1) {
-                        value = beta * Math.exp(4 - 1 / (shellPos * (1 - shellPos)));
-                    }
-
+                    const value = this.profiles.quad4(r, { betas });
                     kernel[y * size + x] = value;
                     sum += value;
                 }
@@ -141,12 +219,7 @@ const Kernels = {
 
                 if (dist <= 1) {
                     // Multi-peak kernel using a sum of bumps
-                    let value = 0;
-                    for (let p = 1; p <= peaks; p++) {
-                        const peakCenter = p / (peaks + 1);
-                        const peakWidth = 0.5 / (peaks + 1);
-                        value += this.bump(dist, peakCenter, peakWidth);
-                    }
+                    const value = this.profiles.ring(dist, { peaks });
                     kernel[y * size + x] = value;
                     sum += value;
                 }
@@ -224,10 +297,8 @@ const Kernels = {
 
                 if (dist <= 1) {
                     // Smooth bump from center (dist=0) to edge (dist=1)
-                    // Uses polynomial bump: (1 - dist^2)^2 for smooth falloff
                     // This creates a filled disc shape that tapers at edges
-                    const d = dist * falloff;
-                    const value = Math.max(0, (1 - d * d) * (1 - d * d));
+                    const value = this.profiles.filled(dist, { falloff });
                     kernel[y * size + x] = value;
                     sum += value;
                 }
@@ -0,0 +1,591 @@
+/**
+ * Lenia Core - simulation classes shared by the page and headless runs
+ *
+ * Contains the standard Lenia engine and the color maps used to render it.
+ * Nothing in this file touches p5.js or the DOM, so it can be loaded by
+ * the browser page, a Web Worker, or Node (see headless.js).
+ *
+ * The update rule:
+ * 1. Convolve the grid with a kernel to get neighborhood potential U
+ * 2. Apply growth function G(U) to determine how cells change
+ * 3. Update: A(t+dt) = clip(A(t) + dt * G(U), 0, 1)
+ *
+ * Step 3 is explicit Euler by default; see integrators.js for RK2/RK4,
+ * asymptotic Lenia and adaptive dt. noise.js adds optional state noise,
+ * potential noise and cell dropout. param-maps.js lets mu, sigma and dt vary
+ * from cell to cell.
+ */
+
+// Color maps
+const ColorMaps = {
+    viridis: [
+        [68, 1, 84], [72, 40, 120], [62, 74, 137], [49, 104, 142],
+        [38, 130, 142], [31, 158, 137], [53, 183, 121], [109, 205, 89],
+        [180, 222, 44], [253, 231, 37]
+    ],
+    plasma: [
+        [13, 8, 135], [75, 3, 161], [125, 3, 168], [168, 34, 150],
+        [203, 70, 121], [229, 107, 93], [248, 148, 65], [253, 195, 40],
+        [240, 249, 33]
+    ],
+    magma: [
+        [0, 0, 4], [28, 16, 68], [79, 18, 123], [129, 37, 129],
+        [181, 54, 122], [229, 80, 100], [251, 135, 97], [254, 194, 135],
+        [252, 253, 191]
+    ],
+    inferno: [
+        [0, 0, 4], [40, 11, 84], [101, 21, 110], [159, 42, 99],
+        [212, 72, 66], [245, 125, 21], [250, 193, 39], [252, 255, 164]
+    ],
+    ocean: [
+        [0, 0, 20], [0, 20, 60], [0, 50, 100], [0, 100, 140],
+        [20, 150, 180], [60, 200, 200], [120, 230, 220], [200, 250, 250]
+    ],
+    grayscale: [
+        [0, 0, 0], [30, 30, 30], [60, 60, 60], [90, 90, 90],
+        [120, 120, 120], [150, 150, 150], [180, 180, 180], [210, 210, 210],
+        [240, 240, 240], [255, 255, 255]
+    ],
+    // New aquarium-focused palettes
+    bioluminescent: [
+        [2, 4, 15], [5, 10, 30], [10, 20, 50], [15, 35, 70],
+        [20, 60, 100], [40, 100, 140], [60, 150, 180], [100, 200, 220],
+        [150, 230, 255], [200, 255, 255]
+    ],
+    microscopy: [
+        [10, 5, 2], [30, 18, 8], [50, 32, 15], [80, 55, 25],
+        [120, 85, 40], [160, 120, 60], [200, 160, 90], [230, 200, 130],
+        [250, 235, 180], [255, 250, 220]
+    ],
+    cosmic: [
+        [5, 2, 15], [20, 8, 40], [40, 15, 70], [70, 25, 100],
+        [110, 40, 130], [150, 60, 160], [190, 90, 180], [220, 130, 200],
+        [240, 180, 220], [255, 220, 255]
+    ],
+    aurora: [
+        [8, 20, 30], [18, 40, 55], [30, 65, 75], [50, 95, 95],
+        [75, 125, 115], [105, 160, 135], [140, 195, 160], [180, 225, 190],
+        [215, 250, 220], [240, 255, 245]
+    ],
+    ember: [
+        [5, 2, 2], [20, 8, 5], [45, 15, 10], [80, 25, 15],
+        [120, 40, 20], [170, 60, 25], [210, 90, 30], [240, 130, 50],
+        [255, 180, 90], [255, 230, 150]
+    ]
+};
+
+class Lenia {
+    /**
+     * @param {number} width - Grid width in cells
+     * @param {number} height - Grid height in cells (defaults to width)
+     */
+    constructor(width, height = width) {
+        this.width = width;
+        this.height = height;
+        this.grid = new Float32Array(width * height);
+        this.nextGrid = new Float32Array(width * height);
+        this.potential = new Float32Array(width * height);
+
+        // Default parameters (Orbium-like)
+        this.R = 13;           // Kernel radius
+        this.peaks = 1;        // Number of kernel peaks
+        this.mu = 0.15;        // Growth function center
+        this.sigma = 0.015;    // Growth function width
+        this.dt = 0.1;         // Time step (the largest step when adaptiveDt is on)
+
+        // Time integration (see integrators.js)
+        this.integrator = 'euler';   // 'euler', 'rk2', 'rk4' or 'asymptotic'
+        this.adaptiveDt = false;     // Size each step from an error estimate
+        this.tolerance = 0.01;       // Adaptive: largest per-cell error per step
+        this.minDt = 0.001;          // Adaptive: smallest step
+        this.stepDt = this.dt;       // Size of the last step taken
+        this.stepError = 0;          // Adaptive: error estimate of the last step
+        this.time = 0;               // Simulated time since the last clear
+        this.integratorWork = Integrators.ensureWork(null, 1, width * height);  // Scratch buffers
+
+        // Growth function family (see growth.js)
+        this.growthType = 'gaussian';
+        this.growthPoints = Growth.DEFAULT_POINTS.map(point => [...point]);  // 'piecewise' curve
+
+        // Stochastic updates (see noise.js); all zero is the deterministic rule
+        this.noise = Noise.create();
+        this.noiseRandom = Random.main;   // Source of noise draws
+        this.potentialNoise = null;       // This step's potential noise field
+
+        // Spatial parameter maps (see param-maps.js); null = the global value everywhere
+        this.muMap = null;
+        this.sigmaMap = null;
+        this.dtMap = null;
+        this.dtScale = null;              // dtMap / dt, rebuilt every step
+
+        // Kernel configuration
+        this.kernelType = 'ring';
+        this.kernelParams = {
+            // Spiral params
+            arms: 3,
+            tightness: 1.5,
+            // Star params
+            points: 5,
+            sharpness: 0.5,
+            // Multi-scale params
+            scales: [0.3, 0.6, 0.9],
+            weights: [1, 0.5, 0.25],
+            // Anisotropic params
+            angle: 0,
+            eccentricity: 0.6,
+            // Asymmetric params
+            bias: 0.3
+        };
+
+        this.kernel = null;
+        this.colorMap = 'viridis';
+
+        // Edge behavior: 'periodic', 'absorbing', 'reflective' or 'walls' (see boundary.js)
+        this.boundary = 'periodic';
+
+        // Optional Environment whose obstacle mask suppresses growth (see setEnvironment)
+        this.environment = null;
+
+        // FFT convolution for O(N² log N) performance
+        this.fftConvolver = FFT.createConvolver(width, height, Boundary.padding(this.boundary));
+
+        this.updateKernel();
+    }
+
+    /**
+     * Update the convolution kernel based on current parameters
+     */
+    updateKernel() {
+        const p = this.kernelParams;
+        switch (this.kernelType) {
+            case 'bump4':
+                this.kernel = Kernels.bump4(this.R);
+                break;
+            case 'quad4':
+                this.kernel = Kernels.quad4(this.R, p.betas || [1, 1, 1]);
+                break;
+            case 'ring':
+                this.kernel = Kernels.ring(this.R, this.peaks);
+                break;
+            case 'gaussian':
+                this.kernel = Kernels.gaussian(this.R);
+                break;
+            case 'filled':
+                this.kernel = Kernels.filled(this.R, p.falloff || 1.0);
+                break;
+            case 'mexicanHat':
+                this.kernel = Kernels.mexicanHat(this.R);
+                break;
+            case 'asymmetric':
+                this.kernel = Kernels.asymmetric(this.R, p.bias);
+                break;
+            case 'spiral':
+                this.kernel = Kernels.spiral(this.R, p.arms, p.tightness);
+                break;
+            case 'star':
+                this.kernel = Kernels.star(this.R, p.points, p.sharpness);
+                break;
+            case 'multiScale':
+                this.kernel = Kernels.multiScale(this.R, p.scales, p.weights);
+                break;
+            case 'anisotropic':
+                this.kernel = Kernels.anisotropic(this.R, p.angle, p.eccentricity);
+                break;
+            default:
+                this.kernel = Kernels.ring(this.R, this.peaks);
+        }
+
+        // Update FFT convolver with new kernel
+        if (this.fftConvolver) {
+            this.fftConvolver.setPadding(Boundary.padding(this.boundary));
+            this.fftConvolver.setKernel(this.kernel);
+        }
+    }
+
+    /**
+     * Set the boundary mode (see boundary.js)
+     */
+    setBoundary(mode) {
+        this.boundary = Boundary.validate(mode);
+        this.updateKernel();
+    }
+
+    /**
+     * Link an Environment, so its painted obstacles stay empty
+     */
+    setEnvironment(environment) {
+        this.environment = environment;
+    }
+
+    /**
+     * Set the time integration method (see integrators.js)
+     */
+    setIntegrator(method) {
+        this.integrator = Integrators.validate(method);
+    }
+
+    /**
+     * Growth function G(u)
+     * Returns how much a cell should grow/shrink based on its neighborhood potential
+     * By default a Gaussian bell curve centered at mu with width sigma
+     *
+     * G(u) = 2 * exp(-((u - mu)^2) / (2 * sigma^2)) - 1
+     *
+     * This maps to [-1, 1]:
+     * - Returns 1 (max growth) when u = mu
+     * - Returns -1 (max decay) when u is far from mu
+     *
+     * Other families are selected with setGrowth (see growth.js)
+     */
+    growth(u) {
+        return Growth.evaluate(this.growthType, u, this.mu, this.sigma, this.growthPoints);
+    }
+
+    /**
+     * Set the growth function family, and the curve for 'piecewise'
+     */
+    setGrowth(type, points = this.growthPoints) {
+        this.growthType = Growth.validate(type);
+        this.growthPoints = Growth.validatePoints(points);
+    }
+
+    /**
+     * Set the noise amplitudes: { state, potential, dropout } (see noise.js)
+     */
+    setNoise(settings) {
+        this.noise = Noise.create(settings);
+    }
+
+    /**
+     * Owner and property of a parameter map; `channelIdx` is for the
+     * MultiChannelLenia signature and ignored here
+     */
+    paramMapOwner(name, channelIdx = 0) {
+        return [this, ParamMaps.key(name)];
+    }
+
+    /**
+     * A parameter map ('mu', 'sigma' or 'dt'), created from the global value if missing
+     */
+    paramMap(name) {
+        const key = ParamMaps.key(name);
+        if (!this[key]) {
+            this[key] = ParamMaps.create(this.width * this.height, this[name]);
+        }
+        return this[key];
+    }
+
+    /**
+     * Drop a parameter map, so the global value applies everywhere again
+     */
+    clearParamMap(name) {
+        this[ParamMaps.key(name)] = null;
+    }
+
+    /**
+     * Paint a soft disc of a parameter map toward `value`
+     */
+    paintParamMap(name, x, y, radius, value) {
+        ParamMaps.paint(this.paramMap(name), this.width, this.height, x, y, radius, value, this.boundary);
+    }
+
+    /**
+     * Perform convolution to compute neighborhood potential
+     * Uses FFT for O(N² log N) performance instead of O(N² × K²) naive convolution
+     * The convolver pads the grid to match the boundary mode
+     */
+    convolve() {
+        // FFT convolution: IFFT(FFT(grid) × FFT(kernel))
+        // The kernel FFT is cached and only recomputed when parameters change
+        this.fftConvolver.convolve(this.grid, this.potential);
+    }
+
+    /**
+     * Growth rates G(U) of a grid, for the integrators
+     * Convolves `fields[0]`, which may be an intermediate stage rather than this.grid
+     */
+    growthRates(fields, out) {
+        const { potential } = this;
+        const rates = out[0];
+
+        this.fftConvolver.convolve(fields[0], potential);
+        if (this.noise.potential > 0) {
+            for (let i = 0; i < potential.length; i++) {
+                potential[i] += this.potentialNoise[i];
+            }
+        }
+
+        const { muMap, sigmaMap } = this;
+        if (muMap || sigmaMap) {
+            for (let i = 0; i < rates.length; i++) {
+                const mu = muMap ? muMap[i] : this.mu;
+                const sigma = sigmaMap ? sigmaMap[i] : this.sigma;
+                rates[i] = Growth.evaluate(this.growthType, potential[i], mu, sigma, this.growthPoints);
+            }
+            return;
+        }
+
+        for (let i = 0; i < rates.length; i++) {
+            rates[i] = this.growth(potential[i]);
+        }
+    }
+
+    /**
+     * Update step: apply growth function and integrate
+     */
+    step() {
+        const { grid, nextGrid, noise, noiseRandom } = this;
+        const solid = this.environment ? this.environment.obstacles : null;
+        const rates = (fields, out) => this.growthRates(fields, out);
+
+        this.integratorWork = Integrators.ensureWork(this.integratorWork, 1, grid.length);
+
+        if (noise.potential > 0) {
+            this.potentialNoise = Noise.ensureField(this.potentialNoise, grid.length);
+            Noise.fill(this.potentialNoise, noise.potential, noiseRandom);
+        }
+
+        // Cells of a dt map advance by their own step
+        let scale = null;
+        if (this.dtMap) {
+            this.dtScale = Noise.ensureField(this.dtScale, grid.length);
+            scale = ParamMaps.stepScale(this.dtMap, this.dt, this.dtScale);
+        }
+
+        if (this.adaptiveDt) {
+            const result = Integrators.adaptiveStep(
+                this.integrator, [grid], [nextGrid], this.stepDt, rates, this.integratorWork,
+                { tolerance: this.tolerance, minDt: this.minDt, maxDt: this.dt }, scale
+            );
+            this.time += result.dt;
+            this.stepError = result.error;
+            this.stepDt = result.next;
+        } else {
+            Integrators.step(this.integrator, [grid], [nextGrid], this.dt, rates, this.integratorWork, scale);
+            this.time += this.dt;
+            this.stepDt = this.dt;
+        }
+
+        if (noise.dropout > 0) {
+            Noise.dropout([grid], [nextGrid], noise.dropout, noiseRandom);
+        }
+        if (noise.state > 0) {
+            Noise.perturb(nextGrid, noise.state * Math.sqrt(this.stepDt), noiseRandom, 0, 1);
+        }
+
+        // Nothing grows inside obstacles
+        if (solid) {
+            for (let i = 0; i < grid.length; i++) {
+                if (solid[i]) nextGrid[i] = 0;
+            }
+        }
+
+        // Swap buffers
+        [this.grid, this.nextGrid] = [this.nextGrid, this.grid];
+    }
+
+    /**
+     * Calculate total mass (sum of all cell values)
+     */
+    totalMass() {
+        let sum = 0;
+        for (let i = 0; i < this.grid.length; i++) {
+            sum += this.grid[i];
+        }
+        return sum;
+    }
+
+    /**
+     * Clear the grid
+     */
+    clear() {
+        this.grid.fill(0);
+        this.time = 0;
+    }
+
+    /**
+     * Fill with random noise
+     */
+    randomize(density = 0.3, clumpiness = 0.5) {
+        // Create random clumps for more interesting initial conditions
+        const { width, height } = this;
+        const numClumps = Math.floor(width * height * density * 0.001);
+
+        this.clear();
+
+        for (let c = 0; c < numClumps; c++) {
+            const cx = Random.random() * width;
+            const cy = Random.random() * height;
+            const radius = 5 + Random.random() * 20;
+
+            for (let y = 0; y < height; y++) {
+                for (let x = 0; x < width; x++) {
+                    const dx = x - cx;
+                    const dy = y - cy;
+                    const dist = Math.sqrt(dx * dx + dy * dy);
+
+                    if (dist < radius) {
+                        const value = (1 - dist / radius) * (0.5 + Random.random() * 0.5);
+                        const idx = y * width + x;
+                        this.grid[idx] = Math.min(1, this.grid[idx] + value * clumpiness);
+                    }
+                }
+            }
+        }
+
+        // Add some noise
+        for (let i = 0; i < this.grid.length; i++) {
+            this.grid[i] = Math.min(1, this.grid[i] + Random.random() * 0.1);
+        }
+    }
+
+    /**
+     * Draw a blob at position (smooth circular brush)
+     */
+    drawBlob(x, y, radius, value = 1.0) {
+        const edge = Boundary.drawMode(this.boundary);
+
+        for (let dy = -radius; dy <= radius; dy++) {
+            for (let dx = -radius; dx <= radius; dx++) {
+                const dist = Math.sqrt(dx * dx + dy * dy) / radius;
+                if (dist <= 1) {
+                    const gx = Boundary.cell(Math.floor(x) + dx, this.width, edge);
+                    const gy = Boundary.cell(Math.floor(y) + dy, this.height, edge);
+                    if (gx < 0 || gy < 0) continue;
+                    const idx = gy * this.width + gx;
+                    const brushVal = value * (1 - dist * dist);
+
+                    if (value > 0) {
+                        this.grid[idx] = Math.min(1, this.grid[idx] + brushVal * 0.3);
+                    } else {
+                        this.grid[idx] = Math.max(0, this.grid[idx] + brushVal * 0.3);
+                    }
+                }
+            }
+        }
+    }
+
+    /**
+     * Load a species preset
+     */
+    loadSpecies(speciesKey) {
+        const species = Species[speciesKey];
+        if (!species) return;
+
+        this.R = species.params.R;
+        this.peaks = species.params.peaks;
+        this.mu = species.params.mu;
+        this.sigma = species.params.sigma;
+        this.dt = species.params.dt;
+        this.stepDt = this.dt;
+        this.setGrowth(species.params.growthType || 'gaussian', species.params.growthPoints || Growth.DEFAULT_POINTS);
+
+        // Load kernel type if specified
+        if (species.params.kernelType) {
+            this.kernelType = species.params.kernelType;
+        } else {
+            this.kernelType = 'ring';
+        }
+
+        // Load kernel-specific params if available
+        if (species.params.kernelParams) {
+            Object.assign(this.kernelParams, species.params.kernelParams);
+        }
+
+        // Load betas for quad4 kernel (Geminidae family)
+        if (species.params.betas) {
+            this.kernelParams.betas = species.params.betas;
+        }
+
+        this.updateKernel();
+
+        // Place pattern at center
+        if (species.pattern) {
+            this.clear();
+            Species.placePattern(
+                this.grid,
+                this.width,
+                this.height,
+                species.pattern,
+                Math.floor(this.width / 2),
+                Math.floor(this.height / 2)
+            );
+        }
+    }
+
+    /**
+     * Resize the simulation grid
+     * @param {number} newWidth - New width in cells
+     * @param {number} newHeight - New height in cells (defaults to newWidth)
+     */
+    resize(newWidth, newHeight = newWidth) {
+        if (newWidth === this.width && newHeight === this.height) return;
+
+        const oldGrid = this.grid;
+        const oldWidth = this.width;
+        const oldHeight = this.height;
+
+        this.width = newWidth;
+        this.height = newHeight;
+        this.grid = new Float32Array(newWidth * newHeight);
+        this.nextGrid = new Float32Array(newWidth * newHeight);
+        this.potential = new Float32Array(newWidth * newHeight);
+
+        // Recreate FFT convolver for new size
+        this.fftConvolver = FFT.createConvolver(newWidth, newHeight, Boundary.padding(this.boundary));
+        // Re-set the kernel FFT for the new convolver
+        if (this.kernel) {
+            this.fftConvolver.setKernel(this.kernel);
+        }
+
+        Lenia.resample(oldGrid, oldWidth, oldHeight, this.grid, newWidth, newHeight);
+
+        // Parameter maps stretch with the world
+        for (const name of ParamMaps.NAMES) {
+            const key = ParamMaps.key(name);
+            const oldMap = this[key];
+            if (!oldMap) continue;
+            this[key] = new Float32Array(newWidth * newHeight);
+            Lenia.resample(oldMap, oldWidth, oldHeight, this[key], newWidth, newHeight);
+        }
+    }
+
+    /**
+     * Nearest-neighbor resample of a field into a differently sized one
+     */
+    static resample(src, srcWidth, srcHeight, dst, dstWidth, dstHeight) {
+        const scaleX = srcWidth / dstWidth;
+        const scaleY = srcHeight / dstHeight;
+        for (let y = 0; y < dstHeight; y++) {
+            const oy = Math.min(Math.floor(y * scaleY), srcHeight - 1);
+            for (let x = 0; x < dstWidth; x++) {
+                const ox = Math.min(Math.floor(x * scaleX), srcWidth - 1);
+                dst[y * dstWidth + x] = src[oy * srcWidth + ox];
+            }
+        }
+    }
+
+    /**
+     * Get color for a cell value using current color map
+     */
+    getColor(value) {
+        const colors = ColorMaps[this.colorMap] || ColorMaps.viridis;
+        const t = Math.max(0, Math.min(1, value));
+        const idx = t * (colors.length - 1);
+        const i = Math.floor(idx);
+        const f = idx - i;
+
+        if (i >= colors.length - 1) {
+            return colors[colors.length - 1];
+        }
+
+        // Linear interpolation between colors
+        const c1 = colors[i];
+        const c2 = colors[i + 1];
+        return [
+            Math.round(c1[0] + (c2[0] - c1[0]) * f),
+            Math.round(c1[1] + (c2[1] - c1[1]) * f),
+            Math.round(c1[2] + (c2[2] - c1[2]) * f)
+        ];
+    }
+}
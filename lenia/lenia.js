@@ -1,15 +1,14 @@
 /**
- * Core Lenia Implementation
+ * Lenia Explorer - p5.js sketch
  *
  * Lenia is a continuous generalization of Conway's Game of Life:
  * - Continuous space (smooth grid values 0-1 instead of binary)
  * - Continuous time (small dt steps instead of discrete generations)
  * - Continuous states (floating point instead of dead/alive)
  *
- * The update rule:
- * 1. Convolve the grid with a kernel to get neighborhood potential U
- * 2. Apply growth function G(U) to determine how cells change
- * 3. Update: A(t+dt) = clip(A(t) + dt * G(U), 0, 1)
+ * This file owns the page side: p5 setup/draw, rendering, overlays,
+ * mouse/keyboard input and Zen mode. The Lenia class and color maps live
+ * in lenia-core.js so they can also run headless.
  */
 
 let lenia;
@@ -24,6 +23,28 @@ let zenModeActive = false;
 // Living Aquarium: Particle system for ambient atmosphere
 let ambientParticles = null;
 
+// Simulation worker (worker-client.js); null while stepping in-thread
+let simWorker = null;
+let workerStatsGeneration = 0;
+
+// View over the world (camera.js); the minimap shows the whole world when zoomed in
+let camera = null;
+let showMinimap = true;
+let minimapImage = null;
+let minimapBounds = null;       // Canvas rectangle of the drawn minimap, or null
+let lastRender = null;          // Grid and colors of the newest frame, for the minimap
+
+// Longest side of the minimap in canvas pixels
+const MINIMAP_SIZE = 140;
+
+// Color of obstacle cells (environment walls)
+const WALL_COLOR = [96, 96, 110];
+
+// Parameter map overlay tints: above / below the global value, and contours
+const PARAM_OVERLAY_HIGH = [255, 140, 40];
+const PARAM_OVERLAY_LOW = [60, 140, 255];
+const PARAM_OVERLAY_CONTOUR = [240, 240, 240];
+
 /**
  * Ambient Particle System - Creates floating dust motes/plankton for atmosphere
  */
@@ -33,6 +54,10 @@ class AmbientParticleSystem {
         this.maxCount = count;
         this.enabled = true;
 
+        // Own random stream: particle count depends on frame rate and
+        // screen size, so it must not consume the simulation's sequence
+        this.rng = Random.stream('ambient');
+
         // Initialize particles
         for (let i = 0; i < count; i++) {
             this.particles.push(this.createParticle());
@@ -41,16 +66,16 @@ class AmbientParticleSystem {
 
     createParticle(x = null, y = null) {
         return {
-            x: x !== null ? x : Math.random() * width,
-            y: y !== null ? y : Math.random() * height,
-            vx: (Math.random() - 0.5) * 1.5,
-            vy: (Math.random() - 0.5) * 1.5 - 0.3, // Slight upward drift
-            size: 1 + Math.random() * 3,
-            opacity: 0.2 + Math.random() * 0.4,
-            twinkle: Math.random() * Math.PI * 2, // Phase for twinkling
-            twinkleSpeed: 0.02 + Math.random() * 0.03,
-            driftAngle: Math.random() * Math.PI * 2, // For organic wandering
-            driftSpeed: 0.01 + Math.random() * 0.02
+            x: x !== null ? x : this.rng.random() * width,
+            y: y !== null ? y : this.rng.random() * height,
+            vx: (this.rng.random() - 0.5) * 1.5,
+            vy: (this.rng.random() - 0.5) * 1.5 - 0.3, // Slight upward drift
+            size: 1 + this.rng.random() * 3,
+            opacity: 0.2 + this.rng.random() * 0.4,
+            twinkle: this.rng.random() * Math.PI * 2, // Phase for twinkling
+            twinkleSpeed: 0.02 + this.rng.random() * 0.03,
+            driftAngle: this.rng.random() * Math.PI * 2, // For organic wandering
+            driftSpeed: 0.01 + this.rng.random() * 0.02
         };
     }
 
@@ -62,7 +87,7 @@ class AmbientParticleSystem {
             p.twinkle += p.twinkleSpeed;
 
             // Organic wandering motion - slowly rotating drift direction
-            p.driftAngle += (Math.random() - 0.5) * 0.1;
+            p.driftAngle += (this.rng.random() - 0.5) * 0.1;
             p.vx += Math.cos(p.driftAngle) * 0.15;
             p.vy += Math.sin(p.driftAngle) * 0.15 - 0.05; // Slight upward bias
 
@@ -74,9 +99,8 @@ class AmbientParticleSystem {
             if (creatures && creatures.length > 0) {
                 for (const creature of creatures) {
                     const sim = (typeof flowLenia !== 'undefined' && flowLenia) ? flowLenia : lenia;
-                    const cellSize = width / sim.size;
-                    const cx = creature.x * cellSize;
-                    const cy = creature.y * cellSize;
+                    const cellSize = camera.scale(sim.width);
+                    const [cx, cy] = camera.toScreen(creature.x, creature.y, sim.width, sim.height);
                     const dx = p.x - cx;
                     const dy = p.y - cy;
                     const dist = Math.sqrt(dx * dx + dy * dy);
@@ -138,8 +162,8 @@ class AmbientParticleSystem {
     resize() {
         // Redistribute particles when window resizes
         for (let p of this.particles) {
-            if (p.x > width) p.x = Math.random() * width;
-            if (p.y > height) p.y = Math.random() * height;
+            if (p.x > width) p.x = this.rng.random() * width;
+            if (p.y > height) p.y = this.rng.random() * height;
         }
     }
 }
@@ -153,394 +177,24 @@ let showTerritorySignals = false;
 // Phase 14: Migration visualization toggles (defined in ui.js, referenced here)
 // showMigrationTrails and showZoneCenters are in ui.js
 
-// Color maps
-const ColorMaps = {
-    viridis: [
-        [68, 1, 84], [72, 40, 120], [62, 74, 137], [49, 104, 142],
-        [38, 130, 142], [31, 158, 137], [53, 183, 121], [109, 205, 89],
-        [180, 222, 44], [253, 231, 37]
-    ],
-    plasma: [
-        [13, 8, 135], [75, 3, 161], [125, 3, 168], [168, 34, 150],
-        [203, 70, 121], [229, 107, 93], [248, 148, 65], [253, 195, 40],
-        [240, 249, 33]
-    ],
-    magma: [
-        [0, 0, 4], [28, 16, 68], [79, 18, 123], [129, 37, 129],
-        [181, 54, 122], [229, 80, 100], [251, 135, 97], [254, 194, 135],
-        [252, 253, 191]
-    ],
-    inferno: [
-        [0, 0, 4], [40, 11, 84], [101, 21, 110], [159, 42, 99],
-        [212, 72, 66], [245, 125, 21], [250, 193, 39], [252, 255, 164]
-    ],
-    ocean: [
-        [0, 0, 20], [0, 20, 60], [0, 50, 100], [0, 100, 140],
-        [20, 150, 180], [60, 200, 200], [120, 230, 220], [200, 250, 250]
-    ],
-    grayscale: [
-        [0, 0, 0], [30, 30, 30], [60, 60, 60], [90, 90, 90],
-        [120, 120, 120], [150, 150, 150], [180, 180, 180], [210, 210, 210],
-        [240, 240, 240], [255, 255, 255]
-    ],
-    // New aquarium-focused palettes
-    bioluminescent: [
-        [2, 4, 15], [5, 10, 30], [10, 20, 50], [15, 35, 70],
-        [20, 60, 100], [40, 100, 140], [60, 150, 180], [100, 200, 220],
-        [150, 230, 255], [200, 255, 255]
-    ],
-    microscopy: [
-        [10, 5, 2], [30, 18, 8], [50, 32, 15], [80, 55, 25],
-        [120, 85, 40], [160, 120, 60], [200, 160, 90], [230, 200, 130],
-        [250, 235, 180], [255, 250, 220]
-    ],
-    cosmic: [
-        [5, 2, 15], [20, 8, 40], [40, 15, 70], [70, 25, 100],
-        [110, 40, 130], [150, 60, 160], [190, 90, 180], [220, 130, 200],
-        [240, 180, 220], [255, 220, 255]
-    ],
-    aurora: [
-        [8, 20, 30], [18, 40, 55], [30, 65, 75], [50, 95, 95],
-        [75, 125, 115], [105, 160, 135], [140, 195, 160], [180, 225, 190],
-        [215, 250, 220], [240, 255, 245]
-    ],
-    ember: [
-        [5, 2, 2], [20, 8, 5], [45, 15, 10], [80, 25, 15],
-        [120, 40, 20], [170, 60, 25], [210, 90, 30], [240, 130, 50],
-        [255, 180, 90], [255, 230, 150]
-    ]
-};
-
-class Lenia {
-    constructor(size) {
-        this.size = size;
-        this.grid = new Float32Array(size * size);
-        this.nextGrid = new Float32Array(size * size);
-        this.potential = new Float32Array(size * size);
-
-        // Default parameters (Orbium-like)
-        this.R = 13;           // Kernel radius
-        this.peaks = 1;        // Number of kernel peaks
-        this.mu = 0.15;        // Growth function center
-        this.sigma = 0.015;    // Growth function width
-        this.dt = 0.1;         // Time step
-
-        // Kernel configuration
-        this.kernelType = 'ring';
-        this.kernelParams = {
-            // Spiral params
-            arms: 3,
-            tightness: 1.5,
-            // Star params
-            points: 5,
-            sharpness: 0.5,
-            // Multi-scale params
-            scales: [0.3, 0.6, 0.9],
-            weights: [1, 0.5, 0.25],
-            // Anisotropic params
-            angle: 0,
-            eccentricity: 0.6,
-            // Asymmetric params
-            bias: 0.3
-        };
-
-        this.kernel = null;
-        this.colorMap = 'viridis';
-
-        // FFT convolution for O(N² log N) performance
-        this.fftConvolver = FFT.createConvolver(size);
-
-        this.updateKernel();
-    }
-
-    /**
-     * Update the convolution kernel based on current parameters
-     */
-    updateKernel() {
-        const p = this.kernelParams;
-        switch (this.kernelType) {
-            case 'bump4':
-                this.kernel = Kernels.bump4(this.R);
-                break;
-            case 'quad4':
-                this.kernel = Kernels.quad4(this.R, p.betas || [1, 1, 1]);
-                break;
-            case 'ring':
-                this.kernel = Kernels.ring(this.R, this.peaks);
-                break;
-            case 'gaussian':
-                this.kernel = Kernels.gaussian(this.R);
-                break;
-            case 'filled':
-                this.kernel = Kernels.filled(this.R, p.falloff || 1.0);
-                break;
-            case 'mexicanHat':
-                this.kernel = Kernels.mexicanHat(this.R);
-                break;
-            case 'asymmetric':
-                this.kernel = Kernels.asymmetric(this.R, p.bias);
-                break;
-            case 'spiral':
-                this.kernel = Kernels.spiral(this.R, p.arms, p.tightness);
-                break;
-            case 'star':
-                this.kernel = Kernels.star(this.R, p.points, p.sharpness);
-                break;
-            case 'multiScale':
-                this.kernel = Kernels.multiScale(this.R, p.scales, p.weights);
-                break;
-            case 'anisotropic':
-                this.kernel = Kernels.anisotropic(this.R, p.angle, p.eccentricity);
-                break;
-            default:
-                this.kernel = Kernels.ring(this.R, this.peaks);
-        }
-
-        // Update FFT convolver with new kernel
-        if (this.fftConvolver) {
-            this.fftConvolver.setKernel(this.kernel);
-        }
-    }
-
-    /**
-     * Growth function G(u)
-     * Returns how much a cell should grow/shrink based on its neighborhood potential
-     * Uses a Gaussian bell curve centered at mu with width sigma
-     *
-     * G(u) = 2 * exp(-((u - mu)^2) / (2 * sigma^2)) - 1
-     *
-     * This maps to [-1, 1]:
-     * - Returns 1 (max growth) when u = mu
-     * - Returns -1 (max decay) when u is far from mu
-     */
-    growth(u) {
-        const d = (u - this.mu) / this.sigma;
-        return 2 * Math.exp(-d * d / 2) - 1;
-    }
-
-    /**
-     * Perform convolution to compute neighborhood potential
-     * Uses FFT for O(N² log N) performance instead of O(N² × K²) naive convolution
-     * Toroidal (wrap-around) boundary conditions are handled naturally by FFT
-     */
-    convolve() {
-        // FFT convolution: IFFT(FFT(grid) × FFT(kernel))
-        // The kernel FFT is cached and only recomputed when parameters change
-        this.fftConvolver.convolve(this.grid, this.potential);
-    }
-
-    /**
-     * Update step: apply growth function and integrate
-     */
-    step() {
-        const { size, grid, nextGrid, potential, dt } = this;
-
-        // Compute neighborhood potential
-        this.convolve();
-
-        // Apply growth function and update
-        for (let i = 0; i < size * size; i++) {
-            const g = this.growth(potential[i]);
-            // Euler integration with clamping
-            nextGrid[i] = Math.max(0, Math.min(1, grid[i] + dt * g));
-        }
-
-        // Swap buffers
-        [this.grid, this.nextGrid] = [this.nextGrid, this.grid];
-    }
-
-    /**
-     * Calculate total mass (sum of all cell values)
-     */
-    totalMass() {
-        let sum = 0;
-        for (let i = 0; i < this.grid.length; i++) {
-            sum += this.grid[i];
-        }
-        return sum;
-    }
-
-    /**
-     * Clear the grid
-     */
-    clear() {
-        this.grid.fill(0);
-    }
-
-    /**
-     * Fill with random noise
-     */
-    randomize(density = 0.3, clumpiness = 0.5) {
-        // Create random clumps for more interesting initial conditions
-        const numClumps = Math.floor(this.size * this.size * density * 0.001);
-
-        this.clear();
-
-        for (let c = 0; c < numClumps; c++) {
-            const cx = Math.random() * this.size;
-            const cy = Math.random() * this.size;
-            const radius = 5 + Math.random() * 20;
-
-            for (let y = 0; y < this.size; y++) {
-                for (let x = 0; x < this.size; x++) {
-                    const dx = x - cx;
-                    const dy = y - cy;
-                    const dist = Math.sqrt(dx * dx + dy * dy);
-
-                    if (dist < radius) {
-                        const value = (1 - dist / radius) * (0.5 + Math.random() * 0.5);
-                        const idx = y * this.size + x;
-                        this.grid[idx] = Math.min(1, this.grid[idx] + value * clumpiness);
-                    }
-                }
-            }
-        }
-
-        // Add some noise
-        for (let i = 0; i < this.grid.length; i++) {
-            this.grid[i] = Math.min(1, this.grid[i] + Math.random() * 0.1);
-        }
-    }
-
-    /**
-     * Draw a blob at position (smooth circular brush)
-     */
-    drawBlob(x, y, radius, value = 1.0) {
-        for (let dy = -radius; dy <= radius; dy++) {
-            for (let dx = -radius; dx <= radius; dx++) {
-                const dist = Math.sqrt(dx * dx + dy * dy) / radius;
-                if (dist <= 1) {
-                    const gx = (Math.floor(x) + dx + this.size) % this.size;
-                    const gy = (Math.floor(y) + dy + this.size) % this.size;
-                    const idx = gy * this.size + gx;
-                    const brushVal = value * (1 - dist * dist);
-
-                    if (value > 0) {
-                        this.grid[idx] = Math.min(1, this.grid[idx] + brushVal * 0.3);
-                    } else {
-                        this.grid[idx] = Math.max(0, this.grid[idx] + brushVal * 0.3);
-                    }
-                }
-            }
-        }
-    }
-
-    /**
-     * Load a species preset
-     */
-    loadSpecies(speciesKey) {
-        const species = Species[speciesKey];
-        if (!species) return;
-
-        this.R = species.params.R;
-        this.peaks = species.params.peaks;
-        this.mu = species.params.mu;
-        this.sigma = species.params.sigma;
-        this.dt = species.params.dt;
-
-        // Load kernel type if specified
-        if (species.params.kernelType) {
-            this.kernelType = species.params.kernelType;
-        } else {
-            this.kernelType = 'ring';
-        }
-
-        // Load kernel-specific params if available
-        if (species.params.kernelParams) {
-            Object.assign(this.kernelParams, species.params.kernelParams);
-        }
-
-        // Load betas for quad4 kernel (Geminidae family)
-        if (species.params.betas) {
-            this.kernelParams.betas = species.params.betas;
-        }
-
-        this.updateKernel();
-
-        // Place pattern at center
-        if (species.pattern) {
-            this.clear();
-            Species.placePattern(
-                this.grid,
-                this.size,
-                species.pattern,
-                Math.floor(this.size / 2),
-                Math.floor(this.size / 2)
-            );
-        }
-    }
-
-    /**
-     * Resize the simulation grid
-     */
-    resize(newSize) {
-        if (newSize === this.size) return;
-
-        const oldGrid = this.grid;
-        const oldSize = this.size;
-
-        this.size = newSize;
-        this.grid = new Float32Array(newSize * newSize);
-        this.nextGrid = new Float32Array(newSize * newSize);
-        this.potential = new Float32Array(newSize * newSize);
-
-        // Recreate FFT convolver for new size
-        this.fftConvolver = FFT.createConvolver(newSize);
-        // Re-set the kernel FFT for the new convolver
-        if (this.kernel) {
-            this.fftConvolver.setKernel(this.kernel);
-        }
-
-        // Simple nearest-neighbor scaling
-        const scale = oldSize / newSize;
-        for (let y = 0; y < newSize; y++) {
-            for (let x = 0; x < newSize; x++) {
-                const ox = Math.min(Math.floor(x * scale), oldSize - 1);
-                const oy = Math.min(Math.floor(y * scale), oldSize - 1);
-                this.grid[y * newSize + x] = oldGrid[oy * oldSize + ox];
-            }
-        }
-    }
-
-    /**
-     * Get color for a cell value using current color map
-     */
-    getColor(value) {
-        const colors = ColorMaps[this.colorMap] || ColorMaps.viridis;
-        const t = Math.max(0, Math.min(1, value));
-        const idx = t * (colors.length - 1);
-        const i = Math.floor(idx);
-        const f = idx - i;
-
-        if (i >= colors.length - 1) {
-            return colors[colors.length - 1];
-        }
-
-        // Linear interpolation between colors
-        const c1 = colors[i];
-        const c2 = colors[i + 1];
-        return [
-            Math.round(c1[0] + (c2[0] - c1[0]) * f),
-            Math.round(c1[1] + (c2[1] - c1[1]) * f),
-            Math.round(c1[2] + (c2[2] - c1[2]) * f)
-        ];
-    }
-}
-
 // p5.js setup and draw
 function setup() {
+    // Initialize Lenia
+    lenia = new Lenia(256);
+    lenia.loadSpecies('orbium');
+
     const container = document.getElementById('canvas-container');
-    const canvasSize = Math.min(container.clientWidth, container.clientHeight) - 40;
+    const canvasSize = fitCanvasToWorld(container.clientWidth - 40, container.clientHeight - 40);
 
-    const canvas = createCanvas(canvasSize, canvasSize);
+    const canvas = createCanvas(canvasSize.width, canvasSize.height);
     canvas.parent('canvas-container');
 
     pixelDensity(1);
     noSmooth();
 
-    // Initialize Lenia
-    lenia = new Lenia(256);
-    lenia.loadSpecies('orbium');
+    // Right-drag pans the view, so the canvas has no context menu
+    canvas.elt.addEventListener('contextmenu', (e) => e.preventDefault());
+    camera = new Camera();
 
     // Initialize ambient particle system for Living Aquarium
     ambientParticles = new AmbientParticleSystem(80);
@@ -558,9 +212,16 @@ function draw() {
     lastFrameTime = now;
 
     // Update simulation based on mode
-    if (!paused) {
+    if (simWorker) {
+        // The worker steps; show its newest frame
+        syncSimulationWorker();
+    } else if (!paused) {
         if (typeof currentMode !== 'undefined' && currentMode === 'ecosystem' && multiChannel) {
             multiChannel.step();
+        } else if (typeof currentMode !== 'undefined' && currentMode === '3d' && lenia3d) {
+            lenia3d.step();
+        } else if (typeof currentMode !== 'undefined' && currentMode === 'particle' && particleLenia) {
+            particleLenia.step();
         } else if (typeof useFlowLenia !== 'undefined' && useFlowLenia && flowLenia) {
             flowLenia.step();
             // Update mass stats periodically
@@ -577,152 +238,159 @@ function draw() {
         generation++;
     }
 
-    // Render based on mode
+    // Unbounded plane: move the window along with the mass (see chunk-world.js)
+    if (!paused && typeof followPlane === 'function') {
+        followPlane();
+    }
+
+    // Creatures of a flow ecosystem, per channel
+    if (typeof trackChannelCreatures === 'function') {
+        trackChannelCreatures();
+    }
+
+    // Timeline snapshots (see history.js)
+    if (typeof recordHistory === 'function') {
+        recordHistory();
+    }
+
+    // Render based on mode, through the camera
+    const viewed = SimState.activeSim(currentSims());
+    camera.setView(width, height, viewed.boundary === 'periodic');
     loadPixels();
 
     if (typeof currentMode !== 'undefined' && currentMode === 'ecosystem' && multiChannel) {
         // Ecosystem mode: composite RGB rendering
-        const cellSize = width / multiChannel.size;
-
-        for (let y = 0; y < multiChannel.size; y++) {
-            for (let x = 0; x < multiChannel.size; x++) {
-                const cellIdx = y * multiChannel.size + x;
-                const color = multiChannel.getCompositeColor(cellIdx);
-
-                const px = Math.floor(x * cellSize);
-                const py = Math.floor(y * cellSize);
-                const pxEnd = Math.floor((x + 1) * cellSize);
-                const pyEnd = Math.floor((y + 1) * cellSize);
-
-                for (let py2 = py; py2 < pyEnd; py2++) {
-                    for (let px2 = px; px2 < pxEnd; px2++) {
-                        if (px2 < width && py2 < height) {
-                            const idx = (py2 * width + px2) * 4;
-                            pixels[idx] = color[0];
-                            pixels[idx + 1] = color[1];
-                            pixels[idx + 2] = color[2];
-                            pixels[idx + 3] = 255;
-                        }
-                    }
-                }
-            }
-        }
+        const paramOverlay = paramMapOverlay(multiChannel);
+        renderCells(multiChannel.width, multiChannel.height, (cellIdx) => {
+            const color = multiChannel.getCompositeColor(cellIdx);
+            return paramOverlay ? tintParamOverlay(color, paramOverlay, cellIdx) : color;
+        });
+    } else if (typeof currentMode !== 'undefined' && currentMode === '3d' && lenia3d) {
+        // 3D mode: a slice, projection or isosurface of the volume
+        const image = lenia3d.project(volumeView.view, volumeView);
+        renderCells(lenia3d.size, lenia3d.size, (cellIdx) => lenia3d.getColor(image[cellIdx]));
+    } else if (typeof currentMode !== 'undefined' && currentMode === 'particle' && particleLenia) {
+        // Particle mode: particles (and their field) drawn into a grid
+        const grid = particleLenia.render();
+        renderCells(particleLenia.gridWidth, particleLenia.gridHeight, (cellIdx) => particleLenia.getColor(grid[cellIdx]));
     } else {
         // Single channel mode: color map rendering
         // Use flow lenia or standard lenia based on mode
         const sim = (typeof useFlowLenia !== 'undefined' && useFlowLenia && flowLenia) ? flowLenia : lenia;
-        const cellSize = width / sim.size;
-
-        for (let y = 0; y < sim.size; y++) {
-            for (let x = 0; x < sim.size; x++) {
-                const cellIdx = y * sim.size + x;
-                const value = sim.grid[cellIdx];
-                let color = sim.getColor(value);
-
-                // Phase 4: Apply environment overlays if sensory mode is active
-                if (typeof sensoryEnabled !== 'undefined' && sensoryEnabled && typeof environment !== 'undefined' && environment) {
-                    let r = color[0], g = color[1], b = color[2];
-
-                    // Food overlay (green tint)
-                    if (typeof showFoodOverlay !== 'undefined' && showFoodOverlay) {
-                        const foodVal = environment.food[cellIdx];
-                        if (foodVal > 0.05) {
-                            const foodIntensity = Math.min(1, foodVal) * 0.5;
-                            g = Math.min(255, g + foodIntensity * 150);
-                            b = Math.min(255, b + foodIntensity * 30);
-                        }
-                    }
-
-                    // Pheromone overlay (magenta tint)
-                    if (typeof showPheromoneOverlay !== 'undefined' && showPheromoneOverlay) {
-                        const pheromoneVal = environment.pheromone[cellIdx];
-                        if (pheromoneVal > 0.02) {
-                            const pherIntensity = Math.min(1, pheromoneVal * 2) * 0.6;
-                            r = Math.min(255, r + pherIntensity * 180);
-                            b = Math.min(255, b + pherIntensity * 140);
-                        }
+        const paramOverlay = sim === lenia ? paramMapOverlay(lenia) : null;
+
+        renderCells(sim.width, sim.height, (cellIdx) => {
+            const value = sim.grid[cellIdx];
+            let color = sim.getColor(value);
+
+            // Phase 4: Apply environment overlays if sensory mode is active
+            if (typeof sensoryEnabled !== 'undefined' && sensoryEnabled && typeof environment !== 'undefined' && environment) {
+                let r = color[0], g = color[1], b = color[2];
+
+                // Food overlay (green tint)
+                if (typeof showFoodOverlay !== 'undefined' && showFoodOverlay) {
+                    const foodVal = environment.food[cellIdx];
+                    if (foodVal > 0.05) {
+                        const foodIntensity = Math.min(1, foodVal) * 0.5;
+                        g = Math.min(255, g + foodIntensity * 150);
+                        b = Math.min(255, b + foodIntensity * 30);
                     }
+                }
 
-                    // Phase 12: Bioluminescent signal overlays (additive blending)
-                    // Alarm signals - red/orange pulse
-                    if (typeof showAlarmSignals !== 'undefined' && showAlarmSignals) {
-                        const alarmVal = environment.alarmSignal[cellIdx];
-                        if (alarmVal > 0.01) {
-                            const intensity = Math.min(1, alarmVal * 2) * 0.7;
-                            r = Math.min(255, r + intensity * 255);
-                            g = Math.min(255, g + intensity * 100);
-                            b = Math.min(255, b + intensity * 50);
-                        }
+                // Pheromone overlay (magenta tint)
+                if (typeof showPheromoneOverlay !== 'undefined' && showPheromoneOverlay) {
+                    const pheromoneVal = environment.pheromone[cellIdx];
+                    if (pheromoneVal > 0.02) {
+                        const pherIntensity = Math.min(1, pheromoneVal * 2) * 0.6;
+                        r = Math.min(255, r + pherIntensity * 180);
+                        b = Math.min(255, b + pherIntensity * 140);
                     }
+                }
 
-                    // Hunting signals - magenta glow
-                    if (typeof showHuntingSignals !== 'undefined' && showHuntingSignals) {
-                        const huntingVal = environment.huntingSignal[cellIdx];
-                        if (huntingVal > 0.01) {
-                            const intensity = Math.min(1, huntingVal * 2) * 0.6;
-                            r = Math.min(255, r + intensity * 255);
-                            g = Math.min(255, g + intensity * 50);
-                            b = Math.min(255, b + intensity * 200);
-                        }
+                // Phase 12: Bioluminescent signal overlays (additive blending)
+                // Alarm signals - red/orange pulse
+                if (typeof showAlarmSignals !== 'undefined' && showAlarmSignals) {
+                    const alarmVal = environment.alarmSignal[cellIdx];
+                    if (alarmVal > 0.01) {
+                        const intensity = Math.min(1, alarmVal * 2) * 0.7;
+                        r = Math.min(255, r + intensity * 255);
+                        g = Math.min(255, g + intensity * 100);
+                        b = Math.min(255, b + intensity * 50);
                     }
+                }
 
-                    // Mating signals - cyan/blue pulse
-                    if (typeof showMatingSignals !== 'undefined' && showMatingSignals) {
-                        const matingVal = environment.matingSignal[cellIdx];
-                        if (matingVal > 0.01) {
-                            const intensity = Math.min(1, matingVal * 2) * 0.7;
-                            r = Math.min(255, r + intensity * 50);
-                            g = Math.min(255, g + intensity * 200);
-                            b = Math.min(255, b + intensity * 255);
-                        }
+                // Hunting signals - magenta glow
+                if (typeof showHuntingSignals !== 'undefined' && showHuntingSignals) {
+                    const huntingVal = environment.huntingSignal[cellIdx];
+                    if (huntingVal > 0.01) {
+                        const intensity = Math.min(1, huntingVal * 2) * 0.6;
+                        r = Math.min(255, r + intensity * 255);
+                        g = Math.min(255, g + intensity * 50);
+                        b = Math.min(255, b + intensity * 200);
                     }
+                }
 
-                    // Territory signals - green aura
-                    if (typeof showTerritorySignals !== 'undefined' && showTerritorySignals) {
-                        const territoryVal = environment.territorySignal[cellIdx];
-                        if (territoryVal > 0.01) {
-                            const intensity = Math.min(1, territoryVal * 2) * 0.5;
-                            r = Math.min(255, r + intensity * 50);
-                            g = Math.min(255, g + intensity * 255);
-                            b = Math.min(255, b + intensity * 100);
-                        }
+                // Mating signals - cyan/blue pulse
+                if (typeof showMatingSignals !== 'undefined' && showMatingSignals) {
+                    const matingVal = environment.matingSignal[cellIdx];
+                    if (matingVal > 0.01) {
+                        const intensity = Math.min(1, matingVal * 2) * 0.7;
+                        r = Math.min(255, r + intensity * 50);
+                        g = Math.min(255, g + intensity * 200);
+                        b = Math.min(255, b + intensity * 255);
                     }
+                }
 
-                    // Phase 14: Migration trails - golden/amber overlay
-                    if (typeof showMigrationTrails !== 'undefined' && showMigrationTrails) {
-                        const trailVal = environment.migrationTrails[cellIdx];
-                        if (trailVal > 0.02) {
-                            const intensity = Math.min(1, trailVal * 3) * 0.6;
-                            r = Math.min(255, r + intensity * 255);
-                            g = Math.min(255, g + intensity * 180);
-                            b = Math.min(255, b + intensity * 50);
-                        }
+                // Territory signals - green aura
+                if (typeof showTerritorySignals !== 'undefined' && showTerritorySignals) {
+                    const territoryVal = environment.territorySignal[cellIdx];
+                    if (territoryVal > 0.01) {
+                        const intensity = Math.min(1, territoryVal * 2) * 0.5;
+                        r = Math.min(255, r + intensity * 50);
+                        g = Math.min(255, g + intensity * 255);
+                        b = Math.min(255, b + intensity * 100);
                     }
-
-                    color = [Math.round(r), Math.round(g), Math.round(b)];
                 }
 
-                const px = Math.floor(x * cellSize);
-                const py = Math.floor(y * cellSize);
-                const pxEnd = Math.floor((x + 1) * cellSize);
-                const pyEnd = Math.floor((y + 1) * cellSize);
-
-                for (let py2 = py; py2 < pyEnd; py2++) {
-                    for (let px2 = px; px2 < pxEnd; px2++) {
-                        if (px2 < width && py2 < height) {
-                            const idx = (py2 * width + px2) * 4;
-                            pixels[idx] = color[0];
-                            pixels[idx + 1] = color[1];
-                            pixels[idx + 2] = color[2];
-                            pixels[idx + 3] = 255;
-                        }
+                // Phase 14: Migration trails - golden/amber overlay
+                if (typeof showMigrationTrails !== 'undefined' && showMigrationTrails) {
+                    const trailVal = environment.migrationTrails[cellIdx];
+                    if (trailVal > 0.02) {
+                        const intensity = Math.min(1, trailVal * 3) * 0.6;
+                        r = Math.min(255, r + intensity * 255);
+                        g = Math.min(255, g + intensity * 180);
+                        b = Math.min(255, b + intensity * 50);
                     }
                 }
+
+                color = [Math.round(r), Math.round(g), Math.round(b)];
             }
-        }
+
+            if (paramOverlay) {
+                color = tintParamOverlay(color, paramOverlay, cellIdx);
+            }
+
+            // Obstacles: solid walls drawn over everything
+            if (typeof environment !== 'undefined' && environment && environment.obstacles[cellIdx]) {
+                color = WALL_COLOR;
+            }
+
+            return color;
+        });
     }
     updatePixels();
 
+    // Flow ecosystems: ring each creature in its channel's color
+    if (typeof channelTracker !== 'undefined' && channelTracker) {
+        drawChannelCreatures();
+    }
+
+    // Open Flow-Lenia: outline each mass emitter
+    if (typeof useFlowLenia !== 'undefined' && useFlowLenia && flowLenia &&
+        typeof currentMode !== 'undefined' && currentMode === 'single') {
+        drawEmitters();
+    }
+
     // Phase 4: Draw creature headings overlay
     if (typeof sensoryEnabled !== 'undefined' && sensoryEnabled &&
         typeof showHeadingsOverlay !== 'undefined' && showHeadingsOverlay &&
@@ -782,10 +450,250 @@ function draw() {
         }
     }
 
+    // Creature under the mouse (picking follows the camera)
+    if (typeof sensoryEnabled !== 'undefined' && sensoryEnabled &&
+        typeof creatureTracker !== 'undefined' && creatureTracker) {
+        drawHoveredCreature();
+    }
+
+    if (showMinimap && camera.zoom > 1 && !zenModeActive) {
+        drawMinimap();
+    } else {
+        minimapBounds = null;
+    }
+
     // Update stats
     updateStats();
 }
 
+/**
+ * The page's simulation objects, in the bundle shape SimState expects
+ */
+function currentSims() {
+    let mode = 'standard';
+    if (typeof currentMode !== 'undefined' && currentMode === 'ecosystem') {
+        mode = 'ecosystem';
+    } else if (typeof currentMode !== 'undefined' && currentMode === '3d') {
+        mode = '3d';
+    } else if (typeof currentMode !== 'undefined' && currentMode === 'particle') {
+        mode = 'particle';
+    } else if (typeof useFlowLenia !== 'undefined' && useFlowLenia) {
+        mode = 'flow';
+    }
+
+    return {
+        mode,
+        generation,
+        lenia,
+        flowLenia,
+        multiChannel,
+        lenia3d,
+        particleLenia,
+        environment,
+        creatureTracker
+    };
+}
+
+/**
+ * Largest canvas that fits the given area with the active world's aspect ratio
+ * Cells stay square, so overlays can use one cellSize for both axes
+ */
+function fitCanvasToWorld(maxWidth, maxHeight) {
+    const sim = SimState.activeSim(currentSims());
+    const cellSize = Math.min(maxWidth / sim.width, maxHeight / sim.height);
+    return {
+        width: Math.max(1, Math.floor(sim.width * cellSize)),
+        height: Math.max(1, Math.floor(sim.height * cellSize))
+    };
+}
+
+/**
+ * Overlay data for the edited parameter map, or null when hidden or unpainted
+ * deviation: each cell's offset from the global value, in [-1, 1]
+ * contour: 1 where the map crosses a level (see ParamMaps.contours)
+ */
+function paramMapOverlay(sim) {
+    if (typeof paramBrush === 'undefined' || !paramBrush.overlay) return null;
+
+    const [owner, key] = sim.paramMapOwner(paramBrush.name, sim.activeChannel);
+    const map = owner[key];
+    if (!map) return null;
+
+    return {
+        deviation: ParamMaps.deviation(map, owner[paramBrush.name], new Float32Array(map.length)),
+        contour: ParamMaps.contours(map, sim.width, sim.height, ParamMaps.OVERLAY_LEVELS, new Uint8Array(map.length))
+    };
+}
+
+/**
+ * Tint a cell color by its parameter map value: warm above the global value,
+ * cool below, light on contour lines
+ */
+function tintParamOverlay(color, overlay, cellIdx) {
+    const d = overlay.deviation[cellIdx];
+    let tint = d > 0 ? PARAM_OVERLAY_HIGH : PARAM_OVERLAY_LOW;
+    let amount = Math.abs(d) * 0.5;
+    if (overlay.contour[cellIdx]) {
+        tint = PARAM_OVERLAY_CONTOUR;
+        amount = 0.6;
+    }
+    return [
+        Math.round(color[0] + (tint[0] - color[0]) * amount),
+        Math.round(color[1] + (tint[1] - color[1]) * amount),
+        Math.round(color[2] + (tint[2] - color[2]) * amount)
+    ];
+}
+
+/**
+ * Fill the canvas pixels with the grid cells the camera sees
+ * At zoom 1 this draws every cell, exactly as a plain grid render would
+ * @param {Function} colorAt - RGB color of a cell index
+ */
+function renderCells(gridWidth, gridHeight, colorAt) {
+    const cellSize = camera.scale(gridWidth);
+    const left = camera.x * gridWidth;
+    const top = camera.y * gridHeight;
+    const right = left + gridWidth / camera.zoom;
+    const bottom = top + gridHeight / camera.zoom;
+
+    // Cells past the world's far edge wrap around (the camera only goes there when periodic)
+    for (let j = Math.floor(top); j < bottom; j++) {
+        const y = j % gridHeight;
+        const py = Math.max(0, Math.floor((j - top) * cellSize));
+        const pyEnd = Math.min(height, Math.floor((j + 1 - top) * cellSize));
+
+        for (let i = Math.floor(left); i < right; i++) {
+            const color = colorAt(y * gridWidth + i % gridWidth);
+            const px = Math.max(0, Math.floor((i - left) * cellSize));
+            const pxEnd = Math.min(width, Math.floor((i + 1 - left) * cellSize));
+
+            for (let py2 = py; py2 < pyEnd; py2++) {
+                for (let px2 = px; px2 < pxEnd; px2++) {
+                    const idx = (py2 * width + px2) * 4;
+                    pixels[idx] = color[0];
+                    pixels[idx + 1] = color[1];
+                    pixels[idx + 2] = color[2];
+                    pixels[idx + 3] = 255;
+                }
+            }
+        }
+    }
+
+    lastRender = { gridWidth, gridHeight, colorAt };
+}
+
+/**
+ * Whole-world thumbnail in the bottom-right corner, with the camera's
+ * window outlined (in up to four pieces when it wraps)
+ */
+function drawMinimap() {
+    if (!lastRender) return;
+    const { gridWidth, gridHeight, colorAt } = lastRender;
+
+    const longest = Math.max(width, height);
+    const mapWidth = Math.max(1, Math.round(MINIMAP_SIZE * width / longest));
+    const mapHeight = Math.max(1, Math.round(MINIMAP_SIZE * height / longest));
+    if (!minimapImage || minimapImage.width !== mapWidth || minimapImage.height !== mapHeight) {
+        minimapImage = createImage(mapWidth, mapHeight);
+    }
+
+    // One sampled cell per minimap pixel
+    minimapImage.loadPixels();
+    for (let y = 0; y < mapHeight; y++) {
+        const gy = Math.floor(y * gridHeight / mapHeight);
+        for (let x = 0; x < mapWidth; x++) {
+            const gx = Math.floor(x * gridWidth / mapWidth);
+            const color = colorAt(gy * gridWidth + gx);
+            const idx = (y * mapWidth + x) * 4;
+            minimapImage.pixels[idx] = color[0];
+            minimapImage.pixels[idx + 1] = color[1];
+            minimapImage.pixels[idx + 2] = color[2];
+            minimapImage.pixels[idx + 3] = 255;
+        }
+    }
+    minimapImage.updatePixels();
+
+    const mx = width - mapWidth - 10;
+    const my = height - mapHeight - 10;
+    minimapBounds = { x: mx, y: my, width: mapWidth, height: mapHeight };
+
+    push();
+    image(minimapImage, mx, my);
+    noFill();
+    stroke(255, 255, 255, 120);
+    strokeWeight(1);
+    rect(mx - 0.5, my - 0.5, mapWidth + 1, mapHeight + 1);
+
+    stroke(255, 255, 0);
+    for (const [u, v, w, h] of camera.windowRects()) {
+        rect(mx + u * mapWidth, my + v * mapHeight, w * mapWidth, h * mapHeight);
+    }
+    pop();
+}
+
+/**
+ * World fraction under a canvas pixel of the minimap, or null if the pixel
+ * is outside it
+ */
+function minimapAt(sx, sy) {
+    const b = minimapBounds;
+    if (!b || sx < b.x || sx >= b.x + b.width || sy < b.y || sy >= b.y + b.height) return null;
+    return [(sx - b.x) / b.width, (sy - b.y) / b.height];
+}
+
+/**
+ * Ring and label on the creature under the mouse (see CreatureTracker.getCreatureAt)
+ */
+function drawHoveredCreature() {
+    if (!creatureTracker || creatureTracker.count === 0) return;
+    if (zenModeActive || isPanning) return;
+    if (mouseX < 0 || mouseX >= width || mouseY < 0 || mouseY >= height) return;
+    if (minimapAt(mouseX, mouseY)) return;
+
+    const sim = flowLenia || lenia;
+    const [wx, wy] = camera.toWorld(mouseX, mouseY, sim.width, sim.height);
+    const creature = creatureTracker.getCreatureAt(wx, wy);
+    if (!creature) return;
+
+    const cellSize = camera.scale(sim.width);
+    const [screenX, screenY] = camera.toScreen(creature.x, creature.y, sim.width, sim.height);
+    const ringRadius = creature.radius * cellSize * 1.5;
+
+    push();
+    noFill();
+    stroke(255, 255, 255, 200);
+    strokeWeight(1.5);
+    ellipse(screenX, screenY, ringRadius * 2, ringRadius * 2);
+
+    noStroke();
+    fill(255);
+    textSize(11);
+    textAlign(CENTER, BOTTOM);
+    let label = `#${creature.id} mass ${creature.mass.toFixed(0)}`;
+    if (creature.genome) {
+        label += ` energy ${Math.floor(creature.energy)}${creature.genome.isPredator ? ' (predator)' : ''}`;
+    }
+    text(label, screenX, screenY - ringRadius - 4);
+    pop();
+}
+
+/**
+ * Exchange state with the simulation worker and refresh stats on new frames
+ */
+function syncSimulationWorker() {
+    const sims = currentSims();
+    if (!simWorker.sync(sims, !paused)) return;
+
+    generation = sims.generation;
+
+    // Same cadence as in-thread stepping: every 10 generations
+    if (sims.mode === 'flow' && Math.floor(generation / 10) !== Math.floor(workerStatsGeneration / 10)) {
+        if (typeof updateMassStats === 'function') updateMassStats();
+        if (typeof updateSensoryStats === 'function') updateSensoryStats();
+    }
+    workerStatsGeneration = generation;
+}
+
 /**
  * Phase 4: Draw heading vectors for each detected creature
  */
@@ -794,15 +702,14 @@ function drawCreatureHeadings() {
     if (zenModeActive) return;  // Hide in Zen mode for cleaner aesthetic
 
     const sim = flowLenia || lenia;
-    const cellSize = width / sim.size;
+    const cellSize = camera.scale(sim.width);
 
     push();
     stroke(255, 255, 0);
     strokeWeight(2);
 
     for (const creature of creatureTracker.getCreatures()) {
-        const screenX = creature.x * cellSize;
-        const screenY = creature.y * cellSize;
+        const [screenX, screenY] = camera.toScreen(creature.x, creature.y, sim.width, sim.height);
         const arrowLen = Math.min(30, creature.radius * cellSize * 2);
 
         // Draw heading arrow
@@ -832,6 +739,50 @@ function drawCreatureHeadings() {
     pop();
 }
 
+/**
+ * Ring each tracked creature of a flow ecosystem in its channel's color
+ */
+function drawChannelCreatures() {
+    if (channelTracker.count === 0 || zenModeActive) return;
+
+    const cellSize = camera.scale(multiChannel.width);
+
+    push();
+    noFill();
+    strokeWeight(1.5);
+
+    for (const creature of channelTracker.getCreatures()) {
+        const [r, g, b] = multiChannel.channelColors[creature.channel];
+        const [screenX, screenY] = camera.toScreen(creature.x, creature.y, multiChannel.width, multiChannel.height);
+        stroke(r, g, b, 200);
+        ellipse(screenX, screenY, creature.radius * cellSize * 2.5);
+    }
+
+    pop();
+}
+
+/**
+ * Outline each Flow-Lenia mass emitter (see mass-budget.js)
+ */
+function drawEmitters() {
+    const { emitters } = flowLenia.massBudget;
+    if (emitters.length === 0 || zenModeActive) return;
+
+    const cellSize = camera.scale(flowLenia.width);
+
+    push();
+    noFill();
+    strokeWeight(1.5);
+    stroke(120, 220, 255, 200);
+
+    for (const emitter of emitters) {
+        const [screenX, screenY] = camera.toScreen(emitter.x, emitter.y, flowLenia.width, flowLenia.height);
+        ellipse(screenX, screenY, emitter.radius * cellSize * 2);
+    }
+
+    pop();
+}
+
 /**
  * Phase 9: Draw sensor cones showing each creature's sensing direction and focus
  */
@@ -839,7 +790,7 @@ function drawSensorCones() {
     if (!creatureTracker || creatureTracker.count === 0) return;
 
     const sim = flowLenia || lenia;
-    const cellSize = width / sim.size;
+    const cellSize = camera.scale(sim.width);
 
     push();
     noStroke();
@@ -847,8 +798,7 @@ function drawSensorCones() {
     for (const creature of creatureTracker.getCreatures()) {
         if (!creature.genome) continue;
 
-        const screenX = creature.x * cellSize;
-        const screenY = creature.y * cellSize;
+        const [screenX, screenY] = camera.toScreen(creature.x, creature.y, sim.width, sim.height);
 
         // Get sensor parameters from genome
         const sensorAngle = creature.genome.sensorAngle || 0;
@@ -890,14 +840,13 @@ function drawCreatureGlow() {
     if (!creatureTracker || creatureTracker.count === 0) return;
 
     const sim = flowLenia || lenia;
-    const cellSize = width / sim.size;
+    const cellSize = camera.scale(sim.width);
 
     push();
     noStroke();
 
     for (const creature of creatureTracker.getCreatures()) {
-        const screenX = creature.x * cellSize;
-        const screenY = creature.y * cellSize;
+        const [screenX, screenY] = camera.toScreen(creature.x, creature.y, sim.width, sim.height);
 
         // Always draw a subtle ambient glow for living creatures (Living Aquarium feature)
         if (typeof zenModeActive !== 'undefined' && zenModeActive) {
@@ -967,7 +916,7 @@ function drawCreatureEnergyBars() {
     if (zenModeActive) return;  // Hide in Zen mode for cleaner aesthetic
 
     const sim = flowLenia || lenia;
-    const cellSize = width / sim.size;
+    const cellSize = camera.scale(sim.width);
 
     push();
     noStroke();
@@ -977,8 +926,7 @@ function drawCreatureEnergyBars() {
     for (const creature of creatureTracker.getCreatures()) {
         if (!creature.genome) continue;
 
-        const screenX = creature.x * cellSize;
-        const screenY = creature.y * cellSize;
+        const [screenX, screenY] = camera.toScreen(creature.x, creature.y, sim.width, sim.height);
 
         // Position bar above creature
         const barY = screenY - creature.radius * cellSize * 1.5 - 15;
@@ -1040,8 +988,8 @@ function drawFlockLinks() {
     if (!creatureTracker || creatureTracker.count === 0) return;
 
     const sim = flowLenia || lenia;
-    const cellSize = width / sim.size;
-    const size = sim.size;
+    const cellSize = camera.scale(sim.width);
+    const { width: worldWidth, height: worldHeight } = sim;
 
     push();
     strokeWeight(1);
@@ -1052,8 +1000,7 @@ function drawFlockLinks() {
         if (creature.genome.isPredator) continue;
         if (creature.genome.alignmentWeight <= 0) continue;
 
-        const screenX = creature.x * cellSize;
-        const screenY = creature.y * cellSize;
+        const [screenX, screenY] = camera.toScreen(creature.x, creature.y, sim.width, sim.height);
         const flockRadius = creature.genome.flockingRadius;
 
         // Find neighbors within flocking radius
@@ -1061,13 +1008,9 @@ function drawFlockLinks() {
             if (other.id === creature.id) continue;
             if (other.genome && other.genome.isPredator) continue;
 
-            // Calculate toroidal distance
-            let dx = other.x - creature.x;
-            let dy = other.y - creature.y;
-            if (dx > size / 2) dx -= size;
-            if (dx < -size / 2) dx += size;
-            if (dy > size / 2) dy -= size;
-            if (dy < -size / 2) dy += size;
+            // Calculate distance (wrapping only in periodic worlds)
+            const dx = Boundary.delta(other.x, creature.x, worldWidth, sim.boundary);
+            const dy = Boundary.delta(other.y, creature.y, worldHeight, sim.boundary);
             const dist = Math.sqrt(dx * dx + dy * dy);
 
             if (dist < flockRadius && dist > 5) {
@@ -1076,8 +1019,8 @@ function drawFlockLinks() {
                 const alpha = Math.floor(40 + 120 * (1 - dist / flockRadius));
                 stroke(100, 200, 255, alpha);
 
-                const otherScreenX = creature.x * cellSize + dx * cellSize;
-                const otherScreenY = creature.y * cellSize + dy * cellSize;
+                const otherScreenX = screenX + dx * cellSize;
+                const otherScreenY = screenY + dy * cellSize;
                 line(screenX, screenY, otherScreenX, otherScreenY);
             }
         }
@@ -1093,15 +1036,14 @@ function drawZoneCenters() {
     if (!environment || !environment.migrationZones) return;
 
     const sim = flowLenia || lenia;
-    const cellSize = width / sim.size;
+    const cellSize = camera.scale(sim.width);
     const zones = environment.getMigrationZones();
 
     push();
     noStroke();
 
     for (const zone of zones) {
-        const screenX = zone.x * cellSize;
-        const screenY = zone.y * cellSize;
+        const [screenX, screenY] = camera.toScreen(zone.x, zone.y, sim.width, sim.height);
 
         // Pulsing effect based on time
         const pulse = 0.7 + 0.3 * Math.sin(millis() * 0.005);
@@ -1132,6 +1074,11 @@ function updateStats() {
 
     if (typeof currentMode !== 'undefined' && currentMode === 'ecosystem' && multiChannel) {
         document.getElementById('stat-mass').textContent = multiChannel.totalMass().toFixed(1);
+    } else if (typeof currentMode !== 'undefined' && currentMode === '3d' && lenia3d) {
+        document.getElementById('stat-mass').textContent = lenia3d.totalMass().toFixed(1);
+    } else if (typeof currentMode !== 'undefined' && currentMode === 'particle' && particleLenia) {
+        // Particles are the mass of a particle world
+        document.getElementById('stat-mass').textContent = particleLenia.totalMass();
     } else if (typeof useFlowLenia !== 'undefined' && useFlowLenia && flowLenia) {
         document.getElementById('stat-mass').textContent = flowLenia.totalMass().toFixed(1);
     } else {
@@ -1139,43 +1086,137 @@ function updateStats() {
     }
 
     document.getElementById('stat-gen').textContent = generation;
+
+    // In-thread stepping advances one step per frame
+    const simRate = simWorker ? simWorker.stepsPerSecond : (paused ? 0 : fps);
+    document.getElementById('stat-sim-rate').textContent = simRate.toFixed(1);
+
+    // Integrated time and step size (Flow-Lenia has no integrator settings)
+    const sim = SimState.activeSim(currentSims());
+    const integrated = sim.time !== undefined;
+    document.getElementById('stat-sim-time').textContent = integrated ? sim.time.toFixed(2) : '-';
+    document.getElementById('stat-step-dt').textContent = integrated ? sim.stepDt.toFixed(4) : '-';
 }
 
 // Mouse interaction
 let isDrawing = false;
 let drawMode = 1; // 1 = add, -1 = erase
 
+// View dragging: panning the camera, or steering it from the minimap
+let isPanning = false;
+let isSteering = false;
+let lastPanX = 0;
+let lastPanY = 0;
+
 function mousePressed() {
     if (mouseX >= 0 && mouseX < width && mouseY >= 0 && mouseY < height) {
+        // The minimap centers the view on the point clicked
+        const target = minimapAt(mouseX, mouseY);
+        if (target) {
+            isSteering = true;
+            camera.centerOn(target[0], target[1]);
+            return;
+        }
+        // Middle- or right-drag, or Alt+drag, pans instead of drawing
+        if (mouseButton === CENTER || mouseButton === RIGHT || keyIsDown(ALT)) {
+            isPanning = true;
+            lastPanX = mouseX;
+            lastPanY = mouseY;
+            return;
+        }
         isDrawing = true;
         drawMode = keyIsDown(SHIFT) ? -1 : 1;
-        handleDraw();
+        recordEdit('Brush stroke', handleDraw, 'stroke');
     }
 }
 
 function mouseReleased() {
     isDrawing = false;
+    isPanning = false;
+    isSteering = false;
+    if (editHistory) editHistory.endGroup();
 }
 
 function mouseDragged() {
-    if (isDrawing) {
-        handleDraw();
+    if (isSteering) {
+        const target = minimapAt(mouseX, mouseY);
+        if (target) camera.centerOn(target[0], target[1]);
+    } else if (isPanning) {
+        camera.pan(mouseX - lastPanX, mouseY - lastPanY);
+        lastPanX = mouseX;
+        lastPanY = mouseY;
+    } else if (isDrawing) {
+        recordEdit('Brush stroke', handleDraw, 'stroke');
     }
 }
 
+/**
+ * Wheel zooms the view about the mouse; the page scrolls when the mouse
+ * is off the canvas
+ */
+function mouseWheel(event) {
+    if (mouseX < 0 || mouseX >= width || mouseY < 0 || mouseY >= height) return;
+    camera.zoomAt(mouseX, mouseY, Math.exp(-event.delta * 0.002));
+    updateViewUI();
+    return false;
+}
+
+/**
+ * True while Ctrl (or Cmd on macOS) is held
+ */
+function commandKeyDown() {
+    return keyIsDown(CONTROL) || keyIsDown(91) || keyIsDown(93) || keyIsDown(224);
+}
+
 function handleDraw() {
     if (mouseX >= 0 && mouseX < width && mouseY >= 0 && mouseY < height) {
+        // Brush sizes are canvas pixels at zoom 1, so a brush covers the same cells at any zoom
         const brushSize = parseInt(document.getElementById('brush-size').value);
-
-        if (typeof currentMode !== 'undefined' && currentMode === 'ecosystem' && multiChannel) {
-            const cellSize = width / multiChannel.size;
-            const gx = mouseX / cellSize;
-            const gy = mouseY / cellSize;
+        const ecosystem = typeof currentMode !== 'undefined' && currentMode === 'ecosystem';
+        const volume = typeof currentMode !== 'undefined' && currentMode === '3d';
+        const particles = typeof currentMode !== 'undefined' && currentMode === 'particle';
+
+        if (particles && particleLenia) {
+            const cellSize = width / particleLenia.width;
+            const [wx, wy] = camera.toWorld(mouseX, mouseY, particleLenia.width, particleLenia.height);
+            particleLenia.drawBlob(wx, wy, brushSize / cellSize * 2, drawMode);
+        } else if (volume && lenia3d) {
+            // Balls centered on the current slice of the viewing axis
+            const cellSize = width / lenia3d.size;
+            const [u, v] = camera.toWorld(mouseX, mouseY, lenia3d.size, lenia3d.size);
+            const [gx, gy, gz] = lenia3d.viewCell(volumeView.axis, u, v, volumeView.slice);
+            lenia3d.drawBall(gx, gy, gz, brushSize / cellSize * 2, drawMode);
+        } else if (typeof brushTarget !== 'undefined' && brushTarget === 'params') {
+            // Parameter maps exist for standard Lenia and ecosystems, not Flow-Lenia
+            if (ecosystem || !useFlowLenia) {
+                const sim = paramMapSim();
+                const cellSize = width / sim.width;
+                const [gx, gy] = camera.toWorld(mouseX, mouseY, sim.width, sim.height);
+                paintParamMap(gx, gy, brushSize / cellSize * 2, drawMode > 0);
+            }
+        } else if (typeof brushTarget !== 'undefined' && brushTarget === 'emitters') {
+            // Emitters are Flow-Lenia mass sources
+            if (!ecosystem && useFlowLenia && flowLenia) {
+                const cellSize = width / flowLenia.width;
+                const [gx, gy] = camera.toWorld(mouseX, mouseY, flowLenia.width, flowLenia.height);
+                paintEmitters(gx, gy, brushSize / cellSize * 2, drawMode > 0);
+            }
+        } else if (!ecosystem && typeof brushTarget !== 'undefined' && brushTarget === 'walls' && environment) {
+            // Walls use a hard-edged brush at half the mass brush's radius
+            const cellSize = width / environment.width;
+            const [gx, gy] = camera.toWorld(mouseX, mouseY, environment.width, environment.height);
+            paintWalls(gx, gy, Math.round(brushSize / cellSize), drawMode > 0);
+            if (useFlowLenia && typeof initialMass !== 'undefined') {
+                initialMass = flowLenia.totalMass();
+                updateMassStats();
+            }
+        } else if (ecosystem && multiChannel) {
+            const cellSize = width / multiChannel.width;
+            const [gx, gy] = camera.toWorld(mouseX, mouseY, multiChannel.width, multiChannel.height);
             multiChannel.drawBlob(multiChannel.activeChannel, gx, gy, brushSize / cellSize * 2, drawMode);
         } else if (typeof useFlowLenia !== 'undefined' && useFlowLenia && flowLenia) {
-            const cellSize = width / flowLenia.size;
-            const gx = mouseX / cellSize;
-            const gy = mouseY / cellSize;
+            const cellSize = width / flowLenia.width;
+            const [gx, gy] = camera.toWorld(mouseX, mouseY, flowLenia.width, flowLenia.height);
             flowLenia.drawBlob(gx, gy, brushSize / cellSize * 2, drawMode);
             // Update initial mass after drawing
             if (typeof initialMass !== 'undefined') {
@@ -1185,9 +1226,8 @@ function handleDraw() {
                 }
             }
         } else {
-            const cellSize = width / lenia.size;
-            const gx = mouseX / cellSize;
-            const gy = mouseY / cellSize;
+            const cellSize = width / lenia.width;
+            const [gx, gy] = camera.toWorld(mouseX, mouseY, lenia.width, lenia.height);
             lenia.drawBlob(gx, gy, brushSize / cellSize * 2, drawMode);
         }
     }
@@ -1200,21 +1240,36 @@ function keyPressed() {
         exitZenMode();
         return false;
     }
+    // Ctrl+Z / Ctrl+Shift+Z undo and redo edits; text fields keep their own undo
+    if ((key === 'z' || key === 'Z') && commandKeyDown()) {
+        const tag = document.activeElement ? document.activeElement.tagName : '';
+        if (tag === 'TEXTAREA' || (tag === 'INPUT' && document.activeElement.type === 'text')) return;
+        if (keyIsDown(SHIFT)) {
+            redoEdit();
+        } else {
+            undoEdit();
+        }
+        return false;
+    }
     if (key === ' ') {
         paused = !paused;
         document.getElementById('btn-pause').textContent = paused ? 'Resume' : 'Pause';
         return false; // Prevent scrolling
     }
     if (key === 'r' || key === 'R') {
-        resetSimulation();
+        recordEdit('Reset', resetSimulation);
     }
     if (key === 'c' || key === 'C') {
-        lenia.clear();
+        recordEdit('Clear', () => lenia.clear());
         generation = 0;
     }
     if (key === 's' || key === 'S') {
         saveScreenshot();
     }
+    if (key === '0') {
+        camera.reset();
+        updateViewUI();
+    }
     if (key === 'z' || key === 'Z') {
         toggleZenMode();
     }
@@ -1258,8 +1313,18 @@ function enterZenMode() {
         zenHint.style.display = 'block';
     }
 
-    // Resize canvas to fill screen
-    resizeCanvas(windowWidth, windowHeight);
+    // Give a fresh Zen world the screen's shape, so widescreen displays are filled
+    const zenSim = (typeof useFlowLenia !== 'undefined' && useFlowLenia && flowLenia) ? flowLenia : lenia;
+    if (zenSim.totalMass() < 100 && typeof resizeWorld === 'function') {
+        const cells = zenSim.width * zenSim.height;
+        const zenHeight = Math.round(Math.sqrt(cells * windowHeight / windowWidth));
+        const zenWidth = Math.round(cells / zenHeight);
+        resizeWorld(zenWidth, zenHeight);
+    }
+
+    // Resize canvas to fill as much of the screen as the world's shape allows
+    const zenCanvas = fitCanvasToWorld(windowWidth, windowHeight);
+    resizeCanvas(zenCanvas.width, zenCanvas.height);
 
     // Resize and redistribute particles for fullscreen
     if (ambientParticles) {
@@ -1350,8 +1415,15 @@ function exitZenMode() {
 }
 
 function resetSimulation() {
+    // Restart the random streams so a reset run replays exactly
+    Random.restart();
+
     const speciesSelect = document.getElementById('species-select');
-    if (typeof useFlowLenia !== 'undefined' && useFlowLenia) {
+    if (typeof currentMode !== 'undefined' && currentMode === '3d') {
+        lenia3d.loadSpecies(document.getElementById('species3d-select').value);
+    } else if (typeof currentMode !== 'undefined' && currentMode === 'particle') {
+        particleLenia.loadSpecies(document.getElementById('particle-species-select').value);
+    } else if (typeof useFlowLenia !== 'undefined' && useFlowLenia) {
         flowLenia.loadSpecies(speciesSelect.value);
     } else {
         lenia.loadSpecies(speciesSelect.value);
@@ -1374,8 +1446,10 @@ function saveScreenshot() {
 // Window resize handling
 function windowResized() {
     const container = document.getElementById('canvas-container');
-    const canvasSize = Math.min(container.clientWidth, container.clientHeight) - 40;
-    resizeCanvas(canvasSize, canvasSize);
+    const canvasSize = zenModeActive
+        ? fitCanvasToWorld(windowWidth, windowHeight)
+        : fitCanvasToWorld(container.clientWidth - 40, container.clientHeight - 40);
+    resizeCanvas(canvasSize.width, canvasSize.height);
 
     // Resize particle system
     if (ambientParticles) {
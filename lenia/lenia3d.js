@@ -0,0 +1,374 @@
+/**
+ * Lenia 3D - volumetric Lenia on a periodic size × size × size grid
+ *
+ * The same update rule as the 2D Lenia class, one dimension up:
+ * - Spherical kernels built from the Kernels radial profiles (Kernels.spherical)
+ * - Convolution with a 3D FFT (FFT.createConvolver3D); the volume is toroidal
+ * - Growth families, integrators and noise shared with 2D (growth.js,
+ *   integrators.js, noise.js)
+ *
+ * Cells are indexed (z * size + y) * size + x. `project()` turns the volume
+ * into a size × size image (slice, max-intensity projection or shaded
+ * isosurface) for renderers; nothing here touches p5.js or the DOM.
+ */
+
+class Lenia3D {
+    /**
+     * @param {number} size - Cells per side
+     */
+    constructor(size = 64) {
+        this.size = size;
+        this.width = size;      // Projected image size (used by renderers and SimState)
+        this.height = size;
+        this.depth = size;
+
+        const cells = size * size * size;
+        this.grid = new Float32Array(cells);
+        this.nextGrid = new Float32Array(cells);
+        this.potential = new Float32Array(cells);
+
+        // Default parameters (a starting point for 3D searches)
+        this.R = 10;
+        this.mu = 0.15;
+        this.sigma = 0.015;
+        this.dt = 0.1;
+
+        // The FFT wraps, so volumes are always toroidal
+        this.boundary = 'periodic';
+
+        // Kernel: one of Kernels.radialTypes, with its profile parameters
+        this.kernelType = 'bump4';
+        this.kernelParams = { betas: [1], peaks: 1, falloff: 1.0 };
+
+        // Growth function family (see growth.js)
+        this.growthType = 'gaussian';
+        this.growthPoints = Growth.DEFAULT_POINTS.map(point => [...point]);
+
+        // Stochastic updates (see noise.js)
+        this.noise = Noise.create();
+        this.noiseRandom = Random.main;
+        this.potentialNoise = null;
+
+        // Time integration (see integrators.js)
+        this.integrator = 'euler';
+        this.adaptiveDt = false;
+        this.tolerance = 0.01;
+        this.minDt = 0.001;
+        this.stepDt = this.dt;
+        this.stepError = 0;
+        this.time = 0;
+        this.integratorWork = Integrators.ensureWork(null, 1, cells);
+
+        this.kernel = null;
+        this.colorMap = 'viridis';
+
+        this.fftConvolver = FFT.createConvolver3D(size, size, size);
+        this.updateKernel();
+    }
+
+    /**
+     * Rebuild the spherical kernel and its cached spectrum
+     */
+    updateKernel() {
+        const radius = Math.min(this.R, Math.floor((this.size - 1) / 2));
+        this.kernel = Kernels.spherical(radius, this.kernelType, this.kernelParams);
+        this.fftConvolver.setKernel(this.kernel);
+    }
+
+    /**
+     * Only 'periodic' is supported; the other modes are 2D-only
+     */
+    setBoundary(mode) {
+        if (Boundary.validate(mode) !== 'periodic') {
+            throw new Error(`Lenia3D only supports periodic boundaries, not ${mode}`);
+        }
+    }
+
+    /**
+     * Set the time integration method (see integrators.js)
+     */
+    setIntegrator(method) {
+        this.integrator = Integrators.validate(method);
+    }
+
+    /**
+     * Set the growth function family, and the curve for 'piecewise' (see growth.js)
+     */
+    setGrowth(type, points = this.growthPoints) {
+        this.growthType = Growth.validate(type);
+        this.growthPoints = Growth.validatePoints(points);
+    }
+
+    growth(u) {
+        return Growth.evaluate(this.growthType, u, this.mu, this.sigma, this.growthPoints);
+    }
+
+    /**
+     * Set the noise amplitudes: { state, potential, dropout } (see noise.js)
+     */
+    setNoise(settings) {
+        this.noise = Noise.create(settings);
+    }
+
+    /**
+     * Growth rates G(U) of a volume, for the integrators
+     */
+    growthRates(fields, out) {
+        const { potential } = this;
+        const rates = out[0];
+
+        this.fftConvolver.convolve(fields[0], potential);
+        if (this.noise.potential > 0) {
+            for (let i = 0; i < potential.length; i++) {
+                potential[i] += this.potentialNoise[i];
+            }
+        }
+        for (let i = 0; i < rates.length; i++) {
+            rates[i] = this.growth(potential[i]);
+        }
+    }
+
+    /**
+     * Update step: apply growth function and integrate
+     */
+    step() {
+        const { grid, nextGrid, noise, noiseRandom } = this;
+        const rates = (fields, out) => this.growthRates(fields, out);
+
+        this.integratorWork = Integrators.ensureWork(this.integratorWork, 1, grid.length);
+
+        if (noise.potential > 0) {
+            this.potentialNoise = Noise.ensureField(this.potentialNoise, grid.length);
+            Noise.fill(this.potentialNoise, noise.potential, noiseRandom);
+        }
+
+        if (this.adaptiveDt) {
+            const result = Integrators.adaptiveStep(
+                this.integrator, [grid], [nextGrid], this.stepDt, rates, this.integratorWork,
+                { tolerance: this.tolerance, minDt: this.minDt, maxDt: this.dt }
+            );
+            this.time += result.dt;
+            this.stepError = result.error;
+            this.stepDt = result.next;
+        } else {
+            Integrators.step(this.integrator, [grid], [nextGrid], this.dt, rates, this.integratorWork);
+            this.time += this.dt;
+            this.stepDt = this.dt;
+        }
+
+        if (noise.dropout > 0) {
+            Noise.dropout([grid], [nextGrid], noise.dropout, noiseRandom);
+        }
+        if (noise.state > 0) {
+            Noise.perturb(nextGrid, noise.state * Math.sqrt(this.stepDt), noiseRandom, 0, 1);
+        }
+
+        [this.grid, this.nextGrid] = [this.nextGrid, this.grid];
+    }
+
+    totalMass() {
+        let sum = 0;
+        for (let i = 0; i < this.grid.length; i++) {
+            sum += this.grid[i];
+        }
+        return sum;
+    }
+
+    clear() {
+        this.grid.fill(0);
+        this.time = 0;
+    }
+
+    /**
+     * Add a smooth ball (value · (1 - d²)) centered at (x, y, z), wrapping at the edges
+     * Negative values erase
+     */
+    drawBall(x, y, z, radius, value = 1.0) {
+        const { size, grid } = this;
+        const r = Math.ceil(radius);
+        const wrap = v => ((v % size) + size) % size;
+
+        for (let dz = -r; dz <= r; dz++) {
+            for (let dy = -r; dy <= r; dy++) {
+                for (let dx = -r; dx <= r; dx++) {
+                    const dist = Math.sqrt(dx * dx + dy * dy + dz * dz) / radius;
+                    if (dist > 1) continue;
+                    const idx = (wrap(Math.floor(z) + dz) * size + wrap(Math.floor(y) + dy)) * size + wrap(Math.floor(x) + dx);
+                    grid[idx] = Math.max(0, Math.min(1, grid[idx] + value * (1 - dist * dist)));
+                }
+            }
+        }
+    }
+
+    /**
+     * Clear the volume and place one soft ball at the center: radius 0.7R,
+     * value 0.5. A full-strength ball of radius R overshoots, since a
+     * spherical kernel sums over far more cells than a 2D ring
+     */
+    seedBall() {
+        const c = this.size / 2;
+        this.clear();
+        this.drawBall(c, c, c, this.R * 0.7, 0.5);
+    }
+
+    /**
+     * Scatter random noisy balls through the volume
+     */
+    randomize(count = 8) {
+        const { size } = this;
+        this.clear();
+        for (let i = 0; i < count; i++) {
+            const radius = this.R * (0.5 + Random.random() * 0.5);
+            this.drawBall(Random.random() * size, Random.random() * size, Random.random() * size,
+                radius, 0.5 + Random.random() * 0.5);
+        }
+        for (let i = 0; i < this.grid.length; i++) {
+            if (this.grid[i] > 0) {
+                this.grid[i] = Math.min(1, this.grid[i] + Random.random() * 0.1);
+            }
+        }
+    }
+
+    /**
+     * Load a Species3D preset: parameters plus a seed of balls
+     */
+    loadSpecies(speciesKey) {
+        const species = Species3D[speciesKey];
+        if (!species) return;
+
+        const p = species.params;
+        this.R = p.R;
+        this.mu = p.mu;
+        this.sigma = p.sigma;
+        this.dt = p.dt;
+        this.stepDt = this.dt;
+        this.kernelType = p.kernelType || 'bump4';
+        Object.assign(this.kernelParams, p.kernelParams || {});
+        this.setGrowth(p.growthType || 'gaussian', p.growthPoints || Growth.DEFAULT_POINTS);
+        this.updateKernel();
+
+        this.clear();
+        const c = this.size / 2;
+        for (const ball of species.seed) {
+            this.drawBall(c + ball.x * this.R, c + ball.y * this.R, c + ball.z * this.R,
+                ball.radius * this.R, ball.value);
+        }
+    }
+
+    /**
+     * Index of cell (u, v) at depth w when looking along an axis
+     * Images are rows of v, columns of u: z looks at (x, y), y at (x, z), x at (y, z)
+     */
+    viewIndex(axis, u, v, w) {
+        const { size } = this;
+        if (axis === 'x') return (v * size + u) * size + w;
+        if (axis === 'y') return (v * size + w) * size + u;
+        return (w * size + v) * size + u;
+    }
+
+    /**
+     * Cell [x, y, z] shown at (u, v) with depth w; the inverse of viewIndex()
+     */
+    viewCell(axis, u, v, w) {
+        if (axis === 'x') return [w, u, v];
+        if (axis === 'y') return [u, w, v];
+        return [u, v, w];
+    }
+
+    /**
+     * Render the volume to a size × size image of values in [0, 1]
+     * @param {string} view - 'slice', 'mip' (max-intensity projection) or 'iso'
+     * @param {Object} options - { axis: 'x' | 'y' | 'z', slice: index, threshold: iso level }
+     * @returns {Float32Array} - One value per pixel, for getColor()
+     */
+    project(view, { axis = 'z', slice = Math.floor(this.size / 2), threshold = 0.3 } = {}) {
+        const { size, grid } = this;
+        const image = new Float32Array(size * size);
+
+        if (view === 'slice') {
+            const w = Math.max(0, Math.min(size - 1, slice));
+            for (let v = 0; v < size; v++) {
+                for (let u = 0; u < size; u++) {
+                    image[v * size + u] = grid[this.viewIndex(axis, u, v, w)];
+                }
+            }
+            return image;
+        }
+
+        if (view === 'mip') {
+            for (let v = 0; v < size; v++) {
+                for (let u = 0; u < size; u++) {
+                    let max = 0;
+                    for (let w = 0; w < size; w++) {
+                        max = Math.max(max, grid[this.viewIndex(axis, u, v, w)]);
+                    }
+                    image[v * size + u] = max;
+                }
+            }
+            return image;
+        }
+
+        if (view === 'iso') {
+            // Depth of the first cell at or above the threshold (size = no hit)
+            const depth = new Float32Array(size * size);
+            for (let v = 0; v < size; v++) {
+                for (let u = 0; u < size; u++) {
+                    let w = 0;
+                    while (w < size && grid[this.viewIndex(axis, u, v, w)] < threshold) w++;
+                    depth[v * size + u] = w;
+                }
+            }
+
+            // Lambert shading from the depth map's normals, dimmed with distance
+            const light = [-0.4, -0.5, 0.77];
+            for (let v = 0; v < size; v++) {
+                for (let u = 0; u < size; u++) {
+                    const d = depth[v * size + u];
+                    if (d >= size) continue;
+                    const neighbor = (du, dv) => {
+                        const nd = depth[((v + dv + size) % size) * size + (u + du + size) % size];
+                        return nd >= size ? d : nd;
+                    };
+                    const nx = (neighbor(1, 0) - neighbor(-1, 0)) / 2;
+                    const ny = (neighbor(0, 1) - neighbor(0, -1)) / 2;
+                    const length = Math.sqrt(nx * nx + ny * ny + 1);
+                    const lambert = Math.max(0, (nx * light[0] + ny * light[1] + light[2]) / length);
+                    image[v * size + u] = (0.25 + 0.75 * lambert) * (1 - 0.5 * d / size);
+                }
+            }
+            return image;
+        }
+
+        throw new Error(`Unknown 3D view: ${view}`);
+    }
+
+    getColor(value) {
+        return Lenia.prototype.getColor.call(this, value);
+    }
+}
+
+/**
+ * 3D species presets
+ * Seeds are balls at offsets and radii in units of R from the volume center.
+ */
+const Species3D = {
+    /**
+     * Sphaerium - a stationary solid sphere
+     * Found by a 40³ search; the same seed settles into the same ball at any volume size
+     */
+    sphaerium: {
+        name: "Sphaerium",
+        description: "A solid sphere that holds its shape without moving.",
+        params: {
+            R: 8,
+            mu: 0.12,
+            sigma: 0.013,
+            dt: 0.1,
+            kernelType: 'bump4'
+        },
+        seed: [
+            { x: 0, y: 0, z: 0, radius: 0.7, value: 0.5 },
+            { x: 0.5, y: 0, z: 0, radius: 0.42, value: 0.25 }
+        ]
+    }
+};
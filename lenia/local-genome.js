@@ -0,0 +1,302 @@
+/**
+ * Local Genome - the whole rule carried per cell by Flow-Lenia mass
+ *
+ * Phase 15 localized μ and σ: FlowLenia.P_mu / P_sigma travel with the mass
+ * and mix by the mass-weighted average wherever mass meets. With
+ * `localGenome` on, every trait below gets a field of its own (P_R,
+ * P_beta0, P_dt, P_foodWeight, ...) and moves and mixes the same way, so
+ * traits live in the matter itself rather than in tracker-held Genomes.
+ *
+ * Rule traits change the step at each cell:
+ * - R          kernel radius. The potential blends the convolutions of a
+ *              small bank of integer radii spanning the radii in use
+ * - beta0..    weight of each kernel shell (one shell unless the kernel is
+ *              quad4). Shells are convolved separately and recombined per cell
+ * - dt         the cell's own time step for transport
+ * - driftX/Y   locomotion bias: a constant flow added to the cell's mass
+ *
+ * Genome traits (every number and flag of a Genome, see creatures.js) ride
+ * along without changing the step. A creature's genome is read from its
+ * cells each step (readGenome), so offspring and merged creatures inherit
+ * whatever matter they are made of. Genome fields that are rule traits
+ * under another name (kernelRadius, growthMu, growthSigma) read R, P_mu and
+ * P_sigma.
+ *
+ * With uniform traits equal to the global rule, the step matches the
+ * ordinary Flow-Lenia step for ring, bump4, quad4 and filled kernels. Other
+ * radial kernels are rebuilt from their profile with a round cutoff, and
+ * non-radial kernels (spiral, star, ...) fall back to bump4.
+ */
+
+const LocalGenome = {
+    // Most radii convolved per step; radii in between are interpolated
+    MAX_RADII: 4,
+
+    // Genome fields that are rule traits under another name
+    ALIASES: { kernelRadius: 'R', growthMu: 'mu', growthSigma: 'sigma' },
+
+    /**
+     * Field holding a trait: P_<name>
+     */
+    key(name) {
+        return `P_${name}`;
+    },
+
+    /**
+     * Genome traits carried per cell: every number and flag of a Genome,
+     * except the aliases of rule traits
+     */
+    genomeTraits() {
+        const genome = new Genome();
+        return Object.keys(genome).filter(name => (
+            (typeof genome[name] === 'number' || typeof genome[name] === 'boolean') &&
+            !(name in LocalGenome.ALIASES)
+        ));
+    },
+
+    /**
+     * Shell weights of the simulation's kernel (one shell unless quad4)
+     */
+    betas(sim) {
+        return sim.kernelType === 'quad4' ? (sim.kernelParams.betas || [1, 1, 1]) : [1];
+    },
+
+    /**
+     * Every trait a simulation carries per cell, rule traits first
+     */
+    names(sim) {
+        const shells = LocalGenome.betas(sim).map((_, i) => `beta${i}`);
+        return ['R', ...shells, 'dt', 'driftX', 'driftY', ...LocalGenome.genomeTraits()];
+    },
+
+    /**
+     * Trait values for the global rule and a genome (the tracker's base
+     * genome, or Genome defaults, if none is given)
+     */
+    values(sim, genome = null) {
+        const tracker = sim.creatureTracker;
+        const source = genome || (tracker && tracker.baseGenome) || new Genome();
+        const values = { R: sim.R, dt: sim.dt, driftX: 0, driftY: 0 };
+
+        LocalGenome.betas(sim).forEach((beta, i) => {
+            values[`beta${i}`] = beta;
+        });
+        for (const name of LocalGenome.genomeTraits()) {
+            values[name] = Number(source[name]);
+        }
+        return values;
+    },
+
+    /**
+     * [name, owner, key] entries for the trait fields (see sim-state.js)
+     */
+    fieldEntries(sim) {
+        return sim.traitNames
+            .map(name => LocalGenome.key(name))
+            .filter(key => sim[key])
+            .map(key => [key, sim, key]);
+    },
+
+    /**
+     * Set every trait of one cell
+     */
+    write(sim, idx, values) {
+        for (const name of sim.traitNames) {
+            sim[LocalGenome.key(name)][idx] = values[name];
+        }
+    },
+
+    /**
+     * Mass-weighted average of every trait (and μ, σ) over a creature's cells
+     */
+    mean(sim, cells) {
+        const { width } = sim;
+        const fields = [...sim.traitNames, 'mu', 'sigma'].map(name => [name, sim[LocalGenome.key(name)]]);
+        const sums = {};
+        let total = 0;
+
+        for (const [name] of fields) sums[name] = 0;
+        for (const cell of cells) {
+            const idx = Math.floor(cell.y) * width + Math.floor(cell.x);
+            total += cell.value;
+            for (const [name, field] of fields) {
+                sums[name] += field[idx] * cell.value;
+            }
+        }
+
+        for (const name of Object.keys(sums)) {
+            sums[name] = total > 0 ? sums[name] / total : 0;
+        }
+        return sums;
+    },
+
+    /**
+     * A creature's genome, read from the matter it is made of
+     * Flags are set when most of the creature's mass carries them
+     */
+    readGenome(sim, creature) {
+        const values = LocalGenome.mean(sim, creature.cells);
+        const genome = new Genome();
+
+        for (const name of LocalGenome.genomeTraits()) {
+            genome[name] = typeof genome[name] === 'boolean' ? values[name] >= 0.5 : values[name];
+        }
+        for (const [name, trait] of Object.entries(LocalGenome.ALIASES)) {
+            genome[name] = values[trait];
+        }
+        return genome;
+    },
+
+    /**
+     * Trait values for offspring matter: the parent's mean (see mean())
+     * with the offspring's mutated genome, whose aliases set R, μ and σ
+     */
+    inherit(rule, genome) {
+        const values = { ...rule };
+        for (const name of LocalGenome.genomeTraits()) {
+            values[name] = Number(genome[name]);
+        }
+        for (const [name, trait] of Object.entries(LocalGenome.ALIASES)) {
+            values[trait] = genome[name];
+        }
+        return values;
+    },
+
+    /**
+     * Radial profile and parameters the per-cell kernels are built from
+     */
+    profile(sim) {
+        const type = Kernels.radialTypes.includes(sim.kernelType) ? sim.kernelType : 'bump4';
+        const params = { peaks: sim.peaks, falloff: sim.kernelParams.falloff || 1.0 };
+        return [Kernels.profiles[type], params, type];
+    },
+
+    /**
+     * Radii to convolve with: every integer radius in [lo, hi], or
+     * MAX_RADII of them spread evenly across it
+     */
+    radii(lo, hi) {
+        lo = Math.max(1, Math.floor(lo));
+        hi = Math.max(lo, Math.ceil(hi));
+        if (hi - lo < LocalGenome.MAX_RADII) {
+            return Array.from({ length: hi - lo + 1 }, (_, i) => lo + i);
+        }
+        const last = LocalGenome.MAX_RADII - 1;
+        return [...new Set(Array.from({ length: LocalGenome.MAX_RADII }, (_, i) => Math.round(lo + (hi - lo) * i / last)))];
+    },
+
+    /**
+     * One shell of the kernel at a radius, normalized to sum to 1, with
+     * its sum before normalization (`mass`) so shells can be recombined
+     */
+    shellKernel(sim, radius, shell) {
+        const [profile, params, type] = LocalGenome.profile(sim);
+        const shells = LocalGenome.betas(sim).length;
+        const shellParams = type === 'quad4'
+            ? { betas: Array.from({ length: shells }, (_, i) => (i === shell ? 1 : 0)) }
+            : params;
+
+        const size = radius * 2 + 1;
+        const data = new Float32Array(size * size);
+        let mass = 0;
+        for (let y = 0; y < size; y++) {
+            for (let x = 0; x < size; x++) {
+                const dx = x - radius;
+                const dy = y - radius;
+                const r = Math.sqrt(dx * dx + dy * dy) / radius;
+                if (r <= 1) {
+                    const value = profile(r, shellParams);
+                    data[y * size + x] = value;
+                    mass += value;
+                }
+            }
+        }
+        if (mass > 0) {
+            for (let i = 0; i < data.length; i++) {
+                data[i] /= mass;
+            }
+        }
+        return { data, size, radius, mass };
+    },
+
+    /**
+     * Cached shell spectra for a radius; the cache is dropped when the
+     * kernel type or its shells change
+     */
+    shellSpectra(sim, radius) {
+        const [, params, type] = LocalGenome.profile(sim);
+        const signature = JSON.stringify([type, params, LocalGenome.betas(sim).length]);
+        if (!sim.localKernels || sim.localKernels.signature !== signature) {
+            sim.localKernels = new Map();
+            sim.localKernels.signature = signature;
+        }
+
+        let spectra = sim.localKernels.get(radius);
+        if (!spectra) {
+            spectra = LocalGenome.betas(sim).map((_, shell) => {
+                const kernel = LocalGenome.shellKernel(sim, radius, shell);
+                return { spectrum: sim.fftConvolver.kernelSpectrum(kernel), mass: kernel.mass };
+            });
+            sim.localKernels.set(radius, spectra);
+        }
+        return spectra;
+    },
+
+    /**
+     * Potential with each cell's own kernel radius and shell weights
+     * U = lerp over the bracketing radii of Σ β_i m_i (S_i * A) / Σ β_i m_i,
+     * where S_i is shell i normalized and m_i its sum before normalization
+     */
+    potential(sim, out) {
+        const { A } = sim;
+        const cells = A.length;
+        const R = sim.P_R;
+        const betaFields = LocalGenome.betas(sim).map((_, i) => sim[LocalGenome.key(`beta${i}`)]);
+        const shells = betaFields.length;
+
+        // Kernels must fit inside the grid
+        const maxRadius = Math.max(1, Math.floor(Math.min(sim.width, sim.height) / 2) - 1);
+        let lo = Infinity;
+        let hi = -Infinity;
+        for (let i = 0; i < cells; i++) {
+            lo = Math.min(lo, R[i]);
+            hi = Math.max(hi, R[i]);
+        }
+        const radii = LocalGenome.radii(Math.min(lo, maxRadius), Math.min(hi, maxRadius));
+
+        // One convolution per radius and shell
+        const count = radii.length * shells;
+        if (!sim.localPotentials || sim.localPotentials.length < count || sim.localPotentials[0].length !== cells) {
+            sim.localPotentials = Array.from({ length: count }, () => new Float32Array(cells));
+        }
+        const potentials = sim.localPotentials;
+        const masses = [];
+        radii.forEach((radius, k) => {
+            LocalGenome.shellSpectra(sim, radius).forEach(({ spectrum, mass }, s) => {
+                sim.fftConvolver.convolve(A, potentials[k * shells + s], spectrum);
+                masses.push(mass);
+            });
+        });
+
+        const mix = (k, i) => {
+            let sum = 0;
+            let norm = 0;
+            for (let s = 0; s < shells; s++) {
+                const weight = betaFields[s][i] * masses[k * shells + s];
+                sum += weight * potentials[k * shells + s][i];
+                norm += weight;
+            }
+            return norm > 0 ? sum / norm : 0;
+        };
+
+        const last = radii.length - 1;
+        for (let i = 0; i < cells; i++) {
+            const r = Math.max(radii[0], Math.min(radii[last], R[i]));
+            let k = 0;
+            while (k < last && radii[k + 1] < r) k++;
+            const t = k < last ? (r - radii[k]) / (radii[k + 1] - radii[k]) : 0;
+            out[i] = t > 0 ? (1 - t) * mix(k, i) + t * mix(k + 1, i) : mix(k, i);
+        }
+        return out;
+    }
+};
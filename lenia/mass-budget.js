@@ -0,0 +1,229 @@
+/**
+ * Mass Budget - sources, sinks and a mass ledger for open-system Flow-Lenia
+ *
+ * Flow-Lenia conserves mass; a mass budget opens it up. FlowLenia has a
+ * `massBudget` object, all off by default (the closed system):
+ * - evaporation    : fraction of every cell's mass lost per unit time
+ * - foodConversion : fraction of a cell's mass worth of food turned into
+ *                    mass per unit time, where the two overlap. Food only
+ *                    exists while sensory mode runs the environment, and
+ *                    regrows there, so it acts like photosynthesis
+ * - emitters       : { x, y, radius, rate } discs adding `rate` mass per
+ *                    unit time, spread with a (1 - d²) falloff. Emitted
+ *                    mass takes the parameters of the cell it lands in
+ *
+ * Sources and sinks run once per step, after transport, scaled by dt.
+ *
+ * The ledger (`massLedger`) accounts for every change of total mass in a
+ * step: the budget's sources (emitted, converted) and sinks (evaporated),
+ * prey eaten by hunters, mass reproduction destroys (offspring blobs are
+ * clipped at 1 and overwrite the cells they cover), and `other`, the rest
+ * of the change (mass lost across absorbing edges, trace mass transport
+ * drops, rounding). So, per step and in total,
+ *   mass after - mass before = emitted + converted
+ *                              - evaporated - eaten - reproduction + other
+ */
+
+const MassBudget = {
+    KEYS: ['evaporation', 'foodConversion', 'emitters'],
+
+    // Ledger entries that add and remove mass; `other` is signed
+    SOURCES: ['emitted', 'converted'],
+    SINKS: ['evaporated', 'eaten', 'reproduction'],
+
+    /**
+     * Build a checked mass budget from partial settings
+     * Unknown keys, negative rates and malformed emitters fail loudly
+     * @param {Object} settings - { evaporation, foodConversion, emitters }
+     */
+    create(settings = {}) {
+        const budget = { evaporation: 0, foodConversion: 0, emitters: [] };
+
+        for (const [key, value] of Object.entries(settings)) {
+            if (!MassBudget.KEYS.includes(key)) {
+                throw new Error(`Unknown mass budget setting: ${key}`);
+            }
+            if (key === 'emitters') {
+                budget.emitters = value.map(emitter => MassBudget.emitter(emitter));
+                continue;
+            }
+            if (!Number.isFinite(value) || value < 0) {
+                throw new Error(`Invalid ${key} rate: ${value}`);
+            }
+            budget[key] = value;
+        }
+        return budget;
+    },
+
+    /**
+     * A checked emitter: position in cells, radius in cells, mass per unit time
+     */
+    emitter({ x, y, radius = 8, rate = 1 }) {
+        if (![x, y, radius, rate].every(Number.isFinite) || radius <= 0 || rate < 0) {
+            throw new Error(`Invalid emitter: ${JSON.stringify({ x, y, radius, rate })}`);
+        }
+        return { x, y, radius, rate };
+    },
+
+    /**
+     * True if the budget adds or removes any mass
+     */
+    isActive(budget) {
+        return budget.evaporation > 0 || budget.foodConversion > 0 ||
+            budget.emitters.some(emitter => emitter.rate > 0);
+    },
+
+    /**
+     * Zeroed ledger entries
+     */
+    entries() {
+        return { emitted: 0, converted: 0, evaporated: 0, eaten: 0, reproduction: 0, other: 0 };
+    },
+
+    /**
+     * Empty ledger: the last step's entries, running totals and step count
+     */
+    ledger() {
+        return { start: 0, step: MassBudget.entries(), total: MassBudget.entries(), steps: 0 };
+    },
+
+    /**
+     * Start a step's accounts from the total mass before it
+     */
+    begin(ledger, mass) {
+        ledger.start = mass;
+        ledger.step = MassBudget.entries();
+    },
+
+    record(ledger, key, amount) {
+        ledger.step[key] += amount;
+    },
+
+    /**
+     * Close a step's accounts: whatever change the entries don't explain is `other`
+     */
+    end(ledger, mass) {
+        const { step } = ledger;
+        const sources = MassBudget.SOURCES.reduce((sum, key) => sum + step[key], 0);
+        const sinks = MassBudget.SINKS.reduce((sum, key) => sum + step[key], 0);
+        step.other = mass - ledger.start - (sources - sinks);
+
+        for (const key of Object.keys(step)) {
+            ledger.total[key] += step[key];
+        }
+        ledger.steps++;
+    },
+
+    /**
+     * Net change of a set of entries
+     */
+    net(entries) {
+        const sources = MassBudget.SOURCES.reduce((sum, key) => sum + entries[key], 0);
+        const sinks = MassBudget.SINKS.reduce((sum, key) => sum + entries[key], 0);
+        return sources - sinks + entries.other;
+    },
+
+    /**
+     * Run a simulation's sources and sinks for one step of length dt,
+     * recording what they add and remove
+     * @param {FlowLenia} sim - Owner of A, massBudget, massLedger and environment
+     */
+    apply(sim, dt) {
+        const budget = sim.massBudget;
+        const ledger = sim.massLedger;
+
+        if (budget.evaporation > 0) {
+            MassBudget.record(ledger, 'evaporated', MassBudget.evaporate(sim.A, budget.evaporation * dt));
+        }
+        if (budget.foodConversion > 0 && sim.sensoryEnabled && sim.environment) {
+            const converted = MassBudget.convertFood(sim.A, sim.environment.food, budget.foodConversion * dt);
+            MassBudget.record(ledger, 'converted', converted);
+        }
+        for (const emitter of budget.emitters) {
+            if (emitter.rate > 0) {
+                MassBudget.record(ledger, 'emitted', MassBudget.emit(sim, emitter, emitter.rate * dt));
+            }
+        }
+    },
+
+    /**
+     * Remove a fraction of every cell's mass; returns the mass removed
+     */
+    evaporate(A, fraction) {
+        const keep = 1 - Math.min(1, fraction);
+        let removed = 0;
+        for (let i = 0; i < A.length; i++) {
+            const before = A[i];
+            if (before <= 0) continue;
+            A[i] = before * keep;
+            removed += before - A[i];
+        }
+        return removed;
+    },
+
+    /**
+     * Turn food into mass where both are present: each cell converts up to
+     * `fraction` of its mass worth of food. Returns the mass created
+     */
+    convertFood(A, food, fraction) {
+        let created = 0;
+        for (let i = 0; i < A.length; i++) {
+            const mass = A[i];
+            if (mass < 0.0001 || food[i] <= 0) continue;
+            const converted = Math.min(food[i], mass * fraction);
+            food[i] -= converted;
+            A[i] = mass + converted;
+            created += A[i] - mass;
+        }
+        return created;
+    },
+
+    /**
+     * Add `amount` of mass over an emitter's disc, weighted (1 - d²), through
+     * the boundary and around obstacles. Returns the mass added
+     */
+    emit(sim, emitter, amount) {
+        const { width, height, A } = sim;
+        const edge = Boundary.drawMode(sim.boundary);
+        const solid = sim.environment ? sim.environment.obstacles : null;
+        const { x, y, radius } = emitter;
+        const r = Math.ceil(radius);
+
+        const cells = [];
+        let total = 0;
+        for (let dy = -r; dy <= r; dy++) {
+            for (let dx = -r; dx <= r; dx++) {
+                const dist = Math.sqrt(dx * dx + dy * dy) / radius;
+                if (dist > 1) continue;
+                const gx = Boundary.cell(Math.floor(x) + dx, width, edge);
+                const gy = Boundary.cell(Math.floor(y) + dy, height, edge);
+                if (gx < 0 || gy < 0) continue;
+                const idx = gy * width + gx;
+                if (solid && solid[idx]) continue;
+                const weight = 1 - dist * dist;
+                cells.push([idx, weight]);
+                total += weight;
+            }
+        }
+        if (total <= 0) return 0;
+
+        let added = 0;
+        for (const [idx, weight] of cells) {
+            const before = A[idx];
+            A[idx] = before + amount * weight / total;
+            added += A[idx] - before;
+        }
+        return added;
+    },
+
+    /**
+     * Move every emitter by (dx, dy) cells, after the cells under them
+     * moved (see chunk-world.js)
+     */
+    translate(budget, dx, dy) {
+        for (const emitter of budget.emitters) {
+            emitter.x += dx;
+            emitter.y += dy;
+        }
+    }
+};
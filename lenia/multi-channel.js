@@ -5,6 +5,19 @@
  * Each channel can have its own kernel and growth parameters, and channels
  * can influence each other through an interaction matrix.
  *
+ * Alternatively, an ecosystem can be defined by a list of kernel rules
+ * ("Expanded Universe" Lenia): each rule convolves a source channel with its
+ * own shell kernel, applies its own growth function and adds h·G to a target
+ * channel. When `kernels` is non-empty it replaces the per-channel kernels and
+ * the interaction matrix.
+ *
+ * In flow mode (Flow-Lenia, see flow-lenia.js) each channel's growth rate
+ * becomes its affinity instead: the channel's mass flows up its own affinity
+ * gradient and is reintegrated bilinearly, so every channel keeps its total
+ * mass separately. Where the channels pile up, flow turns into spreading the
+ * combined mass out (the paper's crowding term), so channels can't collapse
+ * into each other.
+ *
  * This enables emergent behaviors like:
  * - Predator-prey dynamics
  * - Symbiotic relationships
@@ -13,8 +26,14 @@
  */
 
 class MultiChannelLenia {
-    constructor(size, numChannels = 3) {
-        this.size = size;
+    /**
+     * @param {number} width - Grid width in cells
+     * @param {number} numChannels - Number of species channels
+     * @param {number} height - Grid height in cells (defaults to width)
+     */
+    constructor(width, numChannels = 3, height = width) {
+        this.width = width;
+        this.height = height;
         this.numChannels = numChannels;
 
         // Per-channel grids
@@ -23,9 +42,9 @@ class MultiChannelLenia {
         this.potentials = [];
 
         for (let i = 0; i < numChannels; i++) {
-            this.channels.push(new Float32Array(size * size));
-            this.nextChannels.push(new Float32Array(size * size));
-            this.potentials.push(new Float32Array(size * size));
+            this.channels.push(new Float32Array(width * height));
+            this.nextChannels.push(new Float32Array(width * height));
+            this.potentials.push(new Float32Array(width * height));
         }
 
         // Per-channel parameters
@@ -36,6 +55,8 @@ class MultiChannelLenia {
                 peaks: 1,
                 mu: 0.15,
                 sigma: 0.015,
+                growthType: 'gaussian',
+                growthPoints: Growth.DEFAULT_POINTS.map(point => [...point]),
                 kernelType: 'ring',
                 kernelParams: {
                     arms: 3,
@@ -46,7 +67,10 @@ class MultiChannelLenia {
                     eccentricity: 0.6,
                     bias: 0.3
                 },
-                kernel: null
+                kernel: null,
+                kernelSpectrum: null,  // Cached FFT of the kernel (set in updateChannelKernel)
+                muMap: null,           // Per-cell mu and sigma (see param-maps.js)
+                sigmaMap: null
             });
         }
 
@@ -62,10 +86,41 @@ class MultiChannelLenia {
             this.interactions.push(row);
         }
 
+        // Expanded Universe kernel rules (see setKernels); empty = use the interaction matrix
+        this.kernels = [];
+        this.kernelPotential = new Float32Array(width * height);  // Scratch potential for one rule
+
         // Global parameters
-        this.dt = 0.1;
+        this.dt = 0.1;          // Time step (the largest step when adaptiveDt is on)
         this.activeChannel = 0; // Currently selected for editing
 
+        // Time integration, shared by all channels (see integrators.js)
+        this.integrator = 'euler';   // 'euler', 'rk2', 'rk4' or 'asymptotic'
+        this.adaptiveDt = false;     // Size each step from an error estimate
+        this.tolerance = 0.01;       // Adaptive: largest per-cell error per step
+        this.minDt = 0.001;          // Adaptive: smallest step
+        this.stepDt = this.dt;       // Size of the last step taken
+        this.stepError = 0;          // Adaptive: error estimate of the last step
+        this.time = 0;               // Simulated time since the last clear
+        this.integratorWork = Integrators.ensureWork(null, numChannels, width * height);  // Scratch buffers
+
+        // Stochastic updates, shared by all channels (see noise.js)
+        this.noise = Noise.create();
+        this.noiseRandom = Random.main;   // Source of noise draws
+        this.potentialNoise = null;       // This step's potential noise, one field per channel
+
+        // Per-cell dt (see param-maps.js); mu and sigma maps live on channelParams
+        this.dtMap = null;
+        this.dtScale = null;
+
+        // Flow-Lenia mode: mass moves between cells instead of growing, and
+        // the integrator settings don't apply
+        this.flow = false;
+        this.flowStrength = 1.0;   // How strongly mass follows its affinity gradient (0.5 - 2.0)
+        this.diffusion = 0.1;      // Mass-conserving spread per step (0.0 - 0.3)
+        this.crowding = 2.0;       // Combined mass at which flow is all spreading out (θ_A)
+        this.flowWork = null;      // Scratch buffers (see ensureFlowWork)
+
         // Channel colors (RGB channels by default)
         this.channelColors = [
             [255, 80, 80],   // Red
@@ -74,12 +129,19 @@ class MultiChannelLenia {
             [255, 200, 80]   // Yellow (if 4 channels)
         ];
 
+        // Edge behavior: 'periodic', 'absorbing', 'reflective' or 'walls' (see boundary.js)
+        this.boundary = 'periodic';
+
+        // FFT convolution shared by all channels (each caches its own kernel spectrum)
+        this.fftConvolver = FFT.createConvolver(width, height, Boundary.padding(this.boundary));
+
         // Initialize kernels
         this.updateAllKernels();
     }
 
     /**
      * Generate kernel for a specific channel
+     * Also caches the kernel's FFT spectrum, reused by every step
      */
     updateChannelKernel(channelIdx) {
         const p = this.channelParams[channelIdx];
@@ -113,58 +175,164 @@ class MultiChannelLenia {
             default:
                 p.kernel = Kernels.ring(p.R, p.peaks);
         }
+
+        this.fftConvolver.setPadding(Boundary.padding(this.boundary));
+        p.kernelSpectrum = this.fftConvolver.kernelSpectrum(p.kernel);
     }
 
     /**
-     * Update all channel kernels
+     * Update all channel kernels (and kernel rules)
      */
     updateAllKernels() {
         for (let i = 0; i < this.numChannels; i++) {
             this.updateChannelKernel(i);
         }
+        for (let k = 0; k < this.kernels.length; k++) {
+            this.updateKernelRule(k);
+        }
     }
 
     /**
-     * Growth function for a channel
+     * Set the Expanded Universe kernel rules
+     * Each rule is { R, betas, mu, sigma, h, source, target } plus an optional
+     * growthType/growthPoints (see growth.js). An empty list goes back to the
+     * per-channel kernels and interaction matrix.
+     * @param {Object[]} rules - Kernel rules; missing fields get defaults
      */
-    growth(u, channelIdx) {
-        const p = this.channelParams[channelIdx];
-        const d = (u - p.mu) / p.sigma;
-        return 2 * Math.exp(-d * d / 2) - 1;
+    setKernels(rules) {
+        this.kernels = rules.map(rule => {
+            const source = rule.source ?? 0;
+            const target = rule.target ?? source;
+            for (const c of [source, target]) {
+                if (!Number.isInteger(c) || c < 0 || c >= this.numChannels) {
+                    throw new Error(`Kernel rule channel ${c} is out of range (${this.numChannels} channels)`);
+                }
+            }
+            return {
+                R: rule.R ?? 13,
+                betas: [...(rule.betas || [1])],
+                mu: rule.mu ?? 0.15,
+                sigma: rule.sigma ?? 0.015,
+                h: rule.h ?? 1,
+                source,
+                target,
+                growthType: Growth.validate(rule.growthType || 'gaussian'),
+                growthPoints: Growth.validatePoints(rule.growthPoints || Growth.DEFAULT_POINTS),
+                kernel: null,
+                kernelSpectrum: null
+            };
+        });
+
+        for (let k = 0; k < this.kernels.length; k++) {
+            this.updateKernelRule(k);
+        }
     }
 
     /**
-     * Convolve a single channel with its kernel
+     * Generate the shell kernel of a kernel rule and cache its FFT spectrum
      */
-    convolveChannel(channelIdx) {
-        const { size } = this;
-        const grid = this.channels[channelIdx];
-        const potential = this.potentials[channelIdx];
-        const kernel = this.channelParams[channelIdx].kernel;
-        const kSize = kernel.size;
-        const kRadius = kernel.radius;
+    updateKernelRule(ruleIdx) {
+        const rule = this.kernels[ruleIdx];
+        rule.kernel = Kernels.quad4(rule.R, rule.betas);
+        this.fftConvolver.setPadding(Boundary.padding(this.boundary));
+        rule.kernelSpectrum = this.fftConvolver.kernelSpectrum(rule.kernel);
+    }
 
-        potential.fill(0);
+    /**
+     * Set the boundary mode (see boundary.js) for every channel
+     */
+    setBoundary(mode) {
+        this.boundary = Boundary.validate(mode);
+        this.updateAllKernels();
+    }
 
-        for (let y = 0; y < size; y++) {
-            for (let x = 0; x < size; x++) {
-                let sum = 0;
+    /**
+     * Set the time integration method (see integrators.js)
+     */
+    setIntegrator(method) {
+        this.integrator = Integrators.validate(method);
+    }
 
-                for (let ky = 0; ky < kSize; ky++) {
-                    for (let kx = 0; kx < kSize; kx++) {
-                        const kernelVal = kernel.data[ky * kSize + kx];
-                        if (kernelVal === 0) continue;
+    /**
+     * Set the noise amplitudes: { state, potential, dropout } (see noise.js)
+     */
+    setNoise(settings) {
+        this.noise = Noise.create(settings);
+    }
 
-                        const gx = (x + kx - kRadius + size) % size;
-                        const gy = (y + ky - kRadius + size) % size;
+    /**
+     * Add this step's potential noise for a channel to a potential field
+     */
+    addPotentialNoise(potential, channelIdx) {
+        if (this.noise.potential <= 0) return;
+        const noise = this.potentialNoise[channelIdx];
+        for (let i = 0; i < potential.length; i++) {
+            potential[i] += noise[i];
+        }
+    }
 
-                        sum += grid[gy * size + gx] * kernelVal;
-                    }
-                }
+    /**
+     * Owner and property of a parameter map: channel `channelIdx` for mu and
+     * sigma, the simulation for dt
+     */
+    paramMapOwner(name, channelIdx) {
+        const key = ParamMaps.key(name);
+        return [name === 'dt' ? this : this.channelParams[channelIdx], key];
+    }
 
-                potential[y * size + x] = sum;
-            }
+    /**
+     * A parameter map ('mu', 'sigma' or 'dt'), created from the global value if missing
+     */
+    paramMap(name, channelIdx = this.activeChannel) {
+        const [owner, key] = this.paramMapOwner(name, channelIdx);
+        if (!owner[key]) {
+            owner[key] = ParamMaps.create(this.width * this.height, owner[name]);
         }
+        return owner[key];
+    }
+
+    /**
+     * Drop a parameter map, so the global value applies everywhere again
+     */
+    clearParamMap(name, channelIdx = this.activeChannel) {
+        const [owner, key] = this.paramMapOwner(name, channelIdx);
+        owner[key] = null;
+    }
+
+    /**
+     * Paint a soft disc of a parameter map toward `value`
+     */
+    paintParamMap(name, x, y, radius, value, channelIdx = this.activeChannel) {
+        ParamMaps.paint(this.paramMap(name, channelIdx), this.width, this.height, x, y, radius, value, this.boundary);
+    }
+
+    /**
+     * Growth function for a channel, in the channel's growth family (see growth.js)
+     */
+    growth(u, channelIdx) {
+        const p = this.channelParams[channelIdx];
+        return Growth.evaluate(p.growthType, u, p.mu, p.sigma, p.growthPoints);
+    }
+
+    /**
+     * Set a channel's growth function family, and its curve for 'piecewise'
+     */
+    setChannelGrowth(channelIdx, type, points = this.channelParams[channelIdx].growthPoints) {
+        const p = this.channelParams[channelIdx];
+        p.growthType = Growth.validate(type);
+        p.growthPoints = Growth.validatePoints(points);
+    }
+
+    /**
+     * Convolve a single channel with its kernel
+     * Uses the channel's cached kernel spectrum: O(N² log N) per channel
+     */
+    convolveChannel(channelIdx) {
+        const grid = this.channels[channelIdx];
+        const potential = this.potentials[channelIdx];
+        const spectrum = this.channelParams[channelIdx].kernelSpectrum;
+
+        this.fftConvolver.convolve(grid, potential, spectrum);
     }
 
     /**
@@ -180,26 +348,115 @@ class MultiChannelLenia {
     }
 
     /**
-     * Perform one simulation step for all channels
+     * Growth rates of every channel, for the integrators
+     * Convolves `fields` (the channels, or an intermediate stage of them)
      */
-    step() {
-        const { size, dt } = this;
-        const totalCells = size * size;
+    growthRates(fields, out) {
+        const totalCells = this.width * this.height;
+
+        if (this.kernels.length > 0) {
+            this.kernelRuleRates(fields, out);
+            return;
+        }
 
         // First, compute all channel potentials
         for (let c = 0; c < this.numChannels; c++) {
-            this.convolveChannel(c);
+            this.fftConvolver.convolve(fields[c], this.potentials[c], this.channelParams[c].kernelSpectrum);
+            this.addPotentialNoise(this.potentials[c], c);
         }
 
-        // Then update all channels based on combined potentials
+        // Then growth from the combined potentials
         for (let c = 0; c < this.numChannels; c++) {
-            const grid = this.channels[c];
-            const nextGrid = this.nextChannels[c];
+            const rates = out[c];
+            const p = this.channelParams[c];
+
+            if (p.muMap || p.sigmaMap) {
+                for (let i = 0; i < totalCells; i++) {
+                    const mu = p.muMap ? p.muMap[i] : p.mu;
+                    const sigma = p.sigmaMap ? p.sigmaMap[i] : p.sigma;
+                    rates[i] = Growth.evaluate(p.growthType, this.getCombinedPotential(c, i), mu, sigma, p.growthPoints);
+                }
+                continue;
+            }
 
             for (let i = 0; i < totalCells; i++) {
                 const combinedU = this.getCombinedPotential(c, i);
-                const g = this.growth(combinedU, c);
-                nextGrid[i] = Math.max(0, Math.min(1, grid[i] + dt * g));
+                rates[i] = this.growth(combinedU, c);
+            }
+        }
+    }
+
+    /**
+     * Expanded Universe growth rates
+     * Each channel's rate is the sum of h·G(K * A_source) over the rules targeting it
+     */
+    kernelRuleRates(fields, out) {
+        const potential = this.kernelPotential;
+
+        for (const rates of out) {
+            rates.fill(0);
+        }
+
+        for (const rule of this.kernels) {
+            const { mu, sigma, h, growthType, growthPoints } = rule;
+            const rates = out[rule.target];
+
+            this.fftConvolver.convolve(fields[rule.source], potential, rule.kernelSpectrum);
+            this.addPotentialNoise(potential, rule.source);
+            for (let i = 0; i < rates.length; i++) {
+                rates[i] += h * Growth.evaluate(growthType, potential[i], mu, sigma, growthPoints);
+            }
+        }
+    }
+
+    /**
+     * Perform one simulation step for all channels
+     */
+    step() {
+        const { noise, noiseRandom } = this;
+        const cells = this.width * this.height;
+        const rates = (fields, out) => this.growthRates(fields, out);
+
+        this.integratorWork = Integrators.ensureWork(this.integratorWork, this.numChannels, cells);
+
+        if (noise.potential > 0) {
+            const fields = this.potentialNoise || [];
+            this.potentialNoise = this.channels.map((_, c) =>
+                Noise.fill(Noise.ensureField(fields[c], cells), noise.potential, noiseRandom));
+        }
+
+        // Cells of a dt map advance by their own step
+        let scale = null;
+        if (this.dtMap) {
+            this.dtScale = Noise.ensureField(this.dtScale, cells);
+            scale = ParamMaps.stepScale(this.dtMap, this.dt, this.dtScale);
+        }
+
+        if (this.flow) {
+            this.flowStep(scale);
+            return;
+        }
+
+        if (this.adaptiveDt) {
+            const result = Integrators.adaptiveStep(
+                this.integrator, this.channels, this.nextChannels, this.stepDt, rates, this.integratorWork,
+                { tolerance: this.tolerance, minDt: this.minDt, maxDt: this.dt }, scale
+            );
+            this.time += result.dt;
+            this.stepError = result.error;
+            this.stepDt = result.next;
+        } else {
+            Integrators.step(this.integrator, this.channels, this.nextChannels, this.dt, rates, this.integratorWork, scale);
+            this.time += this.dt;
+            this.stepDt = this.dt;
+        }
+
+        if (noise.dropout > 0) {
+            Noise.dropout(this.channels, this.nextChannels, noise.dropout, noiseRandom);
+        }
+        if (noise.state > 0) {
+            for (const next of this.nextChannels) {
+                Noise.perturb(next, noise.state * Math.sqrt(this.stepDt), noiseRandom, 0, 1);
             }
         }
 
@@ -209,6 +466,217 @@ class MultiChannelLenia {
         }
     }
 
+    /**
+     * Scratch buffers for flow steps, reallocated when the channel count or
+     * grid size changes
+     */
+    ensureFlowWork() {
+        const cells = this.width * this.height;
+        const work = this.flowWork;
+        if (work && work.affinities.length === this.numChannels && work.massSum.length === cells) {
+            return work;
+        }
+
+        this.flowWork = {
+            affinities: this.channels.map(() => new Float32Array(cells)),  // Growth rates, used as affinity
+            massSum: new Float32Array(cells),   // Combined mass of all channels
+            sumGx: new Float32Array(cells),     // Gradient of the combined mass
+            sumGy: new Float32Array(cells),
+            Fx: new Float32Array(cells),        // Flow of the channel being moved
+            Fy: new Float32Array(cells),
+            held: new Uint8Array(cells)         // Dropped-out cells, held still this step
+        };
+        return this.flowWork;
+    }
+
+    /**
+     * Flow-Lenia step: move every channel's mass along its own flow field
+     * F_c = (1 - α)∇affinity_c - α∇A_Σ, with α = clip((A_Σ / θ)², 0, 1)
+     * Affinities are the usual growth rates, so the interaction matrix and
+     * kernel rules both work; noise and dt maps keep each channel's mass
+     * @param {Float32Array|null} scale - Per-cell dt factor from the dt map
+     */
+    flowStep(scale) {
+        const { width, height, numChannels, noise, noiseRandom } = this;
+        const cells = width * height;
+        const work = this.ensureFlowWork();
+        const { affinities, massSum, sumGx, sumGy, Fx, Fy, held } = work;
+
+        this.growthRates(this.channels, affinities);
+
+        massSum.fill(0);
+        for (const channel of this.channels) {
+            for (let i = 0; i < cells; i++) {
+                massSum[i] += channel[i];
+            }
+        }
+        this.gradient(massSum, sumGx, sumGy);
+
+        // Asynchronous update: a dropped-out cell keeps all its channels in place
+        held.fill(0);
+        if (noise.dropout > 0) {
+            for (let i = 0; i < cells; i++) {
+                if (noiseRandom.random() < noise.dropout) held[i] = 1;
+            }
+        }
+
+        for (let c = 0; c < numChannels; c++) {
+            this.gradient(affinities[c], Fx, Fy);
+
+            for (let i = 0; i < cells; i++) {
+                if (held[i]) {
+                    Fx[i] = 0;
+                    Fy[i] = 0;
+                    continue;
+                }
+                const alpha = Math.min(1, (massSum[i] / this.crowding) ** 2);
+                const step = this.flowStrength * this.dt * (scale ? scale[i] : 1);
+                Fx[i] = ((1 - alpha) * Fx[i] - alpha * sumGx[i]) * step;
+                Fy[i] = ((1 - alpha) * Fy[i] - alpha * sumGy[i]) * step;
+            }
+
+            this.transportChannel(this.channels[c], this.nextChannels[c], Fx, Fy);
+            this.diffuseChannel(this.nextChannels[c], this.channels[c]);
+
+            if (noise.state > 0) {
+                this.perturbChannel(this.channels[c]);
+            }
+        }
+
+        this.time += this.dt;
+        this.stepDt = this.dt;
+    }
+
+    /**
+     * Sobel gradient of a field, read through the boundary
+     */
+    gradient(field, outX, outY) {
+        const { width, height } = this;
+        const edge = Boundary.readMode(this.boundary);
+
+        for (let y = 0; y < height; y++) {
+            const ym = Boundary.cell(y - 1, height, edge) * width;
+            const yc = y * width;
+            const yp = Boundary.cell(y + 1, height, edge) * width;
+
+            for (let x = 0; x < width; x++) {
+                const xm = Boundary.cell(x - 1, width, edge);
+                const xp = Boundary.cell(x + 1, width, edge);
+
+                outX[yc + x] = (field[ym + xp] - field[ym + xm] + 2 * (field[yc + xp] - field[yc + xm]) +
+                    field[yp + xp] - field[yp + xm]) / 8;
+                outY[yc + x] = (field[yp + xm] - field[ym + xm] + 2 * (field[yp + x] - field[ym + x]) +
+                    field[yp + xp] - field[ym + xp]) / 8;
+            }
+        }
+    }
+
+    /**
+     * Reintegration tracking: move each cell's mass by its displacement
+     * (dx, dy) and share it bilinearly between the 4 cells around the
+     * destination. Mass only leaves the world across an absorbing edge
+     */
+    transportChannel(source, target, dx, dy) {
+        const { width, height, boundary } = this;
+
+        target.fill(0);
+
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const idx = y * width + x;
+                const mass = source[idx];
+                if (mass < 0.0001) {
+                    // Too little to be worth moving
+                    target[idx] += mass;
+                    continue;
+                }
+
+                const destX = x + dx[idx];
+                const destY = y + dy[idx];
+                const x0 = Math.floor(destX);
+                const y0 = Math.floor(destY);
+                const fx = destX - x0;
+                const fy = destY - y0;
+
+                const x0w = Boundary.cell(x0, width, boundary);
+                const x1w = Boundary.cell(x0 + 1, width, boundary);
+                const y0w = Boundary.cell(y0, height, boundary);
+                const y1w = Boundary.cell(y0 + 1, height, boundary);
+
+                if (y0w >= 0) {
+                    if (x0w >= 0) target[y0w * width + x0w] += mass * (1 - fx) * (1 - fy);
+                    if (x1w >= 0) target[y0w * width + x1w] += mass * fx * (1 - fy);
+                }
+                if (y1w >= 0) {
+                    if (x0w >= 0) target[y1w * width + x0w] += mass * (1 - fx) * fy;
+                    if (x1w >= 0) target[y1w * width + x1w] += mass * fx * fy;
+                }
+            }
+        }
+    }
+
+    /**
+     * Mass-conserving diffusion: each cell shares diffusion·10% of its mass
+     * with each of its 4 neighbors (see FlowLenia.applyDiffusion)
+     */
+    diffuseChannel(source, target) {
+        const { width, height, boundary } = this;
+        const shareRate = this.diffusion * 0.1;
+
+        target.set(source);
+        if (shareRate <= 0) return;
+
+        for (let y = 0; y < height; y++) {
+            const ym = Boundary.cell(y - 1, height, boundary);
+            const yp = Boundary.cell(y + 1, height, boundary);
+
+            for (let x = 0; x < width; x++) {
+                const idx = y * width + x;
+                const mass = source[idx];
+                if (mass < 0.0001) continue;
+
+                const share = mass * shareRate;
+                const xm = Boundary.cell(x - 1, width, boundary);
+                const xp = Boundary.cell(x + 1, width, boundary);
+
+                // Shares sent across an absorbing edge are lost
+                target[idx] -= share * 4;
+                if (xm >= 0) target[y * width + xm] += share;
+                if (xp >= 0) target[y * width + xp] += share;
+                if (ym >= 0) target[ym * width + x] += share;
+                if (yp >= 0) target[yp * width + x] += share;
+            }
+        }
+
+        for (let i = 0; i < target.length; i++) {
+            target[i] = Math.max(0, target[i]);
+        }
+    }
+
+    /**
+     * State noise that keeps the channel's mass (see FlowLenia.applyStateNoise)
+     */
+    perturbChannel(channel) {
+        const amplitude = this.noise.state * Math.sqrt(this.dt);
+        const { noiseRandom } = this;
+
+        let before = 0;
+        let after = 0;
+        for (let i = 0; i < channel.length; i++) {
+            if (channel[i] === 0) continue;
+            before += channel[i];
+            channel[i] = Math.max(0, channel[i] * (1 + amplitude * Noise.gaussian(noiseRandom)));
+            after += channel[i];
+        }
+
+        if (after > 0) {
+            const scale = before / after;
+            for (let i = 0; i < channel.length; i++) {
+                channel[i] *= scale;
+            }
+        }
+    }
+
     /**
      * Get total mass across all channels
      */
@@ -240,6 +708,7 @@ class MultiChannelLenia {
         for (let c = 0; c < this.numChannels; c++) {
             this.channels[c].fill(0);
         }
+        this.time = 0;
     }
 
     /**
@@ -254,25 +723,25 @@ class MultiChannelLenia {
      */
     randomizeChannel(channelIdx, density = 0.2) {
         const grid = this.channels[channelIdx];
-        const size = this.size;
-        const numClumps = Math.floor(size * size * density * 0.001);
+        const { width, height } = this;
+        const numClumps = Math.floor(width * height * density * 0.001);
 
         grid.fill(0);
 
         for (let c = 0; c < numClumps; c++) {
-            const cx = Math.random() * size;
-            const cy = Math.random() * size;
-            const radius = 5 + Math.random() * 15;
+            const cx = Random.random() * width;
+            const cy = Random.random() * height;
+            const radius = 5 + Random.random() * 15;
 
-            for (let y = 0; y < size; y++) {
-                for (let x = 0; x < size; x++) {
+            for (let y = 0; y < height; y++) {
+                for (let x = 0; x < width; x++) {
                     const dx = x - cx;
                     const dy = y - cy;
                     const dist = Math.sqrt(dx * dx + dy * dy);
 
                     if (dist < radius) {
-                        const value = (1 - dist / radius) * (0.5 + Math.random() * 0.5);
-                        const idx = y * size + x;
+                        const value = (1 - dist / radius) * (0.5 + Random.random() * 0.5);
+                        const idx = y * width + x;
                         grid[idx] = Math.min(1, grid[idx] + value * 0.5);
                     }
                 }
@@ -295,16 +764,18 @@ class MultiChannelLenia {
      */
     drawBlob(channelIdx, x, y, radius, value = 1.0, fullStrength = false) {
         const grid = this.channels[channelIdx];
-        const size = this.size;
+        const { width, height } = this;
         const multiplier = fullStrength ? 1.0 : 0.3;
+        const edge = Boundary.drawMode(this.boundary);
 
         for (let dy = -radius; dy <= radius; dy++) {
             for (let dx = -radius; dx <= radius; dx++) {
                 const dist = Math.sqrt(dx * dx + dy * dy) / radius;
                 if (dist <= 1) {
-                    const gx = (Math.floor(x) + dx + size) % size;
-                    const gy = (Math.floor(y) + dy + size) % size;
-                    const idx = gy * size + gx;
+                    const gx = Boundary.cell(Math.floor(x) + dx, width, edge);
+                    const gy = Boundary.cell(Math.floor(y) + dy, height, edge);
+                    if (gx < 0 || gy < 0) continue;
+                    const idx = gy * width + gx;
                     const brushVal = value * (1 - dist * dist);
 
                     if (value > 0) {
@@ -354,17 +825,20 @@ class MultiChannelLenia {
         this.potentials = [];
         this.channelParams = [];
         this.interactions = [];
+        this.kernels = [];
 
         for (let i = 0; i < this.numChannels; i++) {
-            this.channels.push(new Float32Array(this.size * this.size));
-            this.nextChannels.push(new Float32Array(this.size * this.size));
-            this.potentials.push(new Float32Array(this.size * this.size));
+            this.channels.push(new Float32Array(this.width * this.height));
+            this.nextChannels.push(new Float32Array(this.width * this.height));
+            this.potentials.push(new Float32Array(this.width * this.height));
             // Initialize channelParams with default structure
             this.channelParams.push({
                 R: 13,
                 peaks: 1,
                 mu: 0.15,
                 sigma: 0.015,
+                growthType: 'gaussian',
+                growthPoints: Growth.DEFAULT_POINTS.map(point => [...point]),
                 kernelType: 'ring',
                 kernelParams: {
                     arms: 3,
@@ -375,17 +849,28 @@ class MultiChannelLenia {
                     eccentricity: 0.6,
                     bias: 0.3
                 },
-                kernel: null
+                kernel: null,
+                kernelSpectrum: null,  // Cached FFT of the kernel (set in updateChannelKernel)
+                muMap: null,           // Per-cell mu and sigma (see param-maps.js)
+                sigmaMap: null
             });
         }
 
-        // Load channel params from preset
+        // Load channel params from preset (kernel-rule presets may leave them out)
         for (let i = 0; i < this.numChannels; i++) {
+            if (!preset.channelParams) break;
             Object.assign(this.channelParams[i], JSON.parse(JSON.stringify(preset.channelParams[i])));
+            this.setChannelGrowth(i, this.channelParams[i].growthType, this.channelParams[i].growthPoints);
         }
 
-        // Load interactions
-        this.interactions = JSON.parse(JSON.stringify(preset.interactions));
+        // Load interactions (identity if the preset has none)
+        if (preset.interactions) {
+            this.interactions = JSON.parse(JSON.stringify(preset.interactions));
+        } else {
+            for (let i = 0; i < this.numChannels; i++) {
+                this.interactions.push(this.channelParams.map((p, j) => (i === j ? 1.0 : 0.0)));
+            }
+        }
 
         // Load colors
         if (preset.colors) {
@@ -397,8 +882,17 @@ class MultiChannelLenia {
             this.dt = preset.dt;
         }
 
-        // Update kernels
+        // Flow-Lenia presets move mass instead of growing it
+        this.flow = !!preset.flow;
+        for (const key of ['flowStrength', 'diffusion', 'crowding']) {
+            if (preset[key] !== undefined) this[key] = preset[key];
+        }
+        this.stepDt = this.dt;
+        this.time = 0;
+
+        // Update kernels, then build the kernel rules (Expanded Universe presets)
         this.updateAllKernels();
+        this.setKernels(preset.kernels || []);
 
         // Initialize with preset pattern if available
         this.clear();
@@ -455,14 +949,14 @@ const Ecosystems = {
         initPattern(mc) {
             // Place predators in one area
             for (let i = 0; i < 3; i++) {
-                const x = mc.size * 0.3 + Math.random() * mc.size * 0.2;
-                const y = mc.size * 0.3 + Math.random() * mc.size * 0.4;
+                const x = mc.width * 0.3 + Random.random() * mc.width * 0.2;
+                const y = mc.height * 0.3 + Random.random() * mc.height * 0.4;
                 mc.drawBlob(0, x, y, 12, 1, true);
             }
             // Place prey scattered around
             for (let i = 0; i < 8; i++) {
-                const x = Math.random() * mc.size;
-                const y = Math.random() * mc.size;
+                const x = Random.random() * mc.width;
+                const y = Random.random() * mc.height;
                 mc.drawBlob(1, x, y, 10, 1, true);
             }
         }
@@ -503,8 +997,8 @@ const Ecosystems = {
             [0.6, 0.5]    // Purple: needs green (0.6) + self (0.5)
         ],
         initPattern(mc) {
-            const cx = mc.size / 2;
-            const cy = mc.size / 2;
+            const cx = mc.width / 2;
+            const cy = mc.height / 2;
             // Place both together at center
             mc.drawBlob(0, cx - 10, cy, 15, 1, true);
             mc.drawBlob(1, cx + 10, cy, 15, 1, true);
@@ -549,12 +1043,12 @@ const Ecosystems = {
         ],
         initPattern(mc) {
             // Emitter at center
-            mc.drawBlob(0, mc.size / 2, mc.size / 2, 15, 1, true);
+            mc.drawBlob(0, mc.width / 2, mc.height / 2, 15, 1, true);
             // Followers scattered
             for (let i = 0; i < 5; i++) {
-                const angle = Math.random() * Math.PI * 2;
-                const dist = 40 + Math.random() * 50;
-                mc.drawBlob(1, mc.size / 2 + Math.cos(angle) * dist, mc.size / 2 + Math.sin(angle) * dist, 10, 1, true);
+                const angle = Random.random() * Math.PI * 2;
+                const dist = 40 + Random.random() * 50;
+                mc.drawBlob(1, mc.width / 2 + Math.cos(angle) * dist, mc.height / 2 + Math.sin(angle) * dist, 10, 1, true);
             }
         }
     },
@@ -595,8 +1089,8 @@ const Ecosystems = {
         ],
         initPattern(mc) {
             // Start on opposite sides
-            mc.drawBlob(0, mc.size * 0.25, mc.size / 2, 20, 1, true);
-            mc.drawBlob(1, mc.size * 0.75, mc.size / 2, 20, 1, true);
+            mc.drawBlob(0, mc.width * 0.25, mc.height / 2, 20, 1, true);
+            mc.drawBlob(1, mc.width * 0.75, mc.height / 2, 20, 1, true);
         }
     },
 
@@ -650,15 +1144,79 @@ const Ecosystems = {
         initPattern(mc) {
             // Scatter plants
             for (let i = 0; i < 15; i++) {
-                mc.drawBlob(0, Math.random() * mc.size, Math.random() * mc.size, 8, 1, true);
+                mc.drawBlob(0, Random.random() * mc.width, Random.random() * mc.height, 8, 1, true);
             }
             // Some herbivores
             for (let i = 0; i < 5; i++) {
-                mc.drawBlob(1, Math.random() * mc.size, Math.random() * mc.size, 10, 1, true);
+                mc.drawBlob(1, Random.random() * mc.width, Random.random() * mc.height, 10, 1, true);
             }
             // Few predators
             for (let i = 0; i < 2; i++) {
-                mc.drawBlob(2, Math.random() * mc.size, Math.random() * mc.size, 12, 1, true);
+                mc.drawBlob(2, Random.random() * mc.width, Random.random() * mc.height, 12, 1, true);
+            }
+        }
+    },
+
+    /**
+     * Orbium Pair - Defined by kernel rules instead of an interaction matrix
+     * Each channel runs the Orbium rule (h = 0.9). A long-range cross kernel
+     * with μ = 0 (h = 0.1) adds growth where the other species is absent.
+     */
+    orbiumPair: {
+        name: "Orbium Pair (Kernel Rules)",
+        description: "Two Orbium colonies whose cross-channel kernels push them apart.",
+        numChannels: 2,
+        dt: 0.1,
+        colors: [
+            [255, 120, 80],  // Orange
+            [80, 200, 255]   // Sky blue
+        ],
+        kernels: [
+            { R: 13, betas: [1], mu: 0.15, sigma: 0.017, h: 0.9, source: 0, target: 0 },
+            { R: 13, betas: [1], mu: 0.15, sigma: 0.017, h: 0.9, source: 1, target: 1 },
+            { R: 20, betas: [1], mu: 0, sigma: 0.03, h: 0.1, source: 1, target: 0 },
+            { R: 20, betas: [1], mu: 0, sigma: 0.03, h: 0.1, source: 0, target: 1 }
+        ],
+        initPattern(mc) {
+            const pattern = Species.orbium.pattern;
+            Species.placePattern(mc.channels[0], mc.width, mc.height, pattern,
+                Math.floor(mc.width * 0.3), Math.floor(mc.height / 2));
+            Species.placePattern(mc.channels[1], mc.width, mc.height, pattern,
+                Math.floor(mc.width * 0.7), Math.floor(mc.height / 2));
+        }
+    },
+
+    /**
+     * Flow Predator & Prey - Multi-channel Flow-Lenia (see flowStep)
+     * Mass moves instead of growing, so neither species can take over by
+     * growing: predators drift up the prey's density, prey drift away from
+     * predators, and both keep their total mass
+     */
+    flowPredatorPrey: {
+        name: "Flow Predator & Prey",
+        description: "Mass-conserving: red predators flow toward blue prey, which flow away.",
+        numChannels: 2,
+        dt: 0.2,
+        flow: true,
+        flowStrength: 1.0,
+        diffusion: 0.1,
+        crowding: 2.0,
+        colors: [
+            [255, 80, 80],   // Red - predator
+            [80, 150, 255]   // Blue - prey
+        ],
+        kernels: [
+            { R: 13, betas: [1], mu: 0.15, sigma: 0.017, h: 0.7, source: 0, target: 0 },
+            { R: 11, betas: [1], mu: 0.15, sigma: 0.017, h: 0.7, source: 1, target: 1 },
+            { R: 40, betas: [1], mu: 0.05, sigma: 0.04, h: 2.0, source: 1, target: 0 },
+            { R: 30, betas: [1], mu: 0, sigma: 0.05, h: 2.0, source: 0, target: 1 }
+        ],
+        initPattern(mc) {
+            for (let i = 0; i < 2; i++) {
+                mc.drawBlob(0, mc.width * (0.25 + Random.random() * 0.1), mc.height * (0.3 + i * 0.4), 12, 1, true);
+            }
+            for (let i = 0; i < 5; i++) {
+                mc.drawBlob(1, mc.width * (0.5 + Random.random() * 0.3), Random.random() * mc.height, 10, 1, true);
             }
         }
     }
@@ -0,0 +1,102 @@
+/**
+ * Noise - stochastic Lenia updates
+ *
+ * Every grid simulation has a `noise` object with three amplitudes, all 0 by
+ * default (the deterministic rule):
+ * - state     : Gaussian noise added to the state after each step, scaled
+ *               by √dt so the amplitude means the same at any time step
+ * - potential : Gaussian noise added to the potential U before growth.
+ *               One field is drawn per step and reused by every integrator
+ *               stage, so RK and adaptive steps see a consistent U
+ * - dropout   : probability that a cell skips a step and keeps its old
+ *               value (asynchronous updating)
+ *
+ * Draws come from the simulation's `noiseRandom` (Random.main unless the
+ * owner supplies another stream), so noisy runs stay reproducible from
+ * the seed.
+ */
+
+const Noise = {
+    KEYS: ['state', 'potential', 'dropout'],
+
+    /**
+     * Build a checked noise object from partial settings
+     * Unknown keys and negative amplitudes fail loudly
+     * @param {Object} settings - { state, potential, dropout }
+     */
+    create(settings = {}) {
+        const noise = { state: 0, potential: 0, dropout: 0 };
+
+        for (const [key, value] of Object.entries(settings)) {
+            if (!Noise.KEYS.includes(key)) {
+                throw new Error(`Unknown noise setting: ${key}`);
+            }
+            if (!Number.isFinite(value) || value < 0) {
+                throw new Error(`Invalid ${key} noise: ${value}`);
+            }
+            noise[key] = value;
+        }
+        if (noise.dropout >= 1) {
+            throw new Error(`Dropout must be below 1, not ${noise.dropout}`);
+        }
+        return noise;
+    },
+
+    /**
+     * True if any amplitude is non-zero
+     */
+    isActive(noise) {
+        return noise.state > 0 || noise.potential > 0 || noise.dropout > 0;
+    },
+
+    /**
+     * Standard normal sample (Box-Muller)
+     * @param {SeededRandom} rng - Anything with random()
+     */
+    gaussian(rng) {
+        const u = 1 - rng.random();  // (0, 1], so the log is finite
+        return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * rng.random());
+    },
+
+    /**
+     * A field of `length` cells, reusing `field` when it already fits
+     */
+    ensureField(field, length) {
+        return field && field.length === length ? field : new Float32Array(length);
+    },
+
+    /**
+     * Fill a field with amplitude · N(0, 1) per cell
+     */
+    fill(field, amplitude, rng) {
+        for (let i = 0; i < field.length; i++) {
+            field[i] = amplitude * Noise.gaussian(rng);
+        }
+        return field;
+    },
+
+    /**
+     * Add amplitude · N(0, 1) to every cell, clipped to [min, max]
+     */
+    perturb(field, amplitude, rng, min = -Infinity, max = Infinity) {
+        for (let i = 0; i < field.length; i++) {
+            field[i] = Math.max(min, Math.min(max, field[i] + amplitude * Noise.gaussian(rng)));
+        }
+    },
+
+    /**
+     * Asynchronous update: each cell skips the step with probability `rate`
+     * A skipped cell keeps its previous value in every field
+     * @param {Float32Array[]} previous - Fields before the step
+     * @param {Float32Array[]} next - Fields after the step (modified)
+     */
+    dropout(previous, next, rate, rng) {
+        const cells = next[0].length;
+        for (let i = 0; i < cells; i++) {
+            if (rng.random() >= rate) continue;
+            for (let f = 0; f < next.length; f++) {
+                next[f][i] = previous[f][i];
+            }
+        }
+    }
+};
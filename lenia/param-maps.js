@@ -0,0 +1,153 @@
+/**
+ * Parameter Maps - spatially varying mu, sigma and dt
+ *
+ * Standard Lenia and ecosystems normally use one mu, sigma and dt for the
+ * whole world. A parameter map is a Float32Array with one value per cell
+ * that replaces the global value:
+ * - Lenia             : muMap, sigmaMap, dtMap
+ * - MultiChannelLenia : muMap and sigmaMap on each channelParams entry,
+ *                       dtMap on the simulation (dt is shared by channels)
+ * A null map means the global value applies everywhere, at no cost.
+ *
+ * A dt map scales each cell's increments by dtMap / dt (the `scale` of
+ * Integrators.step), so every integrator, adaptive steps included,
+ * advances a cell by its own local time step.
+ *
+ * FlowLenia's P_mu / P_sigma are different: they travel with the mass.
+ * These maps stay where they are painted, like terrain.
+ */
+
+const ParamMaps = {
+    NAMES: ['mu', 'sigma', 'dt'],
+
+    // Value ranges for the brush and for mapping images
+    RANGES: {
+        mu: [0.05, 0.5],
+        sigma: [0.002, 0.1],
+        dt: [0.01, 0.5]
+    },
+
+    // Contour levels drawn by the overlay
+    OVERLAY_LEVELS: 8,
+
+    /**
+     * Check a map name, so a typo fails loudly instead of painting nothing
+     */
+    validate(name) {
+        if (!ParamMaps.NAMES.includes(name)) {
+            throw new Error(`Unknown parameter map: ${name}`);
+        }
+        return name;
+    },
+
+    /**
+     * Property holding a map: 'mu' -> 'muMap'
+     */
+    key(name) {
+        return `${ParamMaps.validate(name)}Map`;
+    },
+
+    /**
+     * A map of `length` cells, all set to `value`
+     */
+    create(length, value) {
+        return new Float32Array(length).fill(value);
+    },
+
+    /**
+     * Blend a soft disc of a map toward `value`, with weight 1 - d² at
+     * distance d·radius from (x, y). Edges follow the boundary mode
+     */
+    paint(map, width, height, x, y, radius, value, boundary = 'periodic') {
+        const r = Math.ceil(radius);
+        const cx = Math.floor(x);
+        const cy = Math.floor(y);
+
+        for (let dy = -r; dy <= r; dy++) {
+            const gy = Boundary.cell(cy + dy, height, boundary);
+            if (gy < 0) continue;
+            for (let dx = -r; dx <= r; dx++) {
+                const gx = Boundary.cell(cx + dx, width, boundary);
+                if (gx < 0) continue;
+
+                const dist = Math.sqrt(dx * dx + dy * dy) / radius;
+                if (dist > 1) continue;
+
+                const idx = gy * width + gx;
+                map[idx] += (value - map[idx]) * (1 - dist * dist);
+            }
+        }
+    },
+
+    /**
+     * Map an image's brightness onto a width × height grid: black -> low,
+     * white -> high. The image is stretched to fit
+     * @param {Object} image - ImageData-like { data, width, height } (RGBA bytes)
+     * @returns {Float32Array}
+     */
+    fromImage(image, width, height, low, high) {
+        const map = new Float32Array(width * height);
+        for (let y = 0; y < height; y++) {
+            const iy = Math.min(image.height - 1, Math.floor(y * image.height / height));
+            for (let x = 0; x < width; x++) {
+                const ix = Math.min(image.width - 1, Math.floor(x * image.width / width));
+                const p = (iy * image.width + ix) * 4;
+                const brightness = (0.299 * image.data[p] + 0.587 * image.data[p + 1] + 0.114 * image.data[p + 2]) / 255;
+                map[y * width + x] = low + (high - low) * brightness;
+            }
+        }
+        return map;
+    },
+
+    /**
+     * Per-cell step multiplier dtMap / dt, for Integrators.step
+     */
+    stepScale(dtMap, dt, out) {
+        for (let i = 0; i < dtMap.length; i++) {
+            out[i] = dtMap[i] / dt;
+        }
+        return out;
+    },
+
+    /**
+     * Each cell's deviation from `base`, as a fraction of the map's largest
+     * deviation, in [-1, 1]. A uniform map is 0 everywhere
+     */
+    deviation(map, base, out) {
+        let span = 0;
+        for (let i = 0; i < map.length; i++) {
+            span = Math.max(span, Math.abs(map[i] - base));
+        }
+        for (let i = 0; i < map.length; i++) {
+            out[i] = span > 0 ? (map[i] - base) / span : 0;
+        }
+        return out;
+    },
+
+    /**
+     * Mark cells where the map crosses one of `levels` equal steps of its
+     * range: 1 if a right or lower neighbor falls in another step
+     */
+    contours(map, width, height, levels, out) {
+        let min = Infinity, max = -Infinity;
+        for (let i = 0; i < map.length; i++) {
+            min = Math.min(min, map[i]);
+            max = Math.max(max, map[i]);
+        }
+        out.fill(0);
+        if (max <= min) return out;
+
+        const level = (v) => Math.min(levels - 1, Math.floor((v - min) / (max - min) * levels));
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const idx = y * width + x;
+                const l = level(map[idx]);
+                if ((x + 1 < width && level(map[idx + 1]) !== l) ||
+                    (y + 1 < height && level(map[idx + width]) !== l)) {
+                    out[idx] = 1;
+                }
+            }
+        }
+        return out;
+    }
+};
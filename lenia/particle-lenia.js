@@ -0,0 +1,444 @@
+/**
+ * Particle Lenia - Lenia rules acting on point particles
+ *
+ * After Mordvintsev, Niklasson & Randazzo, "Particle Lenia and the energy-based
+ * formulation" (2022). Instead of a grid of cell values, the world holds
+ * particles at continuous positions in a periodic width × height plane:
+ *
+ *   U(x) = Σ_j K(|x - x_j|)                      Lenia field of the particles
+ *   R(x) = c_rep/2 · Σ_j max(0, 1 - |x - x_j|/d)²  Short-range repulsion
+ *   E(x) = R(x) - (G(U(x)) + 1) / 2               Energy
+ *
+ * and every particle moves down the energy gradient, dx_i/dt = -∇E(x_i).
+ * K is a Kernels radial profile scaled to radius R and normalized to
+ * integrate to 1 over the plane. G is a growth family from growth.js,
+ * rescaled to [0, 1] as in the paper. With the defaults (bump4, R = 8,
+ * μ = 0.6, σ = 0.106) this is close to the paper's parameters.
+ *
+ * Positions live in one Float32Array [x0, y0, x1, y1, ...], so the
+ * particle count is positions.length / 2. render() draws particles (and
+ * optionally the field) into `grid` at `resolution` cells per unit, for
+ * the color maps and the canvas.
+ */
+
+class ParticleLenia {
+    /**
+     * @param {number} width - World width in units
+     * @param {number} height - World height in units (defaults to width)
+     */
+    constructor(width = 64, height = width) {
+        this.width = width;
+        this.height = height;
+
+        this.positions = new Float32Array(0);
+
+        // Kernel: one of Kernels.radialTypes, scaled to radius R
+        this.R = 8;
+        this.kernelType = 'bump4';
+        this.kernelParams = { betas: [1], peaks: 1, falloff: 1.0 };
+
+        // Growth: G(U) peaks at mu (see growth.js)
+        this.mu = 0.6;
+        this.sigma = 0.106;
+        this.growthType = 'gaussian';
+        this.growthPoints = Growth.DEFAULT_POINTS.map(point => [...point]);
+
+        // Repulsion strength c_rep and range d
+        this.repulsion = 1.0;
+        this.repulsionRadius = 1.0;
+
+        this.dt = 0.1;
+        this.time = 0;
+        this.meanEnergy = 0;
+
+        // The world wraps; there is no other boundary
+        this.boundary = 'periodic';
+
+        // Rendering: cells per unit and what to draw ('particles' or 'field')
+        this.resolution = 4;
+        this.view = 'field';
+        this.colorMap = 'viridis';
+        this.allocateGrid();
+
+        // Per-particle scratch, grown as needed
+        this.fieldValues = new Float32Array(0);
+        this.forces = new Float32Array(0);
+
+        // K(r) and K'(r) sampled on [0, R]
+        this.kernelTable = null;
+        this.kernelSlope = null;
+        this.updateKernel();
+    }
+
+    get count() {
+        return this.positions.length / 2;
+    }
+
+    allocateGrid() {
+        this.gridWidth = Math.round(this.width * this.resolution);
+        this.gridHeight = Math.round(this.height * this.resolution);
+        this.grid = new Float32Array(this.gridWidth * this.gridHeight);
+    }
+
+    /**
+     * Sample the kernel profile and its slope on [0, R]
+     * Normalized so that ∫ K(r) 2πr dr = 1, like the summed grid kernels
+     */
+    updateKernel() {
+        const profile = Kernels.profiles[this.kernelType];
+        if (!profile) {
+            throw new Error(`Kernel type ${this.kernelType} has no radial profile for particles`);
+        }
+
+        const samples = ParticleLenia.KERNEL_SAMPLES;
+        const table = new Float32Array(samples + 1);
+        let integral = 0;
+        for (let i = 0; i <= samples; i++) {
+            table[i] = profile(i / samples, this.kernelParams);
+            integral += table[i] * 2 * Math.PI * (i / samples) * this.R * (this.R / samples);
+        }
+        if (integral > 0) {
+            for (let i = 0; i <= samples; i++) {
+                table[i] /= integral;
+            }
+        }
+
+        const slope = new Float32Array(samples + 1);
+        const step = this.R / samples;
+        for (let i = 0; i <= samples; i++) {
+            const lo = table[Math.max(0, i - 1)];
+            const hi = table[Math.min(samples, i + 1)];
+            slope[i] = (hi - lo) / (step * (Math.min(samples, i + 1) - Math.max(0, i - 1)));
+        }
+
+        this.kernelTable = table;
+        this.kernelSlope = slope;
+    }
+
+    /**
+     * Only 'periodic' is supported: particles wrap around the plane
+     */
+    setBoundary(mode) {
+        if (Boundary.validate(mode) !== 'periodic') {
+            throw new Error(`ParticleLenia only supports periodic boundaries, not ${mode}`);
+        }
+    }
+
+    /**
+     * Set the growth function family, and the curve for 'piecewise' (see growth.js)
+     */
+    setGrowth(type, points = this.growthPoints) {
+        this.growthType = Growth.validate(type);
+        this.growthPoints = Growth.validatePoints(points);
+    }
+
+    growth(u) {
+        return Growth.evaluate(this.growthType, u, this.mu, this.sigma, this.growthPoints);
+    }
+
+    /**
+     * Slope of the growth function, by central difference so every family works
+     */
+    growthSlope(u) {
+        const h = 1e-4;
+        return (this.growth(u + h) - this.growth(u - h)) / (2 * h);
+    }
+
+    /**
+     * Shortest signed offset between two coordinates on a wrapping axis
+     */
+    wrapDelta(d, size) {
+        if (d > size / 2) return d - size;
+        if (d < -size / 2) return d + size;
+        return d;
+    }
+
+    /**
+     * Move every particle one step down the energy gradient
+     */
+    step() {
+        const n = this.count;
+        const { positions, width, height, R, repulsion, repulsionRadius, kernelTable, kernelSlope } = this;
+        const samples = ParticleLenia.KERNEL_SAMPLES;
+
+        if (this.fieldValues.length < n) {
+            this.fieldValues = new Float32Array(n);
+            this.forces = new Float32Array(n * 4);
+        }
+        // Per particle: U, then ∇U (2) and ∇R (2) in forces
+        const U = this.fieldValues;
+        const grad = this.forces;
+        U.fill(0, 0, n);
+        grad.fill(0, 0, n * 4);
+        let energy = 0;
+
+        for (let i = 0; i < n; i++) {
+            const xi = positions[i * 2];
+            const yi = positions[i * 2 + 1];
+
+            for (let j = i + 1; j < n; j++) {
+                const dx = this.wrapDelta(xi - positions[j * 2], width);
+                const dy = this.wrapDelta(yi - positions[j * 2 + 1], height);
+                const r2 = dx * dx + dy * dy;
+                if (r2 >= R * R || r2 === 0) continue;
+
+                const r = Math.sqrt(r2);
+                const ux = dx / r;
+                const uy = dy / r;
+
+                // Kernel value and slope, interpolated from the tables
+                const t = r / R * samples;
+                const k = Math.floor(t);
+                const f = t - k;
+                const value = kernelTable[k] + (kernelTable[k + 1] - kernelTable[k]) * f;
+                const slope = kernelSlope[k] + (kernelSlope[k + 1] - kernelSlope[k]) * f;
+
+                // Symmetric pair: both see the same K(r), gradients point opposite ways
+                U[i] += value;
+                U[j] += value;
+                grad[i * 4] += slope * ux;
+                grad[i * 4 + 1] += slope * uy;
+                grad[j * 4] -= slope * ux;
+                grad[j * 4 + 1] -= slope * uy;
+
+                if (r < repulsionRadius) {
+                    const overlap = 1 - r / repulsionRadius;
+                    const push = -repulsion * overlap / repulsionRadius;
+                    energy += repulsion * overlap * overlap;  // c_rep/2 · overlap², felt by both
+                    grad[i * 4 + 2] += push * ux;
+                    grad[i * 4 + 3] += push * uy;
+                    grad[j * 4 + 2] -= push * ux;
+                    grad[j * 4 + 3] -= push * uy;
+                }
+            }
+        }
+
+        // dx/dt = -∇E = -(∇R - G'(U)/2 · ∇U)
+        for (let i = 0; i < n; i++) {
+            const g = this.growthSlope(U[i]) / 2;
+            const vx = g * grad[i * 4] - grad[i * 4 + 2];
+            const vy = g * grad[i * 4 + 1] - grad[i * 4 + 3];
+
+            const x = positions[i * 2] + this.dt * vx;
+            const y = positions[i * 2 + 1] + this.dt * vy;
+            positions[i * 2] = ((x % width) + width) % width;
+            positions[i * 2 + 1] = ((y % height) + height) % height;
+
+            energy -= (this.growth(U[i]) + 1) / 2;
+        }
+
+        this.meanEnergy = n > 0 ? energy / n : 0;
+        this.time += this.dt;
+    }
+
+    /**
+     * Particle count, the conserved "mass" of a particle world
+     */
+    totalMass() {
+        return this.count;
+    }
+
+    clear() {
+        this.positions = new Float32Array(0);
+        this.time = 0;
+    }
+
+    /**
+     * Add particles to the world
+     * @param {number[]} points - [x0, y0, x1, y1, ...] in world units
+     */
+    addParticles(points) {
+        const next = new Float32Array(this.positions.length + points.length);
+        next.set(this.positions);
+        for (let i = 0; i < points.length; i++) {
+            const size = i % 2 === 0 ? this.width : this.height;
+            next[this.positions.length + i] = ((points[i] % size) + size) % size;
+        }
+        this.positions = next;
+    }
+
+    /**
+     * Remove particles within radius of (x, y)
+     */
+    removeParticles(x, y, radius) {
+        const kept = [];
+        for (let i = 0; i < this.count; i++) {
+            const dx = this.wrapDelta(this.positions[i * 2] - x, this.width);
+            const dy = this.wrapDelta(this.positions[i * 2 + 1] - y, this.height);
+            if (dx * dx + dy * dy > radius * radius) {
+                kept.push(this.positions[i * 2], this.positions[i * 2 + 1]);
+            }
+        }
+        this.positions = new Float32Array(kept);
+    }
+
+    /**
+     * Scatter `count` particles uniformly in a square of side `spread` around (x, y)
+     */
+    scatter(x, y, count, spread) {
+        const points = [];
+        for (let i = 0; i < count; i++) {
+            points.push(x + (Random.random() - 0.5) * spread, y + (Random.random() - 0.5) * spread);
+        }
+        this.addParticles(points);
+    }
+
+    /**
+     * Brush: value > 0 sprinkles particles in the disc (about one per unit²
+     * at full strength), value < 0 removes them
+     */
+    drawBlob(x, y, radius, value = 1.0) {
+        if (value < 0) {
+            this.removeParticles(x, y, radius);
+            return;
+        }
+        const points = [];
+        const count = Math.max(1, Math.round(Math.PI * radius * radius * value * 0.3));
+        for (let i = 0; i < count; i++) {
+            const angle = Random.random() * 2 * Math.PI;
+            const dist = radius * Math.sqrt(Random.random());
+            points.push(x + Math.cos(angle) * dist, y + Math.sin(angle) * dist);
+        }
+        this.addParticles(points);
+    }
+
+    /**
+     * Fill the world with random clusters
+     */
+    randomize(clusters = 4) {
+        this.clear();
+        for (let c = 0; c < clusters; c++) {
+            this.scatter(Random.random() * this.width, Random.random() * this.height, 100, this.R * 1.5);
+        }
+    }
+
+    /**
+     * Load a ParticleSpecies preset: parameters plus a scattered seed
+     */
+    loadSpecies(speciesKey) {
+        const species = ParticleSpecies[speciesKey];
+        if (!species) return;
+
+        const p = species.params;
+        for (const key of ['R', 'mu', 'sigma', 'dt', 'repulsion', 'repulsionRadius']) {
+            if (p[key] !== undefined) this[key] = p[key];
+        }
+        this.kernelType = p.kernelType || 'bump4';
+        Object.assign(this.kernelParams, p.kernelParams || {});
+        this.setGrowth(p.growthType || 'gaussian', p.growthPoints || Growth.DEFAULT_POINTS);
+        this.updateKernel();
+
+        this.clear();
+        for (const cluster of species.seed) {
+            this.scatter(this.width / 2 + cluster.x * this.R, this.height / 2 + cluster.y * this.R,
+                cluster.count, cluster.spread * this.R);
+        }
+    }
+
+    /**
+     * Draw the world into `grid` for the color maps
+     * 'particles' shows only the particles; 'field' also shows U, scaled so μ is mid-range
+     */
+    render() {
+        const { grid, gridWidth, gridHeight, resolution, positions, R, kernelTable } = this;
+        const samples = ParticleLenia.KERNEL_SAMPLES;
+        grid.fill(0);
+
+        if (this.view === 'field') {
+            const reach = Math.ceil(R * resolution);
+            const scale = 0.5 / this.mu;
+            for (let i = 0; i < this.count; i++) {
+                const px = positions[i * 2] * resolution;
+                const py = positions[i * 2 + 1] * resolution;
+                const cx = Math.floor(px);
+                const cy = Math.floor(py);
+                for (let dy = -reach; dy <= reach; dy++) {
+                    for (let dx = -reach; dx <= reach; dx++) {
+                        const r = Math.sqrt((cx + dx + 0.5 - px) ** 2 + (cy + dy + 0.5 - py) ** 2) / resolution;
+                        if (r >= R) continue;
+                        const gx = ((cx + dx) % gridWidth + gridWidth) % gridWidth;
+                        const gy = ((cy + dy) % gridHeight + gridHeight) % gridHeight;
+                        grid[gy * gridWidth + gx] += kernelTable[Math.round(r / R * samples)] * scale;
+                    }
+                }
+            }
+            // Keep the field below the particles' brightness
+            for (let i = 0; i < grid.length; i++) {
+                grid[i] = Math.min(0.7, grid[i]);
+            }
+        }
+
+        // Particles: soft dots of radius repulsionRadius / 2
+        const dot = Math.max(1, this.repulsionRadius * resolution / 2);
+        const reach = Math.ceil(dot);
+        for (let i = 0; i < this.count; i++) {
+            const px = positions[i * 2] * resolution;
+            const py = positions[i * 2 + 1] * resolution;
+            const cx = Math.floor(px);
+            const cy = Math.floor(py);
+            for (let dy = -reach; dy <= reach; dy++) {
+                for (let dx = -reach; dx <= reach; dx++) {
+                    const d = Math.sqrt((cx + dx + 0.5 - px) ** 2 + (cy + dy + 0.5 - py) ** 2) / dot;
+                    if (d > 1) continue;
+                    const gx = ((cx + dx) % gridWidth + gridWidth) % gridWidth;
+                    const gy = ((cy + dy) % gridHeight + gridHeight) % gridHeight;
+                    const idx = gy * gridWidth + gx;
+                    grid[idx] = Math.max(grid[idx], 1 - d * d);
+                }
+            }
+        }
+
+        return grid;
+    }
+
+    getColor(value) {
+        return Lenia.prototype.getColor.call(this, value);
+    }
+}
+
+// Kernel table resolution (samples over [0, R])
+ParticleLenia.KERNEL_SAMPLES = 256;
+
+/**
+ * Particle Lenia presets
+ * Seeds are square clusters of `count` particles, with center offsets and
+ * side (`spread`) in units of R from the world center.
+ */
+const ParticleSpecies = {
+    /**
+     * Cell - the default Particle Lenia creature
+     * A ring "membrane" of particles around a small nucleus, at rest
+     */
+    cell: {
+        name: "Cell",
+        description: "A ring membrane around a small nucleus.",
+        params: {
+            R: 8,
+            mu: 0.6,
+            sigma: 0.106,
+            dt: 0.1,
+            repulsion: 1.0,
+            repulsionRadius: 1.0,
+            kernelType: 'bump4'
+        },
+        seed: [{ x: 0, y: 0, count: 200, spread: 1.5 }]
+    },
+
+    /**
+     * Double Cell - twice the particles settle into two concentric layers
+     */
+    doubleCell: {
+        name: "Double Cell",
+        description: "Nucleus and inner ring inside a second membrane.",
+        params: {
+            R: 8,
+            mu: 0.6,
+            sigma: 0.106,
+            dt: 0.1,
+            repulsion: 1.0,
+            repulsionRadius: 1.0,
+            kernelType: 'bump4'
+        },
+        seed: [{ x: 0, y: 0, count: 400, spread: 1.5 }]
+    }
+};
@@ -0,0 +1,169 @@
+/**
+ * Seeded random number generation
+ *
+ * Every stochastic part of the simulation (genome mutation, reproduction
+ * splits, food spawning, ecosystem layouts, evolutionary search, ambient
+ * particles) draws from this service instead of Math.random(), so a run is
+ * fully described by its seed: "seed 1234, step 5000" reproduces exactly.
+ *
+ * - Random.random() etc. draw from the main simulation stream
+ * - Random.stream(name) returns an independent named stream derived from the
+ *   same seed, for consumers whose call count depends on things outside the
+ *   simulation (frame rate, screen size, background searches). They can run
+ *   without perturbing the main stream.
+ * - Random.setSeed(seed) reseeds the main stream and every named stream
+ *
+ * Generator: mulberry32 (32-bit state, fast, good enough for simulation)
+ */
+
+class SeededRandom {
+    constructor(seed = 0) {
+        this.setSeed(seed);
+    }
+
+    /**
+     * Restart the sequence from a seed (any integer; stored as uint32)
+     */
+    setSeed(seed) {
+        this.seed = seed >>> 0;
+        this.state = this.seed;
+    }
+
+    /**
+     * Uniform float in [0, 1) - drop-in replacement for Math.random()
+     */
+    random() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    /**
+     * Uniform float in [min, max)
+     */
+    range(min, max) {
+        return min + this.random() * (max - min);
+    }
+
+    /**
+     * Uniform integer in [min, max)
+     */
+    int(min, max) {
+        return Math.floor(this.range(min, max));
+    }
+
+    /**
+     * True with probability p
+     */
+    chance(p) {
+        return this.random() < p;
+    }
+
+    /**
+     * Generator state, for saving and restoring a run mid-sequence
+     */
+    getState() {
+        return { seed: this.seed, state: this.state };
+    }
+
+    setState(saved) {
+        this.seed = saved.seed >>> 0;
+        this.state = saved.state >>> 0;
+    }
+}
+
+const Random = {
+    seed: 0,
+    main: new SeededRandom(0),
+    streams: new Map(),
+
+    /**
+     * A fresh seed for new sessions (not itself reproducible)
+     * Kept to six digits so it is easy to read out in a bug report
+     */
+    newSeed() {
+        return Math.floor(Math.random() * 1000000);
+    },
+
+    /**
+     * Reseed the main stream and all named streams
+     */
+    setSeed(seed) {
+        this.seed = seed >>> 0;
+        this.main.setSeed(this.seed);
+        for (const [name, stream] of this.streams) {
+            stream.setSeed(this.streamSeed(name));
+        }
+        return this.seed;
+    },
+
+    /**
+     * Restart every stream from the current seed
+     */
+    restart() {
+        return this.setSeed(this.seed);
+    },
+
+    /**
+     * Derive a named stream's seed by hashing its name (FNV-1a) into the seed
+     */
+    streamSeed(name) {
+        let h = 0x811C9DC5;
+        for (let i = 0; i < name.length; i++) {
+            h = Math.imul(h ^ name.charCodeAt(i), 0x01000193);
+        }
+        return (h ^ Math.imul(this.seed, 0x9E3779B1)) >>> 0;
+    },
+
+    /**
+     * Get (or create) an independent named stream
+     */
+    stream(name) {
+        let stream = this.streams.get(name);
+        if (!stream) {
+            stream = new SeededRandom(this.streamSeed(name));
+            this.streams.set(name, stream);
+        }
+        return stream;
+    },
+
+    // Main-stream shortcuts
+    random() {
+        return this.main.random();
+    },
+
+    range(min, max) {
+        return this.main.range(min, max);
+    },
+
+    int(min, max) {
+        return this.main.int(min, max);
+    },
+
+    chance(p) {
+        return this.main.chance(p);
+    },
+
+    /**
+     * Full generator state (main + named streams)
+     */
+    getState() {
+        const streams = {};
+        for (const [name, stream] of this.streams) {
+            streams[name] = stream.getState();
+        }
+        return { seed: this.seed, main: this.main.getState(), streams };
+    },
+
+    setState(saved) {
+        this.seed = saved.seed >>> 0;
+        this.main.setState(saved.main);
+        for (const [name, state] of Object.entries(saved.streams || {})) {
+            this.stream(name).setState(state);
+        }
+    }
+};
+
+Random.setSeed(Random.newSeed());
@@ -0,0 +1,371 @@
+/**
+ * Simulation State - snapshot and restore the page's simulation objects
+ *
+ * A snapshot is plain data (typed arrays, numbers, strings, plain objects),
+ * so it survives postMessage/structured clone. The simulation worker uses
+ * it in both directions: the worker sends its latest frame to the page, and
+ * the page sends back any edits (drawing, sliders, presets, resets).
+ *
+ * Snapshots cover the active mode only and are built from a "sims" bundle:
+ *   { mode, generation, lenia, flowLenia, multiChannel, lenia3d, particleLenia,
+ *     environment, creatureTracker }
+ * where mode is 'standard', 'flow', 'ecosystem', '3d' or 'particle'.
+ *
+ * Scalar state is picked up generically: any own property holding plain
+ * data is included, so new parameters are synced without touching this
+ * file. Typed arrays go in `fields`; class instances (kernels, convolvers,
+ * references to other objects) are left to the owner to rebuild.
+ * Parameter maps (see param-maps.js) are fields while they exist, and a
+ * null map is a scalar, so clearing one is synced too.
+ */
+
+const SimState = {
+    // Environment layers included while sensory mode is on
+    ENVIRONMENT_FIELDS: [
+        'food', 'pheromone',
+        'alarmSignal', 'huntingSignal', 'matingSignal', 'territorySignal',
+        'migrationTrails'
+    ],
+
+    /**
+     * The simulation object stepped in a given mode
+     */
+    activeSim(sims) {
+        if (sims.mode === 'ecosystem') return sims.multiChannel;
+        if (sims.mode === 'flow') return sims.flowLenia;
+        if (sims.mode === '3d') return sims.lenia3d;
+        if (sims.mode === 'particle') return sims.particleLenia;
+        return sims.lenia;
+    },
+
+    /**
+     * [name, owner, key] entries for the parameter maps an object holds
+     */
+    paramMapEntries(owner, prefix = '') {
+        return ParamMaps.NAMES
+            .map(name => ParamMaps.key(name))
+            .filter(key => owner[key])
+            .map(key => [prefix + key, owner, key]);
+    },
+
+    /**
+     * Allocate the parameter maps (and Flow-Lenia trait fields, see
+     * local-genome.js) a snapshot carries but the objects lack, so
+     * restore() has somewhere to copy them
+     */
+    prepareParamMaps(sims, state) {
+        const owners = [];
+        if (state.mode === 'standard') {
+            owners.push([sims.lenia, '']);
+        } else if (state.mode === 'ecosystem') {
+            sims.multiChannel.channelParams.forEach((params, i) => owners.push([params, `channel${i}`]));
+            owners.push([sims.multiChannel, '']);
+        } else if (state.mode === 'flow') {
+            const flow = sims.flowLenia;
+            for (const name of flow.traitNames) {
+                const key = LocalGenome.key(name);
+                if (state.fields[key] && !flow[key]) {
+                    flow[key] = new Float32Array(state.width * state.height);
+                }
+            }
+        }
+
+        for (const [owner, prefix] of owners) {
+            for (const name of ParamMaps.NAMES) {
+                const key = ParamMaps.key(name);
+                if (state.fields[prefix + key] && !owner[key]) {
+                    owner[key] = new Float32Array(state.width * state.height);
+                }
+            }
+        }
+    },
+
+    /**
+     * Typed-array state of the active mode as [name, owner, key] entries
+     * Obstacles ride along whenever the active sim has an environment
+     */
+    fieldEntries(sims) {
+        if (sims.mode === 'ecosystem') {
+            const sim = sims.multiChannel;
+            const entries = sim.channels.map((channel, i) => [`channel${i}`, sim.channels, i]);
+            sim.channelParams.forEach((params, i) => {
+                entries.push(...SimState.paramMapEntries(params, `channel${i}`));
+            });
+            entries.push(...SimState.paramMapEntries(sim));
+            return entries;
+        }
+        if (sims.mode === '3d') {
+            return [['grid', sims.lenia3d, 'grid']];
+        }
+        if (sims.mode === 'particle') {
+            // The particle count can change, and restore() reallocates to match
+            return [['positions', sims.particleLenia, 'positions']];
+        }
+        if (sims.mode === 'standard') {
+            const entries = [['grid', sims.lenia, 'grid'], ...SimState.paramMapEntries(sims.lenia)];
+            if (sims.lenia.environment) {
+                entries.push(['obstacles', sims.lenia.environment, 'obstacles']);
+            }
+            return entries;
+        }
+
+        const flow = sims.flowLenia;
+        const entries = [['A', flow, 'A'], ['P_mu', flow, 'P_mu'], ['P_sigma', flow, 'P_sigma']];
+        entries.push(...LocalGenome.fieldEntries(flow));
+        if (sims.environment) {
+            entries.push(['obstacles', sims.environment, 'obstacles']);
+        }
+        if (flow.sensoryEnabled && sims.environment) {
+            for (const key of SimState.ENVIRONMENT_FIELDS) {
+                entries.push([key, sims.environment, key]);
+            }
+        }
+        return entries;
+    },
+
+    /**
+     * True if a value is plain data that JSON and structured clone agree on
+     */
+    isPlain(value) {
+        if (value === null) return true;
+        const type = typeof value;
+        if (type === 'number' || type === 'string' || type === 'boolean') return true;
+        if (type !== 'object') return false;
+        if (Array.isArray(value)) return value.every(v => SimState.isPlain(v));
+        if (Object.getPrototypeOf(value) !== Object.prototype) return false;
+        return Object.values(value).every(v => SimState.isPlain(v));
+    },
+
+    /**
+     * Own properties of an object that hold plain data
+     */
+    scalars(obj) {
+        const out = {};
+        for (const key of Object.keys(obj)) {
+            if (SimState.isPlain(obj[key])) {
+                out[key] = obj[key];
+            }
+        }
+        return out;
+    },
+
+    /**
+     * Plain copy of a creature (cells are re-detected on the next step)
+     */
+    serializeCreature(creature) {
+        const out = {};
+        for (const key of Object.keys(creature)) {
+            const value = creature[key];
+            if (key === 'cells') continue;
+            if (value instanceof Genome) {
+                out[key] = { ...value };
+            } else if (value instanceof CreatureMemory) {
+                out[key] = {
+                    resolution: value.resolution,
+                    food: new Float32Array(value.food),
+                    danger: new Float32Array(value.danger),
+                    decayRate: value.decayRate
+                };
+            } else {
+                out[key] = value;
+            }
+        }
+        return out;
+    },
+
+    deserializeCreature(data) {
+        const creature = Object.assign(new CreatureTracker.Creature(data.id), data);
+        if (data.genome) {
+            creature.genome = Object.assign(new Genome(), data.genome);
+        }
+        if (data.memory) {
+            creature.memory = Object.assign(new CreatureMemory(data.memory.resolution), data.memory);
+        }
+        return creature;
+    },
+
+    /**
+     * Scalar state of every object the active mode uses
+     */
+    captureScalars(sims) {
+        const sim = SimState.activeSim(sims);
+        const scalars = { sim: SimState.scalars(sim) };
+
+        if (sims.mode === 'ecosystem') {
+            scalars.channels = sim.channelParams.map(p => SimState.scalars(p));
+            scalars.kernels = sim.kernels.map(rule => SimState.scalars(rule));
+        }
+
+        if (sims.mode === 'flow') {
+            const tracker = sims.creatureTracker;
+            scalars.environment = SimState.scalars(sims.environment);
+            scalars.tracker = SimState.scalars(tracker);
+            scalars.genomes = {};
+            for (const key of Object.keys(tracker)) {
+                if (tracker[key] instanceof Genome) {
+                    scalars.genomes[key] = { ...tracker[key] };
+                }
+            }
+        }
+
+        return scalars;
+    },
+
+    /**
+     * Copy a typed array, reusing a same-length buffer from the pool if any
+     */
+    copyField(array, pool = null) {
+        if (pool) {
+            const i = pool.findIndex(buffer => buffer.length === array.length);
+            if (i >= 0) {
+                const buffer = pool.splice(i, 1)[0];
+                buffer.set(array);
+                return buffer;
+            }
+        }
+        return new Float32Array(array);
+    },
+
+    /**
+     * Everything in a snapshot except the fields
+     */
+    describe(sims) {
+        const state = {
+            mode: sims.mode,
+            width: SimState.activeSim(sims).width,
+            height: SimState.activeSim(sims).height,
+            generation: sims.generation,
+            random: { seed: Random.seed, main: Random.main.getState() },
+            scalars: SimState.captureScalars(sims),
+            creatures: [],
+            recentSignals: []
+        };
+
+        if (sims.mode === 'flow') {
+            const tracker = sims.creatureTracker;
+            state.creatures = tracker.creatures.map(c => SimState.serializeCreature(c));
+            state.recentSignals = [...tracker.recentSignals.entries()];
+        }
+
+        return state;
+    },
+
+    /**
+     * Snapshot the active mode
+     * @param {Object} sims - Simulation bundle (see header)
+     * @param {Float32Array[]} pool - Optional spare buffers to copy fields into
+     */
+    capture(sims, pool = null) {
+        const state = SimState.describe(sims);
+
+        state.fields = {};
+        for (const [name, owner, key] of SimState.fieldEntries(sims)) {
+            state.fields[name] = SimState.copyField(owner[key], pool);
+        }
+
+        state.signature = SimState.signature(state);
+        return state;
+    },
+
+    /**
+     * Compact description of everything but the fields, used to notice edits
+     * Creature memories and recent signals only change while stepping
+     */
+    signature(state) {
+        return JSON.stringify({
+            mode: state.mode,
+            width: state.width,
+            height: state.height,
+            generation: state.generation,
+            random: state.random,
+            scalars: state.scalars,
+            creatures: state.creatures
+        }, (key, value) => (key === 'memory' ? undefined : value));
+    },
+
+    /**
+     * Write a snapshot back into the simulation objects
+     * Objects must already exist at the snapshot's dimensions; fields whose length
+     * still differs are reallocated, and missing parameter maps are allocated.
+     * Kernels are not rebuilt here.
+     */
+    restore(sims, state) {
+        sims.mode = state.mode;
+        sims.generation = state.generation;
+        Random.main.setState(state.random.main);
+        Random.seed = state.random.seed;
+
+        const sim = SimState.activeSim(sims);
+        Object.assign(sim, state.scalars.sim);
+        SimState.prepareParamMaps(sims, state);
+
+        for (const [name, owner, key] of SimState.fieldEntries(sims)) {
+            const source = state.fields[name];
+            if (!source) continue;
+            if (owner[key].length !== source.length) {
+                owner[key] = new Float32Array(source.length);
+            }
+            owner[key].set(source);
+        }
+
+        if (state.mode === 'ecosystem') {
+            state.scalars.channels.forEach((params, i) => {
+                if (sim.channelParams[i]) Object.assign(sim.channelParams[i], params);
+            });
+            // Rules keep their kernels where they line up; new ones are built by the owner
+            sim.kernels = state.scalars.kernels.map((rule, i) => (
+                Object.assign(sim.kernels[i] || { kernel: null, kernelSpectrum: null }, rule)
+            ));
+        }
+
+        if (state.mode === 'flow') {
+            const tracker = sims.creatureTracker;
+            Object.assign(sims.environment, state.scalars.environment);
+            Object.assign(tracker, state.scalars.tracker);
+            for (const [key, genome] of Object.entries(state.scalars.genomes)) {
+                tracker[key] = Object.assign(new Genome(), genome);
+            }
+            tracker.creatures = state.creatures.map(c => SimState.deserializeCreature(c));
+            tracker.recentSignals = new Map(state.recentSignals);
+        }
+    },
+
+    /**
+     * Rebuild the kernels of the active mode from its restored parameters
+     */
+    rebuildKernels(sims) {
+        if (sims.mode === 'ecosystem') {
+            sims.multiChannel.updateAllKernels();
+        } else {
+            SimState.activeSim(sims).updateKernel();
+        }
+    },
+
+    /**
+     * True if the simulation objects no longer match a snapshot
+     */
+    changed(sims, state) {
+        if (sims.mode !== state.mode || sims.generation !== state.generation) return true;
+
+        const entries = SimState.fieldEntries(sims);
+        if (entries.length !== Object.keys(state.fields).length) return true;
+
+        for (const [name, owner, key] of entries) {
+            const current = owner[key];
+            const saved = state.fields[name];
+            if (!saved || saved.length !== current.length) return true;
+            for (let i = 0; i < current.length; i++) {
+                if (current[i] !== saved[i]) return true;
+            }
+        }
+
+        return SimState.signature(SimState.describe(sims)) !== state.signature;
+    },
+
+    /**
+     * Buffers of a snapshot, for postMessage transfer lists
+     */
+    buffers(state) {
+        return Object.values(state.fields).map(field => field.buffer);
+    }
+};
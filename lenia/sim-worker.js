@@ -0,0 +1,246 @@
+/**
+ * Simulation Worker - steps Lenia, Flow-Lenia, Multi-Channel Lenia, Lenia 3D
+ * and Particle Lenia off the main thread
+ *
+ * The page keeps its own simulation objects for rendering and editing; this
+ * worker holds a copy of the active mode and steps it as fast as it can.
+ * State moves in SimState snapshots (see sim-state.js):
+ *
+ *   page -> worker  { type: 'load', version, state, recycle }
+ *                       Replace the worker's state with the page's (after an
+ *                       edit, a preset, a reset or a mode switch)
+ *                   { type: 'run', running }   Start/stop stepping
+ *                   { type: 'ready', recycle } Page consumed the last frame
+ *   worker -> page  { type: 'frame', version, state, stepsPerSecond }
+ *
+ * Frames are only sent once the page has consumed the previous one, and
+ * their field buffers are transferred rather than copied. The page hands
+ * buffers back (`recycle`) once it no longer needs them, so after start-up
+ * no new arrays are allocated. `version` counts loads: frames stepped from
+ * an older load are stale and the page drops them.
+ */
+
+importScripts(
+    'random.js',
+    'boundary.js',
+    'integrators.js',
+    'fft.js',
+    'kernels.js',
+    'growth.js',
+    'noise.js',
+    'mass-budget.js',
+    'param-maps.js',
+    'active-tiles.js',
+    'species.js',
+    'multi-channel.js',
+    'environment.js',
+    'creatures.js',
+    'local-genome.js',
+    'flow-lenia.js',
+    'lenia-core.js',
+    'lenia3d.js',
+    'particle-lenia.js',
+    'sim-state.js'
+);
+
+// Longest run of steps between checks for messages from the page
+const STEP_BUDGET_MS = 8;
+
+// Spare buffers kept for frames
+const MAX_POOL_SIZE = 32;
+
+const sims = {
+    mode: 'standard',
+    generation: 0,
+    lenia: null,
+    flowLenia: null,
+    multiChannel: null,
+    lenia3d: null,
+    particleLenia: null,
+    environment: null,
+    creatureTracker: null
+};
+
+let loaded = false;
+let version = 0;
+let running = false;
+let awaitingReady = false;
+let dirty = false;
+let tickScheduled = false;
+
+const pool = [];
+
+// Steps-per-second measurement
+let rateSteps = 0;
+let rateStart = performance.now();
+let stepsPerSecond = 0;
+
+// A MessageChannel yields to incoming messages without setTimeout's clamping
+const scheduler = new MessageChannel();
+scheduler.port1.onmessage = tick;
+
+/**
+ * Make sure the objects for a snapshot's mode exist at its dimensions
+ */
+function prepare(state) {
+    const { mode, width, height, scalars } = state;
+
+    if (mode === 'standard') {
+        if (!sims.lenia) {
+            sims.lenia = new Lenia(width, height);
+        } else {
+            sims.lenia.resize(width, height);
+        }
+
+        // Obstacles need an environment to live in
+        if (state.fields.obstacles) {
+            if (!sims.environment || sims.environment.width !== width || sims.environment.height !== height) {
+                sims.environment = new Environment(width, height);
+            }
+            sims.lenia.setEnvironment(sims.environment);
+        } else {
+            sims.lenia.setEnvironment(null);
+        }
+    } else if (mode === 'flow') {
+        if (!sims.flowLenia) {
+            sims.flowLenia = new FlowLenia(width, height);
+        } else {
+            sims.flowLenia.resize(width, height);
+        }
+
+        const env = scalars.environment;
+        if (!sims.environment || sims.environment.width !== env.width || sims.environment.height !== env.height) {
+            sims.environment = new Environment(env.width, env.height);
+        }
+        const tracker = scalars.tracker;
+        if (!sims.creatureTracker || sims.creatureTracker.width !== tracker.width || sims.creatureTracker.height !== tracker.height) {
+            sims.creatureTracker = new CreatureTracker(tracker.width, tracker.height);
+        }
+
+        sims.flowLenia.setEnvironment(sims.environment);
+        sims.flowLenia.setCreatureTracker(sims.creatureTracker);
+        sims.creatureTracker.setEnvironment(sims.environment);
+    } else if (mode === 'ecosystem') {
+        const numChannels = scalars.sim.numChannels;
+        const current = sims.multiChannel;
+        if (!current || current.width !== width || current.height !== height || current.numChannels !== numChannels) {
+            sims.multiChannel = new MultiChannelLenia(width, numChannels, height);
+        }
+    } else if (mode === '3d') {
+        if (!sims.lenia3d || sims.lenia3d.size !== width) {
+            sims.lenia3d = new Lenia3D(width);
+        }
+    } else if (mode === 'particle') {
+        const current = sims.particleLenia;
+        if (!current || current.width !== width || current.height !== height) {
+            sims.particleLenia = new ParticleLenia(width, height);
+        }
+    } else {
+        throw new Error(`Unknown simulation mode: ${mode}`);
+    }
+}
+
+/**
+ * Replace the worker's state with a snapshot from the page
+ */
+function load(state) {
+    prepare(state);
+    SimState.restore(sims, state);
+
+    // Kernels are derived state, so rebuild them from the restored parameters
+    SimState.rebuildKernels(sims);
+
+    loaded = true;
+    dirty = true;
+}
+
+function recycle(buffers) {
+    if (!buffers) return;
+    for (const buffer of buffers) {
+        if (pool.length >= MAX_POOL_SIZE) break;
+        pool.push(new Float32Array(buffer));
+    }
+}
+
+function postFrame() {
+    const state = SimState.capture(sims, pool);
+    self.postMessage(
+        { type: 'frame', version, state, stepsPerSecond },
+        SimState.buffers(state)
+    );
+    awaitingReady = true;
+    dirty = false;
+}
+
+function step() {
+    SimState.activeSim(sims).step();
+    sims.generation++;
+    rateSteps++;
+    dirty = true;
+}
+
+function updateRate() {
+    const now = performance.now();
+    const elapsed = now - rateStart;
+    if (elapsed >= 1000) {
+        stepsPerSecond = rateSteps * 1000 / elapsed;
+        rateSteps = 0;
+        rateStart = now;
+    } else if (!running) {
+        stepsPerSecond = 0;
+    }
+}
+
+/**
+ * Step for up to STEP_BUDGET_MS, then send a frame if the page is ready
+ */
+function tick() {
+    tickScheduled = false;
+
+    if (running && loaded) {
+        const start = performance.now();
+        do {
+            step();
+        } while (performance.now() - start < STEP_BUDGET_MS);
+    }
+    updateRate();
+
+    if (loaded && dirty && !awaitingReady) {
+        postFrame();
+    }
+
+    if (running) {
+        schedule();
+    }
+}
+
+function schedule() {
+    if (tickScheduled) return;
+    tickScheduled = true;
+    scheduler.port2.postMessage(null);
+}
+
+self.onmessage = (e) => {
+    const msg = e.data;
+
+    switch (msg.type) {
+        case 'load':
+            recycle(msg.recycle);
+            version = msg.version;
+            load(msg.state);
+            break;
+        case 'run':
+            running = msg.running;
+            rateSteps = 0;
+            rateStart = performance.now();
+            break;
+        case 'ready':
+            recycle(msg.recycle);
+            awaitingReady = false;
+            break;
+        default:
+            throw new Error(`Unknown worker message: ${msg.type}`);
+    }
+
+    schedule();
+};
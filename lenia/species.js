@@ -10,6 +10,7 @@
  * - mu: center of growth function (what neighborhood density promotes growth)
  * - sigma: width of growth function (how tolerant of density variations)
  * - dt: time step (smaller = smoother but slower)
+ * - growthType: growth function family, 'gaussian' unless set (see growth.js)
  *
  * Pattern data is a simplified representation of the creature's shape.
  */
@@ -73,7 +74,8 @@ const Species = {
             sigma: 0.051,
             dt: 0.1,
             kernelType: 'quad4', // Multi-peak kernel for Geminidae family
-            betas: [1, 11/12]    // Bimodal: b="1,11/12" from official Lenia
+            betas: [1, 11/12],   // Bimodal: b="1,11/12" from official Lenia
+            growthType: 'quad4'  // Polynomial growth, as in the official parameters
         },
         // Official Aerogeminium volitans pattern extracted from Chakazul's implementation
         // 32x49 matrix - the specific shape is critical for self-replication
@@ -129,7 +131,8 @@ const Species = {
             sigma: 0.036,
             dt: 0.1,
             kernelType: 'quad4', // Multi-peak kernel for Geminidae family
-            betas: [1/2, 1, 2/3] // Trimodal: b="1/2,1,2/3" from official Lenia
+            betas: [1/2, 1, 2/3], // Trimodal: b="1/2,1,2/3" from official Lenia
+            growthType: 'quad4'  // Polynomial growth, as in the official parameters
         },
         // Official Hydrogeminium natans pattern extracted from Chakazul's implementation
         // 51x55 matrix - the specific shape is critical for water-like behavior
@@ -1014,7 +1017,7 @@ const Species = {
     /**
      * Place a species pattern onto the grid
      */
-    placePattern(grid, gridSize, pattern, centerX, centerY) {
+    placePattern(grid, gridWidth, gridHeight, pattern, centerX, centerY) {
         if (!pattern) return;
 
         const patternH = pattern.length;
@@ -1024,9 +1027,9 @@ const Species = {
 
         for (let py = 0; py < patternH; py++) {
             for (let px = 0; px < patternW; px++) {
-                const gx = (startX + px + gridSize) % gridSize;
-                const gy = (startY + py + gridSize) % gridSize;
-                grid[gy * gridSize + gx] = pattern[py][px];
+                const gx = (startX + px + gridWidth) % gridWidth;
+                const gy = (startY + py + gridHeight) % gridHeight;
+                grid[gy * gridWidth + gx] = pattern[py][px];
             }
         }
     },
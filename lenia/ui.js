@@ -4,16 +4,28 @@
  * Handles all interactive controls for:
  * - Single channel mode (classic Lenia)
  * - Multi-channel ecosystem mode
+ * - 3D mode (volumetric Lenia)
+ * - Particle mode (Particle Lenia)
  * - Discovery mode (parameter exploration, evolution)
  * - Recording and export
  */
 
-// Current mode: 'single', 'ecosystem', 'discover'
+// Current mode: 'single', 'ecosystem', '3d', 'particle', 'discover'
 let currentMode = 'single';
 
 // Multi-channel simulation instance
 let multiChannel = null;
 
+// Creatures of a flow ecosystem, tracked per channel (see CreatureTracker.updateChannels)
+let channelTracker = null;
+
+// 3D Lenia instance, and how its volume is shown on the canvas
+let lenia3d = null;
+let volumeView = { view: 'mip', axis: 'z', slice: 32, threshold: 0.3 };
+
+// Particle Lenia instance
+let particleLenia = null;
+
 // Flow-Lenia instance and state
 let flowLenia = null;
 let useFlowLenia = false;
@@ -36,6 +48,27 @@ let showFlockingOverlay = false;  // Phase 13: Flock link visualization
 let showMigrationTrails = false;  // Phase 14: Migration trail visualization
 let showZoneCenters = false;      // Phase 14: Zone center visualization
 
+// What the mouse brush paints: 'mass', 'walls' (environment obstacles),
+// 'params' (parameter maps) or 'emitters' (Flow-Lenia mass sources)
+let brushTarget = 'mass';
+
+// Mass per unit time of emitters placed with the brush (see mass-budget.js)
+let emitterRate = 1.0;
+
+// Parameter map being edited: the brush value, the values image black and
+// white map to, and whether the overlay is shown (see param-maps.js)
+let paramBrush = { name: 'mu', value: 0.2, low: 0.1, high: 0.2, overlay: false };
+
+// Rewind timeline of the active mode (see history.js)
+let simHistory = null;
+
+// Undo/redo of edits: strokes, sliders, presets, clears (see edit-history.js)
+let editHistory = null;
+
+// Unbounded plane the grid is a window onto, or null for a bounded world (see chunk-world.js)
+let chunkWorld = null;
+const PLANE_CHUNK_SIZE = 32;
+
 // Phase 15: Population history for graphing (separate hunter/prey tracking)
 let hunterPopulationHistory = [];
 let preyPopulationHistory = [];
@@ -45,12 +78,20 @@ function initUI() {
     // Initialize multi-channel, flow-lenia, and explorer systems
     multiChannel = new MultiChannelLenia(256, 2);
     flowLenia = new FlowLenia(256);
+    lenia3d = new Lenia3D(64);
+    lenia3d.loadSpecies('sphaerium');
+    particleLenia = new ParticleLenia(64);
+    particleLenia.loadSpecies('cell');
 
     // Phase 4: Initialize environment and creature tracking
     environment = new Environment(256);
     creatureTracker = new CreatureTracker(256);
     flowLenia.setEnvironment(environment);
     flowLenia.setCreatureTracker(creatureTracker);
+    lenia.setEnvironment(environment);
+
+    simHistory = new SimulationHistory();
+    editHistory = new EditHistory();
 
     initExplorer();
 
@@ -84,6 +125,63 @@ function initUI() {
         }
     });
 
+    document.getElementById('flow-transport').addEventListener('change', undoable('Transport', (e) => {
+        if (flowLenia) {
+            flowLenia.setTransport(e.target.value);
+            syncTransportUI();
+        }
+    }));
+
+    setupSlider('flow-distribution-size', (value) => {
+        if (flowLenia) {
+            flowLenia.distributionSize = parseFloat(value);
+        }
+    });
+
+    document.getElementById('flow-mixing').addEventListener('change', undoable('Mixing rule', (e) => {
+        if (flowLenia) {
+            flowLenia.setMixing(e.target.value);
+        }
+    }));
+
+    document.getElementById('btn-sparse').addEventListener('click', () => {
+        if (flowLenia) {
+            flowLenia.sparse = !flowLenia.sparse;
+            document.getElementById('btn-sparse').classList.toggle('primary', flowLenia.sparse);
+        }
+    });
+
+    document.getElementById('btn-local-genome').addEventListener('click', undoable('Toggle local genome', () => {
+        if (flowLenia) {
+            flowLenia.localGenome = !flowLenia.localGenome;
+            flowLenia.ensureTraits();
+            document.getElementById('btn-local-genome').classList.toggle('primary', flowLenia.localGenome);
+        }
+    }));
+
+    // Open system: mass sources and sinks
+    setupSlider('open-evaporation', (value) => {
+        if (flowLenia) {
+            updateMassBudget({ evaporation: parseFloat(value) });
+        }
+    });
+
+    setupSlider('open-food-conversion', (value) => {
+        if (flowLenia) {
+            updateMassBudget({ foodConversion: parseFloat(value) });
+        }
+    });
+
+    setupSlider('open-emitter-rate', (value) => {
+        emitterRate = parseFloat(value);
+    });
+
+    document.getElementById('btn-clear-emitters').addEventListener('click', undoable('Clear emitters', () => {
+        if (flowLenia) {
+            updateMassBudget({ emitters: [] });
+        }
+    }));
+
     // Phase 4: Sensory mode toggle
     document.getElementById('btn-sensory-off').addEventListener('click', () => {
         setSensoryMode(false);
@@ -118,25 +216,25 @@ function initUI() {
         }
     });
 
-    document.getElementById('btn-add-food').addEventListener('click', () => {
+    document.getElementById('btn-add-food').addEventListener('click', undoable('Add food', () => {
         if (environment) {
             // Add food at random locations
             for (let i = 0; i < 5; i++) {
                 environment.addFood(
-                    Math.random() * environment.size,
-                    Math.random() * environment.size,
+                    Random.random() * environment.width,
+                    Random.random() * environment.height,
                     0.8,
                     15
                 );
             }
         }
-    });
+    }));
 
-    document.getElementById('btn-reset-env').addEventListener('click', () => {
+    document.getElementById('btn-reset-env').addEventListener('click', undoable('Reset environment', () => {
         if (environment) {
             environment.reset();
         }
-    });
+    }));
 
     // Phase 4: Creature behavior controls
     setupSlider('food-weight', (value) => {
@@ -157,6 +255,12 @@ function initUI() {
         }
     });
 
+    setupSlider('obstacle-weight', (value) => {
+        if (creatureTracker) {
+            creatureTracker.sensory.obstacleWeight = parseFloat(value);
+        }
+    });
+
     setupSlider('turn-rate', (value) => {
         if (creatureTracker) {
             creatureTracker.sensory.turnRate = parseFloat(value);
@@ -344,9 +448,10 @@ function initUI() {
     });
 
     // Phase 10: Spawn Ecosystem button
-    document.getElementById('btn-spawn-ecosystem').addEventListener('click', () => {
+    document.getElementById('btn-spawn-ecosystem').addEventListener('click', undoable('Spawn creatures', () => {
         if (flowLenia && creatureTracker) {
-            // Clear and setup
+            // Clear and setup (a fresh run starts from the seed)
+            Random.restart();
             flowLenia.clear();
             environment.reset();
             environment.initializeFood();
@@ -369,7 +474,7 @@ function initUI() {
             generation = 0;
             updateMassStats();
         }
-    });
+    }));
 
     // Phase 5: Evolution controls
     setupSlider('mutation-rate', (value) => {
@@ -404,7 +509,7 @@ function initUI() {
 
     // Species select
     const speciesSelect = document.getElementById('species-select');
-    speciesSelect.addEventListener('change', (e) => {
+    speciesSelect.addEventListener('change', undoable('Load species', (e) => {
         if (e.target.value !== 'custom') {
             const speciesKey = e.target.value;
             const species = Species[speciesKey];
@@ -449,15 +554,170 @@ function initUI() {
             generation = 0;
             syncUIToParams();
         }
-    });
+    }));
 
     // Ecosystem select
     const ecosystemSelect = document.getElementById('ecosystem-select');
-    ecosystemSelect.addEventListener('change', (e) => {
+    ecosystemSelect.addEventListener('change', undoable('Load ecosystem', (e) => {
         multiChannel.loadEcosystem(e.target.value);
         generation = 0;
         updateInteractionMatrix();
         updateChannelTabs();
+        syncGrowthUI();
+        syncKernelRulesUI();
+        syncEcosystemFlowUI();
+        channelTracker = null;
+    }));
+
+    // Expanded Universe kernel rules, edited as JSON
+    document.getElementById('btn-apply-kernel-rules').addEventListener('click', undoable('Apply kernel rules', () => {
+        const status = document.getElementById('kernel-rules-status');
+        try {
+            multiChannel.setKernels(JSON.parse(document.getElementById('kernel-rules').value));
+            syncKernelRulesUI();
+        } catch (err) {
+            status.textContent = `Rules not applied: ${err.message}`;
+        }
+    }));
+
+    document.getElementById('btn-clear-kernel-rules').addEventListener('click', undoable('Clear kernel rules', () => {
+        multiChannel.setKernels([]);
+        syncKernelRulesUI();
+    }));
+
+    // Multi-channel Flow-Lenia: move each channel's mass instead of growing it
+    document.getElementById('btn-eco-flow').addEventListener('click', undoable('Toggle flow', () => {
+        multiChannel.flow = !multiChannel.flow;
+        syncEcosystemFlowUI();
+    }));
+
+    setupSlider('eco-flow-strength', (value) => {
+        multiChannel.flowStrength = parseFloat(value);
+    });
+
+    setupSlider('eco-diffusion', (value) => {
+        multiChannel.diffusion = parseFloat(value);
+    });
+
+    setupSlider('eco-crowding', (value) => {
+        multiChannel.crowding = parseFloat(value);
+    });
+
+    // 3D mode: presets, parameters and view
+    document.getElementById('species3d-select').addEventListener('change', undoable('Load species', (e) => {
+        lenia3d.loadSpecies(e.target.value);
+        syncVolumeUI();
+        generation = 0;
+    }));
+
+    setupSlider('volume-size', (value) => {
+        resizeVolume(parseInt(value));
+    });
+
+    document.getElementById('btn-3d-reset').addEventListener('click', undoable('Reset', () => {
+        lenia3d.loadSpecies(document.getElementById('species3d-select').value);
+        syncVolumeUI();
+        generation = 0;
+    }));
+
+    document.getElementById('btn-3d-randomize').addEventListener('click', undoable('Randomize', () => {
+        lenia3d.randomize();
+        generation = 0;
+    }));
+
+    document.getElementById('btn-3d-clear').addEventListener('click', undoable('Clear', () => {
+        lenia3d.clear();
+        generation = 0;
+    }));
+
+    document.getElementById('kernel3d-type').addEventListener('change', undoable('Kernel type', (e) => {
+        lenia3d.kernelType = e.target.value;
+        lenia3d.updateKernel();
+    }));
+
+    setupSlider('radius3d', (value) => {
+        lenia3d.R = parseInt(value);
+        lenia3d.updateKernel();
+    });
+
+    setupSlider('mu3d', (value) => {
+        lenia3d.mu = parseFloat(value);
+    });
+
+    setupSlider('sigma3d', (value) => {
+        lenia3d.sigma = parseFloat(value);
+    });
+
+    setupSlider('dt3d', (value) => {
+        lenia3d.dt = parseFloat(value);
+    });
+
+    document.getElementById('view3d-select').addEventListener('change', (e) => {
+        volumeView.view = e.target.value;
+    });
+
+    document.getElementById('axis3d-select').addEventListener('change', (e) => {
+        volumeView.axis = e.target.value;
+    });
+
+    setupSlider('slice3d', (value) => {
+        volumeView.slice = parseInt(value);
+    });
+
+    setupSlider('iso3d', (value) => {
+        volumeView.threshold = parseFloat(value);
+    });
+
+    // Particle mode: presets and parameters
+    document.getElementById('particle-species-select').addEventListener('change', undoable('Load species', (e) => {
+        particleLenia.loadSpecies(e.target.value);
+        syncParticleUI();
+        generation = 0;
+    }));
+
+    setupSlider('particle-world', (value) => {
+        resizeParticleWorld(parseInt(value));
+    });
+
+    document.getElementById('btn-particle-reset').addEventListener('click', undoable('Reset', () => {
+        particleLenia.loadSpecies(document.getElementById('particle-species-select').value);
+        syncParticleUI();
+        generation = 0;
+    }));
+
+    document.getElementById('btn-particle-randomize').addEventListener('click', undoable('Randomize', () => {
+        particleLenia.randomize();
+        generation = 0;
+    }));
+
+    document.getElementById('btn-particle-clear').addEventListener('click', undoable('Clear', () => {
+        particleLenia.clear();
+        generation = 0;
+    }));
+
+    setupSlider('particle-radius', (value) => {
+        particleLenia.R = parseFloat(value);
+        particleLenia.updateKernel();
+    });
+
+    setupSlider('particle-mu', (value) => {
+        particleLenia.mu = parseFloat(value);
+    });
+
+    setupSlider('particle-sigma', (value) => {
+        particleLenia.sigma = parseFloat(value);
+    });
+
+    setupSlider('particle-repulsion', (value) => {
+        particleLenia.repulsion = parseFloat(value);
+    });
+
+    setupSlider('particle-dt', (value) => {
+        particleLenia.dt = parseFloat(value);
+    });
+
+    document.getElementById('particle-view-select').addEventListener('change', (e) => {
+        particleLenia.view = e.target.value;
     });
 
     // Channel tabs
@@ -466,12 +726,13 @@ function initUI() {
             const channel = parseInt(e.target.dataset.channel);
             multiChannel.activeChannel = channel;
             updateChannelTabs();
+            syncGrowthUI();
         }
     });
 
     // Kernel type selector
     const kernelTypeSelect = document.getElementById('kernel-type');
-    kernelTypeSelect.addEventListener('change', (e) => {
+    kernelTypeSelect.addEventListener('change', undoable('Kernel type', (e) => {
         if (currentMode === 'single') {
             if (useFlowLenia) {
                 flowLenia.kernelType = e.target.value;
@@ -488,7 +749,7 @@ function initUI() {
         updateKernelParamsVisibility();
         updateKernelPreview();
         setSpeciesCustom();
-    });
+    }));
 
     // Kernel parameters
     setupSlider('kernel-radius', (value) => {
@@ -657,6 +918,20 @@ function initUI() {
         setSpeciesCustom();
     });
 
+    // Growth function family (see growth.js)
+    document.getElementById('growth-type').addEventListener('change', undoable('Growth function', (e) => {
+        setGrowthFunction(e.target.value);
+    }));
+
+    document.getElementById('growth-points').addEventListener('change', undoable('Growth curve', (e) => {
+        try {
+            setGrowthFunction(growthOwner().growthType, Growth.parsePoints(e.target.value));
+        } catch (err) {
+            console.error('Invalid growth curve:', err);
+            syncGrowthUI();
+        }
+    }));
+
     // Growth function parameters
     setupSlider('growth-mu', (value) => {
         if (currentMode === 'single') {
@@ -698,16 +973,83 @@ function initUI() {
         setSpeciesCustom();
     });
 
-    setupSlider('grid-size', (value) => {
-        const newSize = parseInt(value);
-        lenia.resize(newSize);
-        flowLenia.resize(newSize);
-        // Also resize multi-channel if needed
-        if (multiChannel.size !== newSize) {
-            multiChannel = new MultiChannelLenia(newSize, multiChannel.numChannels);
+    setupSlider('grid-width', (value) => {
+        resizeWorld(parseInt(value), lenia.height);
+    });
+
+    setupSlider('grid-height', (value) => {
+        resizeWorld(lenia.width, parseInt(value));
+    });
+
+    // Time integration (Lenia and ecosystem; see integrators.js)
+    document.getElementById('integrator-select').addEventListener('change', undoable('Integrator', (e) => {
+        setIntegrator(e.target.value);
+    }));
+
+    document.getElementById('btn-adaptive-off').addEventListener('click', undoable('Adaptive dt', () => {
+        setAdaptiveDt(false);
+    }));
+
+    document.getElementById('btn-adaptive-on').addEventListener('click', undoable('Adaptive dt', () => {
+        setAdaptiveDt(true);
+    }));
+
+    setupSlider('tolerance', (value) => {
+        lenia.tolerance = parseFloat(value);
+        multiChannel.tolerance = parseFloat(value);
+    });
+
+    // Noise amplitudes (grid simulations; see noise.js)
+    for (const key of Noise.KEYS) {
+        setupSlider(`noise-${key}`, (value) => {
+            setNoise({ ...lenia.noise, [key]: parseFloat(value) });
+        });
+    }
+
+    // Boundary mode: what happens at the edges of the world
+    document.getElementById('boundary-select').addEventListener('change', (e) => {
+        if (e.target.value === 'plane') {
+            setPlaneMode(true);
+            return;
         }
+        recordEdit('Boundary', () => {
+            setPlaneMode(false);
+            setBoundaryMode(e.target.value);
+        });
+    });
+
+    // Random seed: applying a seed restarts the run so it can be reproduced
+    document.getElementById('btn-apply-seed').addEventListener('click', () => {
+        const value = parseInt(document.getElementById('seed-input').value);
+        if (!isNaN(value)) {
+            Random.setSeed(value);
+        }
+        document.getElementById('btn-reset').click();
+        updateSeedDisplay();
+    });
+
+    document.getElementById('btn-new-seed').addEventListener('click', () => {
+        Random.setSeed(Random.newSeed());
+        document.getElementById('btn-reset').click();
+        updateSeedDisplay();
     });
 
+    updateSeedDisplay();
+
+    // Simulation worker: step off the main thread when the browser allows it
+    document.getElementById('btn-worker-off').addEventListener('click', () => {
+        setWorkerMode(false);
+    });
+
+    document.getElementById('btn-worker-on').addEventListener('click', () => {
+        setWorkerMode(true);
+    });
+
+    if (!SimulationWorker.isSupported()) {
+        document.getElementById('btn-worker-on').disabled = true;
+    }
+    setWorkerMode(SimulationWorker.isSupported());
+
     // Brush size
     setupSlider('brush-size', () => {});
 
@@ -715,11 +1057,32 @@ function initUI() {
     const colorSelect = document.getElementById('color-scheme');
     colorSelect.addEventListener('change', (e) => {
         lenia.colorMap = e.target.value;
+        lenia3d.colorMap = e.target.value;
+        particleLenia.colorMap = e.target.value;
         updateColorPreview();
     });
     updateColorPreview();
 
+    // View: camera zoom and minimap (see camera.js)
+    document.getElementById('btn-reset-view').addEventListener('click', () => {
+        camera.reset();
+        updateViewUI();
+    });
+
+    document.getElementById('btn-minimap').addEventListener('click', (e) => {
+        showMinimap = !showMinimap;
+        e.target.classList.toggle('primary', showMinimap);
+    });
+
     // Control Buttons
+    document.getElementById('btn-undo').addEventListener('click', () => {
+        undoEdit();
+    });
+
+    document.getElementById('btn-redo').addEventListener('click', () => {
+        redoEdit();
+    });
+
     document.getElementById('btn-pause').addEventListener('click', () => {
         paused = !paused;
         document.getElementById('btn-pause').textContent = paused ? 'Resume' : 'Pause';
@@ -739,10 +1102,13 @@ function initUI() {
         generation++;
     });
 
-    document.getElementById('btn-reset').addEventListener('click', () => {
+    document.getElementById('btn-reset').addEventListener('click', undoable('Reset', () => {
         if (currentMode === 'ecosystem') {
+            Random.restart();
             const ecosystemSelect = document.getElementById('ecosystem-select');
             multiChannel.loadEcosystem(ecosystemSelect.value);
+            syncEcosystemFlowUI();
+            channelTracker = null;
         } else {
             resetSimulation();
             if (useFlowLenia) {
@@ -751,9 +1117,10 @@ function initUI() {
             }
         }
         generation = 0;
-    });
+        resetPlane();
+    }));
 
-    document.getElementById('btn-clear').addEventListener('click', () => {
+    document.getElementById('btn-clear').addEventListener('click', undoable('Clear', () => {
         if (currentMode === 'ecosystem') {
             multiChannel.clear();
         } else if (useFlowLenia) {
@@ -764,9 +1131,33 @@ function initUI() {
             lenia.clear();
         }
         generation = 0;
+        resetPlane();
+    }));
+
+    // Timeline: scrub back through recorded snapshots
+    document.getElementById('history-position').addEventListener('input', (e) => {
+        restoreHistory(parseInt(e.target.value));
+    });
+
+    setupSlider('history-interval', (value) => {
+        simHistory.interval = parseInt(value);
     });
 
-    document.getElementById('btn-random').addEventListener('click', () => {
+    setupSlider('history-capacity', (value) => {
+        simHistory.setCapacity(parseInt(value));
+        updateHistoryUI();
+    });
+
+    document.getElementById('btn-history-fork').addEventListener('click', () => {
+        forkHistory();
+    });
+
+    document.getElementById('btn-history-clear').addEventListener('click', () => {
+        simHistory.clear();
+        updateHistoryUI();
+    });
+
+    document.getElementById('btn-random').addEventListener('click', undoable('Randomize', () => {
         if (currentMode === 'ecosystem') {
             multiChannel.randomize();
         } else if (useFlowLenia) {
@@ -777,7 +1168,7 @@ function initUI() {
             lenia.randomize();
         }
         generation = 0;
-    });
+    }));
 
     // Recording controls
     setupSlider('record-duration', () => {});
@@ -832,16 +1223,17 @@ function initUI() {
         const pattern = Species.createBlob(8);
         if (currentMode === 'ecosystem') {
             const ch = multiChannel.activeChannel;
-            const cx = Math.floor(multiChannel.size / 2);
-            const cy = Math.floor(multiChannel.size / 2);
+            const cx = Math.floor(multiChannel.width / 2);
+            const cy = Math.floor(multiChannel.height / 2);
             multiChannel.drawBlob(ch, cx, cy, 10, 1);
         } else {
             Species.placePattern(
                 lenia.grid,
-                lenia.size,
+                lenia.width,
+                lenia.height,
                 pattern,
-                Math.floor(lenia.size / 2),
-                Math.floor(lenia.size / 2)
+                Math.floor(lenia.width / 2),
+                Math.floor(lenia.height / 2)
             );
         }
     });
@@ -850,6 +1242,61 @@ function initUI() {
         alert('Shift+Click to erase, or just click to draw');
     });
 
+    // Brush target: paint mass, or walls that block flow, growth and sensing
+    document.getElementById('btn-brush-mass').addEventListener('click', () => {
+        setBrushTarget('mass');
+    });
+
+    document.getElementById('btn-brush-walls').addEventListener('click', () => {
+        setBrushTarget('walls');
+    });
+
+    document.getElementById('btn-brush-params').addEventListener('click', () => {
+        setBrushTarget('params');
+    });
+
+    document.getElementById('btn-brush-emitters').addEventListener('click', () => {
+        setBrushTarget('emitters');
+    });
+
+    document.getElementById('btn-clear-walls').addEventListener('click', undoable('Clear walls', () => {
+        environment.clearObstacles();
+    }));
+
+    // Parameter maps: paint or load per-cell mu, sigma and dt
+    document.getElementById('param-map-select').addEventListener('change', (e) => {
+        setParamMapTarget(e.target.value);
+    });
+
+    setupSlider('param-map-value', (value) => {
+        paramBrush.value = parseFloat(value);
+    });
+
+    setupSlider('param-map-low', (value) => {
+        paramBrush.low = parseFloat(value);
+    });
+
+    setupSlider('param-map-high', (value) => {
+        paramBrush.high = parseFloat(value);
+    });
+
+    document.getElementById('param-map-image').addEventListener('change', (e) => {
+        if (e.target.files[0]) {
+            loadParamMapImage(e.target.files[0]);
+        }
+        e.target.value = '';
+    });
+
+    document.getElementById('btn-param-overlay').addEventListener('click', (e) => {
+        paramBrush.overlay = !paramBrush.overlay;
+        e.target.classList.toggle('primary', paramBrush.overlay);
+        e.target.textContent = paramBrush.overlay ? 'Hide Overlay' : 'Show Overlay';
+    });
+
+    document.getElementById('btn-param-map-clear').addEventListener('click', undoable('Clear parameter map', () => {
+        paramMapSim().clearParamMap(paramBrush.name);
+    }));
+
     // Initialize UI values and visibility
     syncUIToParams();
     updateInteractionMatrix();
@@ -867,10 +1314,10 @@ function initUI() {
 
     // Living Aquarium: Preset scene buttons
     document.querySelectorAll('.scene-btn').forEach(btn => {
-        btn.addEventListener('click', () => {
+        btn.addEventListener('click', undoable('Load scene', () => {
             const scene = btn.dataset.scene;
             loadPresetScene(scene);
-        });
+        }));
     });
 
     // Initialize pause button to correct state (starts paused)
@@ -1021,7 +1468,7 @@ function loadPresetScene(sceneId) {
         // Spawn multiple creatures if specified
         const count = scene.creatureCount || 1;
         const spacing = scene.creatureSpacing || 50;
-        const size = flowLenia.size;
+        const { width, height } = flowLenia;
 
         // Get growth parameters (with overrides if specified)
         const baseMu = scene.speciesOverrides?.growthMu || speciesData.params.mu;
@@ -1046,14 +1493,14 @@ function loadPresetScene(sceneId) {
             let x, y;
             let attempts = 0;
             do {
-                x = 30 + Math.random() * (size - 60);
-                y = 30 + Math.random() * (size - 60);
+                x = 30 + Random.random() * (width - 60);
+                y = 30 + Random.random() * (height - 60);
                 attempts++;
             } while (attempts < 50 && positions.some(p => {
                 const dx = Math.abs(p.x - x);
                 const dy = Math.abs(p.y - y);
-                const wdx = Math.min(dx, size - dx);
-                const wdy = Math.min(dy, size - dy);
+                const wdx = Math.min(dx, width - dx);
+                const wdy = Math.min(dy, height - dy);
                 return Math.sqrt(wdx*wdx + wdy*wdy) < spacing;
             }));
 
@@ -1133,6 +1580,7 @@ function initWelcomeOverlay() {
  */
 function switchMode(mode) {
     currentMode = mode;
+    resetPlane();
 
     // Update tabs
     document.querySelectorAll('.mode-tab').forEach(tab => {
@@ -1155,7 +1603,82 @@ function switchMode(mode) {
         multiChannel.loadEcosystem(ecosystemSelect.value);
         updateInteractionMatrix();
         updateChannelTabs();
+        syncGrowthUI();
+        syncKernelRulesUI();
+        syncEcosystemFlowUI();
+    } else if (mode === '3d') {
+        syncVolumeUI();
+    } else if (mode === 'particle') {
+        syncParticleUI();
     }
+
+    windowResized();
+}
+
+/**
+ * Rebuild the 3D volume at a new size and reload the selected preset
+ */
+function resizeVolume(size) {
+    if (lenia3d.size === size) return;
+
+    const colorMap = lenia3d.colorMap;
+    lenia3d = new Lenia3D(size);
+    lenia3d.colorMap = colorMap;
+    lenia3d.setNoise(lenia.noise);
+    lenia3d.loadSpecies(document.getElementById('species3d-select').value);
+
+    volumeView.slice = Math.floor(size / 2);
+    syncVolumeUI();
+    generation = 0;
+    windowResized();
+}
+
+/**
+ * Rebuild the particle world at a new size and reload the selected preset
+ */
+function resizeParticleWorld(size) {
+    if (particleLenia.width === size) return;
+
+    const { colorMap, view } = particleLenia;
+    particleLenia = new ParticleLenia(size);
+    particleLenia.colorMap = colorMap;
+    particleLenia.view = view;
+    particleLenia.loadSpecies(document.getElementById('particle-species-select').value);
+
+    syncParticleUI();
+    generation = 0;
+    windowResized();
+}
+
+/**
+ * Update the particle panel's controls from particleLenia
+ */
+function syncParticleUI() {
+    setSliderValue('particle-world', particleLenia.width);
+    setSliderValue('particle-radius', particleLenia.R);
+    setSliderValue('particle-mu', particleLenia.mu);
+    setSliderValue('particle-sigma', particleLenia.sigma);
+    setSliderValue('particle-repulsion', particleLenia.repulsion);
+    setSliderValue('particle-dt', particleLenia.dt);
+    document.getElementById('particle-view-select').value = particleLenia.view;
+}
+
+/**
+ * Update the 3D panel's controls from lenia3d and volumeView
+ */
+function syncVolumeUI() {
+    setSliderValue('volume-size', lenia3d.size);
+    document.getElementById('kernel3d-type').value = lenia3d.kernelType;
+    setSliderValue('radius3d', lenia3d.R);
+    setSliderValue('mu3d', lenia3d.mu);
+    setSliderValue('sigma3d', lenia3d.sigma);
+    setSliderValue('dt3d', lenia3d.dt);
+
+    document.getElementById('slice3d').max = lenia3d.size - 1;
+    setSliderValue('slice3d', Math.min(volumeView.slice, lenia3d.size - 1));
+    document.getElementById('view3d-select').value = volumeView.view;
+    document.getElementById('axis3d-select').value = volumeView.axis;
+    setSliderValue('iso3d', volumeView.threshold);
 }
 
 /**
@@ -1163,6 +1686,7 @@ function switchMode(mode) {
  */
 function setFlowMode(enabled) {
     useFlowLenia = enabled;
+    resetPlane();
 
     // Update button states
     const btnStandard = document.getElementById('btn-standard-lenia');
@@ -1190,6 +1714,7 @@ function setFlowMode(enabled) {
             flowLenia.mu = lenia.mu;
             flowLenia.sigma = lenia.sigma;
             flowLenia.dt = lenia.dt;
+            flowLenia.setGrowth(lenia.growthType, lenia.growthPoints);
             flowLenia.kernelType = lenia.kernelType;
             flowLenia.kernelParams = { ...lenia.kernelParams };
             flowLenia.updateKernel();
@@ -1219,6 +1744,7 @@ function setFlowMode(enabled) {
             lenia.mu = flowLenia.mu;
             lenia.sigma = flowLenia.sigma;
             lenia.dt = flowLenia.dt;
+            lenia.setGrowth(flowLenia.growthType, flowLenia.growthPoints);
             lenia.kernelType = flowLenia.kernelType;
             lenia.kernelParams = { ...flowLenia.kernelParams };
             lenia.updateKernel();
@@ -1272,6 +1798,392 @@ function setEvolutionMode(enabled) {
     }
 }
 
+/**
+ * Resize every simulation to a width × height world and refit the canvas
+ * Lenia and Flow-Lenia rescale their contents; the ecosystem is rebuilt
+ */
+function resizeWorld(width, height) {
+    if (lenia.width === width && lenia.height === height) return;
+
+    lenia.resize(width, height);
+    flowLenia.resize(width, height);
+    if (multiChannel.width !== width || multiChannel.height !== height) {
+        multiChannel = new MultiChannelLenia(width, multiChannel.numChannels, height);
+        multiChannel.setBoundary(lenia.boundary);
+        multiChannel.setIntegrator(lenia.integrator);
+        multiChannel.adaptiveDt = lenia.adaptiveDt;
+        multiChannel.tolerance = lenia.tolerance;
+        multiChannel.setNoise(lenia.noise);
+    }
+
+    setSliderValue('grid-width', width);
+    setSliderValue('grid-height', height);
+    resetPlane();
+    windowResized();
+}
+
+/**
+ * Set the time integration method of Lenia and the ecosystem (see integrators.js)
+ * Flow-Lenia moves mass by transport and has no integrator setting
+ */
+function setIntegrator(method) {
+    lenia.setIntegrator(method);
+    multiChannel.setIntegrator(method);
+    document.getElementById('integrator-select').value = method;
+}
+
+/**
+ * Set the noise amplitudes of every grid simulation (see noise.js)
+ * Particle Lenia has no noise settings
+ */
+function setNoise(settings) {
+    for (const sim of [lenia, flowLenia, multiChannel, lenia3d]) {
+        sim.setNoise(settings);
+    }
+    for (const key of Noise.KEYS) {
+        setSliderValue(`noise-${key}`, lenia.noise[key]);
+    }
+}
+
+/**
+ * The object whose growth function the controls edit: the single-mode
+ * simulation, or the active ecosystem channel's params
+ */
+function growthOwner() {
+    if (currentMode === 'single') {
+        return useFlowLenia ? flowLenia : lenia;
+    }
+    return multiChannel.channelParams[multiChannel.activeChannel];
+}
+
+/**
+ * Set the growth function family (and 'piecewise' curve) being edited
+ */
+function setGrowthFunction(type, points) {
+    if (currentMode === 'single') {
+        growthOwner().setGrowth(type, points);
+    } else {
+        multiChannel.setChannelGrowth(multiChannel.activeChannel, type, points);
+    }
+    syncGrowthUI();
+    setSpeciesCustom();
+}
+
+/**
+ * Show the edited growth family; the curve points only apply to 'piecewise'
+ */
+function syncGrowthUI() {
+    const owner = growthOwner();
+    document.getElementById('growth-type').value = owner.growthType;
+    document.getElementById('growth-points').value = Growth.formatPoints(owner.growthPoints);
+    document.getElementById('growth-points-group').style.display =
+        owner.growthType === 'piecewise' ? 'block' : 'none';
+}
+
+/**
+ * Show the ecosystem's kernel rules as JSON (one rule per line)
+ */
+function syncKernelRulesUI() {
+    const rules = multiChannel.kernels.map(({ kernel, kernelSpectrum, growthPoints, ...rule }) => (
+        JSON.stringify(rule.growthType === 'piecewise' ? { ...rule, growthPoints } : rule)
+    ));
+    document.getElementById('kernel-rules').value = rules.length > 0 ? `[\n${rules.join(',\n')}\n]` : '[]';
+    document.getElementById('kernel-rules-status').textContent = rules.length > 0
+        ? `${rules.length} rules active; the interaction matrix is ignored`
+        : 'No rules: channels use their own kernel and the interaction matrix';
+}
+
+/**
+ * Show Flow-Lenia's transport mode, and the distribution size when it
+ * uses reintegration tracking
+ */
+function syncTransportUI() {
+    document.getElementById('flow-transport').value = flowLenia.transport;
+    setSliderValue('flow-distribution-size', flowLenia.distributionSize);
+    document.getElementById('flow-distribution-group').style.display =
+        flowLenia.transport === 'reintegration' ? 'block' : 'none';
+}
+
+/**
+ * Show whether the ecosystem moves mass (Flow-Lenia) and its flow settings
+ */
+function syncEcosystemFlowUI() {
+    document.getElementById('btn-eco-flow').classList.toggle('primary', multiChannel.flow);
+    setSliderValue('eco-flow-strength', multiChannel.flowStrength);
+    setSliderValue('eco-diffusion', multiChannel.diffusion);
+    setSliderValue('eco-crowding', multiChannel.crowding);
+    document.getElementById('eco-flow-info').style.display = multiChannel.flow ? 'block' : 'none';
+}
+
+/**
+ * Track the creatures of a flow ecosystem, each in its own channel, and
+ * show their counts and the channel masses; called once per frame
+ */
+function trackChannelCreatures() {
+    if (currentMode !== 'ecosystem' || !multiChannel || !multiChannel.flow) {
+        channelTracker = null;
+        return;
+    }
+
+    const { width, height } = multiChannel;
+    if (!channelTracker || channelTracker.width !== width || channelTracker.height !== height) {
+        channelTracker = new CreatureTracker(width, height);
+        // Tracking runs per frame, so its draws stay off the main stream
+        channelTracker.headingRandom = Random.stream('channelCreatures');
+    }
+    channelTracker.boundary = multiChannel.boundary;
+    channelTracker.updateChannels(multiChannel.channels, generation);
+
+    const creatures = channelTracker.getCreatures();
+    const counts = multiChannel.channels.map((_, c) => creatures.filter(cr => cr.channel === c).length);
+    const masses = multiChannel.channels.map((_, c) => multiChannel.channelMass(c).toFixed(1));
+    document.getElementById('eco-creatures').textContent = counts.join(' / ');
+    document.getElementById('eco-channel-mass').textContent = masses.join(' / ');
+}
+
+/**
+ * Turn error-controlled step sizes on or off; dt becomes the largest step
+ */
+function setAdaptiveDt(enabled) {
+    lenia.adaptiveDt = enabled;
+    multiChannel.adaptiveDt = enabled;
+    document.getElementById('btn-adaptive-off').classList.toggle('primary', !enabled);
+    document.getElementById('btn-adaptive-on').classList.toggle('primary', enabled);
+}
+
+/**
+ * Choose what the mouse brush paints: 'mass', 'walls', 'params' or 'emitters'
+ */
+function setBrushTarget(target) {
+    brushTarget = target;
+    document.getElementById('btn-brush-mass').classList.toggle('primary', target === 'mass');
+    document.getElementById('btn-brush-walls').classList.toggle('primary', target === 'walls');
+    document.getElementById('btn-brush-params').classList.toggle('primary', target === 'params');
+    document.getElementById('btn-brush-emitters').classList.toggle('primary', target === 'emitters');
+}
+
+/**
+ * Change Flow-Lenia's mass budget (see mass-budget.js). The budget is
+ * replaced, not edited in place, so edit snapshots keep the old one
+ */
+function updateMassBudget(changes) {
+    const { evaporation, foodConversion, emitters } = flowLenia.massBudget;
+    flowLenia.setMassBudget({ evaporation, foodConversion, emitters, ...changes });
+}
+
+/**
+ * Place (add = true) or remove emitters at a grid position. A new emitter
+ * needs the disc clear of others; removing takes every emitter inside it
+ */
+function paintEmitters(x, y, radius, add) {
+    const { emitters } = flowLenia.massBudget;
+    const inside = emitter => Math.hypot(emitter.x - x, emitter.y - y) <= radius;
+
+    if (add) {
+        if (!emitters.some(inside)) {
+            updateMassBudget({ emitters: [...emitters, { x, y, radius, rate: emitterRate }] });
+        }
+    } else if (emitters.some(inside)) {
+        updateMassBudget({ emitters: emitters.filter(emitter => !inside(emitter)) });
+    }
+}
+
+/**
+ * The simulation whose parameter maps the controls edit: the ecosystem in
+ * Ecosystem mode (maps of the selected channel), standard Lenia otherwise
+ */
+function paramMapSim() {
+    return currentMode === 'ecosystem' ? multiChannel : lenia;
+}
+
+/**
+ * Global value of the edited parameter, which unpainted cells keep
+ */
+function paramMapBase() {
+    const sim = paramMapSim();
+    const [owner] = sim.paramMapOwner(paramBrush.name, sim.activeChannel);
+    return owner[paramBrush.name];
+}
+
+/**
+ * Choose the parameter map to edit, and fit the value sliders to its range
+ */
+function setParamMapTarget(name) {
+    paramBrush.name = ParamMaps.validate(name);
+    const [min, max] = ParamMaps.RANGES[name];
+    const step = name === 'sigma' ? 0.001 : name === 'dt' ? 0.01 : 0.005;
+    const base = paramMapBase();
+
+    paramBrush.value = base;
+    paramBrush.low = min;
+    paramBrush.high = base;
+    for (const id of ['param-map-value', 'param-map-low', 'param-map-high']) {
+        const slider = document.getElementById(id);
+        slider.min = min;
+        slider.max = max;
+        slider.step = step;
+    }
+    setSliderValue('param-map-value', paramBrush.value);
+    setSliderValue('param-map-low', paramBrush.low);
+    setSliderValue('param-map-high', paramBrush.high);
+    document.getElementById('param-map-select').value = name;
+}
+
+/**
+ * Paint the edited parameter map at a grid position: toward the brush
+ * value (set = true), or back toward the global value
+ */
+function paintParamMap(x, y, radius, set) {
+    const sim = paramMapSim();
+    const value = set ? paramBrush.value : paramMapBase();
+    sim.paintParamMap(paramBrush.name, x, y, radius, value);
+}
+
+/**
+ * Fill the edited parameter map from an image file's brightness
+ */
+function loadParamMapImage(file) {
+    const image = new Image();
+    image.onload = () => {
+        const canvas = document.createElement('canvas');
+        canvas.width = image.width;
+        canvas.height = image.height;
+        const ctx = canvas.getContext('2d');
+        ctx.drawImage(image, 0, 0);
+
+        const sim = paramMapSim();
+        const pixels = ctx.getImageData(0, 0, image.width, image.height);
+        recordEdit('Load parameter image', () => {
+            sim.paramMap(paramBrush.name).set(
+                ParamMaps.fromImage(pixels, sim.width, sim.height, paramBrush.low, paramBrush.high)
+            );
+        });
+        URL.revokeObjectURL(image.src);
+    };
+    image.src = URL.createObjectURL(file);
+}
+
+/**
+ * Paint (solid = true) or erase walls at a grid position
+ * Lenia and Flow-Lenia share the environment, so mass under new walls is
+ * removed from both
+ */
+function paintWalls(x, y, radius, solid) {
+    environment.paintObstacle(x, y, radius, solid);
+
+    if (solid) {
+        const walls = environment.obstacles;
+        for (let i = 0; i < walls.length; i++) {
+            if (walls[i]) {
+                lenia.grid[i] = 0;
+                flowLenia.A[i] = 0;
+            }
+        }
+    }
+    environment.computeObstacleGradient();
+}
+
+/**
+ * Set the boundary mode of every simulation (see boundary.js)
+ * Flow-Lenia passes it on to the environment and creature tracker
+ */
+function setBoundaryMode(mode) {
+    lenia.setBoundary(mode);
+    flowLenia.setBoundary(mode);
+    multiChannel.setBoundary(mode);
+    document.getElementById('boundary-select').value = mode;
+}
+
+/**
+ * Turn the world into an unbounded plane streamed in chunks (see
+ * chunk-world.js), or back into a bounded world. The grid becomes the
+ * plane's window, with absorbing edges; its cells are kept either way
+ */
+function setPlaneMode(enabled) {
+    const select = document.getElementById('boundary-select');
+    if (enabled && !chunkWorld) {
+        const sims = currentSims();
+        if (!ChunkWorld.supports(sims, PLANE_CHUNK_SIZE)) {
+            alert(`The infinite plane needs a 2D world whose size is a multiple of ${PLANE_CHUNK_SIZE}`);
+            select.value = SimState.activeSim(sims).boundary;
+            return;
+        }
+        setBoundaryMode('absorbing');
+        chunkWorld = new ChunkWorld(PLANE_CHUNK_SIZE, ChunkStore.isSupported() ? new ChunkStore() : null);
+        chunkWorld.onShift = (dx, dy) => {
+            // Keep the view on the same spot of the plane
+            const scale = camera.scale(SimState.activeSim(currentSims()).width);
+            camera.pan(-dx * scale, -dy * scale);
+
+            if (channelTracker) channelTracker.translate(dx, dy);
+
+            // Undo commands and timeline snapshots hold the old window's cells
+            editHistory.clear();
+            simHistory.clear();
+            updateUndoUI();
+            updateHistoryUI();
+        };
+        select.value = 'plane';
+    } else if (!enabled && chunkWorld) {
+        chunkWorld.reset();
+        chunkWorld = null;
+    }
+    updatePlaneUI();
+}
+
+/**
+ * Move the plane's window along with the mass; called once per frame
+ * while running
+ */
+function followPlane() {
+    if (!chunkWorld) return;
+    const sims = currentSims();
+    if (!ChunkWorld.supports(sims, chunkWorld.chunkSize)) return;
+    if (chunkWorld.follow(sims)) updatePlaneUI();
+}
+
+/**
+ * Start the plane over from the current window (after a reset, clear,
+ * resize or mode change)
+ */
+function resetPlane() {
+    if (!chunkWorld) return;
+    chunkWorld.reset();
+    updatePlaneUI();
+}
+
+function updatePlaneUI() {
+    const info = document.getElementById('plane-info');
+    info.style.display = chunkWorld ? 'block' : 'none';
+    if (!chunkWorld) return;
+    const [x, y] = chunkWorld.toWorld(0, 0);
+    document.getElementById('plane-origin').textContent = `${x}, ${y}`;
+    document.getElementById('plane-chunks').textContent = chunkWorld.chunkCount;
+}
+
+/**
+ * Run the simulation in a worker (true) or step it in draw() (false)
+ * Switching either way keeps the current state: the page's objects always
+ * hold the latest frame
+ */
+function setWorkerMode(enabled) {
+    enabled = enabled && SimulationWorker.isSupported();
+
+    if (enabled && !simWorker) {
+        simWorker = new SimulationWorker();
+        simWorker.onError = () => setWorkerMode(false);
+    } else if (!enabled && simWorker) {
+        simWorker.terminate();
+        simWorker = null;
+    }
+
+    // Update button states
+    const btnOff = document.getElementById('btn-worker-off');
+    const btnOn = document.getElementById('btn-worker-on');
+    btnOff.classList.toggle('primary', !enabled);
+    btnOn.classList.toggle('primary', enabled);
+}
+
 /**
  * Phase 14: Toggle seasonal cycle mode
  */
@@ -1417,6 +2329,14 @@ function updateMassStats() {
 
     if (initialEl) initialEl.textContent = initialMass.toFixed(1);
     if (currentEl) currentEl.textContent = currentMass.toFixed(1);
+
+    // Running totals of where mass came from and went (see mass-budget.js)
+    const { total } = flowLenia.massLedger;
+    document.getElementById('stat-ledger-sources').textContent =
+        [total.emitted, total.converted].map(v => v.toFixed(1)).join(' / ');
+    document.getElementById('stat-ledger-sinks').textContent =
+        [total.evaporated, total.eaten, total.reproduction].map(v => v.toFixed(1)).join(' / ');
+    document.getElementById('stat-ledger-other').textContent = total.other.toFixed(1);
     if (deltaEl) {
         deltaEl.textContent = (delta >= 0 ? '+' : '') + delta.toFixed(2) + '%';
         // Color based on conservation quality
@@ -1501,11 +2421,11 @@ function updateInteractionMatrix() {
             cell.dataset.row = i;
             cell.dataset.col = j;
 
-            cell.addEventListener('change', (e) => {
+            cell.addEventListener('change', undoable('Interaction', (e) => {
                 const row = parseInt(e.target.dataset.row);
                 const col = parseInt(e.target.dataset.col);
                 multiChannel.interactions[row][col] = parseFloat(e.target.value);
-            });
+            }));
 
             container.appendChild(cell);
         }
@@ -1520,16 +2440,21 @@ function setupSlider(id, callback) {
     if (!slider) return;
 
     const display = document.getElementById(id + '-value');
+    const label = slider.closest('.control-group')?.querySelector('label')?.firstChild.textContent.trim() || id;
 
+    // A drag is one undoable edit: inputs merge until the final change
     const update = () => {
         if (display) {
             display.textContent = slider.value;
         }
-        callback(slider.value);
+        recordEdit(label, () => callback(slider.value), id);
     };
 
     slider.addEventListener('input', update);
-    slider.addEventListener('change', update);
+    slider.addEventListener('change', () => {
+        update();
+        if (editHistory) editHistory.endGroup();
+    });
 }
 
 /**
@@ -1556,7 +2481,8 @@ function syncUIToParams() {
     setSliderValue('growth-mu', sim.mu);
     setSliderValue('growth-sigma', sim.sigma);
     setSliderValue('dt', sim.dt);
-    setSliderValue('grid-size', sim.size);
+    setSliderValue('grid-width', sim.width);
+    setSliderValue('grid-height', sim.height);
 
     // Sync kernel type
     const kernelTypeSelect = document.getElementById('kernel-type');
@@ -1579,6 +2505,12 @@ function syncUIToParams() {
         setSliderValue('flow-strength', flowLenia.flowStrength);
         setSliderValue('flow-diffusion', flowLenia.diffusion);
         setSliderValue('steering-strength', flowLenia.steeringStrength);
+        syncTransportUI();
+        document.getElementById('flow-mixing').value = flowLenia.mixing;
+        document.getElementById('btn-sparse').classList.toggle('primary', flowLenia.sparse);
+        document.getElementById('btn-local-genome').classList.toggle('primary', flowLenia.localGenome);
+        setSliderValue('open-evaporation', flowLenia.massBudget.evaporation);
+        setSliderValue('open-food-conversion', flowLenia.massBudget.foodConversion);
     }
 
     // Sync sensory params if enabled
@@ -1587,11 +2519,192 @@ function syncUIToParams() {
         syncEnvironmentUI();
     }
 
+    syncGrowthUI();
+
     // Update visibility and preview
     updateKernelParamsVisibility();
     updateKernelPreview();
 }
 
+/**
+ * Refresh the controls of the active mode after its objects were
+ * overwritten from a snapshot
+ */
+function syncUIToState() {
+    if (currentMode === 'ecosystem') {
+        updateInteractionMatrix();
+        updateChannelTabs();
+        syncGrowthUI();
+        syncKernelRulesUI();
+        syncEcosystemFlowUI();
+    } else if (currentMode === '3d') {
+        syncVolumeUI();
+    } else if (currentMode === 'particle') {
+        syncParticleUI();
+    } else {
+        syncUIToParams();
+        if (useFlowLenia) {
+            updateMassStats();
+            if (sensoryEnabled) updateSensoryStats();
+        }
+    }
+
+    const sim = SimState.activeSim(currentSims());
+    if (sim.noise) {
+        for (const key of Noise.KEYS) {
+            setSliderValue(`noise-${key}`, sim.noise[key]);
+        }
+    }
+    if (sim.integrator) {
+        document.getElementById('integrator-select').value = sim.integrator;
+    }
+    if (sim.boundary) {
+        document.getElementById('boundary-select').value = chunkWorld ? 'plane' : sim.boundary;
+    }
+    updateSeedDisplay();
+}
+
+// ==================== Undo / Redo ====================
+
+/**
+ * Run an edit to the simulation and record it for undo
+ * @param {string} label - Shown on the Undo/Redo buttons
+ * @param {Function} edit - Changes the simulation objects
+ * @param {string} group - Edits of one group merge until endGroup() (strokes, slider drags)
+ */
+function recordEdit(label, edit, group = null) {
+    if (!editHistory) return edit();
+    const result = editHistory.record(currentSims(), label, edit, group);
+    updateUndoUI();
+    return result;
+}
+
+/**
+ * Wrap an event handler so its changes can be undone
+ */
+function undoable(label, handler) {
+    return (...args) => recordEdit(label, () => handler(...args));
+}
+
+function undoEdit() {
+    const sims = currentSims();
+    if (editHistory.undo(sims)) {
+        afterUndoRedo(sims);
+    }
+    updateUndoUI();
+}
+
+function redoEdit() {
+    const sims = currentSims();
+    if (editHistory.redo(sims)) {
+        afterUndoRedo(sims);
+    }
+    updateUndoUI();
+}
+
+/**
+ * Refresh what depends on the restored objects
+ */
+function afterUndoRedo(sims) {
+    if (sims.mode === 'flow') {
+        initialMass = flowLenia.totalMass();
+    }
+    if (environment) {
+        environment.computeObstacleGradient();
+    }
+    syncUIToState();
+}
+
+/**
+ * Enable the Undo/Redo buttons and name the edit they act on
+ */
+function updateUndoUI() {
+    const undoBtn = document.getElementById('btn-undo');
+    const redoBtn = document.getElementById('btn-redo');
+    const nextUndo = editHistory.undoStack[editHistory.undoStack.length - 1];
+    const nextRedo = editHistory.redoStack[editHistory.redoStack.length - 1];
+
+    undoBtn.disabled = !nextUndo;
+    redoBtn.disabled = !nextRedo;
+    undoBtn.title = nextUndo ? `Undo ${nextUndo.label} (Ctrl+Z)` : 'Nothing to undo';
+    redoBtn.title = nextRedo ? `Redo ${nextRedo.label} (Ctrl+Shift+Z)` : 'Nothing to redo';
+}
+
+// ==================== View ====================
+
+/**
+ * Show the camera's zoom
+ */
+function updateViewUI() {
+    document.getElementById('view-zoom').textContent = `${camera.zoom.toFixed(1)}×`;
+}
+
+// ==================== Timeline ====================
+
+/**
+ * Record a timeline snapshot if one is due; called once per frame
+ */
+function recordHistory() {
+    if (!simHistory || !simHistory.due(generation)) return;
+    simHistory.record(currentSims());
+    updateHistoryUI();
+}
+
+/**
+ * Rewind to a timeline snapshot and pause there
+ * Resuming continues from it and replaces the later snapshots
+ */
+function restoreHistory(index) {
+    if (index < 0 || index >= simHistory.length) return;
+
+    paused = true;
+    document.getElementById('btn-pause').textContent = 'Resume';
+
+    const sims = currentSims();
+    simHistory.restore(sims, index);
+    generation = sims.generation;
+
+    syncUIToState();
+    updateHistoryUI();
+}
+
+/**
+ * Continue from the selected snapshot with a new random seed, so noise,
+ * food and mutations diverge from the recorded run instead of replaying it
+ */
+function forkHistory() {
+    const index = simHistory.cursor >= 0 ? simHistory.cursor : simHistory.length - 1;
+    if (index < 0) return;
+
+    restoreHistory(index);
+    Random.setSeed(Random.newSeed());
+    updateSeedDisplay();
+}
+
+/**
+ * Show the timeline position, snapshot count and memory use
+ */
+function updateHistoryUI() {
+    const slider = document.getElementById('history-position');
+    const position = document.getElementById('history-position-value');
+    const info = document.getElementById('history-info');
+    const count = simHistory.length;
+
+    if (count === 0) {
+        slider.max = 0;
+        slider.value = 0;
+        position.textContent = '-';
+        info.textContent = 'No snapshots yet';
+        return;
+    }
+
+    const index = simHistory.cursor >= 0 ? simHistory.cursor : count - 1;
+    slider.max = count - 1;
+    slider.value = index;
+    position.textContent = `gen ${simHistory.entries[index].generation}`;
+    info.textContent = `${count} snapshots, ${(simHistory.bytes() / (1024 * 1024)).toFixed(1)} MB`;
+}
+
 /**
  * Sync sensory UI controls to current creature tracker settings
  */
@@ -1602,6 +2715,7 @@ function syncSensoryUI() {
     setSliderValue('pheromone-weight', creatureTracker.sensory.pheromoneWeight);
     setSliderValue('social-weight', creatureTracker.sensory.socialWeight);
     setSliderValue('turn-rate', creatureTracker.sensory.turnRate);
+    setSliderValue('obstacle-weight', creatureTracker.sensory.obstacleWeight);
 
     // Update predator button state
     const btn = document.getElementById('btn-predator-mode');
@@ -1710,6 +2824,7 @@ function updateEvolutionStats() {
     const traitPheromoneEl = document.getElementById('stat-trait-pheromone');
     const traitSocialEl = document.getElementById('stat-trait-social');
     const traitTurnEl = document.getElementById('stat-trait-turn');
+    const traitObstacleEl = document.getElementById('stat-trait-obstacle');
 
     if (traitFoodEl && traits.foodWeight !== undefined) {
         traitFoodEl.textContent = traits.foodWeight.toFixed(2);
@@ -1723,6 +2838,9 @@ function updateEvolutionStats() {
     if (traitTurnEl && traits.turnRate !== undefined) {
         traitTurnEl.textContent = traits.turnRate.toFixed(3);
     }
+    if (traitObstacleEl && traits.obstacleWeight !== undefined) {
+        traitObstacleEl.textContent = traits.obstacleWeight.toFixed(2);
+    }
 
     // Phase 6: Morphology trait averages
     const traitKernelREl = document.getElementById('stat-trait-kernel-r');
@@ -1882,6 +3000,19 @@ function updatePopulationGraph(hunters, prey) {
     ctx.fillText('0', width - 2, height - 2);
 }
 
+/**
+ * Show the current random seed in the controls and statistics
+ */
+function updateSeedDisplay() {
+    const input = document.getElementById('seed-input');
+    const valueEl = document.getElementById('seed-value');
+    const statEl = document.getElementById('stat-seed');
+
+    if (input) input.value = Random.seed;
+    if (valueEl) valueEl.textContent = Random.seed;
+    if (statEl) statEl.textContent = Random.seed;
+}
+
 /**
  * Set slider value and update display
  */
@@ -2112,6 +3243,10 @@ async function startGridSearch() {
         progressFill.style.width = `${progress * 100}%`;
     };
 
+    // 3D searches score 32³ volumes (see evaluateVolume)
+    const volume = document.getElementById('search-dims').value === '3';
+    parameterExplorer.noise = searchNoise();
+
     parameterExplorer.onComplete = (results) => {
         // Draw heatmap
         const heatmap = parameterExplorer.generateHeatmap(150, 150);
@@ -2120,7 +3255,13 @@ async function startGridSearch() {
 
         // Show best result
         const best = parameterExplorer.getBestResults(1)[0];
-        if (best && best.score > 0) {
+        if (best && best.score > 0 && volume) {
+            lenia3d.mu = best.params.mu;
+            lenia3d.sigma = best.params.sigma;
+            lenia3d.seedBall();
+            generation = 0;
+            switchMode('3d');
+        } else if (best && best.score > 0) {
             // Load the best params into lenia
             lenia.R = Math.round(best.params.R);
             lenia.mu = best.params.mu;
@@ -2135,6 +3276,15 @@ async function startGridSearch() {
         }
     };
 
+    if (volume) {
+        await parameterExplorer.gridSearch(
+            { dims: 3, size: 32, R: lenia3d.R, dt: lenia3d.dt, kernelType: lenia3d.kernelType },
+            { mu: [0.08, 0.3], sigma: [0.008, 0.05] },
+            12
+        );
+        return;
+    }
+
     await parameterExplorer.gridSearch(
         { R: lenia.R, dt: 0.1, peaks: 1, kernelType: 'ring' },
         { mu: [0.1, 0.4], sigma: [0.01, 0.06] },
@@ -2142,12 +3292,20 @@ async function startGridSearch() {
     );
 }
 
+/**
+ * Noise that searches score candidates under: none, or the current settings
+ */
+function searchNoise() {
+    return document.getElementById('search-noise').value === 'current' ? Noise.create(lenia.noise) : Noise.create();
+}
+
 async function startEvolution() {
     if (!evolutionarySearch) return;
 
     const generations = parseInt(document.getElementById('evo-gens').value);
     const progressFill = document.getElementById('evo-progress-fill');
     const statusEl = document.getElementById('evo-status');
+    evolutionarySearch.noise = searchNoise();
 
     evolutionarySearch.onGeneration = (gen, population) => {
         progressFill.style.width = `${(gen / generations) * 100}%`;
@@ -2189,6 +3347,8 @@ function saveDiscovery() {
         mu: lenia.mu,
         sigma: lenia.sigma,
         dt: lenia.dt,
+        growthType: lenia.growthType,
+        growthPoints: lenia.growthPoints,
         kernelType: lenia.kernelType
     };
 
@@ -2223,6 +3383,7 @@ function updateGalleryList() {
             lenia.mu = discovery.params.mu;
             lenia.sigma = discovery.params.sigma;
             lenia.dt = discovery.params.dt;
+            lenia.setGrowth(discovery.params.growthType || 'gaussian', discovery.params.growthPoints || Growth.DEFAULT_POINTS);
             lenia.kernelType = discovery.params.kernelType || 'ring';
             lenia.updateKernel();
             syncUIToParams();
@@ -2255,10 +3416,21 @@ function exportState() {
             mu: lenia.mu,
             sigma: lenia.sigma,
             dt: lenia.dt,
+            growthType: lenia.growthType,
+            growthPoints: lenia.growthPoints,
             kernelType: lenia.kernelType
         },
-        size: lenia.size,
+        width: lenia.width,
+        height: lenia.height,
+        boundary: lenia.boundary,
+        integrator: lenia.integrator,
+        adaptiveDt: lenia.adaptiveDt,
+        tolerance: lenia.tolerance,
+        noise: lenia.noise,
         grid: Array.from(lenia.grid),
+        obstacles: Array.from(environment.obstacles),
+        seed: Random.seed,
+        generation,
         timestamp: new Date().toISOString()
     };
 
@@ -2280,16 +3452,41 @@ function importState(json) {
         lenia.mu = state.params.mu;
         lenia.sigma = state.params.sigma;
         lenia.dt = state.params.dt;
+        lenia.setGrowth(state.params.growthType || 'gaussian', state.params.growthPoints || Growth.DEFAULT_POINTS);
         lenia.kernelType = state.params.kernelType || 'ring';
         lenia.updateKernel();
 
-        if (state.size !== lenia.size) {
-            lenia.resize(state.size);
+        // Older exports only record a square size
+        const stateWidth = state.width ?? state.size;
+        const stateHeight = state.height ?? state.size;
+        if (stateWidth !== lenia.width || stateHeight !== lenia.height) {
+            resizeWorld(stateWidth, stateHeight);
+        }
+
+        setPlaneMode(false);
+        setBoundaryMode(state.boundary || 'periodic');
+        setIntegrator(state.integrator || 'euler');
+        setAdaptiveDt(!!state.adaptiveDt);
+        if (state.tolerance !== undefined) {
+            lenia.tolerance = state.tolerance;
+            multiChannel.tolerance = state.tolerance;
+            setSliderValue('tolerance', state.tolerance);
         }
+        setNoise(state.noise || {});
 
         lenia.grid = new Float32Array(state.grid);
+        environment.obstacles.fill(0);
+        if (state.obstacles) {
+            environment.obstacles.set(state.obstacles);
+        }
+        environment.computeObstacleGradient();
         generation = 0;
 
+        if (state.seed !== undefined) {
+            Random.setSeed(state.seed);
+            updateSeedDisplay();
+        }
+
         syncUIToParams();
         setSpeciesCustom();
 
@@ -0,0 +1,115 @@
+/**
+ * Simulation Worker client - the page side of sim-worker.js
+ *
+ * Once per animation frame, draw() calls sync() with the page's simulation
+ * objects. sync() does three things:
+ * 1. If the objects no longer match the last frame shown (the user drew,
+ *    moved a slider, loaded a preset, reset...), send them to the worker
+ * 2. Copy the newest frame from the worker into the objects, so rendering,
+ *    overlays and stats code read them exactly as before
+ * 3. Tell the worker whether to run
+ *
+ * The simulation therefore runs at whatever rate the worker manages, while
+ * the page renders at its own frame rate. Workers need the page to be
+ * served over http(s); opened from file:// the page steps in-thread.
+ */
+
+class SimulationWorker {
+    /**
+     * Whether the page can run the simulation in a worker
+     */
+    static isSupported() {
+        return typeof Worker !== 'undefined' && location.protocol !== 'file:';
+    }
+
+    constructor(url = 'sim-worker.js') {
+        this.worker = new Worker(url);
+        this.worker.onmessage = (e) => this.handleMessage(e.data);
+        this.worker.onerror = (e) => this.handleError(e);
+
+        this.version = 0;         // Number of loads sent; frames carry the one they stepped from
+        this.baseline = null;     // Snapshot the page's objects currently match
+        this.pending = null;      // Newest frame not yet shown
+        this.running = false;
+        this.failed = false;
+        this.stepsPerSecond = 0;
+
+        // Called with the error if the worker fails; the page falls back to in-thread stepping
+        this.onError = null;
+    }
+
+    handleMessage(msg) {
+        if (msg.type !== 'frame') return;
+
+        // Keep only the newest frame; return the older one's buffers
+        if (this.pending) {
+            this.recycle(this.pending.state);
+        }
+        this.pending = msg;
+        this.stepsPerSecond = msg.stepsPerSecond;
+    }
+
+    handleError(e) {
+        e.preventDefault();
+        console.error('Simulation worker failed:', e.message);
+        this.failed = true;
+        this.terminate();
+        if (this.onError) this.onError(e);
+    }
+
+    recycle(state) {
+        if (!state) return;
+        const buffers = SimState.buffers(state);
+        this.worker.postMessage({ type: 'ready', recycle: buffers }, buffers);
+    }
+
+    /**
+     * Push edits, show the newest frame and set the run state
+     * @param {Object} sims - Simulation bundle (see sim-state.js)
+     * @param {boolean} running - Whether the simulation should advance
+     * @returns {boolean} True if a new frame was copied into sims
+     */
+    sync(sims, running) {
+        if (this.failed) return false;
+
+        // 1. Edits made on the page since the last frame win over the worker's state
+        if (!this.baseline || SimState.changed(sims, this.baseline)) {
+            const state = SimState.capture(sims);
+            const recycle = this.baseline ? SimState.buffers(this.baseline) : [];
+            this.version++;
+            this.worker.postMessage({ type: 'load', version: this.version, state, recycle }, recycle);
+            this.baseline = state;
+        }
+
+        // 2. Newest frame, unless it was stepped from state the page has since replaced
+        let updated = false;
+        if (this.pending) {
+            const frame = this.pending;
+            this.pending = null;
+
+            if (frame.version === this.version) {
+                SimState.restore(sims, frame.state);
+                frame.state.signature = SimState.signature(SimState.describe(sims));
+                this.recycle(this.baseline);
+                this.baseline = frame.state;
+                updated = true;
+            } else {
+                this.recycle(frame.state);
+            }
+        }
+
+        // 3. Run state
+        if (running !== this.running) {
+            this.running = running;
+            this.worker.postMessage({ type: 'run', running });
+        }
+
+        return updated;
+    }
+
+    terminate() {
+        this.worker.terminate();
+        this.pending = null;
+        this.baseline = null;
+    }
+}